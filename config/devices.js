@@ -0,0 +1,121 @@
+import { RESOLUTIONS } from './profiles.js';
+
+/**
+ * TV devices - Playwright device descriptors for the TV browsers the app ships on.
+ *
+ * Each descriptor is a project `use` block like Playwright's own `devices`: the platform's
+ * user agent, its resolution (see RESOLUTIONS), no touch screen, no pointer and no mobile
+ * viewport, since TV browsers are driven by the remote alone. On top of that it picks the
+ * platform's remote key profile and constrains Chromium the way the TV's hardware would: the
+ * CPU is slowed down over CDP (the cpuThrottleRate option of tvTest.js) and the JavaScript
+ * heap is capped at launch, so timing-sensitive navigation code runs under realistic conditions.
+ *
+ * playwright.config.js creates one project per device, named after its key.
+ */
+
+/**
+ * @typedef {Object} TvDeviceSpec
+ * @property {string} description - Platform and the class of hardware it stands for
+ * @property {string} userAgent - User agent of the platform's browser
+ * @property {keyof typeof RESOLUTIONS} resolution - Resolution the platform's browser renders at
+ * @property {string} keyProfile - Remote key profile, see KEY_PROFILES
+ * @property {number} cpuThrottleRate - CPU slowdown relative to the machine running the tests
+ * @property {number} memoryMB - JavaScript heap limit in MB
+ */
+
+/**
+ * TV platforms, keyed by project name.
+ * @type {Record<string, TvDeviceSpec>}
+ */
+export const TV_DEVICE_SPECS = {
+  tizen: {
+    description: 'Samsung Tizen TV, mid-range 2023 model',
+    userAgent:
+      'Mozilla/5.0 (SMART-TV; LINUX; Tizen 7.0) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      '94.0.4606.31/7.0 TV Safari/537.36',
+    resolution: '1080p',
+    keyProfile: 'tizen',
+    cpuThrottleRate: 4,
+    memoryMB: 512,
+  },
+
+  webos: {
+    description: 'LG webOS 4K TV',
+    userAgent:
+      'Mozilla/5.0 (Web0S; Linux/SmartTV) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      'Chrome/94.0.4606.128 Safari/537.36 WebAppManager',
+    resolution: '4k',
+    keyProfile: 'webos',
+    cpuThrottleRate: 3,
+    memoryMB: 512,
+  },
+
+  androidtv: {
+    description: 'Android TV streaming stick',
+    userAgent:
+      'Mozilla/5.0 (Linux; Android 12; Android TV; wv) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      'Version/4.0 Chrome/114.0.5735.196 Safari/537.36',
+    resolution: '1080p',
+    keyProfile: 'androidtv',
+    cpuThrottleRate: 4,
+    memoryMB: 768,
+  },
+
+  hbbtv: {
+    description: 'HbbTV 2.0 broadcast TV, entry-level hardware',
+    userAgent:
+      'Mozilla/5.0 (Linux armv7l) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      'Chrome/87.0.4280.88 Safari/537.36 HbbTV/1.5.1 (+DRM; Vendor; TV; 1.0.0; 1.0;)',
+    resolution: '720p',
+    keyProfile: 'hbbtv',
+    cpuThrottleRate: 6,
+    memoryMB: 256,
+  },
+};
+
+/**
+ * Chromium command line switches capping the JavaScript heap.
+ * @param {number} memoryMB - Heap limit in MB
+ * @returns {string[]}
+ */
+export function memoryLimitArgs(memoryMB) {
+  return [`--js-flags=--max-old-space-size=${memoryMB}`];
+}
+
+/**
+ * Chromium command line switches reporting no pointer and no hover to the page, so
+ * `(pointer: none)` and `(hover: none)` media queries match as they do on a TV.
+ * @returns {string[]}
+ */
+export function noPointerArgs() {
+  return [
+    '--blink-settings=primaryPointerType=1,availablePointerTypes=1,primaryHoverType=1,availableHoverTypes=1',
+  ];
+}
+
+/**
+ * Project `use` block for a TV device.
+ * @param {TvDeviceSpec} spec
+ * @returns {Object} Device descriptor, including the keyProfile and cpuThrottleRate options
+ */
+export function tvDevice({ userAgent, resolution, keyProfile, cpuThrottleRate, memoryMB }) {
+  return {
+    userAgent,
+    ...RESOLUTIONS[resolution],
+    isMobile: false,
+    hasTouch: false,
+    defaultBrowserType: 'chromium',
+    launchOptions: { args: [...memoryLimitArgs(memoryMB), ...noPointerArgs()] },
+    keyProfile,
+    cpuThrottleRate,
+  };
+}
+
+/**
+ * Device descriptors of every TV platform, keyed by project name.
+ */
+export const TV_DEVICES = Object.fromEntries(
+  Object.entries(TV_DEVICE_SPECS).map(([name, spec]) => [name, tvDevice(spec)])
+);
+
+export default TV_DEVICES;
@@ -4,14 +4,99 @@ dotenv.config();
 
 /**
  * Environment configuration helper.
- * Provides centralized access to environment variables with defaults.
+ * Provides centralized access to environment variables with defaults. Settings that differ
+ * per environment (URL, key profile, focus strategy, ...) come from the environment profile
+ * picked with TV_ENV (see profiles.js); the variables below only override it.
  */
 export const env = {
   /**
-   * Base URL of the TV web application being tested.
+   * Environment profile: local-mock, dev, staging or prod.
    * @type {string}
    */
-  APP_URL: process.env.APP_URL || 'http://localhost:3000',
+  TV_ENV: process.env.TV_ENV || 'local-mock',
+
+  /**
+   * Base URL of the TV web application being tested; empty to use the profile's.
+   * Setting it also stops the bundled mock app from being started, unless USE_MOCK_APP is true.
+   * @type {string}
+   */
+  APP_URL: process.env.APP_URL || '',
+
+  /**
+   * Whether tests run against the bundled mock TV app (mock-app/); null to follow the profile.
+   * @type {boolean|null}
+   */
+  USE_MOCK_APP: process.env.USE_MOCK_APP ? process.env.USE_MOCK_APP === 'true' : null,
+
+  /**
+   * Port the bundled mock TV app listens on.
+   * @type {number}
+   */
+  MOCK_APP_PORT: Number(process.env.MOCK_APP_PORT) || 3000,
+
+  /**
+   * Remote control key profile: desktop, tizen, webos, hbbtv or androidtv.
+   * Empty to use the environment profile's.
+   * @type {string}
+   */
+  KEY_PROFILE: process.env.KEY_PROFILE || '',
+
+  /**
+   * Override for how remote keys are sent: 'keyboard' or 'keyCode'.
+   * Empty to use the key profile's own send mode.
+   * @type {string}
+   */
+  KEY_SEND_MODE: process.env.KEY_SEND_MODE || '',
+
+  /**
+   * How the app build marks focused, disabled and selected elements: data-focused or css-class.
+   * Empty to use the environment profile's.
+   * @type {string}
+   */
+  FOCUS_STRATEGY: process.env.FOCUS_STRATEGY || '',
+
+  /**
+   * Factor applied to timeouts, e.g. 2 for a slow environment; 0 to use the profile's.
+   * @type {number}
+   */
+  TIMEOUT_SCALE: Number(process.env.TIMEOUT_SCALE) || 0,
+
+  /**
+   * Path to a key-journal.json attachment for tests/replay-key-journal.spec.js to replay.
+   * @type {string}
+   */
+  KEY_JOURNAL: process.env.KEY_JOURNAL || '',
+
+  /**
+   * Pause in the Playwright Inspector before every replayed key (headed runs).
+   * @type {boolean}
+   */
+  KEY_JOURNAL_PAUSE: process.env.KEY_JOURNAL_PAUSE === 'true',
+
+  /**
+   * Directory holding TV state snapshots (<name>.json) saved and restored by TvState.
+   * @type {string}
+   */
+  TV_STATE_DIR: process.env.TV_STATE_DIR || 'playwright/.tv-state',
+
+  /**
+   * CPU slowdown applied to every page on Chromium to approximate a low-end TV, e.g. 4.
+   * 1 runs at full speed.
+   * @type {number}
+   */
+  CPU_THROTTLE_RATE: Number(process.env.CPU_THROTTLE_RATE) || 1,
+
+  /**
+   * Directory holding API recordings (<profile>/<scenario>.har) replayed by ApiMock.
+   * @type {string}
+   */
+  HAR_DIR: process.env.HAR_DIR || 'tests/har',
+
+  /**
+   * Re-record the API traffic of tests that replay a recording, instead of replaying it.
+   * @type {boolean}
+   */
+  UPDATE_HAR: process.env.UPDATE_HAR === 'true',
 
   /**
    * Whether running in CI environment.
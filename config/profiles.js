@@ -0,0 +1,298 @@
+import { env } from './env.js';
+import { KEY_PROFILES } from '../src/utils/keyProfiles.js';
+import { FOCUS_STRATEGIES } from '../src/utils/focusStrategy.js';
+
+/**
+ * Environment profiles - Named descriptions of the environments the tests run against.
+ *
+ * A profile says where the app is (base URL, or the bundled mock app), which remote key map
+ * and focus strategy its build uses, the locale and TV resolution to emulate, how much slower
+ * than the mock it responds (timeout scaling), and which features it has. The profile is
+ * picked with TV_ENV, validated the first time it is read (playwright.config.js does that at
+ * startup), and used by the Playwright config, the fixtures and the page objects. Tests that
+ * need a feature skip themselves on profiles without it (see requireFeatures in tvTest.js).
+ *
+ * APP_URL, KEY_PROFILE, FOCUS_STRATEGY and TIMEOUT_SCALE override the profile's own values.
+ */
+
+/**
+ * TV resolutions. 4k lays pages out at 3840x2160 CSS pixels; 1080p-2x is how many 4K TV
+ * browsers render instead: a 1920x1080 CSS viewport with a device scale factor of 2.
+ */
+export const RESOLUTIONS = {
+  '720p': { viewport: { width: 1280, height: 720 }, deviceScaleFactor: 1 },
+  '1080p': { viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 1 },
+  '4k': { viewport: { width: 3840, height: 2160 }, deviceScaleFactor: 1 },
+  '1080p-2x': { viewport: { width: 1920, height: 1080 }, deviceScaleFactor: 2 },
+};
+
+/**
+ * Feature flags a profile declares, with what each one means.
+ */
+export const FEATURES = {
+  tvGuide: 'TV Guide screen with the programme grid',
+  channels: 'Channels popup playing live HLS streams',
+  search: 'Search screen with the on-screen keyboard and results grid',
+  favouritesEdit: 'Favourite Apps may be changed (tests add, remove and reorder them)',
+  stateSeeding: 'Backend accepts favourites seeding through PUT /api/favourites',
+};
+
+/**
+ * @typedef {Object} EnvProfile
+ * @property {string} name - Profile name, e.g. 'staging'
+ * @property {string} description - What the profile is for
+ * @property {string} baseURL - URL of the TV web app
+ * @property {boolean} mockApp - Start the bundled mock TV app (mock-app/) for the run
+ * @property {string} keyProfile - Remote key profile name, see KEY_PROFILES
+ * @property {string} focusStrategy - Focus strategy name, see FOCUS_STRATEGIES
+ * @property {string} locale - BCP 47 locale of the browser, e.g. 'en-GB'
+ * @property {keyof typeof RESOLUTIONS} resolution - TV resolution the default project runs at
+ * @property {number} timeoutScale - Factor applied to timeouts, for environments slower than the mock
+ * @property {Record<keyof typeof FEATURES, boolean>} features - Features the environment has
+ */
+
+/**
+ * Built-in profiles, keyed by name. dev, staging and prod have no base URL of their own:
+ * set APP_URL to the environment's URL.
+ * @type {Record<string, Omit<EnvProfile, 'name'>>}
+ */
+export const ENV_PROFILES = {
+  'local-mock': {
+    description: 'Bundled mock TV app, started by Playwright',
+    baseURL: `http://localhost:${env.MOCK_APP_PORT}`,
+    mockApp: true,
+    keyProfile: 'desktop',
+    focusStrategy: 'data-focused',
+    locale: 'en-GB',
+    resolution: '1080p',
+    timeoutScale: 1,
+    features: {
+      tvGuide: true,
+      channels: true,
+      search: true,
+      favouritesEdit: true,
+      stateSeeding: true,
+    },
+  },
+
+  dev: {
+    description: 'Development deployment of the TV web app',
+    baseURL: '',
+    mockApp: false,
+    keyProfile: 'desktop',
+    focusStrategy: 'data-focused',
+    locale: 'en-GB',
+    resolution: '1080p',
+    timeoutScale: 1.5,
+    features: {
+      tvGuide: true,
+      channels: true,
+      search: true,
+      favouritesEdit: true,
+      stateSeeding: false,
+    },
+  },
+
+  staging: {
+    description: 'Release candidate on staging, with production-like data',
+    baseURL: '',
+    mockApp: false,
+    keyProfile: 'desktop',
+    focusStrategy: 'data-focused',
+    locale: 'en-GB',
+    resolution: '1080p',
+    timeoutScale: 2,
+    features: {
+      tvGuide: true,
+      channels: true,
+      search: true,
+      favouritesEdit: true,
+      stateSeeding: false,
+    },
+  },
+
+  prod: {
+    description: 'Production; read-only, so real favourites are never changed',
+    baseURL: '',
+    mockApp: false,
+    keyProfile: 'desktop',
+    focusStrategy: 'data-focused',
+    locale: 'en-GB',
+    resolution: '1080p',
+    timeoutScale: 2,
+    features: {
+      tvGuide: true,
+      channels: true,
+      search: true,
+      favouritesEdit: false,
+      stateSeeding: false,
+    },
+  },
+};
+
+/**
+ * Profile in use, resolved on first read.
+ * @type {EnvProfile|null}
+ */
+let activeProfile = null;
+
+/**
+ * Overrides for the profile from environment variables.
+ * @returns {Partial<EnvProfile>}
+ */
+export function envOverrides() {
+  const overrides = {};
+  if (env.APP_URL) {
+    overrides.baseURL = env.APP_URL;
+    // An explicit app URL replaces the mock app unless USE_MOCK_APP says otherwise
+    overrides.mockApp = false;
+  }
+  if (env.USE_MOCK_APP !== null) {
+    overrides.mockApp = env.USE_MOCK_APP;
+  }
+  if (env.KEY_PROFILE) {
+    overrides.keyProfile = env.KEY_PROFILE;
+  }
+  if (env.FOCUS_STRATEGY) {
+    overrides.focusStrategy = env.FOCUS_STRATEGY;
+  }
+  if (env.TIMEOUT_SCALE) {
+    overrides.timeoutScale = env.TIMEOUT_SCALE;
+  }
+  return overrides;
+}
+
+/**
+ * Check a profile and describe everything wrong with it.
+ * @param {EnvProfile} profile
+ * @returns {string[]} One message per problem; empty if the profile is valid
+ */
+export function validateProfile(profile) {
+  const problems = [];
+
+  if (!profile.baseURL) {
+    problems.push(`baseURL is not set; set APP_URL to the URL of the "${profile.name}" app`);
+  } else {
+    let url = null;
+    try {
+      url = new URL(profile.baseURL);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`baseURL "${profile.baseURL}" is not an http(s) URL`);
+    }
+  }
+
+  if (!KEY_PROFILES[profile.keyProfile]) {
+    problems.push(
+      `keyProfile "${profile.keyProfile}" is unknown; use one of ${Object.keys(KEY_PROFILES).join(', ')}`
+    );
+  }
+  if (!FOCUS_STRATEGIES[profile.focusStrategy]) {
+    problems.push(
+      `focusStrategy "${profile.focusStrategy}" is unknown; use one of ${Object.keys(FOCUS_STRATEGIES).join(', ')}`
+    );
+  }
+
+  try {
+    Intl.getCanonicalLocales(profile.locale);
+  } catch {
+    problems.push(`locale "${profile.locale}" is not a valid BCP 47 locale, e.g. "en-GB"`);
+  }
+
+  if (!RESOLUTIONS[profile.resolution]) {
+    problems.push(
+      `resolution "${profile.resolution}" is unknown; use one of ${Object.keys(RESOLUTIONS).join(', ')}`
+    );
+  }
+
+  if (!(typeof profile.timeoutScale === 'number' && profile.timeoutScale > 0)) {
+    problems.push(`timeoutScale must be a positive number, got ${profile.timeoutScale}`);
+  }
+
+  for (const [feature, enabled] of Object.entries(profile.features || {})) {
+    if (!(feature in FEATURES)) {
+      problems.push(
+        `features.${feature} is unknown; known features: ${Object.keys(FEATURES).join(', ')}`
+      );
+    } else if (typeof enabled !== 'boolean') {
+      problems.push(`features.${feature} must be true or false, got ${JSON.stringify(enabled)}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Build and validate a profile.
+ * @param {string} [name=env.TV_ENV] - Profile name
+ * @param {Partial<EnvProfile>} [overrides] - Values replacing the profile's; defaults to envOverrides()
+ * @returns {EnvProfile}
+ * @throws {Error} If the profile is unknown or invalid, listing every problem
+ */
+export function resolveProfile(name = env.TV_ENV, overrides = envOverrides()) {
+  const base = ENV_PROFILES[name];
+  if (!base) {
+    throw new Error(
+      `Unknown environment profile "${name}" (TV_ENV). Available profiles: ${Object.keys(ENV_PROFILES).join(', ')}`
+    );
+  }
+
+  const profile = {
+    name,
+    ...base,
+    ...overrides,
+    features: {
+      ...Object.fromEntries(Object.keys(FEATURES).map((feature) => [feature, false])),
+      ...base.features,
+      ...overrides.features,
+    },
+  };
+  const problems = validateProfile(profile);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid environment profile "${name}":\n` +
+        problems.map((problem) => `  - ${problem}`).join('\n')
+    );
+  }
+  return profile;
+}
+
+/**
+ * Profile in use: the one named by TV_ENV with the environment variable overrides applied.
+ * @returns {EnvProfile}
+ * @throws {Error} If the profile is unknown or invalid
+ */
+export function getProfile() {
+  if (!activeProfile) {
+    activeProfile = resolveProfile();
+  }
+  return activeProfile;
+}
+
+/**
+ * Whether the profile in use declares a feature.
+ * @param {string} feature - Feature name, see FEATURES
+ * @returns {boolean}
+ * @throws {Error} If the feature is unknown, so typos do not silently skip tests
+ */
+export function hasFeature(feature) {
+  if (!(feature in FEATURES)) {
+    throw new Error(
+      `Unknown feature "${feature}". Known features: ${Object.keys(FEATURES).join(', ')}`
+    );
+  }
+  return getProfile().features[feature];
+}
+
+/**
+ * Scale a timeout by the profile's timeoutScale.
+ * @param {number} ms - Timeout against the mock app
+ * @returns {number}
+ */
+export function scaleTimeout(ms) {
+  return Math.round(ms * getProfile().timeoutScale);
+}
+
+export default getProfile;
@@ -0,0 +1,204 @@
+/**
+ * Catalogue - Static content served by the mock TV backend.
+ * Everything is generated deterministically so recordings and assertions stay stable.
+ */
+
+/**
+ * Every app known to the mock app store, keyed by display name.
+ * The display name doubles as the tile's data-testid, matching the production app.
+ */
+export const APPS = {
+  'Watch TV': { category: 'Live TV', publisher: 'WebTV', rating: 'G', size: '12 MB' },
+  Netflix: { category: 'Video', publisher: 'Netflix, Inc.', rating: '12+', size: '85 MB' },
+  YouTube: { category: 'Video', publisher: 'Google LLC', rating: '12+', size: '64 MB' },
+  Crunchyroll: { category: 'Video', publisher: 'Crunchyroll, LLC', rating: '12+', size: '48 MB' },
+  'Prime Video': { category: 'Video', publisher: 'Amazon', rating: '12+', size: '90 MB' },
+  'Disney+': { category: 'Video', publisher: 'Disney', rating: 'PG', size: '72 MB' },
+  Twitch: { category: 'Video', publisher: 'Twitch Interactive', rating: '16+', size: '40 MB' },
+  Vimeo: { category: 'Video', publisher: 'Vimeo.com, Inc.', rating: '12+', size: '22 MB' },
+  Plex: { category: 'Video', publisher: 'Plex, Inc.', rating: '12+', size: '55 MB' },
+  Spotify: { category: 'Music', publisher: 'Spotify AB', rating: 'G', size: '38 MB' },
+  Deezer: { category: 'Music', publisher: 'Deezer SA', rating: 'G', size: '30 MB' },
+  TuneIn: { category: 'Music', publisher: 'TuneIn, Inc.', rating: 'G', size: '18 MB' },
+  'BBC News': { category: 'News', publisher: 'BBC', rating: 'G', size: '20 MB' },
+  Euronews: { category: 'News', publisher: 'Euronews SA', rating: 'G', size: '16 MB' },
+  'Weather Now': { category: 'News', publisher: 'WebTV', rating: 'G', size: '8 MB' },
+  'Chess Master': { category: 'Games', publisher: 'Board Games Ltd', rating: 'G', size: '14 MB' },
+  'Solitaire TV': { category: 'Games', publisher: 'Board Games Ltd', rating: 'G', size: '9 MB' },
+  'Quiz Night': { category: 'Games', publisher: 'Party Apps', rating: '12+', size: '26 MB' },
+};
+
+/**
+ * Rails shown on the Apps page, top to bottom.
+ */
+export const APP_RAILS = [
+  { title: 'Featured Apps', apps: ['Watch TV', 'Netflix', 'Prime Video', 'Disney+'] },
+  {
+    title: 'Video',
+    apps: ['YouTube', 'Netflix', 'Crunchyroll', 'Prime Video', 'Twitch', 'Vimeo', 'Plex'],
+  },
+  { title: 'Music', apps: ['Spotify', 'Deezer', 'TuneIn'] },
+  { title: 'News', apps: ['BBC News', 'Euronews', 'Weather Now'] },
+  { title: 'Games', apps: ['Chess Master', 'Solitaire TV', 'Quiz Night'] },
+];
+
+/**
+ * Favourites a fresh profile starts with. Netflix is deliberately absent so the
+ * add-to-favourites flow has something to do.
+ */
+export const DEFAULT_FAVOURITES = ['Watch TV', 'YouTube', 'Crunchyroll', 'Spotify'];
+
+/**
+ * Favourites that cannot be moved or removed.
+ */
+export const PROTECTED_FAVOURITES = ['Watch TV'];
+
+/**
+ * Search genres, in the order the genre list renders them.
+ */
+export const GENRES = ['Action', 'Comedy', 'Drama', 'Documentary', 'Kids', 'Sci-Fi', 'Thriller'];
+
+/**
+ * Content types the search results can be filtered by.
+ */
+export const CONTENT_TYPES = ['movie', 'series', 'documentary'];
+
+const TITLE_WORDS = {
+  Action: ['Iron', 'Strike', 'Velocity', 'Outpost', 'Redline', 'Havoc'],
+  Comedy: ['Sunny', 'Mixup', 'Holiday', 'Neighbours', 'Oddball', 'Detour'],
+  Drama: ['Harbour', 'Letters', 'Winter', 'Promise', 'Echoes', 'Legacy'],
+  Documentary: ['Planet', 'Oceans', 'Makers', 'Frontier', 'Origins', 'Wild'],
+  Kids: ['Dino', 'Rocket', 'Puzzle', 'Bubbles', 'Jungle', 'Robo'],
+  'Sci-Fi': ['Orbit', 'Nebula', 'Signal', 'Quantum', 'Colony', 'Drift'],
+  Thriller: ['Shadow', 'Cipher', 'Alibi', 'Vanish', 'Witness', 'Pursuit'],
+};
+
+const TITLE_SUFFIXES = ['Rising', 'Protocol', 'Road', 'Files', 'Point', 'Run', 'Zero'];
+
+const COUNT_PER_TYPE = { movie: 12, series: 7, documentary: 4 };
+
+/**
+ * Build the searchable content library.
+ * @returns {Array<{id: string, title: string, genre: string, type: string, year: number}>}
+ */
+function buildLibrary() {
+  const library = [];
+  for (const genre of GENRES) {
+    const words = TITLE_WORDS[genre];
+    for (const type of CONTENT_TYPES) {
+      for (let i = 0; i < COUNT_PER_TYPE[type]; i++) {
+        const word = words[i % words.length];
+        const suffix = TITLE_SUFFIXES[(i + type.length) % TITLE_SUFFIXES.length];
+        const number = String(i + 1).padStart(2, '0');
+        library.push({
+          id: `${genre.toLowerCase().replace(/[^a-z]/g, '')}-${type}-${number}`,
+          title: `${word} ${suffix}${i >= words.length ? ` ${Math.floor(i / words.length) + 1}` : ''}`,
+          genre,
+          type,
+          year: 2010 + ((i * 3 + genre.length) % 15),
+        });
+      }
+    }
+  }
+  return library;
+}
+
+/**
+ * All searchable titles.
+ */
+export const LIBRARY = buildLibrary();
+
+/**
+ * Linear channels available in the Channels player.
+ */
+export const CHANNELS = [
+  { id: 'news-24', number: 1, name: 'News 24' },
+  { id: 'sports-one', number: 2, name: 'Sports One' },
+  { id: 'movie-max', number: 3, name: 'Movie Max' },
+  { id: 'kids-zone', number: 4, name: 'Kids Zone' },
+  { id: 'docu-world', number: 5, name: 'Docu World' },
+  { id: 'music-hits', number: 6, name: 'Music Hits' },
+];
+
+/**
+ * Programme schedule of every channel for the TV guide, as a cycle of programmes with their
+ * length in minutes. Each cycle lasts six hours and repeats from midnight UTC.
+ */
+export const GUIDE_SCHEDULES = {
+  'news-24': [
+    { title: 'Headlines', minutes: 30 },
+    { title: 'World Report', minutes: 60 },
+    { title: 'Business Today', minutes: 30 },
+    { title: 'Headlines', minutes: 30 },
+    { title: 'Politics Live', minutes: 60 },
+    { title: 'Weather Watch', minutes: 30 },
+    { title: 'Headlines', minutes: 30 },
+    { title: 'Newsnight', minutes: 90 },
+  ],
+  'sports-one': [
+    { title: 'Sports Centre', minutes: 60 },
+    { title: 'Live Football', minutes: 120 },
+    { title: 'Match Highlights', minutes: 60 },
+    { title: 'Tennis Tonight', minutes: 90 },
+    { title: 'Goal Rush', minutes: 30 },
+  ],
+  'movie-max': [
+    { title: 'The Long Night', minutes: 120 },
+    { title: "Ocean's Echo", minutes: 105 },
+    { title: 'Trailer Park', minutes: 15 },
+    { title: 'City of Glass', minutes: 120 },
+  ],
+  'kids-zone': [
+    { title: 'Cartoon Club', minutes: 30 },
+    { title: 'Little Explorers', minutes: 30 },
+    { title: 'Science Squad', minutes: 30 },
+    { title: 'Dino Friends', minutes: 30 },
+    { title: 'Story Time', minutes: 60 },
+    { title: 'Puzzle Island', minutes: 60 },
+    { title: 'Junior Bake Off', minutes: 60 },
+    { title: 'Goodnight Tales', minutes: 60 },
+  ],
+  'docu-world': [
+    { title: 'Planet Wild', minutes: 60 },
+    { title: 'Deep Oceans', minutes: 60 },
+    { title: 'Ancient Empires', minutes: 90 },
+    { title: 'Engineering Giants', minutes: 60 },
+    { title: 'Space Frontier', minutes: 90 },
+  ],
+  'music-hits': [
+    { title: 'Top 40 Countdown', minutes: 120 },
+    { title: 'Unplugged', minutes: 60 },
+    { title: 'Rock Classics', minutes: 60 },
+    { title: 'Live Sessions', minutes: 90 },
+    { title: 'Chill Mix', minutes: 30 },
+  ],
+};
+
+/**
+ * Rails shown on the home screen below the Favourite Apps rail.
+ */
+export const HOME_RAILS = [
+  {
+    title: 'Continue Watching',
+    items: LIBRARY.filter((item) => item.type === 'series').slice(0, 6),
+  },
+  {
+    title: 'Recommended',
+    items: LIBRARY.filter((item) => item.type === 'movie').filter((_, i) => i % 4 === 0),
+  },
+];
+
+/**
+ * Rails shown on the Gaming and Free screens.
+ * Virtual rails only render the tiles around focus.
+ */
+export const SCREEN_RAILS = {
+  gaming: [{ title: 'Games', items: ['Chess Master', 'Solitaire TV', 'Quiz Night'] }],
+  free: [
+    {
+      title: 'Free Movies',
+      virtual: true,
+      items: LIBRARY.filter((item) => item.type === 'movie').filter((_, i) => i % 7 === 3),
+    },
+  ],
+};
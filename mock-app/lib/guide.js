@@ -0,0 +1,64 @@
+import { CHANNELS, GUIDE_SCHEDULES } from '../data/catalogue.js';
+
+/**
+ * Guide - Programme listings for the mock TV guide.
+ * Listings are computed from the channel schedules, so any time window can be requested.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/** Longest window a single listings request may cover */
+export const MAX_GUIDE_WINDOW_MS = 2 * 24 * 60 * MINUTE_MS;
+
+/**
+ * Programmes of one channel overlapping a time window.
+ * @param {string} channelId
+ * @param {number} from - Window start (ms since epoch)
+ * @param {number} to - Window end (ms since epoch, exclusive)
+ * @returns {Array<{id: string, title: string, start: string, end: string}>}
+ */
+function channelProgrammes(channelId, from, to) {
+  const schedule = GUIDE_SCHEDULES[channelId] || [];
+  const cycle = schedule.reduce((total, slot) => total + slot.minutes, 0) * MINUTE_MS;
+  if (cycle === 0) {
+    return [];
+  }
+
+  const programmes = [];
+  let start = Math.floor(from / cycle) * cycle;
+  while (start < to) {
+    for (const slot of schedule) {
+      const end = start + slot.minutes * MINUTE_MS;
+      if (end > from && start < to) {
+        programmes.push({
+          id: `${channelId}-${start}`,
+          title: slot.title,
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+        });
+      }
+      start = end;
+    }
+  }
+  return programmes;
+}
+
+/**
+ * Listings of every channel for a time window.
+ * @param {number} from - Window start (ms since epoch)
+ * @param {number} to - Window end (ms since epoch, exclusive)
+ * @returns {Array<{id: string, number: number, name: string, programmes: Array<object>}>}
+ * @throws {Error} If the window is empty or longer than MAX_GUIDE_WINDOW_MS
+ */
+export function guideListings(from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+    throw new Error('from and to must be times with from before to');
+  }
+  if (to - from > MAX_GUIDE_WINDOW_MS) {
+    throw new Error('The guide window may not exceed two days');
+  }
+  return CHANNELS.map((channel) => ({
+    ...channel,
+    programmes: channelProgrammes(channel.id, from, to),
+  }));
+}
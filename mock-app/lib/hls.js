@@ -0,0 +1,103 @@
+/**
+ * HLS - Live playlist and segment generation for the mock Channels player.
+ * Playlists are computed from the wall clock so every channel behaves like a live stream.
+ */
+
+/** Duration of every media segment in seconds */
+export const SEGMENT_DURATION = 2;
+
+/** Number of segments advertised in each live media playlist */
+export const PLAYLIST_WINDOW = 6;
+
+/** Size of an MPEG-TS packet in bytes */
+const TS_PACKET_SIZE = 188;
+
+/** Payload bytes are scaled down so local runs do not push real video bitrates */
+const SEGMENT_SIZE_DIVISOR = 10;
+
+/**
+ * Bitrate ladder advertised by the master playlist, lowest first.
+ */
+export const VARIANTS = [
+  {
+    name: '360p',
+    bandwidth: 800000,
+    resolution: '640x360',
+    codecs: 'avc1.4d401e,mp4a.40.2',
+  },
+  {
+    name: '720p',
+    bandwidth: 2500000,
+    resolution: '1280x720',
+    codecs: 'avc1.4d401f,mp4a.40.2',
+  },
+  {
+    name: '1080p',
+    bandwidth: 5000000,
+    resolution: '1920x1080',
+    codecs: 'avc1.640028,mp4a.40.2',
+  },
+];
+
+/**
+ * Build the master playlist for a channel.
+ * @param {string} channelId - Channel identifier
+ * @returns {string} Master playlist text
+ */
+export function masterPlaylist(channelId) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  for (const variant of VARIANTS) {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.resolution},` +
+        `CODECS="${variant.codecs}",NAME="${variant.name}"`,
+      `/streams/${channelId}/${variant.name}/index.m3u8`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build the sliding-window media playlist for a channel variant.
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+ * @returns {string} Media playlist text
+ */
+export function mediaPlaylist(now = Date.now()) {
+  const latest = Math.floor(now / 1000 / SEGMENT_DURATION);
+  const first = latest - PLAYLIST_WINDOW + 1;
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`,
+    `#EXT-X-MEDIA-SEQUENCE:${first}`,
+  ];
+  for (let sequence = first; sequence <= latest; sequence++) {
+    lines.push(
+      `#EXT-X-PROGRAM-DATE-TIME:${new Date(sequence * SEGMENT_DURATION * 1000).toISOString()}`,
+      `#EXTINF:${SEGMENT_DURATION.toFixed(3)},`,
+      `seg-${sequence}.ts`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a segment payload made of MPEG-TS sized packets.
+ * The bytes are not decodable video; the mock player only measures and counts them.
+ * @param {string} variantName - Variant the segment belongs to
+ * @returns {Buffer|null} Segment bytes, or null for an unknown variant
+ */
+export function segmentPayload(variantName) {
+  const variant = VARIANTS.find((v) => v.name === variantName);
+  if (!variant) {
+    return null;
+  }
+
+  const bytes = (variant.bandwidth * SEGMENT_DURATION) / 8 / SEGMENT_SIZE_DIVISOR;
+  const packets = Math.ceil(bytes / TS_PACKET_SIZE);
+  const payload = Buffer.alloc(packets * TS_PACKET_SIZE);
+  for (let offset = 0; offset < payload.length; offset += TS_PACKET_SIZE) {
+    payload[offset] = 0x47;
+  }
+  return payload;
+}
@@ -0,0 +1,63 @@
+import { randomUUID } from 'node:crypto';
+import { DEFAULT_FAVOURITES, PROTECTED_FAVOURITES, APPS } from '../data/catalogue.js';
+
+/**
+ * Name of the cookie that ties a browser context to its server-side profile.
+ */
+export const PROFILE_COOKIE = 'tv-profile';
+
+/**
+ * ProfileStore - In-memory, per-profile state for the mock TV backend.
+ *
+ * Every browser context gets its own profile through a cookie, so each test starts
+ * from the default favourites while reloads within a test keep whatever was changed.
+ */
+export class ProfileStore {
+  constructor() {
+    /** @type {Map<string, {favourites: string[]}>} */
+    this.profiles = new Map();
+  }
+
+  /**
+   * Create a new profile with default state.
+   * @returns {string} The new profile id
+   */
+  create() {
+    const id = randomUUID();
+    this.profiles.set(id, { favourites: [...DEFAULT_FAVOURITES] });
+    return id;
+  }
+
+  /**
+   * Get a profile, recreating it with defaults if the server restarted since it was issued.
+   * @param {string} id - Profile id from the cookie
+   * @returns {{favourites: string[]}}
+   */
+  get(id) {
+    if (!this.profiles.has(id)) {
+      this.profiles.set(id, { favourites: [...DEFAULT_FAVOURITES] });
+    }
+    return /** @type {{favourites: string[]}} */ (this.profiles.get(id));
+  }
+
+  /**
+   * Replace a profile's favourites after validating them.
+   * Protected apps are always kept and pinned to the front.
+   * @param {string} id - Profile id
+   * @param {unknown} apps - Requested favourites order
+   * @returns {string[]} The stored favourites
+   * @throws {Error} If the payload is not a list of known app names
+   */
+  setFavourites(id, apps) {
+    if (!Array.isArray(apps) || apps.some((app) => typeof app !== 'string' || !APPS[app])) {
+      throw new Error('Favourites must be a list of known app names');
+    }
+
+    const unique = [...new Set(apps)].filter((app) => !PROTECTED_FAVOURITES.includes(app));
+    const favourites = [...PROTECTED_FAVOURITES, ...unique];
+    this.get(id).favourites = favourites;
+    return favourites;
+  }
+}
+
+export default ProfileStore;
@@ -0,0 +1,1429 @@
+/**
+ * Mock TV App - Single-page TV UI driven entirely by the remote control.
+ *
+ * Implements the DOM contract the page objects rely on: the "Main menu" navigation,
+ * rails of focusable tiles marked with data-focused, the Favourite Apps edit mode,
+ * the Apps page and details screen, the Search page with its on-screen keyboard and the TV
+ * guide. Focus moves between
+ * rows of elements; every row declares the data-focused value its elements use.
+ */
+
+const LONG_PRESS_MS = 800;
+const SEARCH_DEBOUNCE_MS = 300;
+const VIRTUAL_RAIL_WINDOW = 6;
+const GUIDE_MINUTE_PX = 4;
+const GUIDE_DAYS_AHEAD = 7;
+const GUIDE_DAYS_BEHIND = 7;
+const GUIDE_TICK_MS = 1000;
+
+/**
+ * On-screen keyboard character rows. Letters follow the shift state; the last row is the
+ * function row (shift, layout switch, space, delete, clear) on every layout.
+ */
+const KEYBOARD_LAYOUTS = {
+  letters: ['abcdef', 'ghijkl', 'mnopqr', 'stuvwx', 'yz1234', '567890'],
+  symbols: ['!@#$%&', '*()-_=', '+[]{}:', ';\'",.?', '/\\|~<>'],
+};
+
+const MENU = ['Search', 'Home', 'Tv Guide', 'Channels', 'Gaming', 'Free', 'Apps'];
+
+const SCREEN_BY_MENU = {
+  Search: 'search',
+  Home: 'home',
+  'Tv Guide': 'guide',
+  Gaming: 'gaming',
+  Free: 'free',
+  Apps: 'apps',
+};
+
+const KEY_ACTIONS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Enter: 'select',
+  Escape: 'back',
+  GoBack: 'back',
+  BrowserBack: 'back',
+  XF86Back: 'back',
+  ContextMenu: 'menu',
+  XF86Menu: 'menu',
+  PageUp: 'pageUp',
+  PageDown: 'pageDown',
+  ChannelUp: 'pageUp',
+  ChannelDown: 'pageDown',
+  XF86RaiseChannel: 'pageUp',
+  XF86LowerChannel: 'pageDown',
+};
+
+const KEYCODE_ACTIONS = {
+  38: 'up',
+  40: 'down',
+  37: 'left',
+  39: 'right',
+  13: 'select',
+  27: 'back',
+  10009: 'back',
+  461: 'back',
+  166: 'back',
+  93: 'menu',
+  10133: 'menu',
+  33: 'pageUp',
+  34: 'pageDown',
+  427: 'pageUp',
+  428: 'pageDown',
+};
+
+const DIRECTION_ACTIONS = ['up', 'down', 'left', 'right'];
+
+const state = {
+  screen: 'home',
+  detailsApp: null,
+  favourites: [],
+  protectedApps: [],
+  edit: null,
+  toast: null,
+  launched: null,
+  appsFocus: null,
+  search: {
+    genre: null,
+    type: 'movie',
+    query: '',
+    genres: [],
+    types: [],
+    results: [],
+    keyboard: { open: false, layout: 'letters', shift: false },
+  },
+  guide: { day: null, focusTime: null, timer: null },
+};
+
+const nav = {
+  rows: [],
+  row: 0,
+  col: 0,
+  memory: new Map(),
+  current: null,
+};
+
+const app = document.getElementById('app');
+const screenRoot = document.getElementById('screen');
+const layer = document.getElementById('layer');
+const menubar = document.querySelector('[role="menubar"]');
+const overlay = document.querySelector('[class^="_bottomOverlay_"]');
+const hint = overlay.querySelector('[class^="_hint_"]');
+
+/**
+ * Create an element.
+ * @param {string} tag
+ * @param {Record<string, any>} [attrs]
+ * @param {Array<Node|string>} [children]
+ * @returns {HTMLElement}
+ */
+function h(tag, attrs = {}, children = []) {
+  const el = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (value === null || value === undefined || value === false) continue;
+    if (name === 'text') el.textContent = value;
+    else if (name === 'navKey') el.navKey = value;
+    else el.setAttribute(name, value === true ? '' : String(value));
+  }
+  for (const child of children) {
+    el.append(child);
+  }
+  return el;
+}
+
+/**
+ * Call the mock backend.
+ * @param {string} path
+ * @param {RequestInit} [options]
+ */
+async function api(path, options = {}) {
+  const response = await fetch(`/api${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options,
+  });
+  if (!response.ok) {
+    throw new Error(`API ${path} failed with ${response.status}`);
+  }
+  return response.json();
+}
+
+// ---------------------------------------------------------------------------
+// Focus engine
+// ---------------------------------------------------------------------------
+
+function clearFocus() {
+  const previous = nav.current;
+  if (!previous) return;
+  const row = nav.rows[nav.row];
+  if (row && row.focusValue) previous.removeAttribute('data-focused');
+  if (row && row.container) row.container.removeAttribute('data-focused');
+  nav.current = null;
+}
+
+/**
+ * Focus the element at a row/column.
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ */
+function focusAt(rowIndex, colIndex) {
+  const row = nav.rows[rowIndex];
+  if (!row || row.items.length === 0) return;
+
+  clearFocus();
+  const col = Math.max(0, Math.min(colIndex, row.items.length - 1));
+  const el = row.items[col];
+
+  nav.row = rowIndex;
+  nav.col = col;
+  nav.current = el;
+  nav.memory.set(row.id, col);
+  if (row.onFocusItem) row.onFocusItem(col);
+
+  el.setAttribute('data-focused', row.focusValue);
+  if (row.container) row.container.setAttribute('data-focused', 'focused');
+  el.focus({ preventScroll: true });
+  el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  updateHint();
+}
+
+/**
+ * Find a row index by id.
+ * @param {string} id
+ * @returns {number}
+ */
+function rowIndexById(id) {
+  return nav.rows.findIndex((row) => row.id === id);
+}
+
+/**
+ * Replace the focusable rows, keeping focus on the same logical element when possible.
+ * @param {Array<object>} rows - Screen rows (the menubar row is prepended automatically)
+ * @param {{rowId: string, col?: number}|null} [target] - Where to put focus if it cannot be kept
+ */
+function setRows(rows, target = null) {
+  const previousKey = nav.current ? nav.current.navKey : null;
+  const previousRowId = nav.rows[nav.row] ? nav.rows[nav.row].id : null;
+  clearFocus();
+  nav.rows = [menuRow(), ...rows.filter((row) => row.items.length > 0)];
+
+  if (target) {
+    const rowIndex = rowIndexById(target.rowId);
+    if (rowIndex >= 0) {
+      return focusAt(rowIndex, target.col ?? nav.memory.get(target.rowId) ?? 0);
+    }
+  }
+
+  if (previousKey) {
+    for (let r = 0; r < nav.rows.length; r++) {
+      const c = nav.rows[r].items.findIndex((item) => item.navKey === previousKey);
+      if (c >= 0) return focusAt(r, c);
+    }
+  }
+
+  const fallback = Math.max(0, rowIndexById(previousRowId));
+  focusAt(fallback, nav.memory.get(nav.rows[fallback].id) ?? 0);
+}
+
+/**
+ * Work out the column to land on when entering a row vertically.
+ * @param {object} from
+ * @param {object} to
+ * @returns {number}
+ */
+function entryColumn(from, to) {
+  if (to.entryCol) return to.entryCol();
+  if (from.alignColumns && to.alignColumns) return nav.col;
+  return nav.memory.get(to.id) ?? to.initialCol ?? 0;
+}
+
+/**
+ * Move focus in a direction.
+ * @param {'up'|'down'|'left'|'right'} direction
+ */
+function moveFocus(direction) {
+  const row = nav.rows[nav.row];
+  if (!row) return;
+
+  if (row.onMove && row.onMove(direction)) return;
+
+  if (direction === 'left' && nav.col > 0) return focusAt(nav.row, nav.col - 1);
+  if (direction === 'right' && nav.col < row.items.length - 1) return focusAt(nav.row, nav.col + 1);
+
+  const step = direction === 'up' ? -1 : direction === 'down' ? 1 : 0;
+  const next = nav.rows[nav.row + step];
+  if (step !== 0 && next) {
+    focusAt(nav.row + step, entryColumn(row, next));
+  }
+}
+
+/**
+ * Menubar row. Always the first row on every screen.
+ */
+function menuRow() {
+  return {
+    id: 'menubar',
+    items: Array.from(menubar.querySelectorAll('[role="menuitem"]')),
+    focusValue: 'focused',
+    entryCol: () => MENU.findIndex((name) => SCREEN_BY_MENU[name] === menuScreen()),
+    onSelect: (_el, index) => openMenu(MENU[index]),
+  };
+}
+
+/**
+ * The menu screen the current screen belongs to.
+ * @returns {string}
+ */
+function menuScreen() {
+  return state.screen === 'details' ? 'apps' : state.screen;
+}
+
+// ---------------------------------------------------------------------------
+// Screens
+// ---------------------------------------------------------------------------
+
+function renderMenubar() {
+  menubar.replaceChildren(
+    ...MENU.map((name, index) =>
+      h('div', { 'data-testid': `main-menu-item-${index}`, class: '_menuTab_8d2k' }, [
+        h('div', {
+          role: 'menuitem',
+          'aria-label': name,
+          tabindex: -1,
+          text: name,
+          navKey: `menu:${name}`,
+        }),
+      ])
+    )
+  );
+}
+
+function updateMenuCurrent() {
+  menubar.querySelectorAll('[role="menuitem"]').forEach((item, index) => {
+    const current = SCREEN_BY_MENU[MENU[index]] === menuScreen();
+    item.toggleAttribute('aria-current', current);
+  });
+}
+
+/**
+ * Build a tile for an app or content item.
+ * @param {{id: string, title: string, artwork: string, type?: string}} item
+ * @param {string} rowId
+ */
+function tile(item, rowId) {
+  return h(
+    'div',
+    {
+      role: 'listitem',
+      'data-testid': item.id,
+      'aria-label': item.title,
+      class: '_tile_5t1n',
+      tabindex: -1,
+      navKey: `${rowId}:${item.id}`,
+    },
+    [
+      h('img', { src: item.artwork, alt: '' }),
+      h('span', { class: '_tileTitle_4v2b', text: item.title }),
+    ]
+  );
+}
+
+/**
+ * Build a labelled rail.
+ * A virtual rail only renders a window of VIRTUAL_RAIL_WINDOW tiles around focus, like the
+ * lazily rendered rails of the production app; its tiles carry aria-posinset/aria-setsize.
+ * @param {string} title
+ * @param {Array<object>} items
+ * @param {string} rowId
+ * @param {{virtual?: boolean}} [options]
+ */
+function rail(title, items, rowId, { virtual = false } = {}) {
+  const list = h('div', { role: 'list', 'aria-label': title, class: '_rail_9h3d' });
+  const tiles = items.map((item) => tile(item, rowId));
+  const section = h('section', { class: '_railSection_6p0a' }, [
+    h('h2', { class: '_railTitle_2m8c', text: title }),
+    list,
+  ]);
+
+  if (!virtual) {
+    list.append(...tiles);
+    return { section, list, tiles, onFocusItem: null };
+  }
+
+  tiles.forEach((el, index) => {
+    el.setAttribute('aria-posinset', String(index + 1));
+    el.setAttribute('aria-setsize', String(tiles.length));
+  });
+  let first = 0;
+  const renderWindow = () =>
+    list.replaceChildren(...tiles.slice(first, first + VIRTUAL_RAIL_WINDOW));
+  const onFocusItem = (col) => {
+    if (col < first + 1) {
+      first = Math.max(0, col - 1);
+    } else if (col > first + VIRTUAL_RAIL_WINDOW - 2) {
+      first = Math.max(
+        0,
+        Math.min(tiles.length - VIRTUAL_RAIL_WINDOW, col - VIRTUAL_RAIL_WINDOW + 2)
+      );
+    }
+    renderWindow();
+  };
+  renderWindow();
+  return { section, list, tiles, onFocusItem };
+}
+
+/**
+ * Build a row descriptor for a rail.
+ * @param {string} id
+ * @param {ReturnType<typeof rail>} built
+ * @param {Partial<object>} [extra]
+ */
+function railRow(id, built, extra = {}) {
+  return {
+    id,
+    items: built.tiles,
+    focusValue: 'focused',
+    onFocusItem: built.onFocusItem,
+    ...extra,
+  };
+}
+
+async function renderHome(target) {
+  const [{ rails }] = await Promise.all([api('/home'), loadFavourites()]);
+
+  const hero = h('div', {
+    role: 'button',
+    'data-testid': 'hero-banner',
+    class: '_hero_0r5t',
+    tabindex: -1,
+    text: 'Tonight on WebTV',
+    navKey: 'hero',
+  });
+  const favourites = rail(
+    'Favourite Apps',
+    state.favourites.map((name) => ({
+      id: name,
+      title: name,
+      artwork: `/artwork/${encodeURIComponent(name)}.svg`,
+    })),
+    'home-favourites'
+  );
+  const contentRails = rails.map((r) => ({
+    ...r,
+    built: rail(r.title, r.items, `home-${r.title}`),
+  }));
+
+  screenRoot.replaceChildren(
+    h('div', { 'data-testid': 'home-container', class: '_home_7u3m' }, [
+      hero,
+      favourites.section,
+      ...contentRails.map((r) => r.built.section),
+    ])
+  );
+
+  setRows(
+    [
+      { id: 'home-hero', items: [hero], focusValue: 'focused', onSelect: () => {} },
+      railRow('home-favourites', favourites, {
+        onSelect: (el) => launch(el.getAttribute('data-testid')),
+        onLongPress: (el) => enterEditMode(el.getAttribute('data-testid')),
+      }),
+      ...contentRails.map((r) =>
+        railRow(`home-${r.title}`, r.built, {
+          onSelect: (el) => launch(el.querySelector('span').textContent),
+        })
+      ),
+    ],
+    target === undefined ? { rowId: 'home-favourites', col: 0 } : target
+  );
+}
+
+async function renderApps(target) {
+  const { rails } = await api('/apps');
+  const built = rails.map((r) => ({ ...r, built: rail(r.title, r.items, `apps-${r.title}`) }));
+
+  screenRoot.replaceChildren(
+    h(
+      'div',
+      { 'data-testid': 'lists-container', class: '_lists_2c8y' },
+      built.map((r) => r.built.section)
+    )
+  );
+
+  setRows(
+    built.map((r) =>
+      railRow(`apps-${r.title}`, r.built, {
+        onSelect: (el) => {
+          state.appsFocus = { rowId: `apps-${r.title}`, col: nav.col };
+          openDetails(el.getAttribute('data-testid'));
+        },
+      })
+    ),
+    target
+  );
+}
+
+async function renderDetails() {
+  const details = await api(`/apps/${encodeURIComponent(state.detailsApp)}`);
+
+  const favButton = h('button', {
+    id: 'app-fav-button',
+    tabindex: -1,
+    'aria-pressed': String(details.favourite),
+    'aria-disabled': details.protected ? 'true' : null,
+    text: details.favourite ? 'Remove from favourites' : 'Add to favourites',
+    navKey: 'details:fav',
+  });
+  const launchButton = h('button', {
+    id: 'app-launch-button',
+    tabindex: -1,
+    text: 'Open',
+    navKey: 'details:launch',
+  });
+
+  screenRoot.replaceChildren(
+    h(
+      'section',
+      { 'data-testid': 'app-details', class: '_details_5e9k', 'aria-label': 'App details' },
+      [
+        h('img', { src: details.artwork, alt: '' }),
+        h('h1', { 'data-testid': 'app-details-title', text: details.title }),
+        h('p', { 'data-testid': 'app-details-description', text: details.description }),
+        h('dl', { 'data-testid': 'app-details-metadata' }, [
+          h('dt', { text: 'Category' }),
+          h('dd', { 'data-field': 'category', text: details.category }),
+          h('dt', { text: 'Publisher' }),
+          h('dd', { 'data-field': 'publisher', text: details.publisher }),
+          h('dt', { text: 'Rating' }),
+          h('dd', { 'data-field': 'rating', text: details.rating }),
+          h('dt', { text: 'Size' }),
+          h('dd', { 'data-field': 'size', text: details.size }),
+        ]),
+        h('div', { class: '_detailsActions_1k7d' }, [favButton, launchButton]),
+      ]
+    )
+  );
+
+  setRows(
+    [
+      {
+        id: 'details-actions',
+        items: [favButton, launchButton],
+        focusValue: 'true',
+        onSelect: (el) => (el === favButton ? toggleFavourite(details) : launch(state.detailsApp)),
+      },
+    ],
+    { rowId: 'details-actions', col: 0 }
+  );
+}
+
+async function renderScreenRails(name, target) {
+  const { rails } = await api(`/screens/${name}`);
+  const built = rails.map((r) => ({
+    ...r,
+    built: rail(r.title, r.items, `${name}-${r.title}`, { virtual: r.virtual }),
+  }));
+
+  screenRoot.replaceChildren(
+    h(
+      'div',
+      { 'data-testid': `${name}-container`, class: '_lists_2c8y' },
+      built.map((r) => r.built.section)
+    )
+  );
+
+  setRows(
+    built.map((r) =>
+      railRow(`${name}-${r.title}`, r.built, {
+        onSelect: (el) => launch(el.querySelector('span').textContent),
+      })
+    ),
+    target
+  );
+}
+
+// ---------------------------------------------------------------------------
+// TV guide
+// ---------------------------------------------------------------------------
+
+/**
+ * Local midnight of the day a time falls on, shifted by a number of days.
+ * @param {number} time
+ * @param {number} [days]
+ * @returns {number}
+ */
+function dayStart(time, days = 0) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+/**
+ * Local calendar date of a time as YYYY-MM-DD.
+ * @param {number} time
+ * @returns {string}
+ */
+function localDate(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function clockTime(time) {
+  return new Date(time).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+function dayLabel(day) {
+  const today = dayStart(Date.now());
+  if (day === today) return 'Today';
+  if (day === dayStart(today, 1)) return 'Tomorrow';
+  if (day === dayStart(today, -1)) return 'Yesterday';
+  return new Date(day).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+  });
+}
+
+/**
+ * Index of the programme on air at a time, or the closest one.
+ * @param {HTMLElement[]} cells
+ * @param {number} time
+ * @returns {number}
+ */
+function programmeIndexAt(cells, time) {
+  const index = cells.findIndex((cell) => Date.parse(cell.getAttribute('data-end')) > time);
+  return index === -1 ? cells.length - 1 : index;
+}
+
+/**
+ * Mark every programme past, on now, on next or upcoming, and move the now line.
+ */
+function updateGuideTime() {
+  const guide = screenRoot.querySelector('[data-testid="tv-guide"]');
+  if (!guide) return;
+
+  const now = Date.now();
+  guide.querySelector('[data-testid="guide-clock"]').textContent = clockTime(now);
+  guide.querySelectorAll('[role="row"]').forEach((row) => {
+    let next = null;
+    row.querySelectorAll('[role="gridcell"]').forEach((cell) => {
+      const start = Date.parse(cell.getAttribute('data-start'));
+      const end = Date.parse(cell.getAttribute('data-end'));
+      let airing = 'upcoming';
+      if (end <= now) airing = 'past';
+      else if (start <= now) airing = 'now';
+      else if (!next) airing = 'next';
+      if (airing === 'next') next = cell;
+      cell.setAttribute('data-airing', airing);
+    });
+  });
+
+  const nowLine = guide.querySelector('[data-testid="guide-now-line"]');
+  const offset = (now - state.guide.day) / 60000;
+  nowLine.hidden = offset < 0 || offset >= 24 * 60;
+  nowLine.style.left = `${offset * GUIDE_MINUTE_PX}px`;
+}
+
+/**
+ * Page the guide by whole days, keeping the channel and time of day in focus.
+ * @param {number} days
+ */
+function pageGuide(days) {
+  const today = dayStart(Date.now());
+  const day = dayStart(state.guide.day, days);
+  if (day < dayStart(today, -GUIDE_DAYS_BEHIND) || day > dayStart(today, GUIDE_DAYS_AHEAD)) {
+    return;
+  }
+  state.guide.focusTime = day + (state.guide.focusTime - state.guide.day);
+  state.guide.day = day;
+  renderGuide({ rowId: nav.rows[nav.row].id });
+}
+
+async function renderGuide(target) {
+  if (state.guide.day === null) {
+    state.guide.day = dayStart(Date.now());
+    state.guide.focusTime = Date.now();
+  }
+  const { day } = state.guide;
+  const dayEnd = dayStart(day, 1);
+  const params = new URLSearchParams({
+    from: new Date(day).toISOString(),
+    to: new Date(dayEnd).toISOString(),
+  });
+  const { channels } = await api(`/guide?${params}`);
+
+  const hours = Array.from({ length: 24 }, (_, hour) =>
+    h('span', {
+      class: '_guideHour_5d0r',
+      style: `left: ${hour * 60 * GUIDE_MINUTE_PX}px`,
+      text: clockTime(day + hour * 3600000),
+    })
+  );
+
+  const rows = channels.map((channel) => {
+    const cells = channel.programmes.map((programme) => {
+      const start = Math.max(Date.parse(programme.start), day);
+      const end = Math.min(Date.parse(programme.end), dayEnd);
+      const left = ((start - day) / 60000) * GUIDE_MINUTE_PX;
+      const width = ((end - start) / 60000) * GUIDE_MINUTE_PX;
+      return h(
+        'div',
+        {
+          role: 'gridcell',
+          'data-testid': `programme-${programme.id}`,
+          'aria-label': programme.title,
+          'data-start': programme.start,
+          'data-end': programme.end,
+          class: '_programme_2w6s',
+          style: `left: ${left}px; width: ${width}px`,
+          tabindex: -1,
+          navKey: `guide:${programme.id}`,
+        },
+        [
+          h('span', { 'data-field': 'title', text: programme.title }),
+          h('span', {
+            'data-field': 'time',
+            text: `${clockTime(Date.parse(programme.start))} – ${clockTime(Date.parse(programme.end))}`,
+          }),
+        ]
+      );
+    });
+    const element = h(
+      'div',
+      {
+        role: 'row',
+        'aria-label': channel.name,
+        'data-channel': channel.id,
+        'data-channel-number': channel.number,
+        class: '_guideRow_7j4c',
+      },
+      [
+        h('div', { role: 'rowheader', class: '_guideChannel_0e3h' }, [
+          h('span', { 'data-field': 'number', text: channel.number }),
+          h('span', { 'data-field': 'name', text: channel.name }),
+        ]),
+        h('div', { class: '_guideTrack_4u1f' }, cells),
+      ]
+    );
+    return { channel, cells, element };
+  });
+
+  screenRoot.replaceChildren(
+    h('section', { 'data-testid': 'tv-guide', 'aria-label': 'TV Guide', class: '_guide_8w2p' }, [
+      h('header', { class: '_guideHeader_9s2b' }, [
+        h('h1', { 'data-testid': 'guide-day', 'data-date': localDate(day), text: dayLabel(day) }),
+        h('span', { 'data-testid': 'guide-clock' }),
+      ]),
+      h('div', { class: '_guideScroller_1m8t' }, [
+        h('div', { class: '_guideHours_6c3a' }, hours),
+        h(
+          'div',
+          {
+            role: 'grid',
+            'data-testid': 'tv-guide-grid',
+            'aria-label': 'Programme guide',
+            class: '_guideGrid_3h9p',
+          },
+          [
+            ...rows.map((row) => row.element),
+            h('div', { 'data-testid': 'guide-now-line', class: '_guideNowLine_8b1e' }),
+          ]
+        ),
+      ]),
+    ])
+  );
+  updateGuideTime();
+  if (state.guide.timer === null) {
+    state.guide.timer = setInterval(updateGuideTime, GUIDE_TICK_MS);
+  }
+
+  setRows(
+    rows.map(({ channel, cells }) => ({
+      id: `guide-${channel.id}`,
+      items: cells,
+      focusValue: 'focused',
+      entryCol: () => programmeIndexAt(cells, state.guide.focusTime),
+      onMove: (direction) => {
+        if (direction !== 'left' && direction !== 'right') return false;
+        const col = nav.col + (direction === 'left' ? -1 : 1);
+        if (col >= 0 && col < cells.length) {
+          focusAt(nav.row, col);
+          state.guide.focusTime = Math.max(Date.parse(cells[col].getAttribute('data-start')), day);
+        }
+        return true;
+      },
+      onPage: (direction) => pageGuide(direction === 'pageUp' ? 1 : -1),
+      onSelect: () => {},
+    })),
+    target && target.col === undefined
+      ? {
+          rowId: target.rowId,
+          col: programmeIndexAt(
+            (rows.find((row) => `guide-${row.channel.id}` === target.rowId) || rows[0]).cells,
+            state.guide.focusTime
+          ),
+        }
+      : target
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+let searchTimer = null;
+
+function searchLabel() {
+  const { genre, query, type } = state.search;
+  if (genre) return `Search results for genre: ${genre}. Filtered by: ${type}`;
+  if (query) return `Search results for: ${query}. Filtered by: ${type}`;
+  return `Search results. Filtered by: ${type}`;
+}
+
+async function runSearch() {
+  const { genre, query, type } = state.search;
+  const params = new URLSearchParams({ type });
+  if (genre) params.set('genre', genre);
+  if (query) params.set('q', query);
+  const { results } = await api(`/search?${params}`);
+  state.search.results = results;
+}
+
+async function renderSearch(target) {
+  if (state.search.genres.length === 0) {
+    const { genres, types } = await api('/genres');
+    state.search.genres = genres;
+    state.search.types = types;
+  }
+
+  const input = h('input', {
+    id: 'search-input',
+    type: 'text',
+    placeholder: 'Search',
+    'aria-label': 'Search',
+    autocomplete: 'off',
+    tabindex: -1,
+    navKey: 'search:input',
+  });
+  input.value = state.search.query;
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(async () => {
+      state.search.query = input.value;
+      state.search.genre = null;
+      await runSearch();
+      renderSearchResults();
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  const genreList = h('div', { id: 'search-genres', role: 'list', 'aria-label': 'Genres' });
+  genreList.append(
+    ...state.search.genres.map((genre) =>
+      h('div', {
+        role: 'listitem',
+        'aria-label': genre,
+        class: '_genre_3n6f',
+        tabindex: -1,
+        text: genre,
+        navKey: `genre:${genre}`,
+      })
+    )
+  );
+
+  screenRoot.replaceChildren(
+    h('section', { 'data-testid': 'search-container', class: '_search_9d1q' }, [
+      h('div', { class: '_searchTop_5a2e' }, [input, genreList]),
+      h('div', { id: 'search-filters', role: 'tablist', 'aria-label': 'Filters' }),
+      h('div', { id: 'search-results-grid', role: 'grid' }),
+    ])
+  );
+
+  renderSearchResults(target);
+}
+
+/**
+ * Re-render filters and results without touching the input or genre list.
+ * @param {{rowId: string, col?: number}|null} [target]
+ */
+function renderSearchResults(target = null) {
+  const { type, types, genre, results } = state.search;
+
+  const input = document.getElementById('search-input');
+  const genres = Array.from(document.querySelectorAll('#search-genres [role="listitem"]'));
+  genres.forEach((el) =>
+    el.toggleAttribute('data-selected', el.getAttribute('aria-label') === genre)
+  );
+
+  const keyboard = renderKeyboard();
+
+  const filters = document.getElementById('search-filters');
+  filters.replaceChildren(
+    ...types.map((t) =>
+      h('div', {
+        role: 'tab',
+        'aria-selected': String(t === type),
+        'data-type': t,
+        class: '_filter_7r4d',
+        tabindex: -1,
+        text: t,
+        navKey: `filter:${t}`,
+      })
+    )
+  );
+
+  const grid = document.getElementById('search-results-grid');
+  grid.setAttribute('aria-label', searchLabel());
+  const columns = 5;
+  const rows = [];
+  for (let start = 0; start < results.length; start += columns) {
+    const container = h('div', { role: 'row', class: '_rowContainer_8n3j' });
+    const cells = results.slice(start, start + columns).map((item) =>
+      h(
+        'div',
+        {
+          role: 'gridcell',
+          'data-testid': `search-result-${item.id}`,
+          'data-type': item.type,
+          'data-genre': item.genre,
+          'aria-label': item.title,
+          class: '_resultTile_0m5h',
+          tabindex: -1,
+          navKey: `result:${item.id}`,
+        },
+        [h('img', { src: item.artwork, alt: '' }), h('span', { text: item.title })]
+      )
+    );
+    container.append(...cells);
+    rows.push({
+      id: `search-grid-${start / columns}`,
+      items: cells,
+      container,
+      focusValue: 'focused',
+      alignColumns: true,
+      onSelect: (el) => launch(el.getAttribute('aria-label')),
+    });
+  }
+  grid.replaceChildren(...rows.map((row) => row.container));
+
+  setRows(
+    [
+      {
+        id: 'search-top',
+        items: [input, ...genres],
+        focusValue: 'true',
+        initialCol: 1,
+        onSelect: async (el, index) => {
+          if (index === 0) return openKeyboard();
+          state.search.genre = el.getAttribute('aria-label');
+          state.search.query = '';
+          input.value = '';
+          await runSearch();
+          renderSearchResults({ rowId: 'search-grid-0', col: 0 });
+        },
+      },
+      ...keyboard,
+      {
+        id: 'search-filters',
+        items: Array.from(filters.children),
+        focusValue: 'focused',
+        onSelect: async (el) => {
+          state.search.type = el.getAttribute('data-type');
+          await runSearch();
+          renderSearchResults();
+        },
+      },
+      ...rows,
+    ],
+    target
+  );
+}
+
+/**
+ * Render the on-screen keyboard below the search input, or remove it when closed.
+ * Keys form an ARIA grid: aria-colindex/aria-colspan give each key's columns, and moving
+ * up or down lands on the key covering the first column of the current one.
+ * @returns {object[]} Focus rows of the keyboard (empty when closed)
+ */
+function renderKeyboard() {
+  const existing = document.getElementById('search-keyboard');
+  if (existing) existing.remove();
+
+  const { open, layout, shift } = state.search.keyboard;
+  if (!open) return [];
+
+  const key = (value, label, row, col, span = 1, extra = {}) =>
+    h('div', {
+      role: 'gridcell',
+      'data-key': value,
+      'aria-label': label,
+      'aria-colindex': col,
+      'aria-colspan': span > 1 ? span : null,
+      class: span > 1 ? '_key_4u2p _wideKey_8d1s' : '_key_4u2p',
+      tabindex: -1,
+      text: label,
+      navKey: `key:${row}:${col}`,
+      ...extra,
+    });
+
+  const charRows = KEYBOARD_LAYOUTS[layout].map((chars, r) =>
+    Array.from(chars).map((char, c) => {
+      const value = shift ? char.toUpperCase() : char;
+      return key(value, value, r, c + 1);
+    })
+  );
+  // The function row keeps its focus keys across layouts with different row counts.
+  const functionRow = [
+    key('shift', 'Shift', 'fn', 1, 1, {
+      'aria-pressed': String(shift),
+      'aria-disabled': layout === 'letters' ? null : 'true',
+    }),
+    key('symbols', layout === 'letters' ? '&123' : 'ABC', 'fn', 2),
+    key('space', 'Space', 'fn', 3, 2),
+    key('delete', 'Delete', 'fn', 5),
+    key('clear', 'Clear', 'fn', 6),
+  ];
+  const keyRows = [...charRows, functionRow];
+
+  const grid = h(
+    'div',
+    {
+      id: 'search-keyboard',
+      role: 'grid',
+      'aria-label': 'Keyboard',
+      'data-layout': layout,
+      'data-shift': String(shift),
+    },
+    keyRows.map((items, r) =>
+      h('div', { role: 'row', 'aria-rowindex': r + 1, class: '_keyRow_3v7b' }, items)
+    )
+  );
+  document.querySelector('[class^="_searchTop_"]').after(grid);
+
+  return keyRows.map((items, r) => ({
+    id: r === keyRows.length - 1 ? 'keyboard-fn' : `keyboard-${r}`,
+    items,
+    focusValue: 'focused',
+    entryCol: () => {
+      const column = nav.current && Number(nav.current.getAttribute('aria-colindex'));
+      return keyAtColumn(items, column || 1);
+    },
+    onSelect: (el) => pressKeyboardKey(el.getAttribute('data-key')),
+  }));
+}
+
+/**
+ * Index of the key in a keyboard row that covers a column.
+ * @param {HTMLElement[]} keys
+ * @param {number} column - 1-based grid column
+ * @returns {number}
+ */
+function keyAtColumn(keys, column) {
+  const index = keys.findIndex((el) => {
+    const start = Number(el.getAttribute('aria-colindex'));
+    const span = Number(el.getAttribute('aria-colspan') || 1);
+    return column >= start && column < start + span;
+  });
+  return index === -1 ? keys.length - 1 : index;
+}
+
+function openKeyboard() {
+  state.search.keyboard.open = true;
+  renderSearchResults({ rowId: 'keyboard-0', col: 0 });
+}
+
+function closeKeyboard() {
+  state.search.keyboard = { open: false, layout: 'letters', shift: false };
+  renderSearchResults({ rowId: 'search-top', col: 0 });
+}
+
+/**
+ * Apply an on-screen key to the search input; the input event runs the search as if typed.
+ * @param {string} key - A character, or shift/symbols/space/delete/clear
+ */
+function pressKeyboardKey(key) {
+  const keyboard = state.search.keyboard;
+  const input = document.getElementById('search-input');
+
+  if (key === 'shift') {
+    if (keyboard.layout !== 'letters') return;
+    keyboard.shift = !keyboard.shift;
+  } else if (key === 'symbols') {
+    keyboard.layout = keyboard.layout === 'letters' ? 'symbols' : 'letters';
+    keyboard.shift = false;
+  } else {
+    if (key === 'space') input.value += ' ';
+    else if (key === 'delete') input.value = input.value.slice(0, -1);
+    else if (key === 'clear') input.value = '';
+    else {
+      input.value += key;
+      keyboard.shift = false;
+    }
+    input.dispatchEvent(new Event('input'));
+  }
+  renderSearchResults();
+}
+
+// ---------------------------------------------------------------------------
+// Favourites
+// ---------------------------------------------------------------------------
+
+async function loadFavourites() {
+  const { apps, protected: protectedApps } = await api('/favourites');
+  state.favourites = apps;
+  state.protectedApps = protectedApps;
+}
+
+async function saveFavourites(apps) {
+  const saved = await api('/favourites', { method: 'PUT', body: JSON.stringify({ apps }) });
+  state.favourites = saved.apps;
+}
+
+async function toggleFavourite(details) {
+  if (details.protected) return;
+
+  const wasFavourite = state.favourites.includes(details.id);
+  await loadFavourites();
+  const apps = wasFavourite
+    ? state.favourites.filter((name) => name !== details.id)
+    : [...state.favourites, details.id];
+  await saveFavourites(apps);
+
+  showToast(`${details.id} ${wasFavourite ? 'removed from' : 'added to'} favourites`);
+  await renderDetails();
+}
+
+// ---------------------------------------------------------------------------
+// Favourites edit mode
+// ---------------------------------------------------------------------------
+
+function isProtected(name) {
+  return state.protectedApps.includes(name);
+}
+
+function editBounds(name) {
+  const index = state.favourites.indexOf(name);
+  const locked = isProtected(name);
+  return {
+    index,
+    canMoveLeft: !locked && index > state.protectedApps.length,
+    canMoveRight: !locked && index < state.favourites.length - 1,
+    canRemove: !locked,
+  };
+}
+
+function enterEditMode(name) {
+  state.edit = { app: name, control: 'tile' };
+  renderEditControls();
+}
+
+function exitEditMode() {
+  const name = state.edit && state.edit.app;
+  state.edit = null;
+  document.querySelectorAll('[class^="_editControls_"]').forEach((el) => el.remove());
+  renderHome({ rowId: 'home-favourites', col: Math.max(0, state.favourites.indexOf(name)) });
+}
+
+function renderEditControls() {
+  document.querySelectorAll('[class^="_editControls_"]').forEach((el) => el.remove());
+  if (!state.edit) return;
+
+  const { app: name, control } = state.edit;
+  const bounds = editBounds(name);
+  const tileEl = document.querySelector(
+    `[aria-label="Favourite Apps"] [data-testid="${CSS.escape(name)}"]`
+  );
+  if (!tileEl) return;
+
+  const controlState = (enabled, focused) =>
+    !enabled ? 'disabled' : focused ? 'focused' : 'false';
+  tileEl.append(
+    h('div', { class: '_editControls_6g4p' }, [
+      h('span', {
+        class: '_chevronLeft_3b9w',
+        'aria-hidden': 'true',
+        'data-focused': controlState(bounds.canMoveLeft, false),
+        text: '‹',
+      }),
+      h('span', {
+        class: '_chevronRight_7c1x',
+        'aria-hidden': 'true',
+        'data-focused': controlState(bounds.canMoveRight, false),
+        text: '›',
+      }),
+      h('button', {
+        class: '_removeButton_2z6r',
+        'data-testid': 'editmode-remove-app',
+        tabindex: -1,
+        'data-focused': controlState(bounds.canRemove, control === 'remove'),
+        text: 'Remove',
+      }),
+    ])
+  );
+  updateHint();
+}
+
+async function moveFavourite(name, delta) {
+  const apps = [...state.favourites];
+  const index = apps.indexOf(name);
+  apps.splice(index, 1);
+  apps.splice(index + delta, 0, name);
+  await saveFavourites(apps);
+  await renderHome({ rowId: 'home-favourites', col: index + delta });
+  renderEditControls();
+}
+
+async function removeFavourite(name) {
+  const index = state.favourites.indexOf(name);
+  await saveFavourites(state.favourites.filter((app) => app !== name));
+  state.edit = null;
+  await renderHome({
+    rowId: 'home-favourites',
+    col: Math.min(index, state.favourites.length - 1),
+  });
+}
+
+function handleEditAction(action) {
+  const { app: name, control } = state.edit;
+  const bounds = editBounds(name);
+
+  if (action === 'back') return exitEditMode();
+
+  if (control === 'tile') {
+    if (action === 'left' && bounds.canMoveLeft) return moveFavourite(name, -1);
+    if (action === 'right' && bounds.canMoveRight) return moveFavourite(name, 1);
+    if (action === 'down' && bounds.canRemove) {
+      state.edit.control = 'remove';
+      return renderEditControls();
+    }
+    if (action === 'select') return exitEditMode();
+    return;
+  }
+
+  if (action === 'up') {
+    state.edit.control = 'tile';
+    return renderEditControls();
+  }
+  if (action === 'select') return removeFavourite(name);
+}
+
+function updateHint() {
+  const onHome = state.screen === 'home';
+  overlay.hidden = !onHome;
+  if (!onHome) return;
+
+  if (!state.edit) {
+    hint.setAttribute('data-enabled', 'false');
+    hint.textContent = 'Hold OK to edit your favourites';
+    return;
+  }
+
+  hint.setAttribute('data-enabled', 'true');
+  if (isProtected(state.edit.app)) {
+    hint.textContent = 'This app cannot be moved or removed';
+  } else if (state.edit.control === 'remove') {
+    hint.textContent = 'Press OK to remove';
+  } else {
+    hint.textContent = 'Use left and right to move the app';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Layers: toast and launched app
+// ---------------------------------------------------------------------------
+
+function showToast(message) {
+  state.toast = message;
+  layer.replaceChildren(
+    h('div', { role: 'alertdialog', 'aria-label': 'Notification', 'data-testid': 'toast' }, [
+      h('p', { text: message }),
+      h('button', { 'data-testid': 'toast-ok', 'data-focused': 'focused', text: 'OK' }),
+    ])
+  );
+}
+
+function launch(name) {
+  state.launched = name;
+  layer.replaceChildren(
+    h('div', { 'data-testid': 'app-launch-screen', class: '_launch_4h8j' }, [
+      h('p', { text: `Launching ${name}…` }),
+    ])
+  );
+}
+
+function closeLayer() {
+  state.toast = null;
+  state.launched = null;
+  layer.replaceChildren();
+}
+
+// ---------------------------------------------------------------------------
+// Routing
+// ---------------------------------------------------------------------------
+
+async function render(target) {
+  updateMenuCurrent();
+  switch (state.screen) {
+    case 'search':
+      await renderSearch(target);
+      break;
+    case 'apps':
+      await renderApps(target);
+      break;
+    case 'details':
+      await renderDetails();
+      break;
+    case 'gaming':
+    case 'free':
+      await renderScreenRails(state.screen, target);
+      break;
+    case 'guide':
+      await renderGuide(target);
+      break;
+    default:
+      await renderHome(target);
+  }
+  updateHint();
+}
+
+function openMenu(name) {
+  if (name === 'Channels') {
+    window.open('/channels.html', 'channels');
+    return;
+  }
+  state.screen = SCREEN_BY_MENU[name];
+  state.edit = null;
+  // The guide always opens on the programme airing now.
+  state.guide.day = null;
+  state.search.keyboard = { open: false, layout: 'letters', shift: false };
+  history.replaceState(null, '', `#/${state.screen}`);
+  // Focus stays on the menubar after switching sections.
+  render(null);
+}
+
+function openDetails(name) {
+  state.screen = 'details';
+  state.detailsApp = name;
+  history.replaceState(null, '', `#/apps/${encodeURIComponent(name)}`);
+  render();
+}
+
+function handleBack() {
+  if (state.screen === 'search' && state.search.keyboard.open) {
+    return closeKeyboard();
+  }
+  if (state.screen === 'details') {
+    state.screen = 'apps';
+    history.replaceState(null, '', '#/apps');
+    return render(state.appsFocus);
+  }
+  if (state.screen !== 'home') {
+    state.screen = 'home';
+    history.replaceState(null, '', '#/home');
+    return render();
+  }
+}
+
+function readRoute() {
+  const [screen, detail] = location.hash.replace(/^#\/?/, '').split('/');
+  if (screen === 'apps' && detail) {
+    state.screen = 'details';
+    state.detailsApp = decodeURIComponent(detail);
+  } else if (Object.values(SCREEN_BY_MENU).includes(screen)) {
+    state.screen = screen;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Remote control input
+// ---------------------------------------------------------------------------
+
+let selectPress = null;
+
+/**
+ * Map a keyboard event to a remote action.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+function actionFor(event) {
+  return KEY_ACTIONS[event.key] || KEYCODE_ACTIONS[event.keyCode] || null;
+}
+
+function handleAction(action) {
+  if (state.toast || state.launched) {
+    if (action === 'select' || action === 'back') closeLayer();
+    return;
+  }
+  if (state.edit) return handleEditAction(action);
+  if (action === 'back') return handleBack();
+  if (action === 'menu') return focusMenubar();
+  if (action === 'pageUp' || action === 'pageDown') {
+    const row = nav.rows[nav.row];
+    if (row && row.onPage) row.onPage(action);
+    return;
+  }
+  if (action === 'select') {
+    const row = nav.rows[nav.row];
+    if (row && row.onSelect && nav.current) row.onSelect(nav.current, nav.col);
+    return;
+  }
+  if (DIRECTION_ACTIONS.includes(action)) moveFocus(action);
+}
+
+/**
+ * Jump to the current screen's tab in the menubar (Menu key).
+ */
+function focusMenubar() {
+  const menubarRow = nav.rows[0];
+  if (menubarRow) focusAt(0, menubarRow.entryCol());
+}
+
+function onKeyDown(event) {
+  const action = actionFor(event);
+  if (!action) return;
+  event.preventDefault();
+
+  if (action !== 'select') {
+    handleAction(action);
+    return;
+  }
+
+  if (event.repeat || selectPress) return;
+
+  const row = nav.rows[nav.row];
+  const element = nav.current;
+  selectPress = { longPressed: false, timer: null };
+  if (row && row.onLongPress && !state.edit && !state.toast && !state.launched) {
+    const press = selectPress;
+    press.timer = setTimeout(() => {
+      press.longPressed = true;
+      row.onLongPress(element, nav.col);
+    }, LONG_PRESS_MS);
+  }
+}
+
+function onKeyUp(event) {
+  if (actionFor(event) !== 'select' || !selectPress) return;
+  event.preventDefault();
+
+  const press = selectPress;
+  selectPress = null;
+  clearTimeout(press.timer);
+  if (!press.longPressed) {
+    handleAction('select');
+  }
+}
+
+document.addEventListener('keydown', onKeyDown);
+document.addEventListener('keyup', onKeyUp);
+
+async function start() {
+  renderMenubar();
+  readRoute();
+  await render();
+  app.hidden = false;
+}
+
+start();
@@ -0,0 +1,301 @@
+/**
+ * Mock Channels Player - Minimal live HLS client for the Channels popup.
+ *
+ * Fetches the master and media playlists and downloads every segment like a real HLS
+ * client (including a throughput-based bitrate ladder), but renders a generated
+ * canvas stream instead of decoding the segments. Playback stalls when the download
+ * buffer runs dry, so network conditions show up in the video element's events.
+ */
+
+const LIVE_SYNC_SEGMENTS = 3;
+const MAX_BUFFER_SECONDS = 8;
+const PLAYBACK_TICK_MS = 250;
+const SEGMENT_RETRIES = 2;
+const TS_PACKET_SIZE = 188;
+
+const KEY_ACTIONS = {
+  ArrowUp: 'next',
+  ArrowDown: 'previous',
+  ChannelUp: 'next',
+  ChannelDown: 'previous',
+  XF86RaiseChannel: 'next',
+  XF86LowerChannel: 'previous',
+  PageUp: 'next',
+  PageDown: 'previous',
+  Escape: 'back',
+  GoBack: 'back',
+  BrowserBack: 'back',
+  XF86Back: 'back',
+};
+
+const KEYCODE_ACTIONS = {
+  38: 'next',
+  40: 'previous',
+  33: 'next',
+  34: 'previous',
+  427: 'next',
+  428: 'previous',
+  27: 'back',
+  10009: 'back',
+  461: 'back',
+  166: 'back',
+};
+
+const video = document.getElementById('channel-video');
+const banner = document.querySelector('[data-testid="channel-banner"]');
+
+/**
+ * Map a keyboard event to a player action. Number keys tune directly ('digit-N').
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+function actionFor(event) {
+  if (/^[0-9]$/.test(event.key)) return `digit-${event.key}`;
+  if (event.keyCode >= 48 && event.keyCode <= 57) return `digit-${event.keyCode - 48}`;
+  return KEY_ACTIONS[event.key] || KEYCODE_ACTIONS[event.keyCode] || null;
+}
+
+/**
+ * Parse a master playlist into its variants.
+ * @param {string} text
+ * @param {string} baseUrl
+ */
+function parseMaster(text, baseUrl) {
+  if (!text.startsWith('#EXTM3U')) throw new Error('Invalid master playlist');
+  const lines = text.split('\n').map((line) => line.trim());
+  const variants = [];
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+    const bandwidth = Number(/BANDWIDTH=(\d+)/.exec(line)?.[1]);
+    variants.push({ bandwidth, url: new URL(lines[index + 1], baseUrl).href });
+  });
+  if (variants.length === 0) throw new Error('Master playlist has no variants');
+  return variants.sort((a, b) => a.bandwidth - b.bandwidth);
+}
+
+/**
+ * Parse a media playlist into its segments.
+ * @param {string} text
+ * @param {string} baseUrl
+ */
+function parseMedia(text, baseUrl) {
+  if (!text.startsWith('#EXTM3U')) throw new Error('Invalid media playlist');
+  const lines = text.split('\n').map((line) => line.trim());
+  let sequence = Number(/#EXT-X-MEDIA-SEQUENCE:(\d+)/.exec(text)?.[1] ?? NaN);
+  if (Number.isNaN(sequence)) throw new Error('Media playlist has no media sequence');
+  const segments = [];
+  let duration = null;
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      segments.push({ sequence: sequence++, duration, url: new URL(line, baseUrl).href });
+      duration = null;
+    }
+  }
+  const targetDuration = Number(/#EXT-X-TARGETDURATION:(\d+)/.exec(text)?.[1] ?? 2);
+  return { segments, targetDuration };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MockHlsPlayer {
+  constructor(videoElement) {
+    this.video = videoElement;
+    this.session = 0;
+    this.bufferSeconds = 0;
+    this.stalled = false;
+    this.started = false;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 1280;
+    this.canvas.height = 720;
+    this.stream = this.canvas.captureStream(25);
+    this.label = '';
+    this.frame = 0;
+    this.draw = this.draw.bind(this);
+    requestAnimationFrame(this.draw);
+    setInterval(() => this.tick(), PLAYBACK_TICK_MS);
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    this.frame++;
+    ctx.fillStyle = '#101828';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.fillStyle = '#3b82f6';
+    ctx.fillRect((this.frame * 8) % this.canvas.width, 600, 120, 24);
+    ctx.fillStyle = '#fff';
+    ctx.font = '48px sans-serif';
+    ctx.fillText(this.label, 60, 120);
+    ctx.font = '28px monospace';
+    ctx.fillText(`${new Date().toISOString()}  frame ${this.frame}`, 60, 180);
+    requestAnimationFrame(this.draw);
+  }
+
+  /**
+   * Consume buffered media while playing, stalling when it runs out.
+   */
+  tick() {
+    if (!this.started || this.video.paused) {
+      if (this.stalled && this.bufferSeconds >= 2) this.resume();
+      return;
+    }
+    this.bufferSeconds = Math.max(0, this.bufferSeconds - PLAYBACK_TICK_MS / 1000);
+    if (this.bufferSeconds === 0) this.stall();
+  }
+
+  stall() {
+    this.stalled = true;
+    this.video.pause();
+    this.video.dispatchEvent(new Event('waiting'));
+  }
+
+  resume() {
+    this.stalled = false;
+    this.video.play().catch(() => {});
+  }
+
+  /**
+   * Start playing a channel.
+   * @param {{name: string, number: number, stream: string}} channel
+   */
+  async load(channel) {
+    const session = ++this.session;
+    this.label = `${channel.number}  ${channel.name}`;
+    this.bufferSeconds = 0;
+    this.started = false;
+    this.stalled = false;
+    this.video.pause();
+    this.video.srcObject = null;
+
+    const masterUrl = new URL(channel.stream, location.href).href;
+    let variants;
+    while (!variants) {
+      if (session !== this.session) return;
+      try {
+        variants = parseMaster(await this.fetchText(masterUrl), masterUrl);
+      } catch {
+        await sleep(1000);
+      }
+    }
+
+    this.run(session, variants);
+  }
+
+  async fetchText(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`${url} failed with ${response.status}`);
+    return response.text();
+  }
+
+  /**
+   * Download one segment, returning the measured throughput in bits per second.
+   * @param {string} url
+   */
+  async fetchSegment(url) {
+    const started = performance.now();
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`${url} failed with ${response.status}`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length === 0 || bytes.length % TS_PACKET_SIZE !== 0 || bytes[0] !== 0x47) {
+      throw new Error(`${url} is not a valid transport stream segment`);
+    }
+    const seconds = Math.max((performance.now() - started) / 1000, 0.001);
+    return (bytes.length * 8) / seconds;
+  }
+
+  async run(session, variants) {
+    let level = 0;
+    let estimate = 0;
+    let lastSequence = null;
+
+    while (session === this.session) {
+      const variant = variants[level];
+      let playlist;
+      try {
+        playlist = parseMedia(await this.fetchText(variant.url), variant.url);
+      } catch {
+        await sleep(1000);
+        continue;
+      }
+
+      let pending = playlist.segments;
+      if (lastSequence === null) {
+        pending = pending.slice(-LIVE_SYNC_SEGMENTS);
+      } else {
+        pending = pending.filter((segment) => segment.sequence > lastSequence);
+      }
+
+      for (const segment of pending) {
+        if (session !== this.session || this.bufferSeconds >= MAX_BUFFER_SECONDS) break;
+
+        let throughput = null;
+        for (let attempt = 0; attempt <= SEGMENT_RETRIES && throughput === null; attempt++) {
+          try {
+            throughput = await this.fetchSegment(segment.url);
+          } catch {
+            await sleep(250);
+          }
+        }
+        lastSequence = segment.sequence;
+        if (session !== this.session) return;
+
+        if (throughput === null) {
+          level = 0;
+          continue;
+        }
+
+        estimate = estimate === 0 ? throughput : estimate * 0.7 + throughput * 0.3;
+        this.bufferSeconds += segment.duration;
+        this.startIfReady();
+
+        const affordable = variants.filter((v) => v.bandwidth <= estimate * 0.8);
+        const nextLevel = Math.max(0, affordable.length - 1);
+        if (nextLevel !== level) {
+          level = nextLevel;
+          break;
+        }
+      }
+
+      await sleep((playlist.targetDuration * 1000) / 2);
+    }
+  }
+
+  startIfReady() {
+    if (this.started) return;
+    this.started = true;
+    this.video.srcObject = this.stream;
+    this.video.play().catch(() => {});
+  }
+}
+
+async function start() {
+  const { channels } = await (await fetch('/api/channels')).json();
+  const player = new MockHlsPlayer(video);
+  let index = 0;
+
+  const tune = (nextIndex) => {
+    index = (nextIndex + channels.length) % channels.length;
+    const channel = channels[index];
+    banner.querySelector('[data-field="number"]').textContent = String(channel.number);
+    banner.querySelector('[data-field="name"]').textContent = channel.name;
+    document.body.dataset.channel = channel.id;
+    player.load(channel);
+  };
+
+  document.addEventListener('keydown', (event) => {
+    const action = actionFor(event);
+    if (action === 'next') tune(index + 1);
+    else if (action === 'previous') tune(index - 1);
+    else if (action === 'back') window.close();
+    else if (action && action.startsWith('digit-')) {
+      const number = Number(action.slice('digit-'.length));
+      const match = channels.findIndex((channel) => channel.number === number);
+      if (match !== -1) tune(match);
+    }
+  });
+
+  tune(0);
+}
+
+start();
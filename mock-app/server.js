@@ -0,0 +1,333 @@
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ProfileStore, PROFILE_COOKIE } from './lib/profileStore.js';
+import { masterPlaylist, mediaPlaylist, segmentPayload } from './lib/hls.js';
+import { guideListings } from './lib/guide.js';
+import {
+  APPS,
+  APP_RAILS,
+  PROTECTED_FAVOURITES,
+  GENRES,
+  CONTENT_TYPES,
+  LIBRARY,
+  CHANNELS,
+  HOME_RAILS,
+  SCREEN_RAILS,
+} from './data/catalogue.js';
+
+/**
+ * Mock TV App Server - Local stand-in for the TV web application.
+ *
+ * Serves the single-page TV UI from ./public, a small JSON API backing it (including TV
+ * guide listings), and live HLS playlists for the Channels popup. Only Node built-ins are
+ * used so it runs on air-gapped machines.
+ */
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+
+const CONTENT_TYPES_BY_EXTENSION = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+};
+
+/**
+ * Read the profile id from the request cookies.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function readProfileId(req) {
+  const cookies = (req.headers.cookie || '').split(';').map((part) => part.trim().split('='));
+  const match = cookies.find(([name]) => name === PROFILE_COOKIE);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a plain-text error response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf-8') || 'null');
+}
+
+/**
+ * Describe an app for tiles and the details screen.
+ * @param {string} name - App display name
+ * @returns {object}
+ */
+function describeApp(name) {
+  return {
+    id: name,
+    title: name,
+    ...APPS[name],
+    artwork: `/artwork/${encodeURIComponent(name)}.svg`,
+    description: `${name} on your TV. Stream, browse and discover with your remote.`,
+  };
+}
+
+/**
+ * Describe a library title for tiles.
+ * @param {{id: string}} item
+ * @returns {object}
+ */
+function describeContent(item) {
+  return { ...item, artwork: `/artwork/${item.id}.svg` };
+}
+
+/**
+ * Render placeholder artwork for a tile.
+ * @param {string} label - Text drawn on the artwork
+ * @returns {string} SVG markup
+ */
+function renderArtwork(label) {
+  let hash = 0;
+  for (const char of label) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  }
+  const text = label.replace(/[<>&"]/g, '');
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180" viewBox="0 0 320 180">` +
+    `<rect width="320" height="180" fill="hsl(${hash},55%,35%)"/>` +
+    `<text x="160" y="96" font-family="sans-serif" font-size="22" fill="#fff" ` +
+    `text-anchor="middle">${text}</text></svg>`
+  );
+}
+
+/**
+ * Handle /api/* requests.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {{favourites: string[]}} profile
+ * @param {string} profileId
+ * @param {ProfileStore} store
+ */
+async function handleApi(req, res, url, profile, profileId, store) {
+  const parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+  const [resource, id] = parts;
+
+  if (resource === 'favourites' && req.method === 'GET') {
+    return sendJson(res, 200, { apps: profile.favourites, protected: PROTECTED_FAVOURITES });
+  }
+
+  if (resource === 'favourites' && req.method === 'PUT') {
+    try {
+      const body = await readJsonBody(req);
+      const apps = store.setFavourites(profileId, body && body.apps);
+      return sendJson(res, 200, { apps, protected: PROTECTED_FAVOURITES });
+    } catch (error) {
+      return sendJson(res, 400, { error: /** @type {Error} */ (error).message });
+    }
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'Method not allowed');
+  }
+
+  if (resource === 'apps' && id) {
+    if (!APPS[id]) {
+      return sendJson(res, 404, { error: `Unknown app: ${id}` });
+    }
+    return sendJson(res, 200, {
+      ...describeApp(id),
+      favourite: profile.favourites.includes(id),
+      protected: PROTECTED_FAVOURITES.includes(id),
+    });
+  }
+
+  if (resource === 'apps') {
+    return sendJson(res, 200, {
+      rails: APP_RAILS.map((rail) => ({ title: rail.title, items: rail.apps.map(describeApp) })),
+    });
+  }
+
+  if (resource === 'home') {
+    return sendJson(res, 200, {
+      rails: HOME_RAILS.map((rail) => ({
+        title: rail.title,
+        items: rail.items.map(describeContent),
+      })),
+    });
+  }
+
+  if (resource === 'screens' && id && SCREEN_RAILS[id]) {
+    return sendJson(res, 200, {
+      rails: SCREEN_RAILS[id].map((rail) => ({
+        title: rail.title,
+        virtual: Boolean(rail.virtual),
+        items: rail.items.map((item) =>
+          typeof item === 'string' ? describeApp(item) : describeContent(item)
+        ),
+      })),
+    });
+  }
+
+  if (resource === 'genres') {
+    return sendJson(res, 200, { genres: GENRES, types: CONTENT_TYPES });
+  }
+
+  if (resource === 'search') {
+    const genre = url.searchParams.get('genre');
+    const type = url.searchParams.get('type') || 'movie';
+    const query = (url.searchParams.get('q') || '').toLowerCase().trim();
+    const results = LIBRARY.filter(
+      (item) =>
+        item.type === type &&
+        (!genre || item.genre === genre) &&
+        (!query || item.title.toLowerCase().includes(query))
+    ).map(describeContent);
+    return sendJson(res, 200, { genre, type, query, results });
+  }
+
+  if (resource === 'channels') {
+    return sendJson(res, 200, {
+      channels: CHANNELS.map((channel) => ({
+        ...channel,
+        stream: `/streams/${channel.id}/master.m3u8`,
+      })),
+    });
+  }
+
+  if (resource === 'guide') {
+    const from = Date.parse(url.searchParams.get('from') || '');
+    const to = Date.parse(url.searchParams.get('to') || '');
+    try {
+      return sendJson(res, 200, { from, to, channels: guideListings(from, to) });
+    } catch (error) {
+      return sendJson(res, 400, { error: /** @type {Error} */ (error).message });
+    }
+  }
+
+  return sendJson(res, 404, { error: `Unknown endpoint: ${url.pathname}` });
+}
+
+/**
+ * Handle /streams/* requests.
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+function handleStreams(res, url) {
+  const [, channelId, variantOrFile, file] = url.pathname.split('/').filter(Boolean);
+  if (!CHANNELS.some((channel) => channel.id === channelId)) {
+    return sendError(res, 404, 'Unknown channel');
+  }
+
+  const headers = { 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' };
+
+  if (variantOrFile === 'master.m3u8') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/vnd.apple.mpegurl' });
+    return res.end(masterPlaylist(channelId));
+  }
+
+  if (file === 'index.m3u8' && segmentPayload(variantOrFile)) {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/vnd.apple.mpegurl' });
+    return res.end(mediaPlaylist());
+  }
+
+  const payload = file && /^seg-\d+\.ts$/.test(file) ? segmentPayload(variantOrFile) : null;
+  if (payload) {
+    res.writeHead(200, { ...headers, 'Content-Type': 'video/mp2t' });
+    return res.end(payload);
+  }
+
+  return sendError(res, 404, 'Unknown stream resource');
+}
+
+/**
+ * Serve a file from the public directory.
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ */
+async function serveStatic(res, pathname) {
+  const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+  const filePath = path.join(PUBLIC_DIR, relative);
+  if (!filePath.startsWith(PUBLIC_DIR)) {
+    return sendError(res, 403, 'Forbidden');
+  }
+
+  try {
+    const body = await readFile(filePath);
+    const type = CONTENT_TYPES_BY_EXTENSION[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  } catch {
+    sendError(res, 404, 'Not found');
+  }
+}
+
+/**
+ * Create the mock TV app HTTP server.
+ * @returns {http.Server}
+ */
+export function createMockAppServer() {
+  const store = new ProfileStore();
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    if (url.pathname === '/health') {
+      return sendJson(res, 200, { status: 'ok' });
+    }
+
+    let profileId = readProfileId(req);
+    if (!profileId) {
+      profileId = store.create();
+      res.setHeader('Set-Cookie', `${PROFILE_COOKIE}=${profileId}; Path=/; SameSite=Lax`);
+    }
+    const profile = store.get(profileId);
+
+    try {
+      if (url.pathname.startsWith('/api/')) {
+        return await handleApi(req, res, url, profile, profileId, store);
+      }
+      if (url.pathname.startsWith('/streams/')) {
+        return handleStreams(res, url);
+      }
+      if (url.pathname.startsWith('/artwork/')) {
+        const label = decodeURIComponent(path.basename(url.pathname, '.svg'));
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+        return res.end(renderArtwork(label));
+      }
+      return await serveStatic(res, url.pathname);
+    } catch (error) {
+      console.error('[MockApp] Request failed', url.pathname, error);
+      return sendError(res, 500, 'Internal server error');
+    }
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_APP_PORT) || 3000;
+  createMockAppServer().listen(port, () => {
+    console.info(`[MockApp] Mock TV app listening on http://localhost:${port}`);
+  });
+}
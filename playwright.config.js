@@ -1,7 +1,13 @@
 import { defineConfig, devices } from '@playwright/test';
-import dotenv from 'dotenv';
+import { env } from './config/env.js';
+import { getProfile, RESOLUTIONS, scaleTimeout } from './config/profiles.js';
+import { TV_DEVICES } from './config/devices.js';
 
-dotenv.config();
+/**
+ * Environment profile picked with TV_ENV (see config/profiles.js). Reading it here validates
+ * it, so a misconfigured environment fails at startup with every problem listed.
+ */
+const profile = getProfile();
 
 /**
  * Playwright configuration for TV web interface testing.
@@ -12,16 +18,33 @@ export default defineConfig({
 
   fullyParallel: false,
 
-  forbidOnly: !!process.env.CI,
+  // Slower environments get proportionally longer timeouts (the profile's timeoutScale)
+  timeout: scaleTimeout(30000),
+
+  expect: {
+    timeout: scaleTimeout(5000),
+  },
+
+  forbidOnly: env.CI,
 
-  retries: process.env.CI ? 2 : 0,
+  retries: env.CI ? 2 : 0,
 
-  workers: process.env.CI ? 1 : undefined,
+  workers: env.CI ? 1 : undefined,
 
-  reporter: [['list'], ['html', { open: 'never', outputFolder: 'playwright-report' }]],
+  reporter: [
+    ['list'],
+    ['html', { open: 'never', outputFolder: 'playwright-report' }],
+    // Navigation failures of the whole run, from each test's navigation-timeline.json
+    [
+      './src/reporters/navigationTimelineReporter.js',
+      { outputFile: 'test-results/navigation-failures.json' },
+    ],
+  ],
 
   use: {
-    baseURL: process.env.APP_URL || 'http://localhost:3000',
+    baseURL: profile.baseURL,
+
+    locale: profile.locale,
 
     trace: 'on-first-retry',
 
@@ -29,17 +52,53 @@ export default defineConfig({
 
     video: 'retain-on-failure',
 
-    viewport: { width: 1920, height: 1080 },
+    actionTimeout: scaleTimeout(10000),
 
-    actionTimeout: 10000,
+    navigationTimeout: scaleTimeout(30000),
   },
 
   projects: [
     {
       name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
+      use: { ...devices['Desktop Chrome'], ...RESOLUTIONS[profile.resolution] },
+      grepInvert: /@visual/,
+    },
+    {
+      name: 'firefox',
+      use: { ...devices['Desktop Firefox'], ...RESOLUTIONS[profile.resolution] },
+      grepInvert: /@visual/,
     },
+    {
+      name: 'webkit',
+      use: { ...devices['Desktop Safari'], ...RESOLUTIONS[profile.resolution] },
+      grepInvert: /@visual/,
+    },
+    // TV devices: platform user agent, resolution and key profile, with a throttled CPU and a
+    // capped JavaScript heap (see config/devices.js)
+    ...Object.entries(TV_DEVICES).map(([name, device]) => ({
+      name,
+      use: device,
+      grepInvert: /@visual/,
+    })),
+    // TV resolutions the @visual focus snapshots run at, one project each
+    ...Object.entries(RESOLUTIONS).map(([name, resolution]) => ({
+      name: `tv-${name}`,
+      use: { ...devices['Desktop Chrome'], ...resolution },
+      grep: /@visual/,
+      // Baselines per resolution: tests/__screenshots__/<project>/<spec>/<name>.png
+      snapshotPathTemplate: '{testDir}/__screenshots__/{projectName}/{testFilePath}/{arg}{ext}',
+    })),
   ],
 
   outputDir: 'test-results/',
+
+  webServer: profile.mockApp
+    ? {
+        command: 'node mock-app/server.js',
+        url: `http://localhost:${env.MOCK_APP_PORT}/health`,
+        env: { MOCK_APP_PORT: String(env.MOCK_APP_PORT) },
+        reuseExistingServer: !env.CI,
+        timeout: 30000,
+      }
+    : undefined,
 });
@@ -0,0 +1,250 @@
+import { expect } from '../utils/focusMatchers.js';
+import { TIMEOUTS } from '../utils/constants.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+import { Rail } from './Rail.js';
+
+/** Container of the edit controls, appended to the tile being edited */
+const EDIT_CONTROLS = '[class^="_editControls_"]';
+
+/**
+ * FavouritesEditMode - Component object for the Favourite Apps rail's edit mode.
+ *
+ * Holding OK on a favourite enters edit mode for that app: chevrons either side of the tile
+ * show whether it can move left or right, a Remove button sits below it and the bottom
+ * overlay hint explains what the keys do. Left/Right move the app (the new order is saved
+ * straight away), Down then OK removes it, and Back or OK leaves edit mode. Protected apps
+ * (Watch TV) have every control disabled, and no app can move in front of them.
+ */
+export class FavouritesEditMode {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {Rail} [options.rail] - The Favourite Apps rail
+   */
+  constructor(
+    page,
+    {
+      remote = new RemoteControl(page),
+      rail = new Rail(page, 'Favourite Apps', { remote, screen: 'home' }),
+    } = {}
+  ) {
+    this.page = page;
+    this.remote = remote;
+    this.rail = rail;
+
+    /**
+     * Edit controls of the app being edited (only present in edit mode).
+     * @type {import('@playwright/test').Locator}
+     */
+    this.controls = rail.root.locator(EDIT_CONTROLS);
+
+    /**
+     * Chevron shown left of the tile; disabled when the app cannot move left.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.moveLeftControl = this.controls.locator('[class^="_chevronLeft_"]');
+
+    /**
+     * Chevron shown right of the tile; disabled when the app cannot move right.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.moveRightControl = this.controls.locator('[class^="_chevronRight_"]');
+
+    /**
+     * Button that removes the app; disabled for protected apps.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.removeButton = this.controls.getByTestId('editmode-remove-app');
+
+    /**
+     * Bottom overlay hint. data-enabled is "true" while in edit mode.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.hint = page.locator('[class^="_bottomOverlay_"] [class^="_hint_"]');
+  }
+
+  /**
+   * Enter edit mode for an app by holding OK on its tile.
+   * @param {string} app - App to edit (data-testid, aria-label or text)
+   * @throws {Error} If the app is not in the Favourite Apps rail
+   */
+  async enter(app) {
+    if (!(await this.rail.focusItem(app))) {
+      throw new Error(`Cannot edit "${app}": it is not in the Favourite Apps rail`);
+    }
+    await this.remote.holdSelect(TIMEOUTS.LONG_PRESS_DURATION);
+    await expect(this.controls).toBeVisible();
+  }
+
+  /**
+   * Leave edit mode, keeping the app where it is.
+   */
+  async exit() {
+    await this.remote.back();
+    await expect(this.controls).toHaveCount(0);
+  }
+
+  /**
+   * Whether edit mode is active.
+   * @returns {Promise<boolean>}
+   */
+  async isActive() {
+    return (await this.controls.count()) > 0;
+  }
+
+  /**
+   * The app being edited.
+   * @returns {Promise<string|null>} Its data-testid, or null outside edit mode
+   */
+  async getApp() {
+    if (!(await this.isActive())) {
+      return null;
+    }
+    return this.rail.root
+      .getByRole('listitem')
+      .filter({ has: this.page.locator(EDIT_CONTROLS) })
+      .getAttribute('data-testid');
+  }
+
+  /**
+   * Favourite apps in rail order.
+   * @returns {Promise<string[]>} data-testids, left to right
+   */
+  async getFavouritesOrder() {
+    const items = await this.rail.getItems();
+    return items.map((item) => /** @type {string} */ (item.testId));
+  }
+
+  /**
+   * The bottom overlay hint text, e.g. "Use left and right to move the app".
+   * @returns {Promise<string>}
+   */
+  async getHintText() {
+    return ((await this.hint.textContent()) || '').trim();
+  }
+
+  /**
+   * Whether the app being edited is protected (cannot be moved or removed).
+   * @returns {Promise<boolean>}
+   */
+  async isProtected() {
+    return getFocusStrategy().isDisabled(this.removeButton);
+  }
+
+  /**
+   * Whether the app being edited can move one place left.
+   * @returns {Promise<boolean>}
+   */
+  async canMoveLeft() {
+    return !(await getFocusStrategy().isDisabled(this.moveLeftControl));
+  }
+
+  /**
+   * Whether the app being edited can move one place right.
+   * @returns {Promise<boolean>}
+   */
+  async canMoveRight() {
+    return !(await getFocusStrategy().isDisabled(this.moveRightControl));
+  }
+
+  /**
+   * Move the app being edited one place left.
+   * @returns {Promise<number>} The app's new position (from 0)
+   * @throws {Error} If not in edit mode or the app cannot move left
+   */
+  async moveLeft() {
+    return this.move('left');
+  }
+
+  /**
+   * Move the app being edited one place right.
+   * @returns {Promise<number>} The app's new position (from 0)
+   * @throws {Error} If not in edit mode or the app cannot move right
+   */
+  async moveRight() {
+    return this.move('right');
+  }
+
+  /**
+   * Move the app being edited to a position in the rail, one place at a time.
+   * @param {number} index - Target position (from 0)
+   * @returns {Promise<number>} The app's new position
+   * @throws {Error} If not in edit mode, or the app cannot reach the position
+   */
+  async moveTo(index) {
+    const app = await this.requireApp();
+    let current = (await this.getFavouritesOrder()).indexOf(app);
+    while (current !== index) {
+      current = await this.move(index < current ? 'left' : 'right');
+    }
+    return current;
+  }
+
+  /**
+   * Remove the app being edited from favourites. Edit mode ends.
+   * @returns {Promise<string>} The removed app
+   * @throws {Error} If not in edit mode or the app is protected
+   */
+  async remove() {
+    const app = await this.requireApp();
+    if (await this.isProtected()) {
+      throw new Error(`"${app}" is protected and cannot be removed`);
+    }
+
+    await this.remote.moveDown();
+    await expect(this.removeButton).toBeTvFocused();
+    await this.remote.select();
+
+    await expect(this.controls).toHaveCount(0);
+    await expect(this.rail.root.getByTestId(app)).toHaveCount(0);
+    return app;
+  }
+
+  /**
+   * Move the app being edited one place and wait for the rail to show the new order.
+   * @param {'left'|'right'} direction - Direction to move
+   * @returns {Promise<number>} The app's new position
+   * @throws {Error} If not in edit mode or the app cannot move that way
+   * @private
+   */
+  async move(direction) {
+    const app = await this.requireApp();
+    const allowed = direction === 'left' ? await this.canMoveLeft() : await this.canMoveRight();
+    if (!allowed) {
+      const order = await this.getFavouritesOrder();
+      throw new Error(
+        `"${app}" cannot move ${direction} from position ${order.indexOf(app)} (order: ${order.join(', ')})`
+      );
+    }
+
+    const from = (await this.getFavouritesOrder()).indexOf(app);
+    const to = direction === 'left' ? from - 1 : from + 1;
+    if (direction === 'left') {
+      await this.remote.moveLeft();
+    } else {
+      await this.remote.moveRight();
+    }
+
+    await expect.poll(async () => (await this.getFavouritesOrder()).indexOf(app)).toBe(to);
+    await expect(this.controls).toBeVisible();
+    return to;
+  }
+
+  /**
+   * The app being edited, failing outside edit mode.
+   * @returns {Promise<string>}
+   * @throws {Error} If not in edit mode
+   * @private
+   */
+  async requireApp() {
+    const app = await this.getApp();
+    if (!app) {
+      throw new Error('Favourites edit mode is not active; call enter(app) first');
+    }
+    return app;
+  }
+}
+
+export default FavouritesEditMode;
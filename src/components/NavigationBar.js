@@ -1,5 +1,6 @@
-import { expect } from '@playwright/test';
+import { expect } from '../utils/focusMatchers.js';
 import { NAVIGATION_LIMITS } from '../utils/constants.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
 
 /**
  * NavigationBar - Component object for the top navigation menu.
@@ -84,8 +85,9 @@ export class NavigationBar {
   }
 
   /**
-   * Navigate to a menu item by name from the home screen.
-   * Moves up to reach the menubar, then navigates left/right to focus the target item.
+   * Navigate to a menu item by name from wherever focus currently is.
+   * Uses FocusNavigator, so the route (up into the menubar, then left/right) is planned
+   * from the live focus rather than assumed to start on Home.
    *
    * @param {import('../utils/remoteControl.js').RemoteControl} remote - Remote control instance
    * @param {string} menuName - Name of the menu item to navigate to (e.g., 'Search', 'Apps')
@@ -101,34 +103,10 @@ export class NavigationBar {
       );
     }
 
-    // Move up to the menubar (focus starts on Home)
-    await remote.moveUp(2);
-    await expect(this.homeItem).toHaveAttribute('data-focused', 'focused');
+    const navigator = new FocusNavigator(this.page, { remote, screen: 'main-menu' });
+    await navigator.navigateTo(target.item, { maxSteps });
 
-    const homeIndex = 1;
-    const direction = target.index > homeIndex ? 'right' : 'left';
-    const steps = Math.abs(target.index - homeIndex);
-
-    // Navigate to the target menu item
-    if (direction === 'right') {
-      for (let i = 0; i < Math.min(steps, maxSteps); i++) {
-        const isFocused = await target.item.getAttribute('data-focused');
-        if (isFocused === 'focused') {
-          break;
-        }
-        await remote.moveRight();
-      }
-    } else {
-      for (let i = 0; i < Math.min(steps, maxSteps); i++) {
-        const isFocused = await target.item.getAttribute('data-focused');
-        if (isFocused === 'focused') {
-          break;
-        }
-        await remote.moveLeft();
-      }
-    }
-
-    await expect(target.item).toHaveAttribute('data-focused', 'focused');
+    await expect(target.item).toBeTvFocused();
     return target.item;
   }
 }
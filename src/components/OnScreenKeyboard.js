@@ -0,0 +1,298 @@
+import { expect } from '../utils/focusMatchers.js';
+import { NAVIGATION_LIMITS } from '../utils/constants.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+
+/** Keys of the function row, by their data-key */
+const FUNCTION_KEYS = {
+  shift: 'shift',
+  symbols: 'symbols',
+  space: 'space',
+  delete: 'delete',
+  clear: 'clear',
+};
+
+/**
+ * @typedef {Object} KeyboardKey
+ * @property {string} key - data-key: the character typed, or a FUNCTION_KEYS value
+ * @property {string} label - aria-label, e.g. "Space"
+ * @property {number} row - Row index (from 0)
+ * @property {number} index - Position in the row (from 0)
+ * @property {number} column - First grid column the key covers (from 1)
+ * @property {number} span - Number of grid columns the key covers
+ * @property {boolean} disabled - Whether the key is aria-disabled
+ * @property {boolean} focused - Whether the key has focus
+ */
+
+/**
+ * @typedef {Object} KeyboardLayout
+ * @property {string|null} name - data-layout of the grid, e.g. "letters" or "symbols"
+ * @property {boolean} shift - Whether shift is on
+ * @property {KeyboardKey[][]} rows - Keys, row by row
+ */
+
+/**
+ * Read the key grid. Runs inside the browser, so it must stay self-contained.
+ * @param {Element} grid - The keyboard's role="grid" element
+ * @param {string} focusedSelector - Selector matching focused elements
+ * @returns {KeyboardLayout}
+ */
+function readKeyboard(grid, focusedSelector) {
+  const rows = Array.from(grid.querySelectorAll('[role="row"]')).map((row, r) => {
+    let next = 1;
+    return Array.from(row.querySelectorAll('[role="gridcell"]')).map((cell, index) => {
+      const column = Number(cell.getAttribute('aria-colindex')) || next;
+      const span = Number(cell.getAttribute('aria-colspan')) || 1;
+      next = column + span;
+      return {
+        key: cell.getAttribute('data-key') || '',
+        label: cell.getAttribute('aria-label') || (cell.textContent || '').trim(),
+        row: r,
+        index,
+        column,
+        span,
+        disabled: cell.getAttribute('aria-disabled') === 'true',
+        focused: cell.matches(focusedSelector),
+      };
+    });
+  });
+  return {
+    name: grid.getAttribute('data-layout'),
+    shift: grid.getAttribute('data-shift') === 'true',
+    rows,
+  };
+}
+
+/**
+ * Shortest sequence of direction keys from one key to another. Left/Right move within a
+ * row; Up/Down land on the key of the next row that covers the current key's first column.
+ * @param {KeyboardKey[][]} rows - Key grid
+ * @param {KeyboardKey} from - Focused key
+ * @param {KeyboardKey} to - Key to reach
+ * @returns {string[]|null} Buttons to press, or null if the key cannot be reached
+ */
+export function shortestKeyPath(rows, from, to) {
+  const id = (key) => `${key.row}:${key.index}`;
+  const covering = (row, column) =>
+    row && row.find((key) => column >= key.column && column < key.column + key.span);
+
+  const previous = new Map([[id(from), null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const key = /** @type {KeyboardKey} */ (queue.shift());
+    if (id(key) === id(to)) {
+      const path = [];
+      for (let step = previous.get(id(key)); step; step = previous.get(id(step.from))) {
+        path.unshift(step.button);
+      }
+      return path;
+    }
+
+    const neighbours = [
+      ['LEFT', rows[key.row][key.index - 1]],
+      ['RIGHT', rows[key.row][key.index + 1]],
+      ['UP', covering(rows[key.row - 1], key.column)],
+      ['DOWN', covering(rows[key.row + 1], key.column)],
+    ];
+    for (const [button, next] of neighbours) {
+      if (next && !previous.has(id(next))) {
+        previous.set(id(next), { from: key, button });
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * OnScreenKeyboard - Component object for an on-screen keyboard laid out as a key grid.
+ *
+ * The layout is read from the DOM on every step (role="grid" rows of role="gridcell" keys
+ * carrying data-key, aria-colindex and aria-colspan), so layout switches and shifted keys
+ * are picked up as they happen. Text is typed the way a viewer would: focus moves to each
+ * key along the shortest path and OK presses it. Shift is one-shot, and characters missing
+ * from the current layout are reached through the layout switch key.
+ */
+export class OnScreenKeyboard {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {import('@playwright/test').Locator} [options.root] - The keyboard grid
+   * @param {string} [options.screen='keyboard'] - Focus graph used to reach the keyboard
+   */
+  constructor(
+    page,
+    {
+      remote = new RemoteControl(page),
+      root = page.getByRole('grid', { name: 'Keyboard' }),
+      screen = 'keyboard',
+    } = {}
+  ) {
+    this.page = page;
+    this.remote = remote;
+
+    /**
+     * The keyboard grid.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.root = root;
+
+    this.navigator = new FocusNavigator(page, { remote, screen });
+  }
+
+  /**
+   * Locate a key by its data-key.
+   * @param {string} key - A character, or shift/symbols/space/delete/clear
+   * @returns {import('@playwright/test').Locator}
+   */
+  key(key) {
+    return this.root.locator(`[role="gridcell"][data-key="${key.replace(/["\\]/g, '\\$&')}"]`);
+  }
+
+  /**
+   * Locate the focused key, as defined by the active FocusStrategy.
+   * @returns {import('@playwright/test').Locator}
+   */
+  focusedKey() {
+    return this.root.locator(getFocusStrategy().selector('focused', '[role="gridcell"]'));
+  }
+
+  /**
+   * Whether the keyboard is showing.
+   * @returns {Promise<boolean>}
+   */
+  async isOpen() {
+    return this.root.isVisible();
+  }
+
+  /**
+   * Read the current layout and key grid.
+   * @returns {Promise<KeyboardLayout>}
+   */
+  async getLayout() {
+    return this.root.evaluate(readKeyboard, getFocusStrategy().focusedSelector);
+  }
+
+  /**
+   * Type text one key at a time.
+   * @param {string} text - Text to type; spaces use the Space key
+   * @throws {Error} If a character is on none of the keyboard's layouts
+   */
+  async type(text) {
+    for (const char of Array.from(text)) {
+      await this.typeCharacter(char);
+    }
+  }
+
+  /**
+   * Delete characters before the cursor with the Delete key.
+   * @param {number} [count=1] - Number of characters to delete
+   */
+  async delete(count = 1) {
+    for (let i = 0; i < count; i++) {
+      await this.press(FUNCTION_KEYS.delete);
+    }
+  }
+
+  /**
+   * Empty the text with the Clear key.
+   */
+  async clear() {
+    await this.press(FUNCTION_KEYS.clear);
+  }
+
+  /**
+   * Move focus to a key and press OK on it.
+   * @param {string} key - A character, or shift/symbols/space/delete/clear
+   * @throws {Error} If the key is not on the current layout or cannot be reached
+   */
+  async press(key) {
+    await this.focusKey(key);
+    await this.remote.select();
+  }
+
+  /**
+   * Move focus to a key along the shortest path, planning again if focus ends up somewhere
+   * the layout did not predict.
+   * @param {string} key - A character, or shift/symbols/space/delete/clear
+   * @throws {Error} If the key is not on the current layout or cannot be reached
+   */
+  async focusKey(key) {
+    for (let replans = 0; replans <= NAVIGATION_LIMITS.MAX_REPLANS; replans++) {
+      const { rows } = await this.getLayout();
+      const keys = rows.flat();
+      const target = keys.find((candidate) => candidate.key === key);
+      if (!target) {
+        throw new Error(`Key "${key}" is not on the current on-screen keyboard layout`);
+      }
+      if (target.focused) {
+        return;
+      }
+
+      const focused = keys.find((candidate) => candidate.focused);
+      if (!focused) {
+        if ((await this.navigator.navigateTo(this.key(key))) === null) {
+          throw new Error(`Could not move focus onto the on-screen keyboard to reach "${key}"`);
+        }
+        continue;
+      }
+
+      const path = shortestKeyPath(rows, focused, target);
+      if (!path) {
+        throw new Error(`Key "${key}" cannot be reached from "${focused.key}"`);
+      }
+      for (const button of path) {
+        await this.remote.press(button);
+      }
+    }
+    await expect(this.key(key), `focus should reach key "${key}"`).toBeTvFocused();
+  }
+
+  /**
+   * Type one character, switching layout or shifting first if it needs to.
+   * @param {string} char - Character to type
+   * @throws {Error} If the character is on none of the keyboard's layouts
+   * @private
+   */
+  async typeCharacter(char) {
+    if (char === ' ') {
+      await this.press(FUNCTION_KEYS.space);
+      return;
+    }
+
+    const has = (current, key) => current.rows.flat().some((candidate) => candidate.key === key);
+    const isLetter = char.toLowerCase() !== char.toUpperCase();
+    const otherCase = char === char.toUpperCase() ? char.toLowerCase() : char.toUpperCase();
+    const shiftable = (current) => isLetter && has(current, otherCase);
+
+    let layout = await this.getLayout();
+    if (!has(layout, char) && !shiftable(layout)) {
+      await this.switchLayout(layout);
+      layout = await this.getLayout();
+    }
+    if (!has(layout, char) && shiftable(layout)) {
+      await this.press(FUNCTION_KEYS.shift);
+      await expect(this.root).toHaveAttribute('data-shift', String(!layout.shift));
+      layout = await this.getLayout();
+    }
+
+    if (!has(layout, char)) {
+      throw new Error(`Character "${char}" is not on the on-screen keyboard`);
+    }
+    await this.press(char);
+  }
+
+  /**
+   * Press the layout switch key and wait for the other layout.
+   * @param {KeyboardLayout} layout - The layout showing now
+   * @private
+   */
+  async switchLayout(layout) {
+    await this.press(FUNCTION_KEYS.symbols);
+    await expect(this.root).not.toHaveAttribute('data-layout', String(layout.name));
+  }
+}
+
+export default OnScreenKeyboard;
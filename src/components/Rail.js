@@ -0,0 +1,317 @@
+import { NAVIGATION_LIMITS } from '../utils/constants.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+import { normalise, logNavigationFailure } from '../utils/navigationHelpers.js';
+import { NAVIGATION_FAILURES } from '../utils/navigationTimeline.js';
+
+/**
+ * @typedef {Object} RailItem
+ * @property {string|null} testId - The item's data-testid
+ * @property {string|null} label - The item's aria-label
+ * @property {string} text - The item's visible text
+ * @property {number} index - Position in the whole rail (from 0), rendered or not
+ */
+
+/**
+ * Describe rail items. Runs inside the browser, so it must stay self-contained.
+ * Virtualised rails only render some of their items; those carry aria-posinset, which gives
+ * the position in the whole rail.
+ * @param {Element[]} items - Rendered list items
+ * @returns {RailItem[]}
+ */
+function describeItems(items) {
+  return items.map((item) => {
+    const siblings = Array.from(item.parentElement ? item.parentElement.children : [item]);
+    const position = item.getAttribute('aria-posinset');
+    return {
+      testId: item.getAttribute('data-testid'),
+      label: item.getAttribute('aria-label'),
+      text: (item.textContent || '').trim(),
+      index: position ? Number(position) - 1 : siblings.indexOf(item),
+    };
+  });
+}
+
+/**
+ * Rail - Component object for a horizontal list of tiles (role="list" with role="listitem"
+ * children), identified by its label, e.g. "Favourite Apps" or "Video".
+ *
+ * Items are found by data-testid, aria-label or visible text (case-insensitive). Focus is
+ * moved with the remote one tile at a time, and the end of the rail is detected from the
+ * focus tracker reporting that a key press did not move focus. Virtualised rails that only
+ * render the tiles around focus are supported: items that are not rendered yet are found by
+ * walking the rail, and aria-posinset/aria-setsize give positions and the full item count.
+ */
+export class Rail {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {string} label - Accessible name of the rail's list
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {string} [options.screen] - Screen the rail is on, for the FocusNavigator that brings focus into it
+   */
+  constructor(page, label, { remote = new RemoteControl(page), screen } = {}) {
+    this.page = page;
+    this.label = label;
+    this.remote = remote;
+    this.navigator = new FocusNavigator(page, { remote, screen });
+
+    /**
+     * The rail's list element.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.root = page.getByRole('list', { name: label, exact: true });
+  }
+
+  /**
+   * Get the rendered items. Virtualised rails only render part of the rail.
+   * @returns {import('@playwright/test').Locator}
+   */
+  items() {
+    return this.root.getByRole('listitem');
+  }
+
+  /**
+   * Get the focused item, as defined by the active FocusStrategy.
+   * @returns {import('@playwright/test').Locator}
+   */
+  focusedItem() {
+    return this.root.locator(getFocusStrategy().selector('focused', '[role="listitem"]'));
+  }
+
+  /**
+   * Number of items in the rail, including items a virtualised rail has not rendered.
+   * @returns {Promise<number>}
+   */
+  async itemCount() {
+    const rendered = await this.items().count();
+    if (rendered === 0) {
+      return 0;
+    }
+    const setSize = await this.items().first().getAttribute('aria-setsize');
+    return setSize ? Number(setSize) : rendered;
+  }
+
+  /**
+   * Whether the rail only renders some of its items.
+   * @returns {Promise<boolean>}
+   */
+  async isVirtualised() {
+    return (await this.root.locator('[role="listitem"][aria-setsize]').count()) > 0;
+  }
+
+  /**
+   * Descriptions of the rendered items, in rail order.
+   * @returns {Promise<RailItem[]>}
+   */
+  async getItems() {
+    return this.items().evaluateAll(describeItems);
+  }
+
+  /**
+   * The focused item's description.
+   * @returns {Promise<RailItem|null>} Null if focus is not in the rail
+   */
+  async getFocusedItem() {
+    const [item] = await this.focusedItem().evaluateAll(describeItems);
+    return item || null;
+  }
+
+  /**
+   * Whether focus is in the rail.
+   * @returns {Promise<boolean>}
+   */
+  async hasFocus() {
+    return (await this.getFocusedItem()) !== null;
+  }
+
+  /**
+   * Whether the first item of the rail is focused.
+   * @returns {Promise<boolean>}
+   */
+  async isAtStart() {
+    const focused = await this.getFocusedItem();
+    return focused !== null && focused.index === 0;
+  }
+
+  /**
+   * Whether the last item of the rail is focused.
+   * @returns {Promise<boolean>}
+   */
+  async isAtEnd() {
+    const focused = await this.getFocusedItem();
+    return focused !== null && focused.index === (await this.itemCount()) - 1;
+  }
+
+  /**
+   * Find a rendered item by data-testid, aria-label or visible text.
+   * @param {string} idOrName - Item to find (case-insensitive)
+   * @returns {Promise<{item: RailItem, nth: number}|null>} The item and its position among rendered items
+   * @private
+   */
+  async findRendered(idOrName) {
+    const items = await this.getItems();
+    const nth = items.findIndex((item) => this.matches(item, idOrName));
+    return nth === -1 ? null : { item: items[nth], nth };
+  }
+
+  /**
+   * Whether an item is the one asked for.
+   * @param {RailItem} item - Item description
+   * @param {string} idOrName - data-testid, aria-label or visible text
+   * @returns {boolean}
+   * @private
+   */
+  matches(item, idOrName) {
+    const wanted = normalise(idOrName);
+    return [item.testId, item.label, item.text].some((value) => normalise(value) === wanted);
+  }
+
+  /**
+   * Bring focus into the rail if it is elsewhere on the screen.
+   * @param {import('@playwright/test').Locator} [item] - Item to aim for; the first rendered item by default
+   * @param {number} [maxSteps=NAVIGATION_LIMITS.MAX_NAVIGATE_STEPS] - Safety limit for key presses
+   * @returns {Promise<boolean>} True if focus is in the rail
+   */
+  async focus(item = this.items().first(), maxSteps = NAVIGATION_LIMITS.MAX_NAVIGATE_STEPS) {
+    if (await this.hasFocus()) {
+      return true;
+    }
+    if ((await this.items().count()) === 0) {
+      return false;
+    }
+    return (await this.navigator.navigateTo(item, { maxSteps })) !== null;
+  }
+
+  /**
+   * Move focus one item along the rail.
+   * @param {'left'|'right'} direction - Direction to move
+   * @returns {Promise<boolean>} False if focus did not move (the end of the rail)
+   * @private
+   */
+  async step(direction) {
+    const result =
+      direction === 'left' ? await this.remote.moveLeft() : await this.remote.moveRight();
+    return result !== null && result.type === 'focus';
+  }
+
+  /**
+   * Focus an item by data-testid, aria-label or visible text.
+   * Focus may start anywhere on the screen. A rendered item is approached from whichever side
+   * it is on; an item a virtualised rail has not rendered yet is searched for to the right
+   * and then to the left.
+   * @param {string} idOrName - Item to focus (case-insensitive)
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps=NAVIGATION_LIMITS.MAX_RAIL_STEPS] - Safety limit for key presses along the rail
+   * @returns {Promise<boolean>} True if the item is now focused, false if it is not in the rail
+   */
+  async focusItem(idOrName, { maxSteps = NAVIGATION_LIMITS.MAX_RAIL_STEPS } = {}) {
+    await this.root.waitFor({ state: 'visible' });
+
+    const rendered = await this.findRendered(idOrName);
+    const virtualised = await this.isVirtualised();
+    if (!rendered && !virtualised) {
+      await this.logFailure(idOrName, NAVIGATION_FAILURES.TARGET_NOT_FOUND);
+      return false;
+    }
+
+    const entered = await this.focus(
+      rendered ? this.items().nth(rendered.nth) : this.items().first(),
+      maxSteps
+    );
+    let direction = /** @type {'left'|'right'} */ ('right');
+    let turned = false;
+    let reason = entered ? NAVIGATION_FAILURES.MAX_STEPS : NAVIGATION_FAILURES.TARGET_NOT_FOUND;
+
+    for (let step = 0; entered && step < maxSteps; step++) {
+      const focused = await this.getFocusedItem();
+      if (!focused) {
+        reason = NAVIGATION_FAILURES.TARGET_NOT_FOUND;
+        break;
+      }
+      if (this.matches(focused, idOrName)) {
+        return true;
+      }
+
+      const target = await this.findRendered(idOrName);
+      if (target) {
+        direction = target.item.index < focused.index ? 'left' : 'right';
+      }
+      if (!(await this.step(direction))) {
+        if (target || turned) {
+          reason = NAVIGATION_FAILURES.END_OF_RAIL;
+          break;
+        }
+        turned = true;
+        direction = direction === 'right' ? 'left' : 'right';
+      }
+    }
+
+    await this.logFailure(idOrName, reason);
+    return false;
+  }
+
+  /**
+   * Report that an item could not be focused.
+   * @param {string} idOrName - Item that was looked for
+   * @param {string} reason - Why the rail gave up, one of NAVIGATION_FAILURES
+   * @private
+   */
+  async logFailure(idOrName, reason) {
+    await logNavigationFailure(`${this.label} rail`, idOrName, await this.focusedTestId(), {
+      page: this.page,
+      reason,
+    });
+  }
+
+  /**
+   * Move focus to the first item of the rail.
+   * @param {number} [maxSteps=NAVIGATION_LIMITS.MAX_RAIL_STEPS] - Safety limit for key presses
+   * @returns {Promise<number>} Number of items moved past
+   * @throws {Error} If focus cannot be brought into the rail
+   */
+  async scrollToStart(maxSteps = NAVIGATION_LIMITS.MAX_RAIL_STEPS) {
+    return this.scrollToEdge('left', maxSteps);
+  }
+
+  /**
+   * Move focus to the last item of the rail.
+   * @param {number} [maxSteps=NAVIGATION_LIMITS.MAX_RAIL_STEPS] - Safety limit for key presses
+   * @returns {Promise<number>} Number of items moved past
+   * @throws {Error} If focus cannot be brought into the rail
+   */
+  async scrollToEnd(maxSteps = NAVIGATION_LIMITS.MAX_RAIL_STEPS) {
+    return this.scrollToEdge('right', maxSteps);
+  }
+
+  /**
+   * Move focus along the rail until it stops moving.
+   * @param {'left'|'right'} direction - Direction to move
+   * @param {number} maxSteps - Safety limit for key presses
+   * @returns {Promise<number>} Number of items moved past
+   * @private
+   */
+  async scrollToEdge(direction, maxSteps) {
+    if (!(await this.focus())) {
+      throw new Error(`Could not move focus into the "${this.label}" rail`);
+    }
+    let moved = 0;
+    while (moved < maxSteps && (await this.step(direction))) {
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * data-testid of the focused item, for failure logs.
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async focusedTestId() {
+    const focused = await this.getFocusedItem();
+    return focused ? focused.testId : null;
+  }
+}
+
+export default Rail;
@@ -0,0 +1,276 @@
+import { expect } from '../utils/focusMatchers.js';
+import { NAVIGATION_LIMITS } from '../utils/constants.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+
+/**
+ * @typedef {Object} SearchResultTile
+ * @property {string|null} testId - The tile's data-testid, e.g. "search-result-action-movie-01"
+ * @property {string} title - The tile's aria-label
+ * @property {string|null} type - Content type (data-type), e.g. "movie"
+ * @property {string|null} genre - Genre (data-genre), e.g. "Action"
+ * @property {string|null} artwork - Absolute URL of the tile's artwork
+ * @property {number} row - Row in the grid (from 0)
+ * @property {number} col - Column in the row (from 0)
+ */
+
+/**
+ * @typedef {Object} SearchResultsState
+ * @property {string|null} genre - Genre the results are for, if a genre was selected
+ * @property {string|null} query - Text the results are for, if a query was typed
+ * @property {string} filter - Content type the results are filtered by, e.g. "movie"
+ */
+
+/**
+ * Parse the results grid's aria-label, e.g.
+ * "Search results for genre: Action. Filtered by: movie" or
+ * "Search results for: zero. Filtered by: series".
+ * @param {string} label - The grid's aria-label
+ * @returns {SearchResultsState}
+ * @throws {Error} If the label does not describe search results
+ */
+export function parseResultsLabel(label) {
+  const match = /^Search results(?: for genre: (.*)| for: (.*))?\. Filtered by: (.*)$/.exec(label);
+  if (!match) {
+    throw new Error(`Cannot read the search results state from "${label}"`);
+  }
+  return { genre: match[1] ?? null, query: match[2] ?? null, filter: match[3] };
+}
+
+/**
+ * Describe the tiles of the grid. Runs inside the browser, so it must stay self-contained.
+ * @param {Element} grid - The results grid
+ * @returns {SearchResultTile[]}
+ */
+function describeTiles(grid) {
+  return Array.from(grid.querySelectorAll('[role="row"]')).flatMap((row, r) =>
+    Array.from(row.querySelectorAll('[role="gridcell"]')).map((cell, c) => {
+      const image = cell.querySelector('img');
+      return {
+        testId: cell.getAttribute('data-testid'),
+        title: cell.getAttribute('aria-label') || (cell.textContent || '').trim(),
+        type: cell.getAttribute('data-type'),
+        genre: cell.getAttribute('data-genre'),
+        artwork: image ? image.src : null,
+        row: r,
+        col: c,
+      };
+    })
+  );
+}
+
+/**
+ * SearchResultsGrid - Component object for the search results grid and its filter tabs.
+ *
+ * Results are laid out in rows (role="row") of tiles (role="gridcell"). Moving up or down
+ * keeps the column, or lands on the last tile of a shorter row, so a cell is reached with the
+ * vertical moves first and the horizontal ones after. The grid's aria-label carries the
+ * genre or query the results are for and the content type filter (getState).
+ */
+export class SearchResultsGrid {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {string} [options.screen='search'] - Focus graph used to bring focus into the grid
+   */
+  constructor(page, { remote = new RemoteControl(page), screen = 'search' } = {}) {
+    this.page = page;
+    this.remote = remote;
+    this.navigator = new FocusNavigator(page, { remote, screen });
+
+    /**
+     * The results grid.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.root = page.locator('#search-results-grid');
+
+    /**
+     * The content type filter tabs.
+     * @type {import('@playwright/test').Locator}
+     */
+    this.filters = page.getByRole('tablist', { name: 'Filters' });
+  }
+
+  /**
+   * Get the rows of the grid.
+   * @returns {import('@playwright/test').Locator}
+   */
+  rows() {
+    return this.root.getByRole('row');
+  }
+
+  /**
+   * Get every tile in the grid.
+   * @returns {import('@playwright/test').Locator}
+   */
+  cells() {
+    return this.root.getByRole('gridcell');
+  }
+
+  /**
+   * Get the tile at a position.
+   * @param {number} row - Row (from 0)
+   * @param {number} col - Column (from 0)
+   * @returns {import('@playwright/test').Locator}
+   */
+  cell(row, col) {
+    return this.rows().nth(row).getByRole('gridcell').nth(col);
+  }
+
+  /**
+   * Get the focused tile, as defined by the active FocusStrategy.
+   * @returns {import('@playwright/test').Locator}
+   */
+  focusedCell() {
+    return this.root.locator(getFocusStrategy().selector('focused', '[role="gridcell"]'));
+  }
+
+  /**
+   * Read the genre or query and the filter the results are for from the grid's aria-label.
+   * @returns {Promise<SearchResultsState>}
+   */
+  async getState() {
+    return parseResultsLabel((await this.root.getAttribute('aria-label')) || '');
+  }
+
+  /**
+   * Number of rows, and the number of tiles in a full row.
+   * @returns {Promise<{rows: number, columns: number}>}
+   */
+  async getSize() {
+    const tiles = await this.getTiles();
+    return {
+      rows: tiles.length > 0 ? tiles[tiles.length - 1].row + 1 : 0,
+      columns: tiles.reduce((columns, tile) => Math.max(columns, tile.col + 1), 0),
+    };
+  }
+
+  /**
+   * Every tile with its position and metadata, row by row.
+   * @returns {Promise<SearchResultTile[]>}
+   */
+  async getTiles() {
+    return this.root.evaluate(describeTiles);
+  }
+
+  /**
+   * The tile at a position.
+   * @param {number} row - Row (from 0)
+   * @param {number} col - Column (from 0)
+   * @returns {Promise<SearchResultTile|null>} Null if there is no tile there
+   */
+  async getTile(row, col) {
+    const tiles = await this.getTiles();
+    return tiles.find((tile) => tile.row === row && tile.col === col) || null;
+  }
+
+  /**
+   * Position of the focused tile.
+   * @returns {Promise<{row: number, col: number}|null>} Null if focus is outside the grid
+   */
+  async getFocusedPosition() {
+    const focusedSelector = getFocusStrategy().focusedSelector;
+    return this.root.evaluate((grid, selector) => {
+      const rows = Array.from(grid.querySelectorAll('[role="row"]'));
+      for (let row = 0; row < rows.length; row++) {
+        const col = Array.from(rows[row].querySelectorAll('[role="gridcell"]')).findIndex((cell) =>
+          cell.matches(selector)
+        );
+        if (col >= 0) {
+          return { row, col };
+        }
+      }
+      return null;
+    }, focusedSelector);
+  }
+
+  /**
+   * Move focus to the tile at a position: vertical moves first, then horizontal ones,
+   * planning again from wherever focus ends up.
+   * @param {number} row - Row (from 0)
+   * @param {number} col - Column (from 0)
+   * @returns {Promise<SearchResultTile>} The focused tile
+   * @throws {Error} If there is no tile at the position or focus cannot reach it
+   */
+  async focusCell(row, col) {
+    const target = await this.getTile(row, col);
+    if (!target) {
+      const { rows, columns } = await this.getSize();
+      throw new Error(
+        `There is no search result at row ${row}, column ${col} (grid has ${rows} rows of up to ${columns})`
+      );
+    }
+
+    for (let replans = 0; replans <= NAVIGATION_LIMITS.MAX_REPLANS; replans++) {
+      const current = await this.getFocusedPosition();
+      if (current && current.row === row && current.col === col) {
+        return target;
+      }
+      if (!current) {
+        if ((await this.navigator.navigateTo(this.cell(row, col))) === null) {
+          throw new Error(
+            `Could not move focus into the search results to reach "${target.title}"`
+          );
+        }
+        continue;
+      }
+
+      if (current.row !== row) {
+        await this.remote.press(row < current.row ? 'UP' : 'DOWN', Math.abs(row - current.row));
+      }
+      const moved = await this.getFocusedPosition();
+      if (moved && moved.row === row && moved.col !== col) {
+        await this.remote.press(col < moved.col ? 'LEFT' : 'RIGHT', Math.abs(col - moved.col));
+      }
+    }
+
+    await expect(this.cell(row, col), `focus should reach "${target.title}"`).toBeTvFocused();
+    return target;
+  }
+
+  /**
+   * Content types the results can be filtered by, in tab order.
+   * @returns {Promise<string[]>} e.g. ['movie', 'series', 'documentary']
+   */
+  async getFilters() {
+    return this.filters
+      .getByRole('tab')
+      .evaluateAll((tabs) => tabs.map((tab) => tab.getAttribute('data-type') || ''));
+  }
+
+  /**
+   * The content type the results are filtered by.
+   * @returns {Promise<string|null>}
+   */
+  async getActiveFilter() {
+    return this.filters.locator('[role="tab"][aria-selected="true"]').getAttribute('data-type');
+  }
+
+  /**
+   * Filter the results by content type with the remote, and wait for the new results.
+   * @param {string} type - Content type, e.g. "series"
+   * @throws {Error} If there is no such filter or focus cannot reach it
+   */
+  async selectFilter(type) {
+    const filters = await this.getFilters();
+    if (!filters.includes(type)) {
+      throw new Error(`There is no "${type}" results filter. Filters: ${filters.join(', ')}`);
+    }
+    if ((await this.getActiveFilter()) === type) {
+      return;
+    }
+
+    const tab = this.filters.locator(`[role="tab"][data-type="${type}"]`);
+    if ((await this.navigator.navigateTo(tab)) === null) {
+      throw new Error(`Could not move focus to the "${type}" results filter`);
+    }
+    await this.remote.select();
+
+    await expect(tab).toHaveAttribute('aria-selected', 'true');
+    await expect.poll(async () => (await this.getState()).filter).toBe(type);
+  }
+}
+
+export default SearchResultsGrid;
@@ -5,6 +5,14 @@
  *
  * Current components:
  * - NavigationBar
+ * - Rail
+ * - FavouritesEditMode
+ * - OnScreenKeyboard
+ * - SearchResultsGrid
  */
 
 export { NavigationBar } from './NavigationBar.js';
+export { Rail } from './Rail.js';
+export { FavouritesEditMode } from './FavouritesEditMode.js';
+export { OnScreenKeyboard } from './OnScreenKeyboard.js';
+export { SearchResultsGrid } from './SearchResultsGrid.js';
@@ -0,0 +1,5 @@
+/**
+ * Fixtures Index
+ * Export the extended Playwright test, expect and requireFeatures from a single entry point.
+ */
+export { test, expect, requireFeatures } from './tvTest.js';
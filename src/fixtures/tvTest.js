@@ -0,0 +1,228 @@
+import { test as base } from '@playwright/test';
+import { expect } from '../utils/focusMatchers.js';
+import { setFocusStrategy } from '../utils/focusStrategy.js';
+import { assignKeyProfile } from '../utils/keyProfiles.js';
+import { FocusTracker, attachFocusHistory } from '../utils/focusTracker.js';
+import { KeyJournal, attachKeyJournal } from '../utils/keyJournal.js';
+import { setQoeThresholds } from '../utils/qoeMetrics.js';
+import { StreamFaultInjector, attachStreamFaults } from '../utils/streamFaults.js';
+import { TvState } from '../utils/tvState.js';
+import { ApiMock, attachApiMock } from '../utils/apiMock.js';
+import { FocusSnapshots, attachFocusGallery } from '../utils/focusSnapshots.js';
+import { AccessibilityAudit } from '../utils/a11yAudit.js';
+import {
+  FocusLatency,
+  setFocusLatencyBudgets,
+  throttleCpu,
+  attachFocusLatency,
+} from '../utils/focusLatency.js';
+import { NavigationTimeline, attachNavigationTimeline } from '../utils/navigationTimeline.js';
+import { env } from '../../config/env.js';
+import { getProfile, hasFeature } from '../../config/profiles.js';
+
+/**
+ * TV Test - Playwright `test` extended with TV-specific project options.
+ *
+ * Options (set per project in playwright.config.js `use`, or with `test.use()`):
+ * - keyProfile: remote control key profile name or custom profile (defaults to the environment
+ *   profile's, see config/profiles.js)
+ * - keySendMode: 'keyboard' or 'keyCode' to override the profile's send mode
+ * - focusStrategy: how the app build marks focus (defaults to the environment profile's)
+ * - qoeThresholds: overrides for QOE_THRESHOLDS, e.g. a slower startup budget on a TV device
+ * - tvStateSnapshot: name of a saved TvState snapshot to restore into the context before the
+ *   test starts, e.g. `test.use({ tvStateSnapshot: 'netflix-favourite' })`
+ * - focusLatencyBudgets: overrides for FOCUS_LATENCY_BUDGETS by screen name
+ * - cpuThrottleRate: CPU slowdown for `page` on Chromium, to approximate a low-end TV
+ *   (defaults to env.CPU_THROTTLE_RATE; 1 runs at full speed)
+ * - navigationTimelineMode: 'off', 'on' (attach every test's timeline) or 'retain-on-failure'
+ *   (attach it when the test failed or a navigation failed; the default)
+ * - apiHar: name of an API recording (scenario) to answer the context's /api/* requests from,
+ *   e.g. `test.use({ apiHar: 'search-action' })`; empty to use the live backend
+ * - apiHarMode: 'replay' the recording, or 'update' it from the live backend (defaults to
+ *   'update' when UPDATE_HAR is set, as `npm run test:update-har` does)
+ *
+ * The key options are assigned to the test's browser context, so every RemoteControl created
+ * for its pages (including popups) uses them without being passed explicitly. The focus
+ * strategy, QoE thresholds and focus latency budgets are made active for the test, the API
+ * recording is routed before any page loads, and `expect` includes the TV focus matchers.
+ *
+ * Fixtures:
+ * - focusTracker: FocusTracker for `page`, installed when requested (otherwise RemoteControl
+ *   installs it with its first key); its full focus history is attached to the report as
+ *   focus-history.json if it recorded anything or the test failed
+ * - keyJournal: KeyJournal of `page`; in every test that uses `page`, the remote keys sent
+ *   are attached to the report as key-journal.json, ready for replayKeyJournal()
+ * - streamFaults: StreamFaultInjector routing the context's HLS requests (popups included),
+ *   with an empty schedule; the faults it fired are attached as stream-faults.json
+ * - tvState: TvState of the context, to seed favourites or save and restore snapshots
+ * - apiMock: ApiMock of the context, to override API endpoints (e.g. API_OVERRIDES.emptyGenre);
+ *   the recording used and the overrides that fired are attached as api-mock.json
+ * - focusSnapshots: FocusSnapshots of `page`, comparing the focused element to per-project
+ *   baselines; if it took any snapshots, their gallery is attached as focus-gallery.html
+ * - a11yAudit: AccessibilityAudit of `page`; each audited screen is attached as a11y-<screen>.json
+ * - navigationTimeline: NavigationTimeline of `page` (null in 'off' mode), one step per remote
+ *   key and the navigation failures in between with a thumbnail (every step gets one too in 'on'
+ *   mode); in every test that uses `page`, it is attached as navigation-timeline.html/.json
+ *   according to navigationTimelineMode, for NavigationTimelineReporter to collect
+ * - focusLatency: FocusLatency of `page`, sampling every remote key press that moves focus; the
+ *   report is attached as focus-latency.json and focus-latency.txt. A screen over its latency
+ *   budget fails the test if the test or project sets focusLatencyBudgets; otherwise it is
+ *   reported as a focus-latency-budget annotation
+ */
+export const test = base.extend({
+  keyProfile: [getProfile().keyProfile, { option: true }],
+
+  keySendMode: [env.KEY_SEND_MODE || undefined, { option: true }],
+
+  focusStrategy: [getProfile().focusStrategy, { option: true }],
+
+  qoeThresholds: [{}, { option: true }],
+
+  tvStateSnapshot: ['', { option: true }],
+
+  focusLatencyBudgets: [{}, { option: true }],
+
+  cpuThrottleRate: [env.CPU_THROTTLE_RATE, { option: true }],
+
+  navigationTimelineMode: ['retain-on-failure', { option: true }],
+
+  apiHar: ['', { option: true }],
+
+  apiHarMode: [env.UPDATE_HAR ? 'update' : 'replay', { option: true }],
+
+  context: async (
+    {
+      context,
+      keyProfile,
+      keySendMode,
+      focusStrategy,
+      qoeThresholds,
+      tvStateSnapshot,
+      focusLatencyBudgets,
+      apiHar,
+      apiHarMode,
+    },
+    use
+  ) => {
+    assignKeyProfile(context, keyProfile, keySendMode);
+    setFocusStrategy(focusStrategy);
+    setQoeThresholds(qoeThresholds);
+    setFocusLatencyBudgets(focusLatencyBudgets);
+    if (tvStateSnapshot) {
+      await new TvState(context).restore(tvStateSnapshot);
+    }
+    if (apiHar) {
+      await ApiMock.forContext(context).useHar(apiHar, { mode: apiHarMode });
+    }
+    await use(context);
+  },
+
+  page: async ({ page, cpuThrottleRate, navigationTimelineMode }, use, testInfo) => {
+    if (cpuThrottleRate > 1) {
+      await throttleCpu(page, cpuThrottleRate);
+    }
+    // Screenshots at every key slow each press down; only take them when every timeline is kept
+    const timeline =
+      navigationTimelineMode === 'off'
+        ? null
+        : NavigationTimeline.forPage(page, { stepThumbnails: navigationTimelineMode === 'on' });
+    await use(page);
+    const journal = KeyJournal.forPage(page);
+    if (journal.entries.length > 0) {
+      await attachKeyJournal(testInfo, journal);
+    }
+    const failed = testInfo.status !== testInfo.expectedStatus;
+    if (
+      timeline &&
+      (navigationTimelineMode === 'on' ||
+        (timeline.events.length > 0 && (failed || timeline.getFailures().length > 0)))
+    ) {
+      await attachNavigationTimeline(testInfo, timeline);
+    }
+  },
+
+  focusTracker: async ({ page }, use, testInfo) => {
+    const tracker = await FocusTracker.forPage(page);
+    await use(tracker);
+    if (tracker.history.length > 0 || testInfo.status !== testInfo.expectedStatus) {
+      await attachFocusHistory(testInfo, tracker);
+    }
+  },
+
+  keyJournal: async ({ page }, use) => {
+    await use(KeyJournal.forPage(page));
+  },
+
+  navigationTimeline: async ({ page }, use) => {
+    await use(NavigationTimeline.recording(page));
+  },
+
+  tvState: async ({ context }, use) => {
+    await use(new TvState(context));
+  },
+
+  apiMock: async ({ context }, use, testInfo) => {
+    const mock = ApiMock.forContext(context);
+    await use(mock);
+    if (mock.har || mock.fired.length > 0) {
+      await attachApiMock(testInfo, mock);
+    }
+  },
+
+  focusSnapshots: async ({ page }, use, testInfo) => {
+    const snapshots = new FocusSnapshots(page, testInfo);
+    await use(snapshots);
+    if (snapshots.steps.length > 0) {
+      await attachFocusGallery(testInfo, snapshots);
+    }
+  },
+
+  a11yAudit: async ({ page }, use, testInfo) => {
+    await use(new AccessibilityAudit(page, testInfo));
+  },
+
+  focusLatency: async ({ page, cpuThrottleRate, focusLatencyBudgets }, use, testInfo) => {
+    const latency = await FocusLatency.forPage(page, { cpuThrottleRate });
+    await use(latency);
+    if (latency.samples.length > 0) {
+      await attachFocusLatency(testInfo, latency);
+      // The default budgets are a guide; only budgets set for the run make a slow runner fail
+      if (Object.keys(focusLatencyBudgets).length > 0) {
+        latency.expectWithinBudgets();
+      } else {
+        latency
+          .checkBudgets()
+          .forEach((violation) =>
+            testInfo.annotations.push({ type: 'focus-latency-budget', description: violation })
+          );
+      }
+    }
+  },
+
+  streamFaults: async ({ context }, use, testInfo) => {
+    const injector = await StreamFaultInjector.attach(context);
+    await use(injector);
+    await injector.stop();
+    if (injector.fired.length > 0) {
+      await attachStreamFaults(testInfo, injector);
+    }
+  },
+});
+
+/**
+ * Skip the current test, or every test of the describe block it is called in, unless the
+ * environment profile declares all the given features.
+ * @param {...string} features - Feature names, see FEATURES in config/profiles.js
+ * @throws {Error} If a feature name is unknown
+ */
+export function requireFeatures(...features) {
+  const missing = features.filter((feature) => !hasFeature(feature));
+  test.skip(
+    missing.length > 0,
+    `The "${getProfile().name}" environment profile does not have: ${missing.join(', ')}`
+  );
+}
+
+export { expect };
+
+export default test;
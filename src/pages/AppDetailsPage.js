@@ -0,0 +1,250 @@
+import { expect } from '../utils/focusMatchers.js';
+import { BasePage } from './BasePage.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+import { TIMEOUTS } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} AppMetadata
+ * @property {string} category - App store category, e.g. "Video"
+ * @property {string} publisher - Publisher name
+ * @property {string} rating - Age rating, e.g. "12+"
+ * @property {string} size - Download size, e.g. "85 MB"
+ */
+
+/**
+ * AppDetailsPage - Page object for the app details screen opened from the Apps page.
+ * Models the favourite toggle, the launch button and the app's metadata.
+ */
+export class AppDetailsPage extends BasePage {
+  /**
+   * Creates an instance of AppDetailsPage.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   */
+  constructor(page) {
+    super(page);
+    this.remote = new RemoteControl(page);
+    this.navigator = new FocusNavigator(page, { remote: this.remote, screen: 'app-details' });
+
+    this.selectors = {
+      root: '[data-testid="app-details"]',
+      title: '[data-testid="app-details-title"]',
+      description: '[data-testid="app-details-description"]',
+      metadata: '[data-testid="app-details-metadata"]',
+      favouriteButton: '#app-fav-button',
+      launchButton: '#app-launch-button',
+      toast: '[data-testid="toast"]',
+      launchScreen: '[data-testid="app-launch-screen"]',
+    };
+  }
+
+  /**
+   * Open the details screen of an app directly.
+   * @param {string} appName - App to show (its data-testid on the Apps page)
+   */
+  async goto(appName) {
+    await this.page.goto(`/#/apps/${encodeURIComponent(appName)}`);
+    await this.waitForAppDetailsLoad(appName);
+  }
+
+  /**
+   * Wait for the details screen to be rendered.
+   * @param {string} [appName] - App the screen should show
+   */
+  async waitForAppDetailsLoad(appName) {
+    await this.waitForPageLoad();
+    await expect(this.getRoot()).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
+    if (appName) {
+      await expect(this.getTitle()).toHaveText(appName);
+    }
+  }
+
+  /**
+   * Get the details screen locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getRoot() {
+    return this.page.locator(this.selectors.root);
+  }
+
+  /**
+   * Get the app title locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getTitle() {
+    return this.page.locator(this.selectors.title);
+  }
+
+  /**
+   * Get the app description locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getDescription() {
+    return this.page.locator(this.selectors.description);
+  }
+
+  /**
+   * Get the favourite toggle locator. aria-pressed reflects whether the app is a favourite.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getFavouriteButton() {
+    return this.page.locator(this.selectors.favouriteButton);
+  }
+
+  /**
+   * Get the launch button locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getLaunchButton() {
+    return this.page.locator(this.selectors.launchButton);
+  }
+
+  /**
+   * Get the confirmation toast shown after the favourite toggle is used.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getToast() {
+    return this.page.locator(this.selectors.toast);
+  }
+
+  /**
+   * Get the screen shown while the app launches.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getLaunchScreen() {
+    return this.page.locator(this.selectors.launchScreen);
+  }
+
+  /**
+   * Name of the app shown.
+   * @returns {Promise<string>}
+   */
+  async getAppName() {
+    return ((await this.getTitle().textContent()) || '').trim();
+  }
+
+  /**
+   * The app's metadata, read from the details list.
+   * @returns {Promise<AppMetadata>}
+   */
+  async getMetadata() {
+    return this.page
+      .locator(this.selectors.metadata)
+      .evaluate((list) =>
+        Object.fromEntries(
+          Array.from(list.querySelectorAll('dd[data-field]')).map((dd) => [
+            dd.getAttribute('data-field'),
+            (dd.textContent || '').trim(),
+          ])
+        )
+      );
+  }
+
+  /**
+   * Whether the app is in the Favourite Apps rail.
+   * @returns {Promise<boolean>}
+   */
+  async isFavourite() {
+    return (await this.getFavouriteButton().getAttribute('aria-pressed')) === 'true';
+  }
+
+  /**
+   * Whether the favourite toggle is disabled (protected apps such as Watch TV).
+   * @returns {Promise<boolean>}
+   */
+  async isFavouriteProtected() {
+    return getFocusStrategy().isDisabled(this.getFavouriteButton());
+  }
+
+  /**
+   * Press the favourite toggle, dismiss the confirmation toast and wait for the new state.
+   * @returns {Promise<boolean>} Whether the app is a favourite afterwards
+   * @throws {Error} If the app is protected
+   */
+  async toggleFavourite() {
+    if (await this.isFavouriteProtected()) {
+      throw new Error(`"${await this.getAppName()}" is protected; its favourite state is fixed`);
+    }
+    const wasFavourite = await this.isFavourite();
+
+    await this.focusButton(this.getFavouriteButton());
+    await this.remote.select();
+
+    await expect(this.getToast()).toBeVisible();
+    await this.remote.select();
+    await expect(this.getToast()).toBeHidden();
+
+    await expect(this.getFavouriteButton()).toHaveAttribute('aria-pressed', String(!wasFavourite));
+    return !wasFavourite;
+  }
+
+  /**
+   * Add the app to favourites unless it already is one.
+   * @returns {Promise<boolean>} True if it was added, false if it already was a favourite
+   */
+  async addToFavourites() {
+    if (await this.isFavourite()) {
+      console.info(`[AppDetailsPage] "${await this.getAppName()}" is already a favourite`);
+      return false;
+    }
+    return this.toggleFavourite();
+  }
+
+  /**
+   * Remove the app from favourites if it is one and is not protected.
+   * @returns {Promise<boolean>} True if it was removed
+   */
+  async removeFromFavourites() {
+    if (!(await this.isFavourite())) {
+      return false;
+    }
+    if (await this.isFavouriteProtected()) {
+      console.warn(
+        `[AppDetailsPage] "${await this.getAppName()}" is protected and cannot be removed`
+      );
+      return false;
+    }
+    return !(await this.toggleFavourite());
+  }
+
+  /**
+   * Launch the app and wait for the launch screen.
+   */
+  async launch() {
+    await this.focusButton(this.getLaunchButton());
+    await this.remote.select();
+    await expect(this.getLaunchScreen()).toBeVisible();
+  }
+
+  /**
+   * Go back to the Apps page, closing the launch screen first if it is showing.
+   */
+  async close() {
+    if (await this.getLaunchScreen().isVisible()) {
+      await this.remote.back();
+      await expect(this.getLaunchScreen()).toBeHidden();
+    }
+    await this.remote.back();
+    await expect(this.getRoot()).toBeHidden();
+  }
+
+  /**
+   * Move focus to one of the action buttons.
+   * @param {import('@playwright/test').Locator} button - Button to focus
+   * @throws {Error} If focus cannot reach the button
+   * @private
+   */
+  async focusButton(button) {
+    if (await getFocusStrategy().isFocused(button)) {
+      return;
+    }
+    if ((await this.navigator.navigateTo(button)) === null) {
+      throw new Error(`Could not move focus to ${button} on the app details screen`);
+    }
+  }
+}
+
+export default AppDetailsPage;
@@ -0,0 +1,196 @@
+import { expect } from '../utils/focusMatchers.js';
+import { BasePage } from './BasePage.js';
+import { AppDetailsPage } from './AppDetailsPage.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { NavigationBar } from '../components/NavigationBar.js';
+import { Rail } from '../components/Rail.js';
+import { TIMEOUTS, NAVIGATION_LIMITS } from '../utils/constants.js';
+import { normalise } from '../utils/navigationHelpers.js';
+
+/**
+ * @typedef {Object} AppEntry
+ * @property {string} rail - Name of the rail the app is in
+ * @property {string} id - The tile's data-testid (the app name)
+ * @property {number} index - Position in the rail (from 0)
+ */
+
+/**
+ * AppsPage - Page object for the Apps page.
+ * Models every rail under lists-container (Featured Apps, Video, Music, ...) and finds apps
+ * in any of them, so callers do not need to know which rail an app is in.
+ */
+export class AppsPage extends BasePage {
+  /**
+   * Creates an instance of AppsPage.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   */
+  constructor(page) {
+    super(page);
+    this.remote = new RemoteControl(page);
+    this.nav = new NavigationBar(page);
+
+    this.selectors = {
+      listsContainer: '[data-testid="lists-container"]',
+    };
+  }
+
+  /**
+   * Go to the Apps page (navigate and wait for load).
+   * Note: This assumes starting from home screen.
+   */
+  async goto() {
+    await this.page.goto('/');
+    await this.page.waitForLoadState('networkidle');
+    await this.navigateToAppsPageFromHome();
+  }
+
+  /**
+   * Open the Apps page from the home screen via the menubar.
+   */
+  async navigateToAppsPageFromHome() {
+    await this.nav.navigateToMenuItemByName(this.remote, 'Apps');
+
+    await this.remote.select();
+
+    await this.waitForAppsPageLoad();
+  }
+
+  /**
+   * Wait for the Apps page and its rails to be rendered.
+   */
+  async waitForAppsPageLoad() {
+    await this.waitForPageLoad('networkidle');
+
+    await expect(this.getListsContainer()).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
+    await expect(this.getRailLists().first()).toBeVisible();
+  }
+
+  /**
+   * Get the container holding every rail.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getListsContainer() {
+    return this.page.locator(this.selectors.listsContainer);
+  }
+
+  /**
+   * Get the list element of every rail, top to bottom.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getRailLists() {
+    return this.getListsContainer().getByRole('list');
+  }
+
+  /**
+   * Names of the rails, top to bottom.
+   * @returns {Promise<string[]>}
+   */
+  async getRailNames() {
+    return this.getRailLists().evaluateAll((lists) =>
+      lists.map((list) => list.getAttribute('aria-label') || '')
+    );
+  }
+
+  /**
+   * Get a rail by name.
+   * @param {string} name - Rail name, e.g. "Video"
+   * @returns {Rail}
+   */
+  getRail(name) {
+    return new Rail(this.page, name, { remote: this.remote, screen: 'apps' });
+  }
+
+  /**
+   * Every app tile on the page, rail by rail. Apps shown in several rails appear once per rail.
+   * @returns {Promise<AppEntry[]>}
+   */
+  async getAllApps() {
+    const entries = [];
+    for (const name of await this.getRailNames()) {
+      const items = await this.getRail(name).getItems();
+      entries.push(
+        ...items.map((item) => ({ rail: name, id: item.testId || item.text, index: item.index }))
+      );
+    }
+    return entries;
+  }
+
+  /**
+   * Find the first rail (top to bottom) that shows an app.
+   * @param {string} appName - App to find (matches data-testid, case-insensitive)
+   * @returns {Promise<AppEntry|null>} Null if no rail shows it
+   */
+  async findApp(appName) {
+    const wanted = normalise(appName);
+    const apps = await this.getAllApps();
+    return apps.find((app) => normalise(app.id) === wanted) || null;
+  }
+
+  /**
+   * Focus an app's tile, in whichever rail shows it first.
+   * @param {string} appName - App to focus (matches data-testid, case-insensitive)
+   * @param {Object} [options]
+   * @param {string} [options.rail] - Rail to use instead of the first one showing the app
+   * @param {number} [options.maxSteps=NAVIGATION_LIMITS.MAX_APP_SEARCH_STEPS] - Safety limit for key presses
+   * @returns {Promise<boolean>} True if the app is now focused, false if no rail shows it
+   */
+  async focusApp(appName, { rail, maxSteps = NAVIGATION_LIMITS.MAX_APP_SEARCH_STEPS } = {}) {
+    const railName = rail || (await this.findApp(appName))?.rail;
+    if (!railName) {
+      console.warn(`[AppsPage] App "${appName}" is not on the Apps page`);
+      return false;
+    }
+    return this.getRail(railName).focusItem(appName, { maxSteps });
+  }
+
+  /**
+   * Open an app's details screen.
+   * @param {string} appName - App to open (matches data-testid, case-insensitive)
+   * @param {Object} [options]
+   * @param {string} [options.rail] - Rail to open it from instead of the first one showing it
+   * @returns {Promise<AppDetailsPage>}
+   * @throws {Error} If the app is not on the Apps page
+   */
+  async openApp(appName, { rail } = {}) {
+    if (!(await this.focusApp(appName, { rail }))) {
+      throw new Error(`App "${appName}" not found on the Apps page`);
+    }
+    await this.remote.select();
+
+    const detailsPage = new AppDetailsPage(this.page);
+    await detailsPage.waitForAppDetailsLoad();
+    return detailsPage;
+  }
+
+  /**
+   * Add an app to favourites through its details screen, then return to the Apps page.
+   * @param {string} appName - App to add (matches data-testid, case-insensitive)
+   * @returns {Promise<boolean>} True if it was added, false if it already was a favourite
+   * @throws {Error} If the app is not on the Apps page
+   */
+  async addToFavourites(appName) {
+    const detailsPage = await this.openApp(appName);
+    const added = await detailsPage.addToFavourites();
+    await detailsPage.close();
+    await this.waitForAppsPageLoad();
+    return added;
+  }
+
+  /**
+   * Remove an app from favourites through its details screen, then return to the Apps page.
+   * @param {string} appName - App to remove (matches data-testid, case-insensitive)
+   * @returns {Promise<boolean>} True if it was removed, false if it was not a favourite or is protected
+   * @throws {Error} If the app is not on the Apps page
+   */
+  async removeFromFavourites(appName) {
+    const detailsPage = await this.openApp(appName);
+    const removed = await detailsPage.removeFromFavourites();
+    await detailsPage.close();
+    await this.waitForAppsPageLoad();
+    return removed;
+  }
+}
+
+export default AppsPage;
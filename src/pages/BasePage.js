@@ -1,3 +1,5 @@
+import { getProfile, hasFeature, scaleTimeout } from '../../config/profiles.js';
+
 /**
  * BasePage - Base class for all page objects in the TV web application.
  * Provides common functionality shared across all pages.
@@ -9,6 +11,12 @@ export class BasePage {
    */
   constructor(page) {
     this.page = page;
+
+    /**
+     * Environment profile the tests run against (see config/profiles.js).
+     * @type {import('../../config/profiles.js').EnvProfile}
+     */
+    this.profile = getProfile();
   }
 
   /**
@@ -25,6 +33,30 @@ export class BasePage {
   async waitForPageLoad(state = 'domcontentloaded') {
     await this.page.waitForLoadState(state);
   }
+
+  /**
+   * Scale a timeout for the environment, e.g. doubled on a slow staging server.
+   * @param {number} ms - Timeout against the mock app, usually one of TIMEOUTS
+   * @returns {number}
+   */
+  scaledTimeout(ms) {
+    return scaleTimeout(ms);
+  }
+
+  /**
+   * Fail early when the environment does not have a feature this page needs.
+   * @param {string} feature - Feature name, see FEATURES in config/profiles.js
+   * @throws {Error} If the environment profile does not declare the feature
+   * @protected
+   */
+  requireFeature(feature) {
+    if (!hasFeature(feature)) {
+      throw new Error(
+        `${this.constructor.name} needs the "${feature}" feature, which the ` +
+          `"${this.profile.name}" environment profile does not have`
+      );
+    }
+  }
 }
 
 export default BasePage;
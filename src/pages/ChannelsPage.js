@@ -0,0 +1,346 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { test } from '@playwright/test';
+import { expect } from '../utils/focusMatchers.js';
+import { BasePage } from './BasePage.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { TIMEOUTS } from '../utils/constants.js';
+import { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist } from '../utils/hlsPlaylist.js';
+import {
+  installQoeCollector,
+  collectQoeMetrics,
+  checkQoeThresholds,
+  getQoeThresholds,
+  attachQoeMetrics,
+} from '../utils/qoeMetrics.js';
+
+/** HTMLMediaElement.HAVE_FUTURE_DATA: enough media to play forward from the current position */
+const HAVE_FUTURE_DATA = 3;
+
+/**
+ * Whether a response is an HLS playlist.
+ * @param {import('@playwright/test').Response} response
+ * @returns {boolean}
+ */
+const isPlaylistResponse = (response) => new URL(response.url()).pathname.endsWith('.m3u8');
+
+/**
+ * @typedef {Object} PlaybackState
+ * @property {number} currentTime - video.currentTime in seconds
+ * @property {number} readyState - video.readyState (0-4)
+ * @property {boolean} paused - video.paused
+ * @property {boolean} ended - video.ended
+ * @property {Array<[number, number]>} buffered - video.buffered ranges as [start, end] pairs; empty for MediaStream sources
+ * @property {number} videoWidth - Decoded frame width, 0 before the first frame
+ * @property {number} videoHeight - Decoded frame height, 0 before the first frame
+ */
+
+/**
+ * ChannelsPage - Page object for the live Channels player popup.
+ * The Channels menu item opens the player in its own window; this page object takes over
+ * that popup page, watches the HLS playlists it loads and checks that playback advances.
+ */
+export class ChannelsPage extends BasePage {
+  /**
+   * Creates an instance of ChannelsPage.
+   * Create it as soon as the popup exists (see openFromHome) so no playlist response is missed.
+   * @param {import('@playwright/test').Page} page - The Channels popup page
+   */
+  constructor(page) {
+    super(page);
+    this.requireFeature('channels');
+    this.remote = new RemoteControl(page);
+
+    this.selectors = {
+      video: 'video',
+      banner: '[data-testid="channel-banner"]',
+    };
+
+    /**
+     * When playback was asked for (select or navigation), for the QoE startup time.
+     * @type {number|null}
+     */
+    this.selectedAt = null;
+
+    /** @type {import('@playwright/test').Response[]} */
+    this.playlistResponses = [];
+    page.on('response', (response) => {
+      if (isPlaylistResponse(response)) {
+        this.playlistResponses.push(response);
+      }
+    });
+  }
+
+  /**
+   * Open the Channels popup from the home screen via the menubar.
+   * The QoE collector is installed in the browser context first, so startup is measured
+   * from the select key press. Playlists are collected on the context from before the key
+   * press, so those the popup loads before its page object exists are not missed.
+   * @param {import('./HomeScreenPage.js').HomeScreenPage} homePage - Home screen of the opener page
+   * @returns {Promise<ChannelsPage>}
+   */
+  static async openFromHome(homePage) {
+    await homePage.nav.navigateToMenuItemByName(homePage.remote, 'Channels');
+    const context = homePage.page.context();
+    await installQoeCollector(context);
+
+    /** @type {import('@playwright/test').Response[]} */
+    const earlyPlaylists = [];
+    const collect = (response) => {
+      if (isPlaylistResponse(response)) {
+        earlyPlaylists.push(response);
+      }
+    };
+    context.on('response', collect);
+    const selectedAt = Date.now();
+    let popup;
+    try {
+      [popup] = await Promise.all([homePage.page.waitForEvent('popup'), homePage.remote.select()]);
+    } finally {
+      context.off('response', collect);
+    }
+
+    // No await until the page object listens itself, so no response falls in between
+    const opened = new ChannelsPage(popup);
+    opened.playlistResponses.unshift(
+      ...earlyPlaylists.filter((response) => response.frame().page() === popup)
+    );
+    opened.selectedAt = selectedAt;
+    await opened.waitForChannelsPageLoad();
+    return opened;
+  }
+
+  /**
+   * Open the Channels player directly.
+   */
+  async goto() {
+    await installQoeCollector(this.page);
+    this.selectedAt = Date.now();
+    await this.page.goto('/channels.html');
+    await this.waitForChannelsPageLoad();
+  }
+
+  /**
+   * Wait for the player to be rendered.
+   */
+  async waitForChannelsPageLoad() {
+    await this.waitForPageLoad();
+    await expect(this.getVideo()).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
+  }
+
+  /**
+   * Get the video element locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getVideo() {
+    return this.page.locator(this.selectors.video);
+  }
+
+  /**
+   * Get the channel banner locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getChannelBanner() {
+    return this.page.locator(this.selectors.banner);
+  }
+
+  /**
+   * Channel currently tuned, as shown by the banner.
+   * @returns {Promise<{id: string|null, number: number, name: string}>}
+   */
+  async getCurrentChannel() {
+    const banner = this.getChannelBanner();
+    return {
+      id: await this.page.locator('body').getAttribute('data-channel'),
+      number: Number(await banner.locator('[data-field="number"]').textContent()),
+      name: ((await banner.locator('[data-field="name"]').textContent()) || '').trim(),
+    };
+  }
+
+  /**
+   * Number of HLS playlist responses the player has received so far.
+   * Live media playlists are reloaded every few seconds, so this keeps growing while playing.
+   * @returns {number}
+   */
+  getPlaylistResponseCount() {
+    return this.playlistResponses.length;
+  }
+
+  /**
+   * Wait for the first playlist response of a kind.
+   * @param {'master'|'media'} type - Playlist kind
+   * @param {number} timeout - Maximum time to wait in ms
+   * @returns {Promise<import('@playwright/test').Response>}
+   * @private
+   */
+  async waitForPlaylistResponse(type, timeout) {
+    const matches = async (response) => {
+      const text = await response.text().catch(() => '');
+      return text.startsWith('#EXTM3U') && isMasterPlaylist(text) === (type === 'master');
+    };
+
+    for (const response of this.playlistResponses) {
+      if (await matches(response)) {
+        return response;
+      }
+    }
+    return this.page.waitForResponse(
+      async (response) => isPlaylistResponse(response) && (await matches(response)),
+      { timeout }
+    );
+  }
+
+  /**
+   * Master playlist the player loaded for the current stream.
+   * @param {Object} [options]
+   * @param {number} [options.timeout=TIMEOUTS.ELEMENT_VISIBILITY] - Maximum time to wait for it, scaled for the environment
+   * @returns {Promise<import('../utils/hlsPlaylist.js').HlsMasterPlaylist>}
+   */
+  async getMasterPlaylist({ timeout = this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY) } = {}) {
+    const response = await this.waitForPlaylistResponse('master', timeout);
+    return parseMasterPlaylist(await response.text(), response.url());
+  }
+
+  /**
+   * A media playlist: the given variant's, fetched now, or else the first one the player loaded.
+   * @param {Object} [options]
+   * @param {string|import('../utils/hlsPlaylist.js').HlsVariant} [options.variant] - Variant (or its URI) to fetch
+   * @param {number} [options.timeout=TIMEOUTS.ELEMENT_VISIBILITY] - Maximum time to wait for it, scaled for the environment
+   * @returns {Promise<import('../utils/hlsPlaylist.js').HlsMediaPlaylist>}
+   * @throws {Error} If the variant's playlist cannot be fetched
+   */
+  async getMediaPlaylist({
+    variant,
+    timeout = this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+  } = {}) {
+    if (variant) {
+      const uri = typeof variant === 'string' ? variant : variant.uri;
+      const response = await this.page.request.get(uri, { timeout });
+      if (!response.ok()) {
+        throw new Error(`Media playlist ${uri} failed with ${response.status()}`);
+      }
+      return parseMediaPlaylist(await response.text(), uri);
+    }
+    const response = await this.waitForPlaylistResponse('media', timeout);
+    return parseMediaPlaylist(await response.text(), response.url());
+  }
+
+  /**
+   * Snapshot of the video element's playback state.
+   * @returns {Promise<PlaybackState>}
+   */
+  async getPlaybackState() {
+    return this.getVideo().evaluate((video) => ({
+      currentTime: video.currentTime,
+      readyState: video.readyState,
+      paused: video.paused,
+      ended: video.ended,
+      buffered: Array.from({ length: video.buffered.length }, (_, i) => [
+        video.buffered.start(i),
+        video.buffered.end(i),
+      ]),
+      videoWidth: video.videoWidth,
+      videoHeight: video.videoHeight,
+    }));
+  }
+
+  /**
+   * Wait until the video is playing: not paused, past its first frame, with data to continue.
+   * @param {Object} [options]
+   * @param {number} [options.timeout=TIMEOUTS.ELEMENT_VISIBILITY] - Maximum time to wait, scaled for the environment
+   * @returns {Promise<PlaybackState>} State once playback started
+   */
+  async waitForPlaybackStarted({ timeout = this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY) } = {}) {
+    await this.page.waitForFunction(
+      ({ selector, minReadyState }) => {
+        const video = document.querySelector(selector);
+        return (
+          video instanceof HTMLVideoElement &&
+          !video.paused &&
+          video.currentTime > 0 &&
+          video.readyState >= minReadyState
+        );
+      },
+      { selector: this.selectors.video, minReadyState: HAVE_FUTURE_DATA },
+      { timeout }
+    );
+    return this.getPlaybackState();
+  }
+
+  /**
+   * Assert that playback keeps advancing for a while.
+   * Samples the video once per second: every sample must be unpaused with data to play,
+   * currentTime must have moved on, and when the source exposes buffered ranges (MSE
+   * players) the playhead must sit inside one. Overall currentTime must advance by at
+   * least minRate times the wall-clock time.
+   * Note: The delay here is intentional - it is the playback time being verified.
+   * @param {number} seconds - How long playback must keep going
+   * @param {Object} [options]
+   * @param {number} [options.minRate=0.8] - Minimum playback rate relative to real time
+   * @returns {Promise<{start: PlaybackState, end: PlaybackState}>}
+   */
+  async assertPlayingFor(seconds, { minRate = 0.8 } = {}) {
+    const start = await this.getPlaybackState();
+    const samples = Math.max(1, Math.ceil(seconds));
+    let previous = start;
+
+    for (let sample = 1; sample <= samples; sample++) {
+      await delay((seconds * 1000) / samples);
+      const state = await this.getPlaybackState();
+      const at = `after ${((seconds * sample) / samples).toFixed(1)}s`;
+
+      expect(state.paused, `video paused ${at}`).toBe(false);
+      expect(state.readyState, `video readyState ${at}`).toBeGreaterThanOrEqual(HAVE_FUTURE_DATA);
+      expect(state.currentTime, `video currentTime ${at}`).toBeGreaterThan(previous.currentTime);
+      if (state.buffered.length > 0) {
+        const inBuffer = state.buffered.some(
+          ([from, to]) => state.currentTime >= from && state.currentTime <= to
+        );
+        expect(inBuffer, `playhead inside a buffered range ${at}`).toBe(true);
+      }
+      previous = state;
+    }
+
+    expect(
+      previous.currentTime - start.currentTime,
+      `playback advanced over ${seconds}s`
+    ).toBeGreaterThanOrEqual(seconds * minRate);
+    return { start, end: previous };
+  }
+
+  /**
+   * Collect QoE metrics for the playback so far.
+   * @returns {Promise<import('../utils/qoeMetrics.js').QoeMetrics>}
+   * @throws {Error} If the page was not opened with openFromHome() or goto()
+   */
+  async getQoeMetrics() {
+    if (this.selectedAt === null) {
+      throw new Error('QoE is only measured for pages opened with openFromHome() or goto()');
+    }
+    return collectQoeMetrics(this.page, {
+      startedAt: this.selectedAt,
+      playlistResponses: this.playlistResponses,
+      videoSelector: this.selectors.video,
+    });
+  }
+
+  /**
+   * Collect QoE metrics, attach them to the test report and fail if any threshold is exceeded.
+   * @param {import('../utils/qoeMetrics.js').QoeThresholds} [thresholds] - Overrides for this check
+   * @returns {Promise<import('../utils/qoeMetrics.js').QoeMetrics>}
+   */
+  async assertQoe(thresholds = {}) {
+    const metrics = await this.getQoeMetrics();
+    const violations = checkQoeThresholds(metrics, thresholds);
+    await attachQoeMetrics(test.info(), {
+      metrics,
+      thresholds: { ...getQoeThresholds(), ...thresholds },
+      violations,
+    });
+    expect(violations, 'QoE thresholds exceeded').toEqual([]);
+    return metrics;
+  }
+}
+
+export default ChannelsPage;
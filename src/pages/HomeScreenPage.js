@@ -1,14 +1,12 @@
-import { expect } from '@playwright/test';
+import { expect } from '../utils/focusMatchers.js';
 import { BasePage } from './BasePage.js';
 import { RemoteControl } from '../utils/remoteControl.js';
 import { NavigationBar } from '../components/NavigationBar.js';
+import { Rail } from '../components/Rail.js';
+import { FavouritesEditMode } from '../components/FavouritesEditMode.js';
+import { AppsPage } from './AppsPage.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
 import { TIMEOUTS, NAVIGATION_LIMITS } from '../utils/constants.js';
-import {
-  normalise,
-  waitForFocusChange,
-  logNavigationFailure,
-  createTestIdFocusGetter,
-} from '../utils/navigationHelpers.js';
 
 /**
  * HomeScreenPage - Page object for the TV home screen.
@@ -23,10 +21,14 @@ export class HomeScreenPage extends BasePage {
     super(page);
     this.remote = new RemoteControl(page);
     this.nav = new NavigationBar(page);
+    this.favouritesRail = new Rail(page, 'Favourite Apps', { remote: this.remote, screen: 'home' });
+    this.editMode = new FavouritesEditMode(page, {
+      remote: this.remote,
+      rail: this.favouritesRail,
+    });
 
     this.selectors = {
       homeContainer: '[data-testid="home-container"], .home-container, #home',
-      focusedItem: '[data-focused="true"], .focused, :focus',
       loadingIndicator: '[data-testid="loading"], .loading, .spinner',
     };
   }
@@ -45,15 +47,17 @@ export class HomeScreenPage extends BasePage {
   async waitForHomeScreen() {
     await this.waitForPageLoad('networkidle');
 
-    await expect(this.nav.root).toBeVisible({ timeout: TIMEOUTS.ELEMENT_VISIBILITY });
+    await expect(this.nav.root).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
   }
 
   /**
-   * Get the currently focused element.
+   * Get the currently focused element (the innermost one if containers are marked too).
    * @returns {import('@playwright/test').Locator} Locator for focused element
    */
   getFocusedElement() {
-    return this.page.locator(this.selectors.focusedItem).first();
+    return getFocusStrategy().focusedIn(this.page).first();
   }
 
   /**
@@ -69,50 +73,14 @@ export class HomeScreenPage extends BasePage {
   }
 
   /**
-   * Navigate through the Favourite Apps rail and try to focus a specific app.
-   *
-   * The method will:
-   * - Assume the current focus is already within the Favourite Apps rail
-   * - Move right until:
-   *   - The requested app is focused (returns true), or
-   *   - Pressing right no longer changes the focused element (end of rail, returns false)
-   *
-   * @param {string} appName - Name of the app to look for (matches against data-testid or text)
-   * @param {number} [maxSteps=NAVIGATION_LIMITS.MAX_RAIL_STEPS] - Safety limit for maximum right moves
-   * @returns {Promise<boolean>} True if the app was found in the rail, otherwise false
+   * Navigate to a specific app in the Favourite Apps rail.
+   * Focus may start anywhere on the home screen (see Rail.focusItem).
+   * @param {string} appName - Name of the app to look for (matches data-testid, case-insensitive)
+   * @param {number} [maxSteps=NAVIGATION_LIMITS.MAX_RAIL_STEPS] - Safety limit for key presses
+   * @returns {Promise<boolean>} True if the app is now focused, false if it is not in the rail
    */
   async navigateToApp(appName, maxSteps = NAVIGATION_LIMITS.MAX_RAIL_STEPS) {
-    const favouriteAppsRail = this.page.getByLabel('Favourite Apps');
-    await favouriteAppsRail.waitFor({ state: 'visible' });
-
-    const getFocusedAppTestId = createTestIdFocusGetter(favouriteAppsRail);
-
-    const target = normalise(appName);
-
-    for (let i = 0; i < maxSteps; i++) {
-      const currentId = await getFocusedAppTestId();
-
-      if (currentId && normalise(currentId) === target) {
-        return true;
-      }
-
-      await this.remote.moveRight();
-
-      const newId = await waitForFocusChange(
-        this.page,
-        getFocusedAppTestId,
-        currentId,
-        TIMEOUTS.FOCUS_CHANGE
-      );
-
-      if (newId === currentId) {
-        logNavigationFailure('app navigation in Favourite Apps rail', appName, currentId);
-        return false;
-      }
-    }
-
-    logNavigationFailure('app navigation (max steps reached)', appName, null);
-    return false;
+    return this.favouritesRail.focusItem(appName, { maxSteps });
   }
 
   /**
@@ -128,105 +96,27 @@ export class HomeScreenPage extends BasePage {
 
   /**
    * Navigate from home screen to the Apps page via the menubar.
-   * Uses NavigationBar to navigate to the Apps menu item and selects it.
+   * @returns {Promise<AppsPage>} The Apps page, loaded
    */
   async navigateToAppsPage() {
-    await this.nav.navigateToMenuItemByName(this.remote, 'Apps');
-
-    await this.remote.select();
-
-    await expect(this.page.getByTestId('lists-container')).toBeVisible();
-    await expect(this.page.getByLabel('Featured Apps')).toBeVisible();
-    await expect(this.page.getByLabel('Video')).toBeVisible();
+    const appsPage = new AppsPage(this.page);
+    await appsPage.navigateToAppsPageFromHome();
+    return appsPage;
   }
 
   /**
    * Add an app to favorites from the Apps page.
-   * Navigates to the Video rail, finds the app, and adds it to favorites.
+   * Finds the app in whichever rail shows it, opens its details screen and adds it to
+   * favorites (see AppsPage.addToFavourites). Focus ends back on the Apps page.
    * @param {string} appName - Name of the app to add (matches data-testid)
-   * @returns {Promise<boolean>} True if app was found and added, false if not found
+   * @returns {Promise<boolean>} True if the app is a favorite now, false if it is not on the Apps page
    */
   async addAppToFavoritesFromAppsPage(appName) {
-    const videoRail = this.page.getByRole('list', { name: 'Video' });
-
-    const getFocusedTestId = createTestIdFocusGetter(videoRail);
-
-    /**
-     * Check if any item in the Video rail is focused.
-     * @returns {Promise<boolean>}
-     */
-    const isVideoRailItemFocused = async () => {
-      const focused = videoRail.locator('[role="listitem"][data-focused="focused"]');
-      return (await focused.count()) > 0;
-    };
-
-    for (let i = 0; i < NAVIGATION_LIMITS.MAX_DOWN_STEPS; i++) {
-      await this.remote.moveDown();
-
-      const hasFocus = await isVideoRailItemFocused();
-      if (hasFocus) {
-        break;
-      }
-
-      if (i < NAVIGATION_LIMITS.MAX_DOWN_STEPS - 1) {
-        await this.page.waitForLoadState('domcontentloaded');
-      }
-    }
-
-    if (!(await isVideoRailItemFocused())) {
-      console.warn(
-        `[HomeScreenPage] Could not focus any item in Video rail while adding "${appName}"`
-      );
+    const appsPage = new AppsPage(this.page);
+    if (!(await appsPage.findApp(appName))) {
       return false;
     }
-
-    let previousTestId = null;
-
-    for (let i = 0; i < NAVIGATION_LIMITS.MAX_APP_SEARCH_STEPS; i++) {
-      const currentTestId = await getFocusedTestId();
-
-      if (currentTestId === appName) {
-        break;
-      }
-
-      if (currentTestId === null || (i > 0 && currentTestId === previousTestId)) {
-        logNavigationFailure('Video rail app search', appName, previousTestId);
-        return false;
-      }
-
-      previousTestId = currentTestId;
-
-      await this.remote.moveRight();
-
-      const newTestId = await waitForFocusChange(
-        this.page,
-        getFocusedTestId,
-        currentTestId,
-        TIMEOUTS.POLLING
-      );
-
-      if (newTestId === currentTestId) {
-        logNavigationFailure('Video rail navigation (end of rail)', appName, currentTestId);
-        return false;
-      }
-    }
-
-    const finalTestId = await getFocusedTestId();
-    if (finalTestId !== appName) {
-      logNavigationFailure('Video rail final verification', appName, finalTestId);
-      return false;
-    }
-
-    await this.remote.select();
-
-    const favButton = this.page.locator('#app-fav-button');
-    await expect(favButton).toHaveAttribute('data-focused', 'true');
-    await this.remote.select();
-
-    await this.waitForHomeScreen();
-
-    await this.remote.select();
-
+    await appsPage.addToFavourites(appName);
     return true;
   }
 
@@ -244,7 +134,7 @@ export class HomeScreenPage extends BasePage {
     await this.navigateToAppsPage();
     const added = await this.addAppToFavoritesFromAppsPage('Netflix');
     if (!added) {
-      throw new Error('Netflix app not found in the Video rail on Apps page');
+      throw new Error('Netflix app not found on the Apps page');
     }
     console.info('[HomeScreenPage] Netflix successfully added to favorites');
   }
@@ -266,21 +156,15 @@ export class HomeScreenPage extends BasePage {
       return false;
     }
 
-    await this.remote.holdSelect(TIMEOUTS.LONG_PRESS_DURATION);
+    await this.editMode.enter(appName);
 
-    const editControls = this.getEditControlsForFocusedApp();
-    const deleteButton = editControls.getByTestId('editmode-remove-app');
-
-    const deleteButtonState = await deleteButton.getAttribute('data-focused');
-    if (deleteButtonState === 'disabled') {
+    if (await this.editMode.isProtected()) {
       console.warn(`[HomeScreenPage] App "${appName}" is protected and cannot be deleted`);
-      await this.remote.back();
+      await this.editMode.exit();
       return false;
     }
 
-    await this.remote.moveDown();
-
-    await this.remote.select();
+    await this.editMode.remove();
 
     console.info(`[HomeScreenPage] App "${appName}" removed from favorites`);
     return true;
@@ -291,7 +175,7 @@ export class HomeScreenPage extends BasePage {
    * @returns {import('@playwright/test').Locator} Locator for the Favourite Apps rail
    */
   getFavouriteAppsRail() {
-    return this.page.getByLabel('Favourite Apps');
+    return this.favouritesRail.root;
   }
 
   /**
@@ -299,7 +183,7 @@ export class HomeScreenPage extends BasePage {
    * @returns {import('@playwright/test').Locator} Locator for the focused app
    */
   getFocusedAppInFavouritesRail() {
-    return this.getFavouriteAppsRail().locator('[role="listitem"][data-focused="focused"]');
+    return this.favouritesRail.focusedItem();
   }
 
   /**
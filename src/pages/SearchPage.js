@@ -2,11 +2,27 @@ import { expect } from '@playwright/test';
 import { BasePage } from './BasePage.js';
 import { RemoteControl } from '../utils/remoteControl.js';
 import { NavigationBar } from '../components/NavigationBar.js';
+import { OnScreenKeyboard } from '../components/OnScreenKeyboard.js';
+import { SearchResultsGrid } from '../components/SearchResultsGrid.js';
+import { FocusNavigator } from '../utils/focusNavigator.js';
 import { TIMEOUTS } from '../utils/constants.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+
+/** Path of the search API the results grid is filled from */
+const SEARCH_API_PATH = '/api/search';
+
+/**
+ * @typedef {Object} SearchApiResults
+ * @property {string|null} genre - Genre searched for
+ * @property {string} type - Content type searched for, e.g. 'movie'
+ * @property {string} query - Text searched for
+ * @property {Object[]} results - Matching content
+ */
 
 /**
  * SearchPage - Page object for the TV Search page.
- * Models the search interface with text input and category selection.
+ * Models the search interface with text input, on-screen keyboard, category selection and
+ * the results grid.
  */
 export class SearchPage extends BasePage {
   /**
@@ -15,8 +31,28 @@ export class SearchPage extends BasePage {
    */
   constructor(page) {
     super(page);
+    this.requireFeature('search');
     this.remote = new RemoteControl(page);
     this.nav = new NavigationBar(page);
+    this.navigator = new FocusNavigator(page, { remote: this.remote, screen: 'search' });
+    this.keyboard = new OnScreenKeyboard(page, {
+      remote: this.remote,
+      root: page.locator('#search-keyboard'),
+      screen: 'search',
+    });
+    this.results = new SearchResultsGrid(page, { remote: this.remote, screen: 'search' });
+
+    /**
+     * Search API responses received so far, and how many of them were already waited for.
+     * @type {import('@playwright/test').Response[]}
+     */
+    this.searchResponses = [];
+    this.searchResponsesSeen = 0;
+    page.on('response', (response) => {
+      if (new URL(response.url()).pathname === SEARCH_API_PATH) {
+        this.searchResponses.push(response);
+      }
+    });
   }
 
   /**
@@ -38,7 +74,9 @@ export class SearchPage extends BasePage {
     await this.waitForPageLoad('networkidle');
 
     const searchInput = this.getSearchInput();
-    await expect(searchInput).toBeVisible({ timeout: TIMEOUTS.ELEMENT_VISIBILITY });
+    await expect(searchInput).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
   }
 
   /**
@@ -59,6 +97,55 @@ export class SearchPage extends BasePage {
     return this.page.locator('#search-input');
   }
 
+  /**
+   * Open the on-screen keyboard by selecting the search input.
+   * @throws {Error} If focus cannot reach the search input
+   */
+  async openKeyboard() {
+    if (await this.keyboard.isOpen()) {
+      return;
+    }
+    const input = this.getSearchInput();
+    if ((await this.navigator.navigateTo(input)) === null) {
+      throw new Error('Could not move focus to the search input');
+    }
+    await this.remote.select();
+    await expect(this.keyboard.root).toBeVisible();
+  }
+
+  /**
+   * Search for text and wait for its results.
+   * By default the query is typed on the on-screen keyboard, key by key with the remote. Pass
+   * fast when the keyboard is not what the test is about: the query is then typed into the
+   * input with page.keyboard, which is much quicker.
+   * @param {string} text - Query to search for
+   * @param {Object} [options]
+   * @param {boolean} [options.fast=false] - Type with page.keyboard instead of the remote
+   */
+  async searchFor(text, { fast = false } = {}) {
+    const input = this.getSearchInput();
+
+    if (fast) {
+      await input.focus();
+      await input.clear();
+      await this.page.keyboard.type(text);
+    } else {
+      await this.openKeyboard();
+      if (await input.inputValue()) {
+        await this.keyboard.clear();
+      }
+      await this.keyboard.type(text);
+    }
+
+    await expect(input).toHaveValue(text);
+    const query = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    await expect(this.getSearchResultsGrid()).toHaveAttribute(
+      'aria-label',
+      new RegExp(`^Search results for: ${query}\\.`)
+    );
+    await this.waitForSearchResults({ query: text });
+  }
+
   /**
    * Get the categories list locator (Genre list).
    * @returns {import('@playwright/test').Locator} Locator for categories list
@@ -76,27 +163,76 @@ export class SearchPage extends BasePage {
   }
 
   /**
-   * Get the currently focused category item.
-   * Note: Categories may use different focus indicators, so we check multiple options.
+   * Get the currently focused category item, as defined by the active FocusStrategy.
    * @returns {import('@playwright/test').Locator} Locator for focused category
    */
   getFocusedCategory() {
-    const withDataFocused = this.getCategoriesList().locator(
-      '[role="listitem"][data-focused="focused"]'
+    return this.getCategoriesList().locator(
+      getFocusStrategy().selector('focused', '[role="listitem"]')
     );
-    return withDataFocused;
   }
 
   /**
-   * Wait for search results to update after a category selection.
-   * @returns {Promise<void>}
+   * Wait for the search API response to a search, e.g. after selecting a genre. Responses
+   * already waited for are not returned again, so a repeated search waits for its own.
+   * @param {Object} [search] - Only a response to a search with these parameters
+   * @param {string} [search.genre] - Genre, e.g. 'Action'
+   * @param {string} [search.query] - Text, as typed into the search input
+   * @param {string} [search.type] - Content type filter, e.g. 'series'
+   * @param {number} [search.timeout=TIMEOUTS.API_RESPONSE] - Maximum time to wait, scaled for the environment
+   * @returns {Promise<SearchApiResults>} The response body
+   * @throws {Error} If the search API answered with an error, or did not answer in time
    */
-  async waitForSearchResults() {
-    await this.page
-      .waitForLoadState('networkidle', { timeout: TIMEOUTS.NETWORK_IDLE })
-      .catch(() => {
-        // Silently catch network idle timeout - results may have loaded already
-      });
+  async waitForSearchResults({
+    genre,
+    query,
+    type,
+    timeout = this.scaledTimeout(TIMEOUTS.API_RESPONSE),
+  } = {}) {
+    const expected = { genre, q: query, type };
+    const matches = (response) => {
+      const params = new URL(response.url()).searchParams;
+      return Object.entries(expected).every(
+        ([name, value]) => value === undefined || params.get(name) === value
+      );
+    };
+
+    const received = this.searchResponses.slice(this.searchResponsesSeen);
+    let response = received.findLast(matches);
+    if (!response) {
+      response = await this.page.waitForResponse(
+        (other) => new URL(other.url()).pathname === SEARCH_API_PATH && matches(other),
+        { timeout }
+      );
+    }
+    this.searchResponsesSeen = Math.max(
+      this.searchResponsesSeen,
+      this.searchResponses.indexOf(response) + 1
+    );
+
+    if (!response.ok()) {
+      throw new Error(`Search API ${response.url()} failed with ${response.status()}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Select a genre with the remote and wait for its results.
+   * @param {string} genre - The visible text of the genre (e.g., "Action")
+   * @throws {Error} If focus cannot reach the genre
+   */
+  async selectGenre(genre) {
+    const category = this.getCategoryByText(genre);
+    if ((await this.navigator.navigateTo(category)) === null) {
+      throw new Error(`Could not move focus to the "${genre}" genre`);
+    }
+    await this.remote.select();
+
+    await expect(this.getSearchResultsGrid()).toHaveAttribute(
+      'aria-label',
+      new RegExp(`^Search results for genre: ${genre.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`)
+    );
+    await this.waitForSearchResults({ genre });
   }
 
   /**
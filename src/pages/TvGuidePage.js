@@ -0,0 +1,404 @@
+import { expect } from '../utils/focusMatchers.js';
+import { BasePage } from './BasePage.js';
+import { RemoteControl } from '../utils/remoteControl.js';
+import { NavigationBar } from '../components/NavigationBar.js';
+import { getFocusStrategy } from '../utils/focusStrategy.js';
+import { TIMEOUTS, NAVIGATION_LIMITS } from '../utils/constants.js';
+
+/** One day in ms, for stepping through calendar dates */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} GuideProgramme
+ * @property {string|null} id - The programme cell's data-testid
+ * @property {string|null} channel - Id of the channel row it belongs to
+ * @property {string|null} title - Programme title
+ * @property {Date} start - Start time
+ * @property {Date} end - End time
+ * @property {'past'|'now'|'next'|'upcoming'|null} airing - Airing state relative to the guide's "now"
+ */
+
+/**
+ * @typedef {Object} GuideChannel
+ * @property {string} id - Channel id (the row's data-channel)
+ * @property {number} number - Channel number
+ * @property {string} name - Channel name
+ */
+
+/**
+ * Read programme cells. Runs inside the browser, so it must stay self-contained.
+ * @param {Element[]} cells - Programme grid cells
+ * @returns {Array<Object>} Programmes with ISO start and end times
+ */
+function readProgrammes(cells) {
+  return cells.map((cell) => {
+    const row = cell.closest('[role="row"]');
+    return {
+      id: cell.getAttribute('data-testid'),
+      channel: row ? row.getAttribute('data-channel') : null,
+      title: cell.getAttribute('aria-label'),
+      start: cell.getAttribute('data-start'),
+      end: cell.getAttribute('data-end'),
+      airing: cell.getAttribute('data-airing'),
+    };
+  });
+}
+
+/**
+ * Turn a programme read from the page into a GuideProgramme.
+ * @param {Object} programme - Result of readProgrammes
+ * @returns {GuideProgramme}
+ */
+function toProgramme(programme) {
+  return { ...programme, start: new Date(programme.start), end: new Date(programme.end) };
+}
+
+/**
+ * Shift a YYYY-MM-DD calendar date by whole days.
+ * @param {string} date - Calendar date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * TvGuidePage - Page object for the TV guide (EPG).
+ * Models the channel x time grid: one row per channel, one cell per programme, for one
+ * day at a time. Left/right moves through a channel's programmes, up/down changes channel
+ * at the same time of day, and CH+/CH- pages to the next/previous day.
+ */
+export class TvGuidePage extends BasePage {
+  /**
+   * Creates an instance of TvGuidePage.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   */
+  constructor(page) {
+    super(page);
+    this.requireFeature('tvGuide');
+    this.remote = new RemoteControl(page);
+    this.nav = new NavigationBar(page);
+
+    this.selectors = {
+      guide: '[data-testid="tv-guide"]',
+      grid: '[data-testid="tv-guide-grid"]',
+      day: '[data-testid="guide-day"]',
+      channelRow: '[role="row"][data-channel]',
+      programme: '[role="gridcell"]',
+    };
+  }
+
+  /**
+   * Go to the TV guide (navigate home and open it from the menu).
+   */
+  async goto() {
+    await this.page.goto('/');
+    await this.page.waitForLoadState('networkidle');
+    await this.navigateToTvGuideFromHome();
+  }
+
+  /**
+   * Open the TV guide from the home screen via the menubar.
+   */
+  async navigateToTvGuideFromHome() {
+    await this.nav.navigateToMenuItemByName(this.remote, 'Tv Guide');
+    await this.remote.select();
+    await this.waitForTvGuideLoad();
+  }
+
+  /**
+   * Wait for the guide grid to be rendered.
+   */
+  async waitForTvGuideLoad() {
+    await this.waitForPageLoad();
+    await expect(this.getGrid()).toBeVisible({
+      timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY),
+    });
+  }
+
+  /**
+   * Pin the page clock, so "now" in the guide is a known time.
+   * Call it before goto() to open the guide on that day. Calling it again moves "now"; the
+   * guide re-evaluates its now/next highlighting within a second. Timers keep running.
+   * @param {Date|number|string} time - Time the page should see as now
+   */
+  async pinClock(time) {
+    await this.page.clock.setFixedTime(time);
+  }
+
+  /**
+   * Get the guide grid locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getGrid() {
+    return this.page.locator(this.selectors.grid);
+  }
+
+  /**
+   * Get the day heading locator.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getDayHeading() {
+    return this.page.locator(this.selectors.day);
+  }
+
+  /**
+   * Get the row locator of a channel.
+   * @param {string} channelId - Channel id, e.g. 'news-24'
+   * @returns {import('@playwright/test').Locator}
+   */
+  getChannelRow(channelId) {
+    return this.getGrid().locator(`${this.selectors.channelRow}[data-channel="${channelId}"]`);
+  }
+
+  /**
+   * Get the programme cell locator for a channel, or for every channel.
+   * @param {string} [channelId] - Channel id
+   * @returns {import('@playwright/test').Locator}
+   */
+  getProgrammeCells(channelId) {
+    const scope = channelId ? this.getChannelRow(channelId) : this.getGrid();
+    return scope.locator(this.selectors.programme);
+  }
+
+  /**
+   * Get the focused programme cell, as defined by the active FocusStrategy.
+   * @returns {import('@playwright/test').Locator}
+   */
+  getFocusedProgrammeCell() {
+    return this.getGrid().locator(getFocusStrategy().selector('focused', this.selectors.programme));
+  }
+
+  /**
+   * Day the guide is showing.
+   * @returns {Promise<{date: string, label: string}>} Local calendar date (YYYY-MM-DD) and its heading, e.g. 'Today'
+   */
+  async getDay() {
+    const heading = this.getDayHeading();
+    return {
+      date: /** @type {string} */ (await heading.getAttribute('data-date')),
+      label: ((await heading.textContent()) || '').trim(),
+    };
+  }
+
+  /**
+   * Channels in the guide, in row order.
+   * @returns {Promise<GuideChannel[]>}
+   */
+  async getChannels() {
+    return this.getGrid()
+      .locator(this.selectors.channelRow)
+      .evaluateAll((rows) =>
+        rows.map((row) => ({
+          id: row.getAttribute('data-channel'),
+          number: Number(row.getAttribute('data-channel-number')),
+          name: row.getAttribute('aria-label'),
+        }))
+      );
+  }
+
+  /**
+   * Look a channel up by id, name or number.
+   * @param {string|number} channel - Channel id ('news-24'), name ('News 24') or number (1)
+   * @returns {Promise<GuideChannel & {index: number}>}
+   * @throws {Error} If the guide has no such channel
+   * @private
+   */
+  async resolveChannel(channel) {
+    const channels = await this.getChannels();
+    const index = channels.findIndex(
+      (candidate) =>
+        candidate.id === channel || candidate.name === channel || candidate.number === channel
+    );
+    if (index === -1) {
+      throw new Error(
+        `Channel "${channel}" is not in the TV guide. Channels: ${channels.map((c) => c.name).join(', ')}`
+      );
+    }
+    return { ...channels[index], index };
+  }
+
+  /**
+   * Programme in focus, with its title and start and end times.
+   * @returns {Promise<GuideProgramme|null>} Null if focus is not on a programme (e.g. on the menubar)
+   */
+  async getFocusedProgramme() {
+    const [programme] = await this.getFocusedProgrammeCell().evaluateAll(readProgrammes);
+    return programme ? toProgramme(programme) : null;
+  }
+
+  /**
+   * Every programme of a channel on the day shown.
+   * @param {string|number} channel - Channel id, name or number
+   * @returns {Promise<GuideProgramme[]>}
+   */
+  async getProgrammes(channel) {
+    const { id } = await this.resolveChannel(channel);
+    return (await this.getProgrammeCells(id).evaluateAll(readProgrammes)).map(toProgramme);
+  }
+
+  /**
+   * Programme a channel airs at a time, if the day shown includes it.
+   * @param {string|number} channel - Channel id, name or number
+   * @param {Date|number|string} time - Time to look up
+   * @returns {Promise<GuideProgramme|null>}
+   */
+  async getProgrammeAt(channel, time) {
+    const at = new Date(time).getTime();
+    const programmes = await this.getProgrammes(channel);
+    return programmes.find(({ start, end }) => start.getTime() <= at && at < end.getTime()) || null;
+  }
+
+  /**
+   * Programmes of a channel highlighted as on now and on next.
+   * @param {string|number} channel - Channel id, name or number
+   * @returns {Promise<{now: GuideProgramme|null, next: GuideProgramme|null}>}
+   */
+  async getNowAndNext(channel) {
+    const programmes = await this.getProgrammes(channel);
+    return {
+      now: programmes.find(({ airing }) => airing === 'now') || null,
+      next: programmes.find(({ airing }) => airing === 'next') || null,
+    };
+  }
+
+  /**
+   * Move focus from the menubar into the grid if it is not there yet.
+   * @private
+   */
+  async focusGrid() {
+    if (!(await this.getFocusedProgramme())) {
+      await this.remote.moveDown();
+    }
+  }
+
+  /**
+   * Page through days with CH+/CH- and wait for each day to load.
+   * @param {number} days - Days to move; negative goes back
+   * @returns {Promise<{date: string, label: string}>} Day shown afterwards
+   * @throws {Error} If the guide does not go that far
+   */
+  async pageDays(days) {
+    await this.focusGrid();
+    for (let i = 0; i < Math.abs(days); i++) {
+      const { date } = await this.getDay();
+      const expected = shiftDate(date, Math.sign(days));
+      if (days > 0) {
+        await this.remote.channelUp();
+      } else {
+        await this.remote.channelDown();
+      }
+      await expect(this.getDayHeading(), `guide paged to ${expected}`).toHaveAttribute(
+        'data-date',
+        expected,
+        { timeout: this.scaledTimeout(TIMEOUTS.ELEMENT_VISIBILITY) }
+      );
+    }
+    return this.getDay();
+  }
+
+  /**
+   * Page to the following day(s).
+   * @param {number} [days=1] - Number of days
+   * @returns {Promise<{date: string, label: string}>} Day shown afterwards
+   */
+  async nextDay(days = 1) {
+    return this.pageDays(days);
+  }
+
+  /**
+   * Page to the previous day(s).
+   * @param {number} [days=1] - Number of days
+   * @returns {Promise<{date: string, label: string}>} Day shown afterwards
+   */
+  async previousDay(days = 1) {
+    return this.pageDays(-days);
+  }
+
+  /**
+   * Page to the day a time falls on in the page's time zone.
+   * @param {Date|number|string} time - Any time on the day to show
+   * @returns {Promise<{date: string, label: string}>} Day shown afterwards
+   */
+  async showDayOf(time) {
+    const target = await this.page.evaluate((at) => {
+      const date = new Date(at);
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }, new Date(time).getTime());
+    const { date } = await this.getDay();
+    return this.pageDays(Math.round((Date.parse(target) - Date.parse(date)) / DAY_MS));
+  }
+
+  /**
+   * Move focus to a channel's row, keeping the time of day.
+   * @param {string|number} channel - Channel id, name or number
+   * @returns {Promise<GuideProgramme>} Programme focused on that channel
+   * @throws {Error} If the channel cannot be reached
+   */
+  async navigateToChannel(channel) {
+    const target = await this.resolveChannel(channel);
+    const channels = await this.getChannels();
+    await this.focusGrid();
+
+    for (let step = 0; step <= NAVIGATION_LIMITS.MAX_DOWN_STEPS; step++) {
+      const focused = await this.getFocusedProgramme();
+      if (!focused) {
+        break;
+      }
+      if (focused.channel === target.id) {
+        return focused;
+      }
+      const current = channels.findIndex((candidate) => candidate.id === focused.channel);
+      if (current < target.index) {
+        await this.remote.moveDown();
+      } else {
+        await this.remote.moveUp();
+      }
+    }
+    throw new Error(`Could not move focus to channel "${target.name}" in the TV guide`);
+  }
+
+  /**
+   * Move focus along the current channel to the programme airing at a time.
+   * @param {Date|number|string} time - Time on the day shown
+   * @returns {Promise<GuideProgramme>} Programme focused
+   * @throws {Error} If focus is not in the grid or the time is not on the day shown
+   */
+  async navigateToTime(time) {
+    const at = new Date(time).getTime();
+    for (let step = 0; step <= NAVIGATION_LIMITS.MAX_RAIL_STEPS; step++) {
+      const focused = await this.getFocusedProgramme();
+      if (!focused) {
+        throw new Error('Focus is not on a programme in the TV guide');
+      }
+      if (focused.start.getTime() <= at && at < focused.end.getTime()) {
+        return focused;
+      }
+      const result =
+        at < focused.start.getTime() ? await this.remote.moveLeft() : await this.remote.moveRight();
+      if (result && result.type === 'unchanged') {
+        const { date } = await this.getDay();
+        throw new Error(
+          `${new Date(at).toISOString()} is not in the TV guide for ${date}; page days first`
+        );
+      }
+    }
+    throw new Error(`Could not move focus to ${new Date(at).toISOString()} in the TV guide`);
+  }
+
+  /**
+   * Move focus to the programme a channel airs at a time, paging days as needed.
+   * @param {string|number} channel - Channel id, name or number
+   * @param {Date|number|string} time - Time of the programme
+   * @returns {Promise<GuideProgramme>} Programme focused
+   */
+  async navigateTo(channel, time) {
+    await this.showDayOf(time);
+    await this.navigateToChannel(channel);
+    return this.navigateToTime(time);
+  }
+}
+
+export default TvGuidePage;
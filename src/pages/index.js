@@ -5,3 +5,7 @@
 export { BasePage } from './BasePage.js';
 export { HomeScreenPage } from './HomeScreenPage.js';
 export { SearchPage } from './SearchPage.js';
+export { ChannelsPage } from './ChannelsPage.js';
+export { TvGuidePage } from './TvGuidePage.js';
+export { AppsPage } from './AppsPage.js';
+export { AppDetailsPage } from './AppDetailsPage.js';
@@ -0,0 +1,142 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Navigation Timeline Reporter - Navigation failures of a whole run in one file.
+ *
+ * Reads the navigation-timeline.json attachment of every test (see navigationTimeline.js) and,
+ * when the run ends, writes every navigation failure with the test, project and screen it
+ * happened on, counted by reason and screen. CI jobs can parse the file instead of searching
+ * logs for "[Navigation]" warnings.
+ *
+ * Usage in playwright.config.js:
+ *   reporter: [['./src/reporters/navigationTimelineReporter.js', { outputFile: 'nav.json' }]]
+ */
+
+/** Name of the attachment the navigationTimeline fixture writes */
+const TIMELINE_ATTACHMENT = 'navigation-timeline.json';
+
+/**
+ * @typedef {Object} NavigationFailureEntry
+ * @property {string} test - Test title path, e.g. "rail.spec.js › Rail Tests › should ..."
+ * @property {string} location - file:line of the test
+ * @property {string} project - Playwright project name
+ * @property {string} status - Test status, e.g. 'passed' or 'failed'
+ * @property {number} retry - Retry the failure happened on, from 0
+ * @property {string} context - What was being attempted
+ * @property {string} target - What could not be focused
+ * @property {string|null} lastFocused - Element focused when the navigation gave up
+ * @property {string|null} reason - One of NAVIGATION_FAILURES
+ * @property {string} screen - Screen the navigation was on
+ * @property {string} url - Page URL when it gave up
+ */
+
+/**
+ * Count entries by a property.
+ * @param {NavigationFailureEntry[]} entries
+ * @param {keyof NavigationFailureEntry} key
+ * @returns {Record<string, number>}
+ */
+function countBy(entries, key) {
+  const counts = {};
+  for (const entry of entries) {
+    const value = String(entry[key] ?? 'unknown');
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * NavigationTimelineReporter - Playwright reporter writing navigation-failures.json.
+ * @implements {import('@playwright/test/reporter').Reporter}
+ */
+export class NavigationTimelineReporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.outputFile='test-results/navigation-failures.json'] - Summary file, relative to the config directory
+   */
+  constructor({ outputFile = 'test-results/navigation-failures.json' } = {}) {
+    this.outputFile = outputFile;
+    this.rootDir = process.cwd();
+    this.timelines = 0;
+    /** @type {NavigationFailureEntry[]} */
+    this.entries = [];
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  /**
+   * @param {import('@playwright/test/reporter').FullConfig} config
+   */
+  onBegin(config) {
+    this.rootDir = config.configFile ? path.dirname(config.configFile) : config.rootDir;
+  }
+
+  /**
+   * Collect the navigation failures of a finished test.
+   * @param {import('@playwright/test/reporter').TestCase} test
+   * @param {import('@playwright/test/reporter').TestResult} result
+   */
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find((a) => a.name === TIMELINE_ATTACHMENT);
+    if (!attachment) {
+      return;
+    }
+    let timeline;
+    try {
+      timeline = JSON.parse(
+        attachment.body ? attachment.body.toString('utf8') : readFileSync(attachment.path, 'utf8')
+      );
+    } catch {
+      return;
+    }
+
+    this.timelines++;
+    const file = path.relative(this.rootDir, test.location.file);
+    for (const failure of timeline.failures || []) {
+      this.entries.push({
+        test: test.titlePath().filter(Boolean).join(' › '),
+        location: `${file}:${test.location.line}`,
+        project: test.parent.project()?.name || '',
+        status: result.status,
+        retry: result.retry,
+        context: failure.context,
+        target: failure.target,
+        lastFocused: failure.lastFocused,
+        reason: failure.reason,
+        screen: failure.screen,
+        url: failure.url,
+      });
+    }
+  }
+
+  /**
+   * Write the summary.
+   * @param {import('@playwright/test/reporter').FullResult} result
+   */
+  onEnd(result) {
+    const file = path.resolve(this.rootDir, this.outputFile);
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(
+      file,
+      JSON.stringify(
+        {
+          status: result.status,
+          startTime: result.startTime.toISOString(),
+          duration: result.duration,
+          testsWithTimeline: this.timelines,
+          failures: this.entries.length,
+          byReason: countBy(this.entries, 'reason'),
+          byScreen: countBy(this.entries, 'screen'),
+          entries: this.entries,
+        },
+        null,
+        2
+      )
+    );
+  }
+}
+
+export default NavigationTimelineReporter;
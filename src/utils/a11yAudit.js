@@ -0,0 +1,399 @@
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { expect } from '@playwright/test';
+import { FocusGraphCrawler } from './focusGraph.js';
+
+/**
+ * Accessibility Audit - Walks a TV screen with the remote and checks what a screen reader
+ * user gets from every element that can take focus.
+ *
+ * The screen is crawled like a focus graph (every direction from every focusable element).
+ * Each focused element must have an accessible name and an interactive ARIA role inside the
+ * container that role requires (a menuitem in a menu or menubar, a gridcell in a row, ...),
+ * and each move must go the way the key points on screen. The screen's aria snapshot is
+ * compared against a stored baseline as well.
+ *
+ * Violations are attached to the report per screen. Known violations can be accepted in a
+ * per-screen baseline (<screen>.a11y.json next to the aria snapshots); only violations
+ * missing from it fail the test. Baselines are rewritten with --update-snapshots.
+ */
+
+/**
+ * Roles a focusable element may have, and the container roles each must sit in (null: any).
+ */
+export const FOCUSABLE_ROLES = {
+  button: null,
+  link: null,
+  checkbox: null,
+  radio: ['radiogroup'],
+  switch: null,
+  textbox: null,
+  searchbox: null,
+  combobox: null,
+  slider: null,
+  spinbutton: null,
+  menuitem: ['menu', 'menubar', 'group'],
+  menuitemcheckbox: ['menu', 'menubar', 'group'],
+  menuitemradio: ['menu', 'menubar', 'group'],
+  option: ['listbox', 'group'],
+  tab: ['tablist'],
+  treeitem: ['tree', 'group'],
+  row: ['grid', 'treegrid', 'table', 'rowgroup'],
+  gridcell: ['row'],
+  listitem: ['list', 'group'],
+};
+
+/**
+ * @typedef {Object} A11yViolation
+ * @property {'missing-name'|'invalid-role'|'role-context'|'focus-order'} rule - Check that failed
+ * @property {string} element - Focus graph id of the element, or "from KEY to" for focus-order
+ * @property {string} detail - What was found
+ */
+
+/**
+ * @typedef {Object} A11yScreenReport
+ * @property {string} screen - Screen name
+ * @property {string} url - Page URL when the audit started
+ * @property {number} elements - Focusable elements audited
+ * @property {number} moves - Focus moves checked against the visual order
+ * @property {A11yViolation[]} violations - Every violation found
+ * @property {A11yViolation[]} newViolations - Violations missing from the baseline
+ * @property {A11yViolation[]} fixed - Baseline violations that no longer occur
+ */
+
+/**
+ * Inspect the focused element, and the move that focused it. Runs inside the browser, so it
+ * must stay self-contained.
+ * @param {{selector: string, roles: Record<string, string[]|null>, previous: Element|null, key: string|null}} args
+ * @returns {{role: string|null, name: string, problems: Array<{rule: string, detail: string}>, order: string|null}|null}
+ */
+function inspectFocus({ selector, roles, previous, key }) {
+  const marked = Array.from(document.querySelectorAll(selector));
+  const el = marked
+    .filter((candidate) => !marked.some((o) => o !== candidate && candidate.contains(o)))
+    .pop();
+  if (!el) {
+    return null;
+  }
+
+  const implicitRoles = { BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox' };
+  const implicitRole = (node) =>
+    implicitRoles[node.tagName] ||
+    (node.tagName === 'A' && node.hasAttribute('href') ? 'link' : null) ||
+    (node.tagName === 'INPUT'
+      ? { checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox' }[node.type] ||
+        'textbox'
+      : null);
+  const roleOf = (node) =>
+    (node.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(node);
+
+  const text = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelledBy = (el.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map((id) => document.getElementById(id))
+    .filter(Boolean)
+    .map(text)
+    .join(' ');
+  const labels = 'labels' in el && el.labels ? Array.from(el.labels).map(text).join(' ') : '';
+  const name = (
+    labelledBy ||
+    el.getAttribute('aria-label') ||
+    labels ||
+    el.getAttribute('alt') ||
+    (el.tagName === 'INPUT' ? '' : text(el)) ||
+    el.getAttribute('title') ||
+    el.getAttribute('placeholder') ||
+    ''
+  ).trim();
+
+  const problems = [];
+  const role = roleOf(el);
+  if (!name) {
+    problems.push({
+      rule: 'missing-name',
+      detail: `<${el.tagName.toLowerCase()}> has no accessible name`,
+    });
+  }
+  if (!role) {
+    problems.push({ rule: 'invalid-role', detail: 'no role' });
+  } else if (!(role in roles)) {
+    problems.push({ rule: 'invalid-role', detail: `role "${role}" cannot take focus` });
+  } else if (roles[role]) {
+    let container = el.parentElement;
+    while (container && !container.getAttribute('role')) {
+      container = container.parentElement;
+    }
+    const containerRole = container ? roleOf(container) : null;
+    if (!roles[role].includes(containerRole)) {
+      problems.push({
+        rule: 'role-context',
+        detail: `role "${role}" is inside ${containerRole ? `role "${containerRole}"` : 'no role'}, expected ${roles[role].join(' or ')}`,
+      });
+    }
+  }
+
+  // Both elements are measured now, so scrolling caused by the move does not matter
+  let order = null;
+  if (previous && key && previous.isConnected && previous !== el) {
+    const from = previous.getBoundingClientRect();
+    const to = el.getBoundingClientRect();
+    const dx = to.x + to.width / 2 - (from.x + from.width / 2);
+    const dy = to.y + to.height / 2 - (from.y + from.height / 2);
+    const expected = { UP: dy < 0, DOWN: dy > 0, LEFT: dx < 0, RIGHT: dx > 0 }[key];
+    if (!expected) {
+      order = `${key} moved focus ${Math.round(dx)}px across and ${Math.round(dy)}px down`;
+    }
+  }
+
+  return { role, name, problems, order };
+}
+
+/**
+ * Focus graph crawler that inspects every element it focuses and every move it makes.
+ * @private
+ */
+class AuditCrawler extends FocusGraphCrawler {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} options - FocusGraphCrawler options
+   * @param {(key: string|null, fromId: string|null, node: {id: string}, inspection: ReturnType<typeof inspectFocus>) => void} onFocus
+   */
+  constructor(page, options, onFocus) {
+    super(page, options);
+    this.onFocus = onFocus;
+  }
+
+  /**
+   * Inspect the focused element without moving focus.
+   * @returns {Promise<void>}
+   */
+  async inspectCurrent() {
+    const node = await this.currentNode();
+    if (node) {
+      this.onFocus(null, null, node, await this.inspect(null, null));
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} fromId
+   */
+  async press(key, fromId) {
+    const previous = await this.page.evaluateHandle((selector) => {
+      const marked = Array.from(document.querySelectorAll(selector));
+      return marked.filter((el) => !marked.some((o) => o !== el && el.contains(o))).pop() || null;
+    }, this.focusSelector);
+    try {
+      const next = await super.press(key, fromId);
+      if (next && next.id !== fromId) {
+        this.onFocus(key, fromId, next, await this.inspect(previous, key));
+      }
+      return next;
+    } finally {
+      await previous.dispose();
+    }
+  }
+
+  /**
+   * @param {import('@playwright/test').JSHandle|null} previous
+   * @param {string|null} key
+   */
+  async inspect(previous, key) {
+    return this.page.evaluate(inspectFocus, {
+      selector: this.focusSelector,
+      roles: FOCUSABLE_ROLES,
+      previous: /** @type {any} */ (previous),
+      key,
+    });
+  }
+}
+
+/**
+ * Stable key of a violation, used to match it against the baseline.
+ * @param {A11yViolation} violation
+ * @returns {string}
+ */
+function violationKey(violation) {
+  return `${violation.rule}: ${violation.element}`;
+}
+
+/**
+ * AccessibilityAudit - Audits the screens of one page for a test.
+ */
+export class AccessibilityAudit {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {import('@playwright/test').TestInfo} testInfo - Test the reports and baselines belong to
+   * @param {Object} [options]
+   * @param {import('./remoteControl.js').RemoteControl} [options.remote] - Remote used to walk the screens
+   * @param {number} [options.maxPresses] - Key press budget per screen
+   */
+  constructor(page, testInfo, options = {}) {
+    this.page = page;
+    this.testInfo = testInfo;
+    this.remote = options.remote;
+    this.maxPresses = options.maxPresses;
+
+    /** @type {A11yScreenReport[]} */
+    this.reports = [];
+  }
+
+  /**
+   * Walk the current screen with the remote, check its focusable elements, focus order and
+   * aria snapshot, and attach the report as a11y-<screen>.json.
+   * @param {string} screen - Screen name, used for the report and baselines
+   * @param {Object} [options]
+   * @param {() => Promise<void>} [options.reset] - Brings the screen back to its start state
+   * @param {import('@playwright/test').Locator} [options.root] - Part of the page the aria snapshot covers; defaults to the body
+   * @param {boolean} [options.ariaSnapshot=true] - Compare the aria snapshot against <screen>.aria.yml
+   * @returns {Promise<A11yScreenReport>}
+   * @throws {Error} If nothing on the screen is focused
+   */
+  async auditScreen(screen, { reset, root = this.page.locator('body'), ariaSnapshot = true } = {}) {
+    const url = this.page.url();
+    /** @type {Map<string, A11yViolation>} */
+    const violations = new Map();
+    const elements = new Set();
+    let moves = 0;
+
+    const add = (violation) => violations.set(violationKey(violation), violation);
+    const crawler = new AuditCrawler(
+      this.page,
+      { remote: this.remote, maxPresses: this.maxPresses },
+      (key, fromId, node, inspection) => {
+        if (!inspection) {
+          return;
+        }
+        if (!elements.has(node.id)) {
+          elements.add(node.id);
+          inspection.problems.forEach((problem) =>
+            add({
+              rule: /** @type {any} */ (problem.rule),
+              element: node.id,
+              detail: problem.detail,
+            })
+          );
+        }
+        if (key) {
+          moves++;
+          if (inspection.order) {
+            add({
+              rule: 'focus-order',
+              element: `${fromId} ${key} ${node.id}`,
+              detail: inspection.order,
+            });
+          }
+        }
+      }
+    );
+
+    // Snapshot the screen in its start state, before the crawl scrolls or re-renders parts of it
+    if (ariaSnapshot) {
+      await expect
+        .soft(root, `aria snapshot of screen "${screen}"`)
+        .toMatchAriaSnapshot({ name: `${screen}.aria.yml` });
+    }
+
+    await crawler.inspectCurrent();
+    await crawler.crawl(screen, { reset });
+
+    const found = Array.from(violations.values());
+    const baseline = await this.readBaseline(screen);
+    const current = new Set(found.map(violationKey));
+
+    /** @type {A11yScreenReport} */
+    const report = {
+      screen,
+      url,
+      elements: elements.size,
+      moves,
+      violations: found,
+      newViolations: found.filter((violation) => !baseline.has(violationKey(violation))),
+      fixed: Array.from(baseline)
+        .filter((key) => !current.has(key))
+        .map((key) => {
+          const [rule, ...element] = key.split(': ');
+          return { rule: /** @type {any} */ (rule), element: element.join(': '), detail: 'fixed' };
+        }),
+    };
+    this.reports.push(report);
+
+    await attachA11yReport(this.testInfo, report);
+    if (['all', 'changed'].includes(this.testInfo.config.updateSnapshots)) {
+      await this.writeBaseline(screen, found);
+    } else if (report.fixed.length > 0) {
+      this.testInfo.annotations.push({
+        type: 'a11y-baseline',
+        description: `${report.fixed.length} baseline violation(s) on "${screen}" no longer occur; run npm run test:a11y:update to drop them`,
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Fail the test if a screen has violations that are not in its baseline.
+   * @param {A11yScreenReport} report - Report returned by auditScreen()
+   */
+  expectNoNewViolations(report) {
+    expect(
+      report.newViolations.map((violation) => `${violationKey(violation)} (${violation.detail})`),
+      `new accessibility violations on screen "${report.screen}"`
+    ).toEqual([]);
+  }
+
+  /**
+   * Path of a screen's baseline of accepted violations.
+   * @param {string} screen
+   * @returns {string}
+   */
+  baselinePath(screen) {
+    return this.testInfo.snapshotPath(`${screen}.a11y.json`);
+  }
+
+  /**
+   * Accepted violations of a screen; none if it has no baseline yet.
+   * @param {string} screen
+   * @returns {Promise<Set<string>>} Violation keys
+   * @private
+   */
+  async readBaseline(screen) {
+    const file = this.baselinePath(screen);
+    if (!existsSync(file)) {
+      return new Set();
+    }
+    const accepted = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(accepted)) {
+      throw new Error(
+        `"${file}" is not an accessibility baseline: expected an array of violations`
+      );
+    }
+    return new Set(accepted);
+  }
+
+  /**
+   * Accept a screen's current violations.
+   * @param {string} screen
+   * @param {A11yViolation[]} violations
+   * @private
+   */
+  async writeBaseline(screen, violations) {
+    const file = this.baselinePath(screen);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, `${JSON.stringify(violations.map(violationKey).sort(), null, 2)}\n`);
+  }
+}
+
+/**
+ * Attach a screen's accessibility report to the test report as a11y-<screen>.json.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {A11yScreenReport} report - Report to attach
+ */
+export async function attachA11yReport(testInfo, report) {
+  await testInfo.attach(`a11y-${report.screen}.json`, {
+    body: JSON.stringify(report, null, 2),
+    contentType: 'application/json',
+  });
+}
+
+export default AccessibilityAudit;
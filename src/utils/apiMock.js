@@ -0,0 +1,304 @@
+import { existsSync } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import { env } from '../../config/env.js';
+import { getProfile } from '../../config/profiles.js';
+
+/**
+ * API Mock - Recorded backend traffic and targeted overrides for the TV app's API.
+ *
+ * Search results, rails and favourites all come from /api/* calls, so assertions on them
+ * break whenever the content changes. An ApiMock records a scenario's API traffic to a HAR
+ * file once (`npm run test:update-har`) and replays it with routeFromHAR afterwards, so the
+ * app sees exactly the recorded content. Requests missing from the recording are aborted
+ * rather than sent to the live backend, so a replayed test never depends on it.
+ *
+ * Overrides change single endpoints on top of the recording (or of the live backend without
+ * one): an empty genre, a slow catalogue, a 500 from favourites. Every override that fires
+ * is recorded, like stream faults.
+ *
+ * Recordings live in HAR_DIR/<environment profile>/<scenario>.har: they hold absolute URLs,
+ * so they only replay against the environment they were recorded on.
+ */
+
+/** Requests an ApiMock routes */
+const API_URL = '**/api/**';
+
+/**
+ * How a scenario's recording is used.
+ * - replay: answer API requests from the recording; fail if there is none
+ * - update: send API requests to the backend and (re)write the recording from the responses
+ */
+export const HAR_MODES = ['replay', 'update'];
+
+/**
+ * @typedef {Object} ApiOverride
+ * @property {string} [name] - Label in the fired overrides, e.g. 'empty Action genre'
+ * @property {string|RegExp} endpoint - API path after /api: a string matches it exactly, e.g. '/favourites'
+ * @property {string} [method] - Only requests with this HTTP method
+ * @property {Record<string, string>} [params] - Only requests with these query parameters
+ * @property {number} [delay] - Hold the request for this many ms first
+ * @property {number} [status] - Answer with this HTTP status (200 if only a body is given)
+ * @property {Object|((url: URL) => Object)} [body] - Answer with this JSON, or the JSON a function makes of the request URL
+ */
+
+/**
+ * @typedef {Object} FiredOverride
+ * @property {number} override - Index of the override that fired (in the order they were added)
+ * @property {string} name - Its name, or its endpoint
+ * @property {string} method - Request method
+ * @property {string} url - Request URL
+ * @property {number|null} status - Status it answered with; null if the request went on after a delay
+ * @property {number} time - ms after the override was added
+ */
+
+/**
+ * Ready-made overrides for common backend conditions.
+ */
+export const API_OVERRIDES = {
+  /**
+   * The search API has no results for a genre.
+   * @param {string} genre - Genre, e.g. 'Action'
+   * @returns {ApiOverride}
+   */
+  emptyGenre: (genre) => ({
+    name: `empty ${genre} genre`,
+    endpoint: '/search',
+    params: { genre },
+    body: (url) => ({ genre, type: url.searchParams.get('type'), query: '', results: [] }),
+  }),
+
+  /**
+   * The catalogue (home, apps and screen rails) responds slowly.
+   * @param {number} [ms=3000] - Delay of every catalogue response
+   * @returns {ApiOverride}
+   */
+  slowCatalogue: (ms = 3000) => ({
+    name: `slow catalogue (${ms}ms)`,
+    endpoint: /^\/(home|apps|screens)(\/|$)/,
+    delay: ms,
+  }),
+
+  /**
+   * The favourites endpoint fails.
+   * @param {number} [status=500] - HTTP status
+   * @param {string} [method] - Only GET or PUT; both by default
+   * @returns {ApiOverride}
+   */
+  favouritesError: (status = 500, method) => ({
+    name: `favourites ${status}`,
+    endpoint: '/favourites',
+    method,
+    status,
+    body: { error: `Favourites failed with ${status}` },
+  }),
+};
+
+/**
+ * API mocks per browser context, so the context fixture and the test share one.
+ * @type {WeakMap<object, ApiMock>}
+ */
+const mocks = new WeakMap();
+
+/**
+ * ApiMock - HAR record/replay and overrides for the /api/* requests of a browser context.
+ */
+export class ApiMock {
+  /**
+   * Get the API mock of a browser context, creating it on first use.
+   * Creating it routes nothing; only replaying, recording or overriding does.
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {ApiMock}
+   */
+  static forContext(context) {
+    if (!mocks.has(context)) {
+      mocks.set(context, new ApiMock(context));
+    }
+    return /** @type {ApiMock} */ (mocks.get(context));
+  }
+
+  /**
+   * Use ApiMock.forContext() instead; a context has one API mock.
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @private
+   */
+  constructor(context) {
+    this.context = context;
+    /** @type {{scenario: string, mode: string, file: string}|null} */
+    this.har = null;
+    /** @type {Array<ApiOverride & {addedAt: number, removed: boolean}>} */
+    this.overrides = [];
+    /** @type {FiredOverride[]} */
+    this.fired = [];
+    this.routed = false;
+    this.handler = (route) => this.handle(route);
+  }
+
+  /**
+   * Path of a scenario's recording.
+   * @param {string} scenario - Scenario name, e.g. 'search-action'
+   * @param {string} [dir] - Recordings directory; defaults to HAR_DIR/<environment profile>
+   * @returns {string}
+   */
+  static harPath(scenario, dir = path.join(env.HAR_DIR, getProfile().name)) {
+    return path.join(dir, `${scenario}.har`);
+  }
+
+  /**
+   * Replay a scenario's API traffic, or record it. Call it before the app makes the requests,
+   * i.e. before the page loads. A recording is written when the context closes.
+   * @param {string} scenario - Scenario name, e.g. 'search-action'
+   * @param {Object} [options]
+   * @param {'replay'|'update'} [options.mode='replay'] - Replay the recording, or (re)record it
+   * @param {string} [options.dir] - Recordings directory; defaults to HAR_DIR/<environment profile>
+   * @returns {Promise<string>} Path of the recording
+   * @throws {Error} If the mode is unknown, or there is no recording to replay
+   */
+  async useHar(scenario, { mode = 'replay', dir } = {}) {
+    if (!HAR_MODES.includes(mode)) {
+      throw new Error(`Unknown HAR mode "${mode}". Use one of: ${HAR_MODES.join(', ')}`);
+    }
+    const file = ApiMock.harPath(scenario, dir);
+
+    if (mode === 'update') {
+      await mkdir(path.dirname(file), { recursive: true });
+      await this.context.routeFromHAR(file, {
+        url: API_URL,
+        update: true,
+        updateContent: 'embed',
+        updateMode: 'minimal',
+      });
+    } else {
+      if (!existsSync(file)) {
+        throw new Error(
+          `No API recording for scenario "${scenario}" at ${file}. ` +
+            'Record it with `npm run test:update-har -- <spec file>`'
+        );
+      }
+      await this.context.routeFromHAR(file, { url: API_URL, notFound: 'abort' });
+    }
+    this.har = { scenario, mode, file };
+
+    // Routes registered last are consulted first: keep the overrides in front of the recording
+    if (this.routed) {
+      await this.context.unroute(API_URL, this.handler);
+      await this.context.route(API_URL, this.handler);
+    }
+    return file;
+  }
+
+  /**
+   * Override endpoints. Overrides apply to requests made from now on, the first one added
+   * winning when several match; requests no override matches go on unchanged.
+   * @param {...ApiOverride} overrides
+   * @returns {Promise<number[]>} Indexes of the added overrides, as reported in fired overrides
+   * @throws {Error} If an override has no endpoint, or does nothing
+   */
+  async override(...overrides) {
+    for (const override of overrides) {
+      if (!override.endpoint) {
+        throw new Error('An API override needs the endpoint it applies to, e.g. "/search"');
+      }
+      if (override.delay === undefined && override.status === undefined && !override.body) {
+        throw new Error(
+          `The API override of ${override.endpoint} needs a delay, a status or a body`
+        );
+      }
+    }
+    if (!this.routed) {
+      await this.context.route(API_URL, this.handler);
+      this.routed = true;
+    }
+    return overrides.map((override) => {
+      this.overrides.push({ ...override, addedAt: Date.now(), removed: false });
+      return this.overrides.length - 1;
+    });
+  }
+
+  /**
+   * Remove every override. Overrides fired so far stay recorded.
+   */
+  clearOverrides() {
+    this.overrides.forEach((override) => {
+      override.removed = true;
+    });
+  }
+
+  /**
+   * Overrides fired so far, optionally only those of one override.
+   * @param {number} [override] - Override index returned by override()
+   * @returns {FiredOverride[]}
+   */
+  getFired(override) {
+    return override === undefined
+      ? [...this.fired]
+      : this.fired.filter((f) => f.override === override);
+  }
+
+  /**
+   * Apply the first matching override to an API request, or let it go on.
+   * @param {import('@playwright/test').Route} route
+   * @private
+   */
+  async handle(route) {
+    const request = route.request();
+    const url = new URL(request.url());
+    const endpoint = url.pathname.replace(/^\/api/, '');
+    const index = this.overrides.findIndex(
+      (override) =>
+        !override.removed &&
+        (typeof override.endpoint === 'string'
+          ? override.endpoint === endpoint
+          : override.endpoint.test(endpoint)) &&
+        (!override.method || override.method === request.method()) &&
+        Object.entries(override.params || {}).every(
+          ([name, value]) => url.searchParams.get(name) === value
+        )
+    );
+    if (index === -1) {
+      await route.fallback();
+      return;
+    }
+
+    const override = this.overrides[index];
+    const answers = override.status !== undefined || override.body !== undefined;
+    this.fired.push({
+      override: index,
+      name: override.name || String(override.endpoint),
+      method: request.method(),
+      url: request.url(),
+      status: answers ? (override.status ?? 200) : null,
+      time: Date.now() - override.addedAt,
+    });
+
+    if (override.delay) {
+      await delay(override.delay);
+    }
+    if (!answers) {
+      await route.fallback();
+      return;
+    }
+    const body = typeof override.body === 'function' ? override.body(url) : override.body;
+    await route.fulfill({
+      status: override.status ?? 200,
+      contentType: 'application/json',
+      body: JSON.stringify(body ?? {}),
+    });
+  }
+}
+
+/**
+ * Attach the overrides an API mock fired, and the recording it used, to the test report.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {ApiMock} mock - API mock to report on
+ * @param {string} [name='api-mock'] - Attachment name
+ */
+export async function attachApiMock(testInfo, mock, name = 'api-mock') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify({ har: mock.har, fired: mock.getFired() }, null, 2),
+    contentType: 'application/json',
+  });
+}
+
+export default ApiMock;
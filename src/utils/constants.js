@@ -17,6 +17,9 @@ export const TIMEOUTS = {
   /** Timeout for network idle state */
   NETWORK_IDLE: 5000,
 
+  /** Timeout for a backend API response, e.g. search results */
+  API_RESPONSE: 5000,
+
   /** Duration to hold a button for long press actions */
   LONG_PRESS_DURATION: 1500,
 
@@ -26,22 +29,28 @@ export const TIMEOUTS = {
   /** Timeout for polling operations */
   POLLING: 1000,
 
-  /** Delay between key presses for realistic simulation */
-  KEY_PRESS_DELAY: 100,
+  /** Quiet period after a key press before the focus tracker reports that focus did not move */
+  FOCUS_SETTLE: 250,
+
+  /** Time a held remote button waits before it starts auto-repeating */
+  KEY_REPEAT_DELAY: 500,
 
-  /** Polling interval for checking state changes */
-  POLLING_INTERVAL: 50,
+  /** Interval between auto-repeat keydowns of a held remote button (10 per second) */
+  KEY_REPEAT_INTERVAL: 100,
 
   /** Timeout for waiting for loading states to complete */
   LOADING_COMPLETE: 30000,
+
+  /** Test timeout for crawling the focus graph of a whole screen */
+  FOCUS_GRAPH_CRAWL: 180000,
 };
 
 /**
  * Navigation limits to prevent infinite loops.
  */
 export const NAVIGATION_LIMITS = {
-  /** Maximum steps when navigating through menu items */
-  MAX_MENU_STEPS: 10,
+  /** Maximum steps when navigating to a menu item from anywhere on the screen */
+  MAX_MENU_STEPS: 20,
 
   /** Maximum steps when navigating through a rail/list */
   MAX_RAIL_STEPS: 50,
@@ -60,6 +69,49 @@ export const NAVIGATION_LIMITS = {
 
   /** Maximum down presses when looking for a rail */
   MAX_DOWN_STEPS: 15,
+
+  /** Maximum key presses a focus-graph crawl may spend on one screen */
+  MAX_CRAWL_PRESSES: 400,
+
+  /** Maximum key presses when navigating to a target with FocusNavigator */
+  MAX_NAVIGATE_STEPS: 60,
+
+  /** Maximum unexpected hops FocusNavigator re-plans around before giving up */
+  MAX_REPLANS: 5,
+};
+
+/**
+ * Video quality-of-experience thresholds for channel playback.
+ * A test checking QoE fails when a metric exceeds its threshold.
+ */
+export const QOE_THRESHOLDS = {
+  /** Maximum time in ms from select to the first video frame */
+  MAX_STARTUP_TIME: 5000,
+
+  /** Maximum number of stalls after playback started */
+  MAX_REBUFFER_COUNT: 1,
+
+  /** Maximum total time in ms spent stalled */
+  MAX_REBUFFER_DURATION: 2000,
+
+  /** Maximum share of video frames dropped (0-1) */
+  MAX_DROPPED_FRAME_RATIO: 0.05,
+
+  /** Maximum number of bitrate (variant) switches */
+  MAX_BITRATE_SWITCHES: 3,
+};
+
+/**
+ * Key-to-paint latency budgets in ms, by screen name (see focusLatency.js).
+ * Screens without their own budget use `default`. A test measuring focus latency fails when
+ * a button's p50, p95 or max on a screen exceeds the screen's budget.
+ */
+export const FOCUS_LATENCY_BUDGETS = {
+  /** Budget of every screen not listed */
+  default: { p95: 200, max: 400 },
+
+  /** The guide has a full day of programmes per channel to lay out and scroll */
+  guide: { p95: 300, max: 600 },
 };
 
-export default { TIMEOUTS, NAVIGATION_LIMITS };
+export default { TIMEOUTS, NAVIGATION_LIMITS, QOE_THRESHOLDS, FOCUS_LATENCY_BUDGETS };
@@ -0,0 +1,437 @@
+import { RemoteControl } from './remoteControl.js';
+import { TIMEOUTS, NAVIGATION_LIMITS } from './constants.js';
+import { waitForFocusChange, describeFocusedElement } from './navigationHelpers.js';
+import { getFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus Graph - Records the navigation topology of a TV screen.
+ * Nodes are focusable elements, edges are the remote keys that move focus between them.
+ */
+
+/**
+ * Remote keys explored by the crawler, mapped to the RemoteControl method that sends them.
+ */
+export const DIRECTIONS = {
+  UP: 'moveUp',
+  DOWN: 'moveDown',
+  LEFT: 'moveLeft',
+  RIGHT: 'moveRight',
+};
+
+/** Number of times a crawl may reset the screen to reach unexplored elements */
+const MAX_CRAWL_RESETS = 3;
+
+/**
+ * Escape a label for use inside a quoted Mermaid or Graphviz string.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return value.replace(/"/g, '\\"');
+}
+
+/**
+ * FocusGraph - Serialisable directed graph of focus transitions on one screen.
+ */
+export class FocusGraph {
+  /**
+   * @param {string} screen - Name of the screen the graph describes
+   * @param {Record<string, unknown>} [meta={}] - Extra information stored with the graph (e.g. URL)
+   */
+  constructor(screen, meta = {}) {
+    this.screen = screen;
+    this.meta = meta;
+
+    /** @type {Map<string, {id: string, testId: string|null, label: string|null, role: string|null, scope: string|null, blocked: Set<string>}>} */
+    this.nodes = new Map();
+
+    /** @type {Map<string, {from: string, key: string, to: string, stable: boolean}>} */
+    this.edges = new Map();
+  }
+
+  /**
+   * Add a node for a focused element (no-op if it already exists).
+   * @param {{id: string, testId?: string|null, label?: string|null, role?: string|null, scope?: string|null}} descriptor
+   */
+  addNode(descriptor) {
+    if (!this.nodes.has(descriptor.id)) {
+      this.nodes.set(descriptor.id, {
+        id: descriptor.id,
+        testId: descriptor.testId ?? null,
+        label: descriptor.label ?? null,
+        role: descriptor.role ?? null,
+        scope: descriptor.scope ?? null,
+        blocked: new Set(),
+      });
+    }
+  }
+
+  /**
+   * Record that pressing a key on one node moved focus to another.
+   * An edge that has been observed going to different targets is marked unstable.
+   * @param {string} from - Source node id
+   * @param {string} key - Direction key (see DIRECTIONS)
+   * @param {string} to - Target node id
+   */
+  addEdge(from, key, to) {
+    const existing = this.getEdge(from, key);
+    const stable = !existing || (existing.stable && existing.to === to);
+    this.edges.set(`${from}\u0000${key}`, { from, key, to, stable });
+    const node = this.nodes.get(from);
+    if (node) {
+      node.blocked.delete(key);
+    }
+  }
+
+  /**
+   * Forget the edge leaving a node for a key.
+   * @param {string} from - Node id
+   * @param {string} key - Direction key
+   */
+  removeEdge(from, key) {
+    this.edges.delete(`${from}\u0000${key}`);
+  }
+
+  /**
+   * Record that pressing a key on a node did not move focus.
+   * @param {string} from - Node id
+   * @param {string} key - Direction key
+   */
+  markBlocked(from, key) {
+    const node = this.nodes.get(from);
+    if (node) {
+      node.blocked.add(key);
+    }
+  }
+
+  /**
+   * Get the edge leaving a node for a key.
+   * @param {string} from
+   * @param {string} key
+   * @returns {{from: string, key: string, to: string, stable: boolean}|undefined}
+   */
+  getEdge(from, key) {
+    return this.edges.get(`${from}\u0000${key}`);
+  }
+
+  /**
+   * Get all edges leaving a node.
+   * @param {string} from
+   * @returns {Array<{from: string, key: string, to: string, stable: boolean}>}
+   */
+  edgesFrom(from) {
+    return Array.from(this.edges.values()).filter((edge) => edge.from === from);
+  }
+
+  /**
+   * Find the shortest key sequence between two nodes (breadth-first search).
+   * @param {string} from - Start node id
+   * @param {string} to - Target node id
+   * @returns {Array<{from: string, key: string, to: string, stable: boolean}>|null} Edges to follow, or null if unreachable
+   */
+  shortestPath(from, to) {
+    if (from === to) {
+      return [];
+    }
+
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+      const id = /** @type {string} */ (queue.shift());
+      for (const edge of this.edgesFrom(id)) {
+        if (previous.has(edge.to)) {
+          continue;
+        }
+        previous.set(edge.to, edge);
+        if (edge.to === to) {
+          const path = [];
+          for (let step = edge; step; step = previous.get(step.from)) {
+            path.unshift(step);
+          }
+          return path;
+        }
+        queue.push(edge.to);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Serialise the graph to plain JSON.
+   * @returns {{screen: string, meta: Record<string, unknown>, nodes: object[], edges: object[]}}
+   */
+  toJSON() {
+    return {
+      screen: this.screen,
+      meta: this.meta,
+      nodes: Array.from(this.nodes.values()).map((node) => ({
+        ...node,
+        blocked: Array.from(node.blocked),
+      })),
+      edges: Array.from(this.edges.values()),
+    };
+  }
+
+  /**
+   * Restore a graph from its JSON form.
+   * @param {ReturnType<FocusGraph['toJSON']>} json
+   * @returns {FocusGraph}
+   */
+  static fromJSON(json) {
+    const graph = new FocusGraph(json.screen, json.meta);
+    for (const node of json.nodes) {
+      graph.addNode(node);
+      for (const key of node.blocked || []) {
+        graph.markBlocked(node.id, key);
+      }
+    }
+    for (const edge of json.edges) {
+      graph.edges.set(`${edge.from}\u0000${edge.key}`, { ...edge });
+    }
+    return graph;
+  }
+
+  /**
+   * Render the graph as a Mermaid flowchart.
+   * @returns {string}
+   */
+  toMermaid() {
+    const ids = new Map(Array.from(this.nodes.keys()).map((id, index) => [id, `n${index}`]));
+    const lines = ['flowchart LR'];
+    for (const [id, alias] of ids) {
+      lines.push(`  ${alias}["${id.replace(/"/g, '#quot;')}"]`);
+    }
+    for (const edge of this.edges.values()) {
+      const from = ids.get(edge.from);
+      const to = ids.get(edge.to);
+      lines.push(
+        edge.stable ? `  ${from} -- ${edge.key} --> ${to}` : `  ${from} -. ${edge.key} .-> ${to}`
+      );
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render the graph in Graphviz DOT format.
+   * @returns {string}
+   */
+  toDot() {
+    const lines = [
+      `digraph "${escapeLabel(this.screen)}" {`,
+      '  rankdir=LR;',
+      '  node [shape=box];',
+    ];
+    for (const id of this.nodes.keys()) {
+      lines.push(`  "${escapeLabel(id)}";`);
+    }
+    for (const edge of this.edges.values()) {
+      const style = edge.stable ? '' : ', style=dashed';
+      lines.push(
+        `  "${escapeLabel(edge.from)}" -> "${escapeLabel(edge.to)}" [label="${edge.key}"${style}];`
+      );
+    }
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * FocusGraphCrawler - Explores a screen with the remote and builds its FocusGraph.
+ *
+ * From every focused element the crawler presses each direction once, recording where
+ * focus lands. When the current element is fully explored it walks the known graph to
+ * the nearest element with untried directions; if none is reachable it calls the
+ * optional reset callback to bring the screen back to its start state.
+ */
+export class FocusGraphCrawler {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {string} [options.focusSelector] - Selector for focused elements; defaults to the active FocusStrategy's
+   * @param {number} [options.settleTimeout=TIMEOUTS.FOCUS_CHANGE] - How long to wait for focus to move
+   * @param {number} [options.maxPresses=NAVIGATION_LIMITS.MAX_CRAWL_PRESSES] - Key press budget per crawl
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.remote = options.remote || new RemoteControl(page);
+    this.focusSelector = options.focusSelector || getFocusStrategy().focusedSelector;
+    this.settleTimeout = options.settleTimeout ?? TIMEOUTS.FOCUS_CHANGE;
+    this.maxPresses = options.maxPresses ?? NAVIGATION_LIMITS.MAX_CRAWL_PRESSES;
+    this.presses = 0;
+  }
+
+  /**
+   * Describe the currently focused element.
+   * @returns {ReturnType<typeof describeFocusedElement>}
+   */
+  async currentNode() {
+    return describeFocusedElement(this.page, this.focusSelector);
+  }
+
+  /**
+   * Press a direction key and wait for focus to settle.
+   * The remote reports whether the press moved focus; only when the page did not report
+   * back in time is focus waited for explicitly.
+   * @param {string} key - Direction key (see DIRECTIONS)
+   * @param {string} fromId - Node id focused before the press
+   * @returns {Promise<Awaited<ReturnType<typeof describeFocusedElement>>>} The node focused afterwards
+   */
+  async press(key, fromId) {
+    const result = await this.remote[DIRECTIONS[key]]();
+    this.presses++;
+    if (!result) {
+      await waitForFocusChange(
+        this.page,
+        async () => (await this.currentNode())?.id ?? null,
+        fromId,
+        this.settleTimeout
+      );
+    }
+    return this.currentNode();
+  }
+
+  /**
+   * Crawl the current screen.
+   * @param {string} screen - Name stored on the resulting graph
+   * @param {Object} [options]
+   * @param {() => Promise<void>} [options.reset] - Brings the screen back to its start state
+   * @param {FocusGraph} [options.graph] - Existing graph to extend; known edges are not re-tried
+   * @param {(graph: FocusGraph) => boolean} [options.until] - Stop as soon as this returns true
+   * @returns {Promise<FocusGraph>}
+   * @throws {Error} If nothing on the screen is focused
+   */
+  async crawl(
+    screen,
+    { reset, graph = new FocusGraph(screen, { url: this.page.url() }), until } = {}
+  ) {
+    this.presses = 0;
+    /** @type {Map<string, string[]>} */
+    const untried = new Map();
+
+    const visit = (node) => {
+      graph.addNode(node);
+      if (!untried.has(node.id)) {
+        const known = /** @type {{blocked: Set<string>}} */ (graph.nodes.get(node.id));
+        untried.set(
+          node.id,
+          Object.keys(DIRECTIONS).filter(
+            (key) => !graph.getEdge(node.id, key) && !known.blocked.has(key)
+          )
+        );
+      }
+    };
+
+    let current = await this.currentNode();
+    if (!current) {
+      throw new Error(`[FocusGraphCrawler] Nothing is focused on screen "${screen}"`);
+    }
+    visit(current);
+
+    let resets = 0;
+    while (this.presses < this.maxPresses && !(until && until(graph))) {
+      const keys = /** @type {string[]} */ (untried.get(current.id));
+
+      if (keys.length === 0) {
+        const path = this.pathToUnexplored(graph, current.id, untried);
+        if (path) {
+          current = await this.follow(graph, path, current, visit);
+          continue;
+        }
+        const remaining = Array.from(untried.values()).some((pending) => pending.length > 0);
+        if (!remaining || !reset || resets >= MAX_CRAWL_RESETS) {
+          break;
+        }
+        resets++;
+        await reset();
+        current = await this.currentNode();
+        if (!current) {
+          break;
+        }
+        visit(current);
+        continue;
+      }
+
+      const key = /** @type {string} */ (keys.shift());
+      const next = await this.press(key, current.id);
+      if (!next || next.id === current.id) {
+        graph.markBlocked(current.id, key);
+        continue;
+      }
+      visit(next);
+      graph.addEdge(current.id, key, next.id);
+      current = next;
+    }
+
+    return graph;
+  }
+
+  /**
+   * Find the shortest known path to any node that still has untried directions.
+   * @param {FocusGraph} graph
+   * @param {string} from
+   * @param {Map<string, string[]>} untried
+   * @returns {Array<{from: string, key: string, to: string}>|null}
+   */
+  pathToUnexplored(graph, from, untried) {
+    let best = null;
+    for (const [id, keys] of untried) {
+      if (keys.length === 0) {
+        continue;
+      }
+      const path = graph.shortestPath(from, id);
+      if (path && (!best || path.length < best.length)) {
+        best = path;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Follow a path of known edges, stopping early if focus lands somewhere unexpected.
+   * Unexpected landings are recorded, which marks the edge as unstable; a key that no
+   * longer moves focus removes the edge.
+   * @param {FocusGraph} graph
+   * @param {Array<{from: string, key: string, to: string}>} path
+   * @param {{id: string}} current
+   * @param {(node: object) => void} visit
+   * @returns {Promise<any>} The node focused after following the path
+   */
+  async follow(graph, path, current, visit) {
+    for (const edge of path) {
+      const next = await this.press(edge.key, current.id);
+      if (!next) {
+        return current;
+      }
+      if (next.id === current.id) {
+        graph.removeEdge(current.id, edge.key);
+        graph.markBlocked(current.id, edge.key);
+        return current;
+      }
+      visit(next);
+      if (next.id !== edge.to) {
+        graph.addEdge(current.id, edge.key, next.id);
+        return next;
+      }
+      current = next;
+    }
+    return current;
+  }
+}
+
+/**
+ * Attach a focus graph to the test report as JSON, Mermaid and Graphviz files.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {FocusGraph} graph - Graph to attach
+ */
+export async function attachFocusGraph(testInfo, graph) {
+  const name = `focus-graph-${graph.screen}`;
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(graph.toJSON(), null, 2),
+    contentType: 'application/json',
+  });
+  await testInfo.attach(`${name}.mmd`, { body: graph.toMermaid(), contentType: 'text/plain' });
+  await testInfo.attach(`${name}.dot`, { body: graph.toDot(), contentType: 'text/plain' });
+}
+
+export default FocusGraph;
@@ -0,0 +1,470 @@
+import { FOCUS_LATENCY_BUDGETS } from './constants.js';
+import { getFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus Latency - Key-to-focus latency of remote key presses.
+ *
+ * A probe injected with `addInitScript` notes the time of every keydown, the moment the
+ * focused element changes (the `data-focused` attribute moving, or whatever the active
+ * FocusStrategy marks focus with) and when the first frame after that change is painted.
+ * While a page is being measured, RemoteControl collects one sample per press that moved
+ * focus, grouped by screen and button so p50/p95/max can be compared across runs.
+ *
+ * Budgets (FOCUS_LATENCY_BUDGETS, overridable per project) apply to the paint latency of
+ * every button on a screen. On Chromium the CPU can be throttled with throttleCpu() to
+ * approximate a low-end TV.
+ */
+
+/**
+ * Percentiles and maximum of a set of latencies, in ms.
+ * @typedef {Object} LatencyStats
+ * @property {number} p50
+ * @property {number} p95
+ * @property {number} max
+ */
+
+/**
+ * @typedef {Object} LatencySample
+ * @property {string} screen - Screen the key was pressed on
+ * @property {string} button - Logical button name, e.g. 'RIGHT'
+ * @property {string} url - Page URL when the key was pressed
+ * @property {string|null} from - Node id focused before the key
+ * @property {string|null} to - Node id the key focused
+ * @property {number} focus - ms from keydown to the focused element changing
+ * @property {number|null} paint - ms from keydown to the next painted frame; null if no frame was painted
+ */
+
+/**
+ * @typedef {Object} LatencyGroup
+ * @property {string} screen
+ * @property {string} button
+ * @property {number} presses - Presses that moved focus
+ * @property {LatencyStats} focus - Keydown to focus change
+ * @property {LatencyStats|null} paint - Keydown to paint; null if no press was painted
+ */
+
+/**
+ * Budget for the paint latency of every button on a screen; any statistic may be left out.
+ * @typedef {Partial<LatencyStats>} LatencyBudget
+ */
+
+/** Statistics a budget can limit */
+const BUDGET_STATS = ['p50', 'p95', 'max'];
+
+/** Longest time the probe waits for a frame to be painted */
+const PAINT_TIMEOUT = 1000;
+
+/**
+ * Budget overrides by screen, see FOCUS_LATENCY_BUDGETS.
+ * @type {Record<string, LatencyBudget>}
+ */
+let budgetOverrides = {};
+
+/**
+ * Latency measurements per page.
+ * @type {WeakMap<object, Promise<FocusLatency>>}
+ */
+const measurements = new WeakMap();
+
+/**
+ * Page-side probe. Runs inside the browser, so it must stay self-contained.
+ * @param {{selector: string, paintTimeout: number}} config
+ */
+function installLatencyProbe(config) {
+  if (window.__tvLatencyProbe || window.top !== window) {
+    return;
+  }
+
+  let press = null;
+  let focused = null;
+
+  const focusedElement = () => {
+    const marked = Array.from(document.querySelectorAll(config.selector));
+    const innermost = marked.filter(
+      (el) => !marked.some((other) => other !== el && el.contains(other))
+    );
+    return innermost.length > 0 ? innermost[innermost.length - 1] : document.activeElement;
+  };
+
+  const check = () => {
+    const el = focusedElement();
+    if (el === focused) {
+      return;
+    }
+    focused = el;
+    if (!press || press.focusAt !== null) {
+      return;
+    }
+    const sample = press;
+    sample.focusAt = performance.now();
+    // A task queued from the next animation frame runs once that frame has been painted
+    sample.painted = new Promise((resolve) => {
+      const timer = setTimeout(resolve, config.paintTimeout);
+      requestAnimationFrame(() =>
+        setTimeout(() => {
+          clearTimeout(timer);
+          sample.paintAt = performance.now();
+          resolve();
+        })
+      );
+    });
+  };
+
+  window.__tvLatencyProbe = {
+    take: async () => {
+      const sample = press;
+      press = null;
+      if (!sample || sample.focusAt === null) {
+        return null;
+      }
+      await sample.painted;
+      return {
+        focus: sample.focusAt - sample.keydownAt,
+        paint: sample.paintAt === null ? null : sample.paintAt - sample.keydownAt,
+      };
+    },
+  };
+
+  window.addEventListener(
+    'keydown',
+    (event) => {
+      focused = focusedElement();
+      press = { keydownAt: event.timeStamp, focusAt: null, paintAt: null, painted: null };
+    },
+    true
+  );
+
+  const start = () => {
+    new MutationObserver(check).observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-focused', 'class'],
+    });
+    document.addEventListener('focusin', check, true);
+    focused = focusedElement();
+  };
+
+  if (document.documentElement) {
+    start();
+  } else {
+    document.addEventListener('readystatechange', start, { once: true });
+  }
+}
+
+/**
+ * Name of the screen a URL shows: the first segment of its hash route, e.g. "search" for
+ * "#/search", or "home" without one.
+ * @param {string} url
+ * @returns {string}
+ */
+export function screenFromUrl(url) {
+  const route = new URL(url).hash.replace(/^#\/?/, '').split('/')[0];
+  return route || 'home';
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers.
+ * @param {number[]} values
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} 0 for an empty list
+ */
+export function percentile(values, p) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * p50, p95 and max of a list of latencies.
+ * @param {number[]} values
+ * @returns {LatencyStats}
+ * @private
+ */
+function statsOf(values) {
+  return {
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    max: percentile(values, 100),
+  };
+}
+
+/**
+ * Budgets in use: FOCUS_LATENCY_BUDGETS with the project's overrides applied. A screen
+ * without its own budget uses `default`.
+ * @returns {Record<string, LatencyBudget>}
+ */
+export function getFocusLatencyBudgets() {
+  const budgets = { ...FOCUS_LATENCY_BUDGETS };
+  for (const [screen, budget] of Object.entries(budgetOverrides)) {
+    budgets[screen] = { ...(budgets[screen] || budgets.default), ...budget };
+  }
+  return budgets;
+}
+
+/**
+ * Override focus latency budgets for everything running in this worker.
+ * @param {Record<string, LatencyBudget>} [overrides={}] - Budgets by screen name, or `default`
+ * @returns {Record<string, LatencyBudget>} The budgets now in use
+ * @throws {Error} If a budget limits an unknown statistic
+ */
+export function setFocusLatencyBudgets(overrides = {}) {
+  for (const [screen, budget] of Object.entries(overrides)) {
+    const unknown = Object.keys(budget).filter((stat) => !BUDGET_STATS.includes(stat));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown focus latency budget statistic(s) for "${screen}": ${unknown.join(', ')}. ` +
+          `Valid statistics: ${BUDGET_STATS.join(', ')}`
+      );
+    }
+  }
+  budgetOverrides = { ...overrides };
+  return getFocusLatencyBudgets();
+}
+
+/**
+ * Slow the page's CPU down through the Chrome DevTools Protocol, to approximate a low-end TV.
+ * @param {import('@playwright/test').Page} page - Playwright page instance
+ * @param {number} rate - Slowdown factor, e.g. 4 for a CPU four times slower; 1 turns it off
+ * @throws {Error} If the browser is not Chromium or the rate is below 1
+ */
+export async function throttleCpu(page, rate) {
+  if (!(rate >= 1)) {
+    throw new Error(`throttleCpu() expects a rate of at least 1, got ${rate}`);
+  }
+  const browserName = page.context().browser()?.browserType().name();
+  if (browserName !== 'chromium') {
+    throw new Error(`CPU throttling needs Chromium (CDP), not ${browserName || 'this browser'}`);
+  }
+  const session = await page.context().newCDPSession(page);
+  await session.send('Emulation.setCPUThrottlingRate', { rate });
+}
+
+/**
+ * FocusLatency - Latency samples of one page's remote key presses.
+ * Start measuring with `FocusLatency.forPage(page)`; from then on every RemoteControl press
+ * on the page that moves focus is sampled. Held buttons are not sampled.
+ */
+export class FocusLatency {
+  /**
+   * Get the latency measurement of a page, starting it on first use.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options] - Only used when the measurement is first started
+   * @param {(url: string) => string} [options.screenOf=screenFromUrl] - Names the screen a key was pressed on
+   * @param {number} [options.cpuThrottleRate=1] - CPU slowdown the page runs with, for the report
+   * @returns {Promise<FocusLatency>}
+   */
+  static forPage(page, options = {}) {
+    if (!measurements.has(page)) {
+      const latency = new FocusLatency(page, options);
+      const installed = latency.install().then(
+        () => latency,
+        (error) => {
+          measurements.delete(page);
+          throw error;
+        }
+      );
+      measurements.set(page, installed);
+    }
+    return /** @type {Promise<FocusLatency>} */ (measurements.get(page));
+  }
+
+  /**
+   * Latency measurement of a page, if one was started.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @returns {Promise<FocusLatency>|null}
+   */
+  static measuring(page) {
+    return measurements.get(page) || null;
+  }
+
+  /**
+   * Use FocusLatency.forPage() instead; a page can only be measured once.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {(url: string) => string} [options.screenOf]
+   * @param {number} [options.cpuThrottleRate]
+   * @private
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.screenOf = options.screenOf || screenFromUrl;
+    this.cpuThrottleRate = options.cpuThrottleRate ?? 1;
+    /** @type {LatencySample[]} */
+    this.samples = [];
+  }
+
+  /**
+   * Inject the probe into current and future documents.
+   * @private
+   */
+  async install() {
+    const script =
+      `(${installLatencyProbe.toString()})(` +
+      `${JSON.stringify({ selector: getFocusStrategy().focusedSelector, paintTimeout: PAINT_TIMEOUT })});`;
+    await this.page.addInitScript({ content: script });
+    await this.page.evaluate(script);
+  }
+
+  /**
+   * Collect the latency of the key press that just moved focus.
+   * Called by RemoteControl once the focus tracker has reported the press's outcome.
+   * @param {string} button - Logical button name
+   * @param {string} url - Page URL when the key was pressed
+   * @param {import('./remoteControl.js').KeyResult} result - Outcome of the press
+   * @returns {Promise<LatencySample|null>} The sample, or null if focus did not move
+   */
+  async record(button, url, result) {
+    if (!result || result.type !== 'focus') {
+      return null;
+    }
+    const measured = await this.page
+      .evaluate(() => window.__tvLatencyProbe?.take() ?? null)
+      .catch(() => null);
+    if (!measured) {
+      return null;
+    }
+    const round = (ms) => (ms === null ? null : Math.round(ms * 10) / 10);
+    const sample = {
+      screen: this.screenOf(url),
+      button,
+      url,
+      from: result.previous,
+      to: result.node ? result.node.id : null,
+      focus: round(measured.focus),
+      paint: round(measured.paint),
+    };
+    this.samples.push(sample);
+    return sample;
+  }
+
+  /**
+   * Samples grouped by screen and button, in the order they were first pressed.
+   * @returns {LatencyGroup[]}
+   */
+  getGroups() {
+    const groups = new Map();
+    for (const sample of this.samples) {
+      const key = `${sample.screen}\u0000${sample.button}`;
+      if (!groups.has(key)) {
+        groups.set(key, { screen: sample.screen, button: sample.button, samples: [] });
+      }
+      groups.get(key).samples.push(sample);
+    }
+    return [...groups.values()].map(({ screen, button, samples }) => {
+      const painted = samples.filter((sample) => sample.paint !== null);
+      return {
+        screen,
+        button,
+        presses: samples.length,
+        focus: statsOf(samples.map((sample) => sample.focus)),
+        paint: painted.length > 0 ? statsOf(painted.map((sample) => sample.paint)) : null,
+      };
+    });
+  }
+
+  /**
+   * Compare the paint latency of every screen and button with its screen's budget.
+   * @param {Record<string, LatencyBudget>} [budgets] - Budgets to apply on top of getFocusLatencyBudgets()
+   * @returns {string[]} One message per statistic over budget; empty if every screen is within
+   */
+  checkBudgets(budgets = {}) {
+    const limits = { ...getFocusLatencyBudgets(), ...budgets };
+    const violations = [];
+    for (const group of this.getGroups()) {
+      const budget = limits[group.screen] || limits.default || {};
+      for (const stat of BUDGET_STATS) {
+        const value = group.paint ? group.paint[stat] : null;
+        if (budget[stat] !== undefined && value !== null && value > budget[stat]) {
+          violations.push(
+            `${group.screen} ${group.button}: ${stat} ${value}ms exceeds ${budget[stat]}ms`
+          );
+        }
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Fail if any screen is over its latency budget.
+   * @param {Record<string, LatencyBudget>} [budgets] - See checkBudgets()
+   * @throws {Error} Listing every statistic over budget
+   */
+  expectWithinBudgets(budgets) {
+    const violations = this.checkBudgets(budgets);
+    if (violations.length > 0) {
+      throw new Error(
+        `Focus latency over budget (CPU throttle ${this.cpuThrottleRate}x):\n` +
+          violations.map((violation) => `  - ${violation}`).join('\n')
+      );
+    }
+  }
+
+  /**
+   * Summary table of the groups, one row per screen and button.
+   * @returns {string}
+   */
+  toTable() {
+    const stats = (s) => (s ? `${s.p50} / ${s.p95} / ${s.max}` : '-');
+    const violations = this.checkBudgets();
+    const rows = [
+      ['Screen', 'Button', 'Presses', 'Focus p50/p95/max ms', 'Paint p50/p95/max ms', 'Budget'],
+      ...this.getGroups().map((group) => [
+        group.screen,
+        group.button,
+        String(group.presses),
+        stats(group.focus),
+        stats(group.paint),
+        violations.some((v) => v.startsWith(`${group.screen} ${group.button}:`)) ? 'OVER' : 'ok',
+      ]),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    const line = (row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd();
+    return [
+      `Focus latency (CPU throttle ${this.cpuThrottleRate}x)`,
+      line(rows[0]),
+      widths.map((width) => '-'.repeat(width)).join('  '),
+      ...rows.slice(1).map(line),
+    ].join('\n');
+  }
+
+  /**
+   * Report as written to focus-latency.json.
+   * @returns {{cpuThrottleRate: number, budgets: Record<string, LatencyBudget>, groups: LatencyGroup[], violations: string[], samples: LatencySample[]}}
+   */
+  toJSON() {
+    return {
+      cpuThrottleRate: this.cpuThrottleRate,
+      budgets: getFocusLatencyBudgets(),
+      groups: this.getGroups(),
+      violations: this.checkBudgets(),
+      samples: [...this.samples],
+    };
+  }
+}
+
+/**
+ * Attach a page's focus latency to the test report: the full report as focus-latency.json and
+ * its summary table as focus-latency.txt.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {FocusLatency} latency - Measurement to attach
+ * @param {string} [name='focus-latency'] - Attachment name, without extension
+ */
+export async function attachFocusLatency(testInfo, latency, name = 'focus-latency') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(latency, null, 2),
+    contentType: 'application/json',
+  });
+  await testInfo.attach(`${name}.txt`, {
+    body: latency.toTable(),
+    contentType: 'text/plain',
+  });
+}
+
+export default FocusLatency;
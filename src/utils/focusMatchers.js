@@ -0,0 +1,97 @@
+import { expect as baseExpect } from '@playwright/test';
+import { getFocusStrategy, resolveFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus Matchers - `expect` matchers for TV focus states, defined by the active FocusStrategy.
+ *
+ * ```javascript
+ * await expect(homeItem).toBeTvFocused();
+ * await expect(deleteButton).toBeTvDisabled();
+ * await expect(actionGenre).not.toBeTvSelected();
+ * ```
+ *
+ * Like Playwright's own locator assertions they retry until the timeout.
+ */
+
+/**
+ * Assert that a locator is (or, with .not, is not) in a focus state.
+ * @param {import('@playwright/test').ExpectMatcherState} context - Matcher `this`
+ * @param {string} name - Matcher name
+ * @param {import('@playwright/test').Locator} locator - Element under test
+ * @param {import('./focusStrategy.js').FocusState} state - State to check
+ * @param {{timeout?: number, strategy?: string|import('./focusStrategy.js').FocusStrategy}} [options]
+ */
+async function assertFocusState(context, name, locator, state, options = {}) {
+  const strategy = options.strategy ? resolveFocusStrategy(options.strategy) : getFocusStrategy();
+  const matching = locator.and(locator.page().locator(strategy.selector(state)));
+
+  let pass;
+  try {
+    if (context.isNot) {
+      await baseExpect(matching).toHaveCount(0, { timeout: options.timeout });
+    } else {
+      await baseExpect(matching.first()).toBeAttached({ timeout: options.timeout });
+    }
+    pass = !context.isNot;
+  } catch {
+    pass = context.isNot;
+  }
+
+  const actual = pass === context.isNot ? await strategy.stateOf(locator).catch(() => null) : null;
+  const received = actual
+    ? Object.entries(actual)
+        .filter(([, value]) => value)
+        .map(([key]) => key)
+        .join(', ') || 'no focus state'
+    : 'element not found';
+
+  return {
+    pass,
+    name,
+    expected: state,
+    actual: received,
+    message: () =>
+      `${context.utils.matcherHint(name, locator.toString(), '', { isNot: context.isNot })}\n\n` +
+      `Expected: ${context.isNot ? 'not ' : ''}${state} (${strategy.name} strategy: ${strategy.selector(state)})\n` +
+      (pass === context.isNot ? `Received: ${received}` : ''),
+  };
+}
+
+/**
+ * Matchers to register with `expect.extend`.
+ */
+export const focusMatchers = {
+  /**
+   * The element is focused according to the active FocusStrategy.
+   * @param {import('@playwright/test').Locator} locator
+   * @param {{timeout?: number, strategy?: string|import('./focusStrategy.js').FocusStrategy}} [options]
+   */
+  async toBeTvFocused(locator, options) {
+    return assertFocusState(this, 'toBeTvFocused', locator, 'focused', options);
+  },
+
+  /**
+   * The element is disabled according to the active FocusStrategy.
+   * @param {import('@playwright/test').Locator} locator
+   * @param {{timeout?: number, strategy?: string|import('./focusStrategy.js').FocusStrategy}} [options]
+   */
+  async toBeTvDisabled(locator, options) {
+    return assertFocusState(this, 'toBeTvDisabled', locator, 'disabled', options);
+  },
+
+  /**
+   * The element is selected according to the active FocusStrategy.
+   * @param {import('@playwright/test').Locator} locator
+   * @param {{timeout?: number, strategy?: string|import('./focusStrategy.js').FocusStrategy}} [options]
+   */
+  async toBeTvSelected(locator, options) {
+    return assertFocusState(this, 'toBeTvSelected', locator, 'selected', options);
+  },
+};
+
+/**
+ * Playwright `expect` with the TV focus matchers registered.
+ */
+export const expect = baseExpect.extend(focusMatchers);
+
+export default expect;
@@ -0,0 +1,292 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { RemoteControl } from './remoteControl.js';
+import { NAVIGATION_LIMITS } from './constants.js';
+import { FocusGraph, FocusGraphCrawler } from './focusGraph.js';
+import { describeElement, logNavigationFailure } from './navigationHelpers.js';
+import { NAVIGATION_FAILURES } from './navigationTimeline.js';
+import { getFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus graphs learned during this worker's lifetime, keyed by cache directory and screen.
+ * @type {Map<string, FocusGraph>}
+ */
+const graphCache = new Map();
+
+/**
+ * Get the shared graph for a screen, loading it from disk the first time if a cache
+ * directory is configured.
+ * @param {string} screen - Graph name
+ * @param {string|null} cacheDir - Directory holding <screen>.json files
+ * @returns {FocusGraph}
+ */
+function loadGraph(screen, cacheDir) {
+  const cacheKey = `${cacheDir || ''}\u0000${screen}`;
+  if (!graphCache.has(cacheKey)) {
+    const file = cacheDir ? path.join(cacheDir, `${screen}.json`) : null;
+    const graph =
+      file && existsSync(file)
+        ? FocusGraph.fromJSON(JSON.parse(readFileSync(file, 'utf-8')))
+        : new FocusGraph(screen);
+    graphCache.set(cacheKey, graph);
+  }
+  return /** @type {FocusGraph} */ (graphCache.get(cacheKey));
+}
+
+/**
+ * Centre point of a rectangle.
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ */
+function centre(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+/**
+ * FocusNavigator - Moves TV focus to any element with the fewest key presses.
+ *
+ * Plans with a focus graph (cached per worker, optionally on disk) and falls back to the
+ * on-screen position of the target when the graph has no route yet. Every hop is checked
+ * and recorded, so the graph improves as tests run; when a hop lands somewhere
+ * unexpected the route is re-planned from the actual focus instead of failing. If neither
+ * the graph nor the geometry helps, the screen is explored with FocusGraphCrawler until
+ * the target shows up.
+ */
+export class FocusNavigator {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used to send keys
+   * @param {string} [options.screen='default'] - Name of the focus graph to plan with
+   * @param {FocusGraph} [options.graph] - Graph to use instead of the shared cached one
+   * @param {string} [options.cacheDir] - Directory to load and save graphs as <screen>.json
+   * @param {string} [options.focusSelector] - Selector for focused elements; defaults to the active FocusStrategy's
+   * @param {number} [options.settleTimeout] - How long to wait for focus to move after a key
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.remote = options.remote || new RemoteControl(page);
+    this.screen = options.screen || 'default';
+    this.cacheDir = options.cacheDir || null;
+    this.focusSelector = options.focusSelector || getFocusStrategy().focusedSelector;
+    this.crawler = new FocusGraphCrawler(page, {
+      remote: this.remote,
+      focusSelector: this.focusSelector,
+      settleTimeout: options.settleTimeout,
+    });
+    this.graph = options.graph || loadGraph(this.screen, this.cacheDir);
+  }
+
+  /**
+   * Describe the currently focused element.
+   */
+  async currentNode() {
+    return this.crawler.currentNode();
+  }
+
+  /**
+   * Turn a navigation target into matchers and a way to read its position.
+   * @param {import('@playwright/test').Locator|string} target - Locator, data-testid or node id
+   * @private
+   */
+  async resolveTarget(target) {
+    const locator = typeof target === 'string' ? this.page.getByTestId(target) : target;
+    const rendered = (await locator.count()) > 0;
+    const described = rendered ? await locator.first().evaluate(describeElement) : null;
+    const focusSelector = this.focusSelector;
+
+    return {
+      name: typeof target === 'string' ? target : described ? described.id : locator.toString(),
+
+      /**
+       * Whether a graph node is the target.
+       * @param {{id: string, testId: string|null}} node
+       */
+      matches: (node) =>
+        typeof target === 'string'
+          ? node.id === target || node.testId === target
+          : !!described && node.id === described.id,
+
+      /**
+       * Whether the focused node is the target or lies inside it.
+       * @param {{id: string, testId: string|null}} node
+       */
+      isFocused: async (node) => {
+        if (typeof target === 'string' ? node.id === target || node.testId === target : false) {
+          return true;
+        }
+        if ((await locator.count()) === 0) {
+          return false;
+        }
+        return locator
+          .first()
+          .evaluate(
+            (el, selector) => el.matches(selector) || el.querySelector(selector) !== null,
+            focusSelector
+          );
+      },
+
+      /**
+       * Current on-screen position of the target, or null if it is not rendered.
+       */
+      rect: async () =>
+        (await locator.count()) > 0 ? (await locator.first().evaluate(describeElement)).rect : null,
+    };
+  }
+
+  /**
+   * Shortest known route from a node to any node matching the target.
+   * @param {string} from
+   * @param {{matches: (node: any) => boolean}} goal
+   * @private
+   */
+  planPath(from, goal) {
+    let best = null;
+    for (const node of this.graph.nodes.values()) {
+      if (!goal.matches(node)) {
+        continue;
+      }
+      const path = this.graph.shortestPath(from, node.id);
+      if (path && (!best || path.length < best.length)) {
+        best = path;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick a key that moves towards the target on screen.
+   * Keys known to be blocked or to lead back to elements already visited are skipped.
+   * @param {{id: string, rect: {x: number, y: number, width: number, height: number}}} current
+   * @param {{rect: () => Promise<{x: number, y: number, width: number, height: number}|null>}} goal
+   * @param {Set<string>} visited - Node ids visited during this navigation
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async guessKey(current, goal, visited) {
+    const rect = await goal.rect();
+    if (!rect) {
+      return null;
+    }
+
+    const from = centre(current.rect);
+    const to = centre(rect);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const vertical = dy > 0 ? 'DOWN' : 'UP';
+    const horizontal = dx > 0 ? 'RIGHT' : 'LEFT';
+    const needsVertical = Math.abs(dy) > current.rect.height / 2;
+    const needsHorizontal = Math.abs(dx) > current.rect.width / 2;
+
+    const candidates = needsVertical
+      ? [vertical, ...(needsHorizontal ? [horizontal] : [])]
+      : [...(needsHorizontal ? [horizontal] : []), vertical];
+
+    const node = this.graph.nodes.get(current.id);
+    return (
+      candidates.find((key) => {
+        if (node && node.blocked.has(key)) {
+          return false;
+        }
+        const edge = this.graph.getEdge(current.id, key);
+        return !edge || !visited.has(edge.to);
+      }) || null
+    );
+  }
+
+  /**
+   * Move focus to a target, re-planning around unexpected hops.
+   *
+   * @param {import('@playwright/test').Locator|string} target - Locator, data-testid or focus-graph node id
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps=NAVIGATION_LIMITS.MAX_NAVIGATE_STEPS] - Maximum key presses
+   * @param {number} [options.maxReplans=NAVIGATION_LIMITS.MAX_REPLANS] - Maximum unexpected hops tolerated
+   * @returns {Promise<{id: string}|null>} The focused node, or null if the target could not be reached
+   */
+  async navigateTo(
+    target,
+    {
+      maxSteps = NAVIGATION_LIMITS.MAX_NAVIGATE_STEPS,
+      maxReplans = NAVIGATION_LIMITS.MAX_REPLANS,
+    } = {}
+  ) {
+    const goal = await this.resolveTarget(target);
+    const visited = new Set();
+    let replans = 0;
+    let explored = false;
+    let current = await this.currentNode();
+    let step = 0;
+
+    for (; current && step < maxSteps && replans <= maxReplans; step++) {
+      this.graph.addNode(current);
+      visited.add(current.id);
+
+      if (await goal.isFocused(current)) {
+        this.saveGraph();
+        return current;
+      }
+
+      const path = this.planPath(current.id, goal);
+      const key = path ? path[0].key : await this.guessKey(current, goal, visited);
+
+      if (!key) {
+        if (explored) {
+          break;
+        }
+        explored = true;
+        await this.crawler.crawl(this.screen, {
+          graph: this.graph,
+          until: (graph) => Array.from(graph.nodes.values()).some(goal.matches),
+        });
+        current = await this.currentNode();
+        continue;
+      }
+
+      const expected = path ? path[0].to : null;
+      const next = await this.crawler.press(key, current.id);
+
+      if (!next || next.id === current.id) {
+        this.graph.removeEdge(current.id, key);
+        this.graph.markBlocked(current.id, key);
+        if (expected) {
+          replans++;
+        }
+        continue;
+      }
+
+      this.graph.addEdge(current.id, key, next.id);
+      if (expected && next.id !== expected) {
+        replans++;
+      }
+      current = next;
+    }
+
+    this.saveGraph();
+    let reason = NAVIGATION_FAILURES.TARGET_NOT_FOUND;
+    if (replans > maxReplans) {
+      reason = NAVIGATION_FAILURES.MAX_REPLANS;
+    } else if (step >= maxSteps) {
+      reason = NAVIGATION_FAILURES.MAX_STEPS;
+    }
+    await logNavigationFailure('focus navigation', goal.name, current ? current.id : null, {
+      page: this.page,
+      reason,
+    });
+    return null;
+  }
+
+  /**
+   * Write the graph to the cache directory, if one is configured.
+   */
+  saveGraph() {
+    if (!this.cacheDir) {
+      return;
+    }
+    mkdirSync(this.cacheDir, { recursive: true });
+    const file = path.join(this.cacheDir, `${this.screen}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    writeFileSync(temp, JSON.stringify(this.graph.toJSON(), null, 2));
+    renameSync(temp, file);
+  }
+}
+
+export default FocusNavigator;
@@ -0,0 +1,224 @@
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { expect } from '@playwright/test';
+import { RemoteControl } from './remoteControl.js';
+import { getFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus Snapshots - Visual regression of focus states.
+ *
+ * Focus rings and tile scaling are checked by comparing a screenshot of the focused element
+ * against a baseline after every navigation step. The screenshot is clipped to the element
+ * plus a margin, so rings and shadows drawn outside it are included, and content that changes
+ * between runs (artwork, video, clocks) is masked. Baselines live per Playwright project, so
+ * each TV resolution project (tv-720p, tv-1080p, tv-4k, tv-1080p-2x) keeps its own.
+ *
+ * Comparisons are soft: a walk records every step before the test fails, and the gallery
+ * attached to the report shows each step's baseline, actual and diff side by side.
+ */
+
+/**
+ * Content masked in every focus snapshot because it changes between runs.
+ */
+export const DYNAMIC_CONTENT = ['img', 'video', 'canvas', '[data-testid="guide-clock"]'];
+
+/**
+ * Defaults for focus snapshots.
+ */
+export const FOCUS_SNAPSHOT_DEFAULTS = {
+  /** CSS pixels captured around the focused element, for focus rings and shadows */
+  padding: 24,
+
+  /** Share of pixels allowed to differ from the baseline */
+  maxDiffPixelRatio: 0.01,
+};
+
+/**
+ * @typedef {Object} FocusSnapshotStep
+ * @property {string} name - Snapshot name, e.g. "02-right"
+ * @property {string|null} button - Remote button pressed before the snapshot, if any
+ * @property {string|null} focused - data-testid, aria-label or text of the focused element
+ * @property {boolean} passed - Whether the snapshot matched its baseline
+ */
+
+/**
+ * Wait for the transitions and animations of an element and its children to finish.
+ * Runs inside the browser, so it must stay self-contained.
+ * @param {Element} el
+ */
+async function settleAnimations(el) {
+  const animations = el
+    .getAnimations({ subtree: true })
+    .filter((a) => a.effect?.getTiming().iterations !== Infinity);
+  await Promise.all(animations.map((animation) => animation.finished.catch(() => undefined)));
+}
+
+/**
+ * FocusSnapshots - Takes focus state snapshots of one page and compares them to baselines.
+ */
+export class FocusSnapshots {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {import('@playwright/test').TestInfo} testInfo - Test the snapshots belong to
+   * @param {Object} [options]
+   * @param {RemoteControl} [options.remote] - Remote used by step() and walk()
+   * @param {string[]} [options.mask=[]] - Selectors masked in addition to DYNAMIC_CONTENT
+   * @param {number} [options.padding] - CSS pixels captured around the focused element
+   * @param {number} [options.maxDiffPixelRatio] - Share of pixels allowed to differ
+   */
+  constructor(page, testInfo, options = {}) {
+    this.page = page;
+    this.testInfo = testInfo;
+    this.remote = options.remote || new RemoteControl(page);
+    this.mask = [...DYNAMIC_CONTENT, ...(options.mask || [])];
+    this.padding = options.padding ?? FOCUS_SNAPSHOT_DEFAULTS.padding;
+    this.maxDiffPixelRatio = options.maxDiffPixelRatio ?? FOCUS_SNAPSHOT_DEFAULTS.maxDiffPixelRatio;
+
+    /** @type {FocusSnapshotStep[]} */
+    this.steps = [];
+  }
+
+  /**
+   * Snapshot the focused element and compare it to its baseline.
+   * @param {string} name - Snapshot name, unique within the test
+   * @param {string|null} [button=null] - Button pressed before the snapshot, for the gallery
+   * @returns {Promise<FocusSnapshotStep>}
+   * @throws {Error} If nothing is focused
+   */
+  async capture(name, button = null) {
+    const focused = getFocusStrategy().focusedIn(this.page).first();
+    if ((await focused.count()) === 0) {
+      throw new Error(`Nothing is focused; cannot take the focus snapshot "${name}"`);
+    }
+    await focused.evaluate(settleAnimations);
+
+    const errors = this.testInfo.errors.length;
+    await expect.soft(this.page, `focus snapshot "${name}"`).toHaveScreenshot(`${name}.png`, {
+      clip: await this.clipAround(focused),
+      mask: this.mask.map((selector) => this.page.locator(selector)),
+      animations: 'disabled',
+      caret: 'hide',
+      // Keep device pixels, so 1080p-2x baselines are compared at full resolution
+      scale: 'device',
+      maxDiffPixelRatio: this.maxDiffPixelRatio,
+    });
+
+    const step = {
+      name,
+      button,
+      focused: await focused.evaluate(
+        (el) =>
+          el.getAttribute('data-testid') ||
+          el.getAttribute('aria-label') ||
+          (el.textContent || '').trim().slice(0, 40) ||
+          null
+      ),
+      passed: this.testInfo.errors.length === errors,
+    };
+    this.steps.push(step);
+    return step;
+  }
+
+  /**
+   * Press a remote button, then snapshot the element it focuses.
+   * @param {string} button - Logical button name, e.g. 'RIGHT'
+   * @param {string} [name] - Snapshot name; defaults to the step number and button, e.g. "02-right"
+   * @returns {Promise<FocusSnapshotStep>}
+   */
+  async step(button, name) {
+    await this.remote.press(button);
+    const number = String(this.steps.length + 1).padStart(2, '0');
+    return this.capture(name || `${number}-${button.toLowerCase()}`, button);
+  }
+
+  /**
+   * Press a sequence of remote buttons, snapshotting focus after each one.
+   * @param {string[]} buttons - Logical button names, e.g. ['RIGHT', 'RIGHT', 'DOWN']
+   * @returns {Promise<FocusSnapshotStep[]>} One step per button
+   */
+  async walk(buttons) {
+    const steps = [];
+    for (const button of buttons) {
+      steps.push(await this.step(button));
+    }
+    return steps;
+  }
+
+  /**
+   * Build an HTML gallery of every step: the baseline, and the actual screenshot and diff
+   * of steps that did not match. Images are inlined so the page works as a report attachment.
+   * @returns {Promise<string>}
+   */
+  async toGallery() {
+    const image = async (file) =>
+      existsSync(file)
+        ? `<img src="data:image/png;base64,${(await readFile(file)).toString('base64')}">`
+        : '<span class="none">none</span>';
+    const escape = (text) => String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+    const rows = [];
+    for (const step of this.steps) {
+      const file = `${step.name}.png`;
+      const expected = await image(this.testInfo.snapshotPath(file, { kind: 'screenshot' }));
+      const actual = step.passed
+        ? ''
+        : await image(this.testInfo.outputPath(`${step.name}-actual.png`));
+      const diff = step.passed
+        ? ''
+        : await image(this.testInfo.outputPath(`${step.name}-diff.png`));
+      rows.push(
+        `<tr class="${step.passed ? 'passed' : 'failed'}"><th>${escape(step.name)}<br><small>` +
+          `${escape(step.button || 'capture')} &rarr; ${escape(step.focused || '?')}</small></th>` +
+          `<td>${expected}</td><td>${actual}</td><td>${diff}</td></tr>`
+      );
+    }
+
+    return [
+      '<!doctype html><meta charset="utf-8">',
+      `<title>Focus snapshots - ${escape(this.testInfo.project.name)}</title>`,
+      '<style>body{font-family:sans-serif}td,th{border:1px solid #ccc;padding:4px;vertical-align:top}' +
+        'img{max-width:480px}.failed th{color:#c00}.none{color:#999}</style>',
+      `<h1>${escape(this.testInfo.title)} (${escape(this.testInfo.project.name)})</h1>`,
+      '<table><tr><th>Step</th><th>Baseline</th><th>Actual</th><th>Diff</th></tr>',
+      ...rows,
+      '</table>',
+    ].join('\n');
+  }
+
+  /**
+   * Screenshot clip around an element, kept inside the viewport.
+   * @param {import('@playwright/test').Locator} element
+   * @returns {Promise<{x: number, y: number, width: number, height: number}>}
+   * @private
+   */
+  async clipAround(element) {
+    const box = await element.boundingBox();
+    const viewport = this.page.viewportSize();
+    if (!box || !viewport) {
+      throw new Error(`Cannot take a focus snapshot of ${element}: it has no bounding box`);
+    }
+    const x = Math.max(0, Math.floor(box.x - this.padding));
+    const y = Math.max(0, Math.floor(box.y - this.padding));
+    return {
+      x,
+      y,
+      width: Math.min(viewport.width, Math.ceil(box.x + box.width + this.padding)) - x,
+      height: Math.min(viewport.height, Math.ceil(box.y + box.height + this.padding)) - y,
+    };
+  }
+}
+
+/**
+ * Attach the focus snapshot gallery to the test report as focus-gallery.html.
+ * @param {import('@playwright/test').TestInfo} testInfo - Test info from the fixture
+ * @param {FocusSnapshots} snapshots - Snapshots taken during the test
+ * @param {string} [name='focus-gallery'] - Attachment name, without extension
+ */
+export async function attachFocusGallery(testInfo, snapshots, name = 'focus-gallery') {
+  await testInfo.attach(`${name}.html`, {
+    body: await snapshots.toGallery(),
+    contentType: 'text/html',
+  });
+}
+
+export default FocusSnapshots;
@@ -0,0 +1,209 @@
+import { getProfile } from '../../config/profiles.js';
+
+/**
+ * Focus Strategy - Single definition of how the TV app marks focus, disabled and selected
+ * elements.
+ *
+ * App builds differ: the WebTV app marks focus with `data-focused="focused"` or `"true"` and
+ * disabled controls with `data-focused="disabled"`, while older builds use `.focused` classes
+ * and real DOM focus. Everything that looks for focus (page objects, components, the focus
+ * tracker, crawler and navigator, and the `toBeTvFocused` matchers) goes through the active
+ * strategy instead of hard-coding attribute values.
+ */
+
+/**
+ * UI states a strategy defines.
+ * @typedef {'focused'|'disabled'|'selected'} FocusState
+ */
+
+/**
+ * FocusStrategy - CSS selectors for each UI state.
+ * Each state is a list of simple selectors (no combinators), so they can be appended to a
+ * base selector such as `[role="listitem"]`.
+ */
+export class FocusStrategy {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.name - Strategy name
+   * @param {string[]} definition.focused - Selectors matching focused elements
+   * @param {string[]} definition.disabled - Selectors matching disabled elements
+   * @param {string[]} definition.selected - Selectors matching selected elements
+   */
+  constructor({ name, focused, disabled, selected }) {
+    this.name = name;
+    /** @type {Record<FocusState, string[]>} */
+    this.states = { focused, disabled, selected };
+  }
+
+  /**
+   * CSS selector for a state, optionally narrowed to elements matching a base selector.
+   * @param {FocusState} state - State to select
+   * @param {string} [base=''] - Simple selector the state selectors are appended to
+   * @returns {string} Selector list; matches nothing if the strategy has no selectors for the state
+   * @throws {Error} If the state is unknown
+   */
+  selector(state, base = '') {
+    const selectors = this.states[state];
+    if (!selectors) {
+      throw new Error(
+        `Unknown focus state "${state}". Valid states: ${Object.keys(this.states).join(', ')}`
+      );
+    }
+    if (selectors.length === 0) {
+      return `${base}:not(*)`;
+    }
+    return selectors.map((selector) => `${base}${selector}`).join(', ');
+  }
+
+  /**
+   * Selector matching every focused element.
+   * @returns {string}
+   */
+  get focusedSelector() {
+    return this.selector('focused');
+  }
+
+  /**
+   * Locate the innermost focused element within a scope. Containers that are marked
+   * focused because they hold focus (e.g. a grid row) are skipped in favour of the
+   * element inside them.
+   * @param {import('@playwright/test').Page|import('@playwright/test').Locator} scope - Page or container
+   * @param {string} [base=''] - Only consider elements matching this simple selector
+   * @returns {import('@playwright/test').Locator}
+   */
+  focusedIn(scope, base = '') {
+    const page = 'page' in scope && typeof scope.page === 'function' ? scope.page() : scope;
+    return scope
+      .locator(this.selector('focused', base))
+      .filter({ hasNot: page.locator(this.focusedSelector) });
+  }
+
+  /**
+   * Which states an element is currently in.
+   * @param {import('@playwright/test').Locator} locator - Element to inspect
+   * @returns {Promise<Record<FocusState, boolean>|null>} States, or null if the element is not rendered
+   */
+  async stateOf(locator) {
+    if ((await locator.count()) === 0) {
+      return null;
+    }
+    const selectors = Object.fromEntries(
+      Object.keys(this.states).map((state) => [
+        state,
+        this.selector(/** @type {FocusState} */ (state)),
+      ])
+    );
+    return locator
+      .first()
+      .evaluate(
+        (el, selectors) =>
+          Object.fromEntries(
+            Object.entries(selectors).map(([state, selector]) => [state, el.matches(selector)])
+          ),
+        selectors
+      );
+  }
+
+  /**
+   * Whether an element is focused.
+   * @param {import('@playwright/test').Locator} locator
+   * @returns {Promise<boolean>}
+   */
+  async isFocused(locator) {
+    return !!(await this.stateOf(locator))?.focused;
+  }
+
+  /**
+   * Whether an element is disabled.
+   * @param {import('@playwright/test').Locator} locator
+   * @returns {Promise<boolean>}
+   */
+  async isDisabled(locator) {
+    return !!(await this.stateOf(locator))?.disabled;
+  }
+
+  /**
+   * Whether an element is selected.
+   * @param {import('@playwright/test').Locator} locator
+   * @returns {Promise<boolean>}
+   */
+  async isSelected(locator) {
+    return !!(await this.stateOf(locator))?.selected;
+  }
+}
+
+/**
+ * Built-in strategies, keyed by name.
+ * @type {Record<string, FocusStrategy>}
+ */
+export const FOCUS_STRATEGIES = {
+  /** WebTV app (and the bundled mock): data-focused attribute values */
+  'data-focused': new FocusStrategy({
+    name: 'data-focused',
+    focused: ['[data-focused="focused"]', '[data-focused="true"]'],
+    disabled: ['[data-focused="disabled"]', '[aria-disabled="true"]'],
+    selected: ['[aria-selected="true"]', '[data-selected]:not([data-selected="false"])'],
+  }),
+
+  /** Builds that style focus with classes and real DOM focus */
+  'css-class': new FocusStrategy({
+    name: 'css-class',
+    focused: ['.focused', ':focus'],
+    disabled: ['.disabled', ':disabled', '[aria-disabled="true"]'],
+    selected: ['.selected', '[aria-selected="true"]'],
+  }),
+};
+
+/** @type {FocusStrategy|null} */
+let activeStrategy = null;
+
+/**
+ * Resolve a strategy name, definition or instance.
+ * @param {string|FocusStrategy|ConstructorParameters<typeof FocusStrategy>[0]} strategy
+ * @returns {FocusStrategy}
+ * @throws {Error} If the name is unknown
+ */
+export function resolveFocusStrategy(strategy) {
+  if (strategy instanceof FocusStrategy) {
+    return strategy;
+  }
+  if (typeof strategy === 'string') {
+    const known = FOCUS_STRATEGIES[strategy];
+    if (!known) {
+      throw new Error(
+        `Unknown focus strategy "${strategy}". Available strategies: ${Object.keys(FOCUS_STRATEGIES).join(', ')}`
+      );
+    }
+    return known;
+  }
+  return new FocusStrategy(strategy);
+}
+
+/**
+ * Focus strategy in use, defaulting to the environment profile's.
+ * @returns {FocusStrategy}
+ */
+export function getFocusStrategy() {
+  if (!activeStrategy) {
+    activeStrategy = resolveFocusStrategy(getProfile().focusStrategy);
+  }
+  return activeStrategy;
+}
+
+/**
+ * Switch the focus strategy for everything running in this worker.
+ * @param {string|FocusStrategy|ConstructorParameters<typeof FocusStrategy>[0]} strategy - Name, definition or instance
+ * @returns {FocusStrategy} The strategy now in use
+ */
+export function setFocusStrategy(strategy) {
+  activeStrategy = resolveFocusStrategy(strategy);
+  return activeStrategy;
+}
+
+export default {
+  FocusStrategy,
+  FOCUS_STRATEGIES,
+  resolveFocusStrategy,
+  getFocusStrategy,
+  setFocusStrategy,
+};
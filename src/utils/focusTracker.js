@@ -0,0 +1,350 @@
+import { TIMEOUTS } from './constants.js';
+import { describeElement } from './navigationHelpers.js';
+import { getFocusStrategy } from './focusStrategy.js';
+
+/**
+ * Focus Tracker - Event-driven view of TV focus.
+ *
+ * A script injected with `addInitScript` watches `data-focused` attributes and
+ * `document.activeElement` with a MutationObserver and focus events, and streams every
+ * focus change and key press to Node through `exposeBinding`. Nothing is polled: callers
+ * await the next event instead, and fast transient hops are recorded as they happen.
+ */
+
+/** Name of the binding the page-side tracker reports through */
+const BINDING = '__tvFocusTrackerEmit';
+
+/**
+ * Trackers installed per page, so every RemoteControl and helper shares one.
+ * @type {WeakMap<object, Promise<FocusTracker>>}
+ */
+const trackers = new WeakMap();
+
+/**
+ * @typedef {Object} FocusEvent
+ * @property {number} index - Position in the tracker's history
+ * @property {'key'|'focus'|'unchanged'} type - Key pressed, focus moved, or key press that did not move focus
+ * @property {number} time - Page timestamp (ms since epoch)
+ * @property {string|null} key - KeyboardEvent.key of the key press the event belongs to
+ * @property {number|null} keyCode - KeyboardEvent.keyCode of that key press
+ * @property {boolean} repeat - Whether that key press was an auto-repeat of a held key
+ * @property {ReturnType<typeof describeElement>|null} node - Element focused after the event
+ * @property {string|null} previous - Node id focused before a 'focus' event
+ * @property {string} url - Page URL when the event happened
+ */
+
+/**
+ * Page-side tracker. Runs inside the browser, so it must stay self-contained.
+ * @param {{binding: string, selector: string, settleTimeout: number}} config
+ * @param {typeof describeElement} describe - describeElement, passed in as source
+ */
+function installFocusTracker(config, describe) {
+  if (window.__tvFocusTracker || window.top !== window) {
+    return;
+  }
+
+  const state = {
+    lastId: undefined,
+    pendingKey: null,
+    settleTimer: null,
+    moved: false,
+    reported: Promise.resolve(),
+  };
+
+  const emit = (event) => {
+    const report = window[config.binding];
+    if (typeof report === 'function') {
+      state.reported = Promise.resolve(
+        report({
+          ...event,
+          time: Date.now(),
+          url: location.href,
+          key: state.pendingKey ? state.pendingKey.key : null,
+          keyCode: state.pendingKey ? state.pendingKey.keyCode : null,
+          repeat: state.pendingKey ? state.pendingKey.repeat : false,
+        })
+      ).catch(() => {});
+    }
+  };
+
+  const focusedElement = () => {
+    const marked = Array.from(document.querySelectorAll(config.selector));
+    const innermost = marked.filter(
+      (el) => !marked.some((other) => other !== el && el.contains(other))
+    );
+    if (innermost.length > 0) {
+      return innermost[innermost.length - 1];
+    }
+    const active = document.activeElement;
+    return active && active !== document.body && active !== document.documentElement
+      ? active
+      : null;
+  };
+
+  const check = () => {
+    const el = focusedElement();
+    const node = el ? describe(el) : null;
+    const id = node ? node.id : null;
+    if (id === state.lastId) {
+      return;
+    }
+    const previous = state.lastId === undefined ? null : state.lastId;
+    state.lastId = id;
+    state.moved = true;
+    emit({ type: 'focus', node, previous });
+  };
+
+  const settle = () => {
+    clearTimeout(state.settleTimer);
+    state.settleTimer = setTimeout(() => {
+      if (!state.moved) {
+        const el = focusedElement();
+        emit({ type: 'unchanged', node: el ? describe(el) : null, previous: null });
+      }
+      state.pendingKey = null;
+    }, config.settleTimeout);
+  };
+
+  const onKey = (event) => {
+    if (event.type === 'keydown') {
+      state.pendingKey = {
+        key: event.key,
+        keyCode: event.keyCode || null,
+        repeat: event.repeat,
+      };
+      state.moved = false;
+      emit({ type: 'key', node: null, previous: null });
+    }
+    if (state.pendingKey) {
+      settle();
+    }
+  };
+
+  // reported() settles once Node has recorded the last event, e.g. the focus found on install
+  window.__tvFocusTracker = { check, reported: () => state.reported };
+  window.addEventListener('keydown', onKey, true);
+  window.addEventListener('keyup', onKey, true);
+
+  const start = () => {
+    new MutationObserver(check).observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-focused'],
+    });
+    document.addEventListener('focusin', check, true);
+    document.addEventListener('focusout', () => setTimeout(check), true);
+    check();
+  };
+
+  if (document.documentElement) {
+    start();
+  } else {
+    document.addEventListener('readystatechange', start, { once: true });
+  }
+}
+
+/**
+ * FocusTracker - Node-side half of the focus tracker: focus history and awaitable events.
+ * Get the page's tracker with `FocusTracker.forPage(page)`; it is installed on first use.
+ */
+export class FocusTracker {
+  /**
+   * Get the focus tracker for a page, installing it on first use.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options] - Only used when the tracker is first installed
+   * @param {string} [options.focusSelector] - Selector for focused elements; defaults to the active FocusStrategy's
+   * @param {number} [options.settleTimeout=TIMEOUTS.FOCUS_SETTLE] - Quiet period after a key press before it counts as not moving focus
+   * @returns {Promise<FocusTracker>}
+   */
+  static forPage(page, options = {}) {
+    if (!trackers.has(page)) {
+      const tracker = new FocusTracker(page, options);
+      const installed = tracker.install().then(
+        () => tracker,
+        (error) => {
+          trackers.delete(page);
+          throw error;
+        }
+      );
+      trackers.set(page, installed);
+    }
+    return /** @type {Promise<FocusTracker>} */ (trackers.get(page));
+  }
+
+  /**
+   * Use FocusTracker.forPage() instead; a page can only have one tracker.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {string} [options.focusSelector]
+   * @param {number} [options.settleTimeout]
+   * @private
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.focusSelector = options.focusSelector || getFocusStrategy().focusedSelector;
+    this.settleTimeout = options.settleTimeout ?? TIMEOUTS.FOCUS_SETTLE;
+    /** @type {FocusEvent[]} */
+    this.history = [];
+    /** @type {Array<{matches: (event: FocusEvent) => boolean, resolve: (event: FocusEvent|null) => void}>} */
+    this.waiters = [];
+  }
+
+  /**
+   * Expose the binding and inject the page-side tracker into current and future documents.
+   * @private
+   */
+  async install() {
+    const script =
+      `(${installFocusTracker.toString()})(` +
+      `${JSON.stringify({ binding: BINDING, selector: this.focusSelector, settleTimeout: this.settleTimeout })}, ` +
+      `${describeElement.toString()});`;
+
+    await this.page.exposeBinding(BINDING, (_source, event) => this.record(event));
+    await this.page.addInitScript({ content: script });
+    await this.page.evaluate(script);
+    // Installed mid-test (by the first key press), the page is already focused: record that first
+    await this.page.evaluate(() => window.__tvFocusTracker?.reported());
+    if (typeof this.page.once === 'function') {
+      this.page.once('close', () => this.flush());
+    }
+  }
+
+  /**
+   * Store an event from the page and wake up matching waiters.
+   * @param {Omit<FocusEvent, 'index'>} event
+   * @private
+   */
+  record(event) {
+    const recorded = { index: this.history.length, ...event };
+    this.history.push(recorded);
+    this.waiters = this.waiters.filter((waiter) => {
+      if (!waiter.matches(recorded)) {
+        return true;
+      }
+      waiter.resolve(recorded);
+      return false;
+    });
+  }
+
+  /**
+   * Resolve every pending waiter with null, e.g. when the page closes.
+   * @private
+   */
+  flush() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((waiter) => waiter.resolve(null));
+  }
+
+  /**
+   * Position in the history, to wait for events that happen after this point.
+   * @returns {number}
+   */
+  mark() {
+    return this.history.length;
+  }
+
+  /**
+   * Wait for the first event after a mark that satisfies a predicate.
+   * @param {(event: FocusEvent) => boolean} predicate
+   * @param {Object} [options]
+   * @param {number} [options.since] - History mark; defaults to now
+   * @param {number} [options.timeout=TIMEOUTS.FOCUS_CHANGE] - Maximum time to wait
+   * @returns {Promise<FocusEvent|null>} The event, or null on timeout
+   */
+  waitForEvent(predicate, { since = this.mark(), timeout = TIMEOUTS.FOCUS_CHANGE } = {}) {
+    const seen = this.history.slice(since).find(predicate);
+    if (seen) {
+      return Promise.resolve(seen);
+    }
+
+    return new Promise((resolve) => {
+      const waiter = {
+        matches: (event) => event.index >= since && predicate(event),
+        resolve: (event) => {
+          clearTimeout(timer);
+          resolve(event);
+        },
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((other) => other !== waiter);
+        resolve(null);
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Wait for focus to move.
+   * @param {Object} [options]
+   * @param {number} [options.since] - History mark; defaults to now
+   * @param {number} [options.timeout=TIMEOUTS.FOCUS_CHANGE] - Maximum time to wait
+   * @param {(node: ReturnType<typeof describeElement>|null) => boolean} [options.predicate] - Only accept focus on matching nodes
+   * @returns {Promise<FocusEvent|null>} The focus event, or null on timeout
+   */
+  waitForNextFocus({ since, timeout, predicate = () => true } = {}) {
+    return this.waitForEvent((event) => event.type === 'focus' && predicate(event.node), {
+      since,
+      timeout,
+    });
+  }
+
+  /**
+   * Wait for the outcome of a key press made after a mark: the first focus change it caused,
+   * or the page's verdict that it did not move focus.
+   * @param {number} since - History mark taken before the key was sent
+   * @param {number} [timeout=TIMEOUTS.FOCUS_CHANGE] - Maximum time to wait for the page
+   * @returns {Promise<FocusEvent|null>} A 'focus' or 'unchanged' event, or null on timeout
+   */
+  waitForKeyResult(since, timeout = this.settleTimeout + TIMEOUTS.FOCUS_CHANGE) {
+    return this.waitForEvent(
+      (event) =>
+        (event.type === 'focus' || event.type === 'unchanged') &&
+        this.history.slice(since, event.index).some((earlier) => earlier.type === 'key'),
+      { since, timeout }
+    );
+  }
+
+  /**
+   * Most recently focused element, as last reported by the page.
+   * @returns {ReturnType<typeof describeElement>|null}
+   */
+  current() {
+    const last = this.history.findLast((event) => event.type !== 'key');
+    return last ? last.node : null;
+  }
+
+  /**
+   * Focus events recorded so far (only 'focus' events unless all is set).
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Include key and unchanged events
+   * @returns {FocusEvent[]}
+   */
+  getHistory({ all = false } = {}) {
+    return all ? [...this.history] : this.history.filter((event) => event.type === 'focus');
+  }
+
+  /**
+   * Key presses that did not move focus.
+   * @returns {FocusEvent[]}
+   */
+  getUnchangedPresses() {
+    return this.history.filter((event) => event.type === 'unchanged');
+  }
+}
+
+/**
+ * Attach a tracker's full focus history to the test report.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {FocusTracker} tracker - Tracker to attach
+ * @param {string} [name='focus-history'] - Attachment name
+ */
+export async function attachFocusHistory(testInfo, tracker, name = 'focus-history') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(tracker.getHistory({ all: true }), null, 2),
+    contentType: 'application/json',
+  });
+}
+
+export default FocusTracker;
@@ -0,0 +1,176 @@
+/**
+ * HLS Playlist - Parsers for HLS master and media playlists (RFC 8216).
+ * Only the tags the tests assert on are read; everything else is ignored.
+ */
+
+/**
+ * @typedef {Object} HlsVariant
+ * @property {string} uri - Absolute URL of the variant's media playlist
+ * @property {number} bandwidth - Peak bit rate in bits per second
+ * @property {number|null} averageBandwidth - Average bit rate, if advertised
+ * @property {{width: number, height: number}|null} resolution - Video resolution, if advertised
+ * @property {string[]} codecs - RFC 6381 codec strings
+ * @property {string|null} name - NAME attribute, if advertised
+ */
+
+/**
+ * @typedef {Object} HlsMasterPlaylist
+ * @property {'master'} type
+ * @property {string} uri - URL the playlist was loaded from
+ * @property {HlsVariant[]} variants - Variants in playlist order
+ */
+
+/**
+ * @typedef {Object} HlsSegment
+ * @property {string} uri - Absolute URL of the segment
+ * @property {number} sequence - Media sequence number
+ * @property {number} duration - EXTINF duration in seconds
+ * @property {string|null} programDateTime - EXT-X-PROGRAM-DATE-TIME, if present
+ */
+
+/**
+ * @typedef {Object} HlsMediaPlaylist
+ * @property {'media'} type
+ * @property {string} uri - URL the playlist was loaded from
+ * @property {number} targetDuration - EXT-X-TARGETDURATION in seconds
+ * @property {number} mediaSequence - Sequence number of the first segment
+ * @property {boolean} endList - Whether the playlist is complete (VOD); false for live
+ * @property {HlsSegment[]} segments - Segments in playlist order
+ * @property {number} totalDuration - Sum of the segment durations in seconds
+ */
+
+/**
+ * Split playlist text into trimmed, non-empty lines, checking the #EXTM3U header.
+ * @param {string} text - Playlist text
+ * @returns {string[]}
+ * @throws {Error} If the text is not an HLS playlist
+ */
+function playlistLines(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist: missing #EXTM3U header');
+  }
+  return lines;
+}
+
+/**
+ * Parse a tag's attribute list, e.g. `BANDWIDTH=800000,CODECS="avc1.4d401e,mp4a.40.2"`.
+ * @param {string} list - Everything after the tag's colon
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(list) {
+  const attributes = {};
+  for (const [, name, quoted, plain] of list.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+    attributes[name] = quoted ?? plain;
+  }
+  return attributes;
+}
+
+/**
+ * Whether playlist text is a master (multivariant) playlist rather than a media playlist.
+ * @param {string} text - Playlist text
+ * @returns {boolean}
+ */
+export function isMasterPlaylist(text) {
+  return text.includes('#EXT-X-STREAM-INF:');
+}
+
+/**
+ * Parse a master playlist.
+ * @param {string} text - Playlist text
+ * @param {string} uri - URL the playlist was loaded from, to resolve variant URIs
+ * @returns {HlsMasterPlaylist}
+ * @throws {Error} If the text is not a master playlist or a variant has no URI
+ */
+export function parseMasterPlaylist(text, uri) {
+  const lines = playlistLines(text);
+  const variants = [];
+
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) {
+      return;
+    }
+    const next = lines[index + 1];
+    if (!next || next.startsWith('#')) {
+      throw new Error(`Variant on line ${index + 1} of ${uri} has no URI`);
+    }
+    const attributes = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    const resolution = /^(\d+)x(\d+)$/.exec(attributes.RESOLUTION || '');
+    variants.push({
+      uri: new URL(next, uri).href,
+      bandwidth: Number(attributes.BANDWIDTH),
+      averageBandwidth: attributes['AVERAGE-BANDWIDTH']
+        ? Number(attributes['AVERAGE-BANDWIDTH'])
+        : null,
+      resolution: resolution
+        ? { width: Number(resolution[1]), height: Number(resolution[2]) }
+        : null,
+      codecs: attributes.CODECS ? attributes.CODECS.split(',').map((codec) => codec.trim()) : [],
+      name: attributes.NAME || null,
+    });
+  });
+
+  if (variants.length === 0) {
+    throw new Error(`${uri} is not a master playlist: no #EXT-X-STREAM-INF variants`);
+  }
+  return { type: 'master', uri, variants };
+}
+
+/**
+ * Parse a media playlist.
+ * @param {string} text - Playlist text
+ * @param {string} uri - URL the playlist was loaded from, to resolve segment URIs
+ * @returns {HlsMediaPlaylist}
+ * @throws {Error} If the text is not a media playlist
+ */
+export function parseMediaPlaylist(text, uri) {
+  const lines = playlistLines(text);
+  if (isMasterPlaylist(text)) {
+    throw new Error(`${uri} is a master playlist, not a media playlist`);
+  }
+
+  const tag = (name) => {
+    const line = lines.find((candidate) => candidate.startsWith(`#${name}:`));
+    return line ? line.slice(name.length + 2) : null;
+  };
+  const targetDuration = Number(tag('EXT-X-TARGETDURATION'));
+  if (!Number.isFinite(targetDuration) || targetDuration <= 0) {
+    throw new Error(`${uri} is not a media playlist: missing #EXT-X-TARGETDURATION`);
+  }
+  const mediaSequence = Number(tag('EXT-X-MEDIA-SEQUENCE') ?? 0);
+
+  const segments = [];
+  let duration = null;
+  let programDateTime = null;
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      programDateTime = line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length);
+    } else if (!line.startsWith('#') && duration !== null) {
+      segments.push({
+        uri: new URL(line, uri).href,
+        sequence: mediaSequence + segments.length,
+        duration,
+        programDateTime,
+      });
+      duration = null;
+      programDateTime = null;
+    }
+  }
+
+  return {
+    type: 'media',
+    uri,
+    targetDuration,
+    mediaSequence,
+    endList: lines.includes('#EXT-X-ENDLIST'),
+    segments,
+    totalDuration: segments.reduce((total, segment) => total + segment.duration, 0),
+  };
+}
+
+export default { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist };
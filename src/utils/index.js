@@ -3,11 +3,73 @@
  * Export all utilities from a single entry point.
  */
 export { RemoteControl } from './remoteControl.js';
-export { TIMEOUTS, NAVIGATION_LIMITS } from './constants.js';
+export { TIMEOUTS, NAVIGATION_LIMITS, QOE_THRESHOLDS, FOCUS_LATENCY_BUDGETS } from './constants.js';
 export {
   normalise,
   waitForFocusChange,
   logNavigationFailure,
   createTestIdFocusGetter,
   createTextFocusGetter,
+  describeElement,
+  describeFocusedElement,
 } from './navigationHelpers.js';
+export { FocusGraph, FocusGraphCrawler, attachFocusGraph, DIRECTIONS } from './focusGraph.js';
+export { FocusNavigator } from './focusNavigator.js';
+export {
+  KEY_PROFILES,
+  SEND_MODES,
+  resolveKeyProfile,
+  assignKeyProfile,
+  assignedKeyProfile,
+} from './keyProfiles.js';
+export { FocusTracker, attachFocusHistory } from './focusTracker.js';
+export { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist } from './hlsPlaylist.js';
+export {
+  installQoeCollector,
+  inferBitrateSwitches,
+  collectQoeMetrics,
+  getQoeThresholds,
+  setQoeThresholds,
+  checkQoeThresholds,
+  attachQoeMetrics,
+} from './qoeMetrics.js';
+export {
+  StreamFaultInjector,
+  STREAM_FAULTS,
+  STREAM_TARGETS,
+  attachStreamFaults,
+} from './streamFaults.js';
+export { KeyJournal, attachKeyJournal, loadKeyJournal } from './keyJournal.js';
+export { TvState, SESSION_COOKIES } from './tvState.js';
+export { ApiMock, API_OVERRIDES, HAR_MODES, attachApiMock } from './apiMock.js';
+export {
+  FocusSnapshots,
+  DYNAMIC_CONTENT,
+  FOCUS_SNAPSHOT_DEFAULTS,
+  attachFocusGallery,
+} from './focusSnapshots.js';
+export { AccessibilityAudit, FOCUSABLE_ROLES, attachA11yReport } from './a11yAudit.js';
+export {
+  FocusLatency,
+  screenFromUrl,
+  percentile,
+  getFocusLatencyBudgets,
+  setFocusLatencyBudgets,
+  throttleCpu,
+  attachFocusLatency,
+} from './focusLatency.js';
+export {
+  NavigationTimeline,
+  NAVIGATION_FAILURES,
+  NAVIGATION_TIMELINE_DEFAULTS,
+  attachNavigationTimeline,
+} from './navigationTimeline.js';
+export { replayKeyJournal } from './journalReplay.js';
+export {
+  FocusStrategy,
+  FOCUS_STRATEGIES,
+  resolveFocusStrategy,
+  getFocusStrategy,
+  setFocusStrategy,
+} from './focusStrategy.js';
+export { focusMatchers, expect } from './focusMatchers.js';
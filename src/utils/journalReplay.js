@@ -0,0 +1,104 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { RemoteControl } from './remoteControl.js';
+import { KeyJournal, loadKeyJournal } from './keyJournal.js';
+
+/**
+ * Journal Replay - Re-run a recorded key journal against the app.
+ *
+ * Each entry is sent again with the button, key profile and hold timing it was recorded with,
+ * and the focus it lands on is compared with the recorded focus. Steps that land elsewhere
+ * are reported as divergences, which is usually where the original run went wrong.
+ */
+
+/**
+ * @typedef {Object} ReplayStep
+ * @property {number} step - Journal step number
+ * @property {string} button - Logical button name
+ * @property {string|null} expected - Node id focused after the step when it was recorded
+ * @property {string|null} actual - Node id focused after the step during the replay
+ * @property {boolean} matched - Whether focus landed where it did when recorded
+ */
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {ReplayStep[]} steps - Every step replayed
+ * @property {ReplayStep[]} divergences - Steps where focus landed somewhere else
+ */
+
+/**
+ * Replay a key journal on a page.
+ * @param {import('@playwright/test').Page} page - Playwright page instance
+ * @param {string|KeyJournal|import('./keyJournal.js').KeyJournalEntry[]} journal - Journal, its entries, or a path to key-journal.json
+ * @param {Object} [options]
+ * @param {boolean} [options.navigate=true] - Open the URL of the first step before replaying
+ * @param {boolean} [options.pause=false] - Pause in the Playwright Inspector before every step (headed runs); stepping over shows the key it sends
+ * @param {number} [options.stepDelay=0] - Extra time in ms to wait before every step, to watch the replay
+ * @param {boolean} [options.stopOnDivergence=false] - Stop at the first step that lands on a different element
+ * @param {string|import('./keyProfiles.js').KeyProfile} [options.profile] - Send every step with this key profile instead of the recorded one
+ * @returns {Promise<ReplayResult>} Every step replayed; nothing is logged, divergences are only returned
+ */
+export async function replayKeyJournal(page, journal, options = {}) {
+  const { navigate = true, pause = false, stepDelay = 0, stopOnDivergence = false } = options;
+  const entries =
+    typeof journal === 'string'
+      ? await loadKeyJournal(journal)
+      : journal instanceof KeyJournal
+        ? journal.toJSON()
+        : journal;
+
+  if (navigate && entries.length > 0 && page.url() !== entries[0].url) {
+    await page.goto(entries[0].url);
+  }
+
+  /** @type {Map<string, RemoteControl>} */
+  const remotes = new Map();
+  const remoteFor = (entry) => {
+    const profile = options.profile || entry.profile;
+    const sendMode = options.profile ? undefined : entry.sendMode;
+    const id = `${typeof profile === 'string' ? profile : profile.name}/${sendMode}`;
+    if (!remotes.has(id)) {
+      remotes.set(id, new RemoteControl(page, { profile, sendMode }));
+    }
+    return /** @type {RemoteControl} */ (remotes.get(id));
+  };
+
+  /** @type {ReplayStep[]} */
+  const steps = [];
+  for (const entry of entries) {
+    if (pause) {
+      await page.pause();
+    } else if (stepDelay > 0) {
+      await delay(stepDelay);
+    }
+
+    const remote = remoteFor(entry);
+    let result;
+    if (entry.action === 'hold') {
+      const { repeatDelay, repeatRate } = entry.holdOptions || {};
+      ({ result } = await remote.hold(entry.button, entry.duration || 0, {
+        repeatDelay: repeatDelay === null ? Infinity : repeatDelay,
+        repeatRate,
+      }));
+    } else {
+      result = await remote.press(entry.button);
+    }
+
+    const actual = result && result.node ? result.node.id : null;
+    const step = {
+      step: entry.step,
+      button: entry.button,
+      expected: entry.after,
+      actual,
+      matched: actual === entry.after,
+    };
+    steps.push(step);
+
+    if (!step.matched && stopOnDivergence) {
+      break;
+    }
+  }
+
+  return { steps, divergences: steps.filter((step) => !step.matched) };
+}
+
+export default replayKeyJournal;
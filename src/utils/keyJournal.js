@@ -0,0 +1,104 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Key Journal - Record of every remote key a test sent.
+ *
+ * RemoteControl writes one entry per press or hold to the journal of its page: the button,
+ * the key and keyCode it was sent as, when, where focus was before and after, and the URL.
+ * The journal is attached to the test report as key-journal.json, and can be replayed against
+ * the app with replayKeyJournal() (see journalReplay.js) to reproduce a failing key sequence.
+ */
+
+/**
+ * @typedef {Object} KeyJournalEntry
+ * @property {number} step - Position in the journal, from 1
+ * @property {'press'|'hold'} action - Single press, or button held down
+ * @property {string} button - Logical button name, e.g. 'RIGHT'
+ * @property {string} key - KeyboardEvent.key the button was sent as
+ * @property {number} keyCode - KeyboardEvent.keyCode the button was sent as
+ * @property {string} profile - Key profile name
+ * @property {'keyboard'|'keyCode'} sendMode - How the key was sent
+ * @property {number} [duration] - How long a held button was held, in ms
+ * @property {{repeatDelay: number|null, repeatRate: number}} [holdOptions] - Auto-repeat options of a hold; repeatDelay is null if it sent no repeats
+ * @property {number} time - When the key was sent (ms since epoch)
+ * @property {string} url - Page URL when the key was sent
+ * @property {string|null} before - Node id focused before the key was sent
+ * @property {string|null} after - Node id focused as a result of the key
+ * @property {'focus'|'unchanged'|null} outcome - Whether the key moved focus; null if the page never reported back
+ */
+
+/**
+ * Journals per page, so every RemoteControl on a page writes to the same one.
+ * @type {WeakMap<object, KeyJournal>}
+ */
+const journals = new WeakMap();
+
+/**
+ * KeyJournal - Ordered list of the key events sent to one page.
+ */
+export class KeyJournal {
+  /**
+   * Get the key journal of a page, creating it on first use.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @returns {KeyJournal}
+   */
+  static forPage(page) {
+    if (!journals.has(page)) {
+      journals.set(page, new KeyJournal());
+    }
+    return /** @type {KeyJournal} */ (journals.get(page));
+  }
+
+  constructor() {
+    /** @type {KeyJournalEntry[]} */
+    this.entries = [];
+  }
+
+  /**
+   * Append an entry.
+   * @param {Omit<KeyJournalEntry, 'step'>} entry
+   * @returns {KeyJournalEntry} The recorded entry
+   */
+  record(entry) {
+    const recorded = { step: this.entries.length + 1, ...entry };
+    this.entries.push(recorded);
+    return recorded;
+  }
+
+  /**
+   * Entries as written to key-journal.json.
+   * @returns {KeyJournalEntry[]}
+   */
+  toJSON() {
+    return [...this.entries];
+  }
+}
+
+/**
+ * Attach a key journal to the test report.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {KeyJournal} journal - Journal to attach
+ * @param {string} [name='key-journal'] - Attachment name
+ */
+export async function attachKeyJournal(testInfo, journal, name = 'key-journal') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(journal, null, 2),
+    contentType: 'application/json',
+  });
+}
+
+/**
+ * Read a key-journal.json file, e.g. one downloaded from a CI report.
+ * @param {string} path - Path to the file
+ * @returns {Promise<KeyJournalEntry[]>}
+ * @throws {Error} If the file does not contain a key journal
+ */
+export async function loadKeyJournal(path) {
+  const entries = JSON.parse(await readFile(path, 'utf8'));
+  if (!Array.isArray(entries) || entries.some((entry) => !entry || !entry.button)) {
+    throw new Error(`"${path}" is not a key journal: expected an array of key entries`);
+  }
+  return entries;
+}
+
+export default KeyJournal;
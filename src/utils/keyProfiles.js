@@ -0,0 +1,217 @@
+/**
+ * Key Profiles - Remote control key maps for the TV platforms the app ships on.
+ *
+ * Each profile maps logical remote buttons (UP, BACK, RED, DIGIT_5, ...) to the `key` and
+ * legacy `keyCode` the platform's browser reports, and says how keys are sent:
+ * - `keyboard`: real key presses through `page.keyboard` (only keys Playwright knows)
+ * - `keyCode`: synthetic KeyboardEvents carrying `keyCode`/`which`, for platform keys
+ *   Playwright cannot press and for frameworks that only read `keyCode`
+ */
+
+/**
+ * Ways a key can be delivered to the page.
+ */
+export const SEND_MODES = {
+  KEYBOARD: 'keyboard',
+  KEY_CODE: 'keyCode',
+};
+
+/**
+ * @typedef {Object} KeyDefinition
+ * @property {string} key - KeyboardEvent.key value (a Playwright key name in keyboard mode)
+ * @property {number} keyCode - Legacy KeyboardEvent.keyCode/which value
+ * @property {string} [code] - KeyboardEvent.code value, if the key has one
+ */
+
+/**
+ * @typedef {Object} KeyProfile
+ * @property {string} name - Profile name
+ * @property {'keyboard'|'keyCode'} sendMode - How keys are sent
+ * @property {Record<string, KeyDefinition>} keys - Key definitions by logical button name
+ */
+
+/**
+ * Arrow keys and OK, identical on every platform.
+ */
+const DIRECTIONAL_KEYS = {
+  UP: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38 },
+  DOWN: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40 },
+  LEFT: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37 },
+  RIGHT: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+  SELECT: { key: 'Enter', code: 'Enter', keyCode: 13 },
+};
+
+/**
+ * Number keys 0-9 as DIGIT_0 ... DIGIT_9.
+ */
+const DIGIT_KEYS = Object.fromEntries(
+  Array.from({ length: 10 }, (_, digit) => [
+    `DIGIT_${digit}`,
+    { key: String(digit), code: `Digit${digit}`, keyCode: 48 + digit },
+  ])
+);
+
+/**
+ * Red, green, yellow and blue keys as reported by TV browsers.
+ */
+const COLOUR_KEYS = {
+  RED: { key: 'ColorF0Red', keyCode: 403 },
+  GREEN: { key: 'ColorF1Green', keyCode: 404 },
+  YELLOW: { key: 'ColorF2Yellow', keyCode: 405 },
+  BLUE: { key: 'ColorF3Blue', keyCode: 406 },
+};
+
+/**
+ * Media transport keys shared by the CE-HTML derived platforms.
+ */
+const MEDIA_KEYS = {
+  PLAY: { key: 'MediaPlay', keyCode: 415 },
+  PAUSE: { key: 'MediaPause', keyCode: 19 },
+  STOP: { key: 'MediaStop', keyCode: 413 },
+  FAST_FORWARD: { key: 'MediaFastForward', keyCode: 417 },
+  REWIND: { key: 'MediaRewind', keyCode: 412 },
+};
+
+/**
+ * Built-in key profiles, keyed by name.
+ * @type {Record<string, KeyProfile>}
+ */
+export const KEY_PROFILES = {
+  desktop: {
+    name: 'desktop',
+    sendMode: SEND_MODES.KEYBOARD,
+    keys: {
+      ...DIRECTIONAL_KEYS,
+      BACK: { key: 'Escape', code: 'Escape', keyCode: 27 },
+      ...DIGIT_KEYS,
+      CHANNEL_UP: { key: 'PageUp', code: 'PageUp', keyCode: 33 },
+      CHANNEL_DOWN: { key: 'PageDown', code: 'PageDown', keyCode: 34 },
+      MENU: { key: 'ContextMenu', code: 'ContextMenu', keyCode: 93 },
+    },
+  },
+
+  tizen: {
+    name: 'tizen',
+    sendMode: SEND_MODES.KEY_CODE,
+    keys: {
+      ...DIRECTIONAL_KEYS,
+      BACK: { key: 'XF86Back', keyCode: 10009 },
+      ...DIGIT_KEYS,
+      ...COLOUR_KEYS,
+      CHANNEL_UP: { key: 'XF86RaiseChannel', keyCode: 427 },
+      CHANNEL_DOWN: { key: 'XF86LowerChannel', keyCode: 428 },
+      INFO: { key: 'XF86Info', keyCode: 457 },
+      MENU: { key: 'XF86Menu', keyCode: 10133 },
+      PLAY_PAUSE: { key: 'XF86PlayBack', keyCode: 10252 },
+      ...MEDIA_KEYS,
+    },
+  },
+
+  webos: {
+    name: 'webos',
+    sendMode: SEND_MODES.KEY_CODE,
+    keys: {
+      ...DIRECTIONAL_KEYS,
+      BACK: { key: 'GoBack', keyCode: 461 },
+      ...DIGIT_KEYS,
+      ...COLOUR_KEYS,
+      CHANNEL_UP: { key: 'ChannelUp', keyCode: 33 },
+      CHANNEL_DOWN: { key: 'ChannelDown', keyCode: 34 },
+      INFO: { key: 'Info', keyCode: 457 },
+      ...MEDIA_KEYS,
+    },
+  },
+
+  hbbtv: {
+    name: 'hbbtv',
+    sendMode: SEND_MODES.KEY_CODE,
+    keys: {
+      ...DIRECTIONAL_KEYS,
+      BACK: { key: 'GoBack', keyCode: 461 },
+      ...DIGIT_KEYS,
+      ...COLOUR_KEYS,
+      CHANNEL_UP: { key: 'ChannelUp', keyCode: 427 },
+      CHANNEL_DOWN: { key: 'ChannelDown', keyCode: 428 },
+      INFO: { key: 'Info', keyCode: 457 },
+      PLAY_PAUSE: { key: 'MediaPlayPause', keyCode: 402 },
+      ...MEDIA_KEYS,
+    },
+  },
+
+  androidtv: {
+    name: 'androidtv',
+    sendMode: SEND_MODES.KEY_CODE,
+    keys: {
+      ...DIRECTIONAL_KEYS,
+      BACK: { key: 'BrowserBack', keyCode: 166 },
+      ...DIGIT_KEYS,
+      ...COLOUR_KEYS,
+      CHANNEL_UP: { key: 'ChannelUp', keyCode: 33 },
+      CHANNEL_DOWN: { key: 'ChannelDown', keyCode: 34 },
+      INFO: { key: 'Info', keyCode: 457 },
+      MENU: { key: 'ContextMenu', keyCode: 93 },
+      PLAY_PAUSE: { key: 'MediaPlayPause', keyCode: 179 },
+      PLAY: { key: 'MediaPlay', keyCode: 415 },
+      PAUSE: { key: 'MediaPause', keyCode: 19 },
+      STOP: { key: 'MediaStop', keyCode: 178 },
+      FAST_FORWARD: { key: 'MediaFastForward', keyCode: 228 },
+      REWIND: { key: 'MediaRewind', keyCode: 227 },
+    },
+  },
+};
+
+/**
+ * Key profiles chosen per browser context, e.g. from a project's `use` options.
+ * @type {WeakMap<object, {profile: string|KeyProfile, sendMode?: string}>}
+ */
+const contextProfiles = new WeakMap();
+
+/**
+ * Resolve a profile name or object, optionally overriding how its keys are sent.
+ * @param {string|KeyProfile} profile - Profile name from KEY_PROFILES, or a custom profile
+ * @param {string} [sendMode] - 'keyboard' or 'keyCode' to override the profile's send mode
+ * @returns {KeyProfile}
+ * @throws {Error} If the profile or send mode is unknown
+ */
+export function resolveKeyProfile(profile, sendMode) {
+  const resolved = typeof profile === 'string' ? KEY_PROFILES[profile.toLowerCase()] : profile;
+  if (!resolved) {
+    throw new Error(
+      `Unknown key profile "${profile}". Available profiles: ${Object.keys(KEY_PROFILES).join(', ')}`
+    );
+  }
+  if (sendMode && !Object.values(SEND_MODES).includes(sendMode)) {
+    throw new Error(
+      `Unknown key send mode "${sendMode}". Use one of: ${Object.values(SEND_MODES).join(', ')}`
+    );
+  }
+  return sendMode ? { ...resolved, sendMode: /** @type {any} */ (sendMode) } : resolved;
+}
+
+/**
+ * Use a key profile for every RemoteControl created on pages of a browser context.
+ * @param {import('@playwright/test').BrowserContext} context - Browser context
+ * @param {string|KeyProfile} profile - Profile name or custom profile
+ * @param {string} [sendMode] - Optional send mode override
+ */
+export function assignKeyProfile(context, profile, sendMode) {
+  contextProfiles.set(context, { profile, sendMode });
+}
+
+/**
+ * Key profile assigned to a page's browser context, if any.
+ * @param {import('@playwright/test').Page} page - Playwright page instance
+ * @returns {{profile: string|KeyProfile, sendMode?: string}|null}
+ */
+export function assignedKeyProfile(page) {
+  const context = typeof page.context === 'function' ? page.context() : null;
+  return (context && contextProfiles.get(context)) || null;
+}
+
+export default {
+  SEND_MODES,
+  KEY_PROFILES,
+  resolveKeyProfile,
+  assignKeyProfile,
+  assignedKeyProfile,
+};
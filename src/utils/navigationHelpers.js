@@ -1,9 +1,12 @@
 /**
  * Navigation Helpers - Shared utilities for TV navigation operations.
- * Provides reusable functions for focus management, text normalization, and polling.
+ * Provides reusable functions for focus management, text normalization, and focus waits.
  */
 
 import { TIMEOUTS } from './constants.js';
+import { FocusTracker } from './focusTracker.js';
+import { getFocusStrategy } from './focusStrategy.js';
+import { NavigationTimeline } from './navigationTimeline.js';
 
 /**
  * Normalise a string value for comparison.
@@ -16,7 +19,8 @@ export function normalise(value) {
 }
 
 /**
- * Wait for focus to change by polling the focused element's attribute.
+ * Wait for focus to change, re-reading the focused element's identifier each time the
+ * page's FocusTracker reports a focus event (no polling).
  * Useful when navigating through lists where focus shifts between elements.
  *
  * @param {import('@playwright/test').Page} page - Playwright page instance
@@ -31,40 +35,56 @@ export async function waitForFocusChange(
   previousValue,
   timeout = TIMEOUTS.FOCUS_CHANGE
 ) {
-  const startTime = Date.now();
-  while (Date.now() - startTime < timeout) {
-    const currentValue = await getValueFn();
-    if (currentValue !== previousValue) {
-      return currentValue;
+  const tracker = await FocusTracker.forPage(page);
+  const deadline = Date.now() + timeout;
+
+  let since = tracker.mark();
+  let currentValue = await getValueFn();
+  while (currentValue === previousValue) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0 || !(await tracker.waitForNextFocus({ since, timeout: remaining }))) {
+      return previousValue;
     }
-    await page.waitForTimeout(TIMEOUTS.POLLING_INTERVAL);
+    since = tracker.mark();
+    currentValue = await getValueFn();
   }
 
-  return previousValue;
+  return currentValue;
 }
 
 /**
  * Log a navigation failure with context.
+ * When the page is given and its navigation timeline is recording, the failure is also added
+ * to the timeline, so it is highlighted in the report and counted by
+ * NavigationTimelineReporter.
  * @param {string} context - Description of what was being attempted
  * @param {string} target - The target that was not found
  * @param {string|null} lastFocused - The last focused element identifier
+ * @param {Object} [details]
+ * @param {import('@playwright/test').Page} [details.page] - Page the navigation ran on
+ * @param {string} [details.reason] - Why it gave up, one of NAVIGATION_FAILURES
  */
-export function logNavigationFailure(context, target, lastFocused) {
+export async function logNavigationFailure(context, target, lastFocused, details = {}) {
   console.warn(
-    `[Navigation] Failed to find "${target}" during ${context}. ` +
+    `[Navigation] Failed to find "${target}" during ${context}` +
+      `${details.reason ? ` (${details.reason})` : ''}. ` +
       `Last focused element: "${lastFocused || 'none'}"`
   );
+  const timeline = details.page ? NavigationTimeline.recording(details.page) : null;
+  if (timeline) {
+    await timeline.recordFailure({ context, target, lastFocused, reason: details.reason });
+  }
 }
 
 /**
  * Create a focus getter function for elements with data-testid attribute.
  * @param {import('@playwright/test').Locator} containerLocator - The container to search within
- * @param {string} [focusSelector='[role="listitem"][data-focused="focused"]'] - Selector for focused element
+ * @param {string} [focusSelector] - Selector for focused element; defaults to list items the active FocusStrategy considers focused
  * @returns {Function} Async function that returns the focused element's data-testid
  */
 export function createTestIdFocusGetter(
   containerLocator,
-  focusSelector = '[role="listitem"][data-focused="focused"]'
+  focusSelector = getFocusStrategy().selector('focused', '[role="listitem"]')
 ) {
   return async () => {
     const focused = containerLocator.locator(focusSelector);
@@ -78,12 +98,12 @@ export function createTestIdFocusGetter(
 /**
  * Create a focus getter function for elements with text content.
  * @param {import('@playwright/test').Locator} containerLocator - The container to search within
- * @param {string} [focusSelector='[role="listitem"][data-focused="focused"]'] - Selector for focused element
+ * @param {string} [focusSelector] - Selector for focused element; defaults to list items the active FocusStrategy considers focused
  * @returns {Function} Async function that returns the focused element's text content
  */
 export function createTextFocusGetter(
   containerLocator,
-  focusSelector = '[role="listitem"][data-focused="focused"]'
+  focusSelector = getFocusStrategy().selector('focused', '[role="listitem"]')
 ) {
   return async () => {
     const focused = containerLocator.locator(focusSelector);
@@ -94,10 +114,78 @@ export function createTextFocusGetter(
   };
 }
 
+/**
+ * Describe a DOM element as a focus-graph node.
+ * Runs inside the browser (pass it to `locator.evaluate`), so it must stay self-contained.
+ *
+ * The id combines the element's data-testid, aria-label or id with the data-testid, id or
+ * aria-label of the list it lives in, so tiles that appear in more than one rail stay distinct.
+ *
+ * @param {Element} el - Element to describe
+ * @returns {{id: string, testId: string|null, label: string|null, role: string|null, scope: string|null, rect: {x: number, y: number, width: number, height: number}}}
+ */
+export function describeElement(el) {
+  const testId = el.getAttribute('data-testid');
+  const label = el.getAttribute('aria-label');
+  const name =
+    testId || label || (el.id ? `#${el.id}` : null) || (el.textContent || '').trim().slice(0, 40);
+
+  const container = el.parentElement
+    ? el.parentElement.closest(
+        '[role="list"], [role="menubar"], [role="menu"], [role="grid"], [role="tablist"], [role="listbox"], [role="toolbar"]'
+      )
+    : null;
+  const scope = container
+    ? container.getAttribute('data-testid') ||
+      (container.id ? `#${container.id}` : null) ||
+      container.getAttribute('aria-label')
+    : null;
+
+  const { x, y, width, height } = el.getBoundingClientRect();
+
+  return {
+    id: scope ? `${scope}/${name}` : name,
+    testId,
+    label,
+    role: el.getAttribute('role'),
+    scope,
+    rect: { x, y, width, height },
+  };
+}
+
+/**
+ * Describe the element that currently holds TV focus.
+ * When several elements are marked (e.g. a row container and the tile inside it), the
+ * innermost one wins.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page instance
+ * @param {string} [focusSelector] - Selector for focused elements; defaults to the active FocusStrategy's
+ * @returns {Promise<ReturnType<typeof describeElement>|null>} Descriptor, or null if nothing is focused
+ */
+export async function describeFocusedElement(
+  page,
+  focusSelector = getFocusStrategy().focusedSelector
+) {
+  const handle = await page.evaluateHandle((selector) => {
+    const marked = Array.from(document.querySelectorAll(selector));
+    const innermost = marked.filter(
+      (el) => !marked.some((other) => other !== el && el.contains(other))
+    );
+    return innermost[innermost.length - 1] || null;
+  }, focusSelector);
+
+  const element = handle.asElement();
+  const descriptor = element ? await element.evaluate(describeElement) : null;
+  await handle.dispose();
+  return descriptor;
+}
+
 export default {
   normalise,
   waitForFocusChange,
   logNavigationFailure,
   createTestIdFocusGetter,
   createTextFocusGetter,
+  describeElement,
+  describeFocusedElement,
 };
@@ -0,0 +1,290 @@
+import { screenFromUrl } from './focusLatency.js';
+
+/**
+ * Navigation Timeline - Step-by-step record of how a test navigated the TV app.
+ *
+ * RemoteControl adds one step per press or hold to the timeline of its page: the button, the
+ * screen, the element focused before and after, how long the app took to respond and, if
+ * step thumbnails are on, a thumbnail screenshot. Navigation failures reported with
+ * logNavigationFailure() (end of a rail, target not found, step or re-plan limit reached) are
+ * added in between with a thumbnail, so the report shows exactly where a navigation went wrong.
+ *
+ * The `navigationTimeline` fixture attaches the timeline as navigation-timeline.html and
+ * navigation-timeline.json; NavigationTimelineReporter (src/reporters/) collects the failures
+ * of the whole run from those attachments.
+ */
+
+/**
+ * Why a navigation gave up.
+ */
+export const NAVIGATION_FAILURES = {
+  /** Focus stopped moving before the target was reached */
+  END_OF_RAIL: 'end-of-rail',
+
+  /** The target is not on the screen, or no path to it was found */
+  TARGET_NOT_FOUND: 'target-not-found',
+
+  /** The navigation used up its key press limit */
+  MAX_STEPS: 'max-steps',
+
+  /** Focus landed somewhere unexpected more often than the navigation tolerates */
+  MAX_REPLANS: 'max-replans',
+};
+
+/**
+ * Defaults for navigation timelines.
+ */
+export const NAVIGATION_TIMELINE_DEFAULTS = {
+  /** Thumbnails per test; later steps and failures are recorded without one */
+  maxThumbnails: 100,
+
+  /** JPEG quality of thumbnails (0-100) */
+  thumbnailQuality: 30,
+};
+
+/**
+ * @typedef {Object} TimelineStep
+ * @property {'key'} type
+ * @property {number} index - Position in the timeline, from 1
+ * @property {'press'|'hold'} action - Single press, or button held down
+ * @property {string} button - Logical button name, e.g. 'RIGHT'
+ * @property {string} screen - Screen the key was sent on
+ * @property {string} url - Page URL when the key was sent
+ * @property {string|null} before - Node id focused before the key
+ * @property {string|null} after - Node id focused as a result of the key
+ * @property {'focus'|'unchanged'|null} outcome - Whether the key moved focus; null if the page never reported back
+ * @property {number|null} duration - ms from sending the key to the page reporting its outcome
+ * @property {number} time - When the key was sent (ms since epoch)
+ * @property {string|null} thumbnail - Base64 JPEG of the page after the step, if one was taken
+ */
+
+/**
+ * @typedef {Object} TimelineFailure
+ * @property {'failure'} type
+ * @property {number} index - Position in the timeline, from 1
+ * @property {string} context - What was being attempted, e.g. "Favourite Apps rail"
+ * @property {string} target - What could not be focused
+ * @property {string|null} lastFocused - Identifier of the element focused when it gave up
+ * @property {string|null} reason - One of NAVIGATION_FAILURES, if known
+ * @property {string} screen - Screen the navigation was on
+ * @property {string} url - Page URL when it gave up
+ * @property {number} time - When it gave up (ms since epoch)
+ * @property {string|null} thumbnail - Base64 JPEG of the page when it gave up, if one was taken
+ */
+
+/**
+ * Timelines per page, so every RemoteControl and component on a page adds to the same one.
+ * @type {WeakMap<object, NavigationTimeline>}
+ */
+const timelines = new WeakMap();
+
+/**
+ * NavigationTimeline - Ordered key steps and navigation failures of one page.
+ */
+export class NavigationTimeline {
+  /**
+   * Get the timeline of a page, starting it on first use.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options] - Only used when the timeline is first started
+   * @param {boolean} [options.stepThumbnails=true] - Take a thumbnail screenshot at each key
+   *   step too, not only at navigation failures
+   * @param {number} [options.maxThumbnails] - Thumbnails per test
+   * @returns {NavigationTimeline}
+   */
+  static forPage(page, options = {}) {
+    if (!timelines.has(page)) {
+      timelines.set(page, new NavigationTimeline(page, options));
+    }
+    return /** @type {NavigationTimeline} */ (timelines.get(page));
+  }
+
+  /**
+   * Timeline of a page, if one was started.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @returns {NavigationTimeline|null}
+   */
+  static recording(page) {
+    return timelines.get(page) || null;
+  }
+
+  /**
+   * Use NavigationTimeline.forPage() instead; a page has one timeline.
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {boolean} [options.stepThumbnails]
+   * @param {number} [options.maxThumbnails]
+   * @private
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.stepThumbnails = options.stepThumbnails ?? true;
+    this.maxThumbnails = options.maxThumbnails ?? NAVIGATION_TIMELINE_DEFAULTS.maxThumbnails;
+    this.thumbnailCount = 0;
+
+    /** @type {Array<TimelineStep|TimelineFailure>} */
+    this.events = [];
+  }
+
+  /**
+   * Add a key step.
+   * @param {import('./keyJournal.js').KeyJournalEntry} entry - Key journal entry of the key
+   * @param {number|null} duration - ms from sending the key to the page reporting its outcome
+   * @returns {Promise<TimelineStep>}
+   */
+  async recordStep(entry, duration) {
+    const step = {
+      type: /** @type {'key'} */ ('key'),
+      index: this.events.length + 1,
+      action: entry.action,
+      button: entry.button,
+      screen: screenFromUrl(entry.url),
+      url: entry.url,
+      before: entry.before,
+      after: entry.after,
+      outcome: entry.outcome,
+      duration,
+      time: entry.time,
+      thumbnail: null,
+    };
+    this.events.push(step);
+    if (this.stepThumbnails) {
+      step.thumbnail = await this.thumbnail();
+    }
+    return step;
+  }
+
+  /**
+   * Add a navigation failure.
+   * @param {Object} failure
+   * @param {string} failure.context - What was being attempted
+   * @param {string} failure.target - What could not be focused
+   * @param {string|null} failure.lastFocused - Identifier of the element focused when it gave up
+   * @param {string|null} [failure.reason=null] - One of NAVIGATION_FAILURES
+   * @returns {Promise<TimelineFailure>}
+   */
+  async recordFailure({ context, target, lastFocused, reason = null }) {
+    const url = this.page.url();
+    const failure = {
+      type: /** @type {'failure'} */ ('failure'),
+      index: this.events.length + 1,
+      context,
+      target,
+      lastFocused,
+      reason,
+      screen: screenFromUrl(url),
+      url,
+      time: Date.now(),
+      thumbnail: null,
+    };
+    this.events.push(failure);
+    failure.thumbnail = await this.thumbnail();
+    return failure;
+  }
+
+  /**
+   * Navigation failures recorded so far.
+   * @returns {TimelineFailure[]}
+   */
+  getFailures() {
+    return /** @type {TimelineFailure[]} */ (this.events.filter((e) => e.type === 'failure'));
+  }
+
+  /**
+   * Screenshot of the page for the current event, unless thumbnails are used up.
+   * @returns {Promise<string|null>} Base64 JPEG
+   * @private
+   */
+  async thumbnail() {
+    if (this.thumbnailCount >= this.maxThumbnails) {
+      return null;
+    }
+    this.thumbnailCount++;
+    const image = await this.page
+      .screenshot({
+        type: 'jpeg',
+        quality: NAVIGATION_TIMELINE_DEFAULTS.thumbnailQuality,
+        scale: 'css',
+        timeout: 2000,
+      })
+      .catch(() => null);
+    return image ? image.toString('base64') : null;
+  }
+
+  /**
+   * Timeline as written to navigation-timeline.json; thumbnails are left out.
+   * @returns {{steps: number, failures: TimelineFailure[], events: Array<TimelineStep|TimelineFailure>}}
+   */
+  toJSON() {
+    const events = this.events.map(({ thumbnail, ...event }) => ({
+      ...event,
+      thumbnail: thumbnail !== null,
+    }));
+    return {
+      steps: events.filter((event) => event.type === 'key').length,
+      failures: /** @type {TimelineFailure[]} */ (events.filter((e) => e.type === 'failure')),
+      events: /** @type {Array<TimelineStep|TimelineFailure>} */ (events),
+    };
+  }
+
+  /**
+   * HTML page showing the timeline with its thumbnails; failures are highlighted.
+   * @param {string} title - Page heading, e.g. the test title
+   * @returns {string}
+   */
+  toHtml(title) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    const image = (event) =>
+      event.thumbnail
+        ? `<img src="data:image/jpeg;base64,${event.thumbnail}">`
+        : '<span class="none">none</span>';
+
+    const rows = this.events.map((event) =>
+      event.type === 'key'
+        ? `<tr class="${event.outcome === 'focus' ? 'moved' : 'stuck'}"><td>${event.index}</td>` +
+          `<td>${escape(event.screen)}</td><td><b>${escape(event.button)}</b>` +
+          `${event.action === 'hold' ? ' (held)' : ''}</td>` +
+          `<td>${escape(event.before || '-')} &rarr; ${escape(event.after || '-')}</td>` +
+          `<td>${escape(event.outcome || 'no response')}` +
+          `${event.duration === null ? '' : `, ${event.duration}ms`}</td>` +
+          `<td>${image(event)}</td></tr>`
+        : `<tr class="failure"><td>${event.index}</td><td>${escape(event.screen)}</td>` +
+          `<td><b>FAILED</b></td><td>${escape(event.context)}: "${escape(event.target)}" not ` +
+          `reached, last focused ${escape(event.lastFocused || 'none')}</td>` +
+          `<td>${escape(event.reason || 'unknown')}</td><td>${image(event)}</td></tr>`
+    );
+
+    return [
+      '<!doctype html><meta charset="utf-8">',
+      `<title>Navigation timeline - ${escape(title)}</title>`,
+      '<style>body{font-family:sans-serif}td,th{border:1px solid #ccc;padding:4px;' +
+        'vertical-align:top}img{width:240px}.stuck{color:#666}' +
+        '.failure{background:#fdd;color:#900}.none{color:#999}</style>',
+      `<h1>${escape(title)}</h1>`,
+      `<p>${this.toJSON().steps} steps, ${this.getFailures().length} navigation failure(s)</p>`,
+      '<table><tr><th>#</th><th>Screen</th><th>Key</th><th>Focus before &rarr; after</th>' +
+        '<th>Result</th><th>Thumbnail</th></tr>',
+      ...rows,
+      '</table>',
+    ].join('\n');
+  }
+}
+
+/**
+ * Attach a timeline to the test report as navigation-timeline.json and navigation-timeline.html.
+ * NavigationTimelineReporter reads the JSON attachment.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {NavigationTimeline} timeline - Timeline to attach
+ * @param {string} [name='navigation-timeline'] - Attachment name, without extension
+ */
+export async function attachNavigationTimeline(testInfo, timeline, name = 'navigation-timeline') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(timeline, null, 2),
+    contentType: 'application/json',
+  });
+  await testInfo.attach(`${name}.html`, {
+    body: timeline.toHtml(testInfo.titlePath.slice(1).join(' › ')),
+    contentType: 'text/html',
+  });
+}
+
+export default NavigationTimeline;
@@ -0,0 +1,272 @@
+import { QOE_THRESHOLDS } from './constants.js';
+import { isMasterPlaylist, parseMasterPlaylist } from './hlsPlaylist.js';
+
+/**
+ * QoE Metrics - Video quality-of-experience measurements for channel playback.
+ *
+ * A collector injected with `addInitScript` listens to the `playing` and `waiting` events of
+ * every video element to time startup and rebuffering. Dropped frames come from
+ * `getVideoPlaybackQuality()`, and bitrate switches are inferred from the order in which
+ * variant playlists were requested. Thresholds (QOE_THRESHOLDS, overridable per project or
+ * per call) turn regressions into test failures.
+ */
+
+/**
+ * @typedef {Object} BitrateSwitch
+ * @property {string|null} from - Variant name (or URI) switched away from
+ * @property {string|null} to - Variant name (or URI) switched to
+ * @property {number} fromBandwidth - Bandwidth of the previous variant
+ * @property {number} toBandwidth - Bandwidth of the new variant
+ */
+
+/**
+ * @typedef {Object} QoeMetrics
+ * @property {number|null} startupTime - ms from select (or navigation) to the first video frame; null if it never played
+ * @property {number} rebufferCount - Stalls after playback started
+ * @property {number} rebufferDuration - Total ms spent stalled, including a stall still in progress
+ * @property {number} droppedFrames - getVideoPlaybackQuality().droppedVideoFrames
+ * @property {number} totalFrames - getVideoPlaybackQuality().totalVideoFrames
+ * @property {number} droppedFrameRatio - droppedFrames / totalFrames (0 before any frame)
+ * @property {number} bitrateSwitches - Number of variant changes
+ * @property {BitrateSwitch[]} switches - The variant changes, in order
+ * @property {number} playlistRequests - HLS playlists loaded (master and media)
+ */
+
+/**
+ * Threshold values by name, see QOE_THRESHOLDS.
+ * @typedef {Partial<typeof QOE_THRESHOLDS>} QoeThresholds
+ */
+
+/** @type {QoeThresholds} */
+let thresholdOverrides = {};
+
+/**
+ * Page-side collector. Runs inside the browser, so it must stay self-contained.
+ */
+function qoeCollector() {
+  if (window.__tvQoe) {
+    return;
+  }
+
+  const qoe = { firstPlayingAt: null, firstFrameAt: null, rebuffers: [], waitingSince: null };
+  window.__tvQoe = qoe;
+
+  const on = (type, handler) =>
+    window.addEventListener(
+      type,
+      (event) => {
+        if (event.target instanceof HTMLVideoElement) {
+          handler(event.target);
+        }
+      },
+      true
+    );
+
+  on('playing', (video) => {
+    const now = Date.now();
+    if (qoe.firstPlayingAt === null) {
+      qoe.firstPlayingAt = now;
+      if (typeof video.requestVideoFrameCallback === 'function') {
+        video.requestVideoFrameCallback(() => {
+          qoe.firstFrameAt = Date.now();
+        });
+      }
+    }
+    if (qoe.waitingSince !== null) {
+      qoe.rebuffers.push({ start: qoe.waitingSince, end: now });
+      qoe.waitingSince = null;
+    }
+  });
+
+  on('waiting', () => {
+    if (qoe.firstPlayingAt !== null && qoe.waitingSince === null) {
+      qoe.waitingSince = Date.now();
+    }
+  });
+}
+
+/**
+ * Inject the QoE collector into a page, or into every page a browser context opens
+ * (e.g. before selecting something that opens the player in a popup).
+ * @param {import('@playwright/test').Page|import('@playwright/test').BrowserContext} target
+ */
+export async function installQoeCollector(target) {
+  const script = `(${qoeCollector.toString()})();`;
+  await target.addInitScript({ content: script });
+  if ('evaluate' in target) {
+    await target.evaluate(script);
+  }
+}
+
+/**
+ * Infer bitrate switches from playlist responses in the order they arrived.
+ * A master playlist starts a new stream (e.g. after a channel change); each media playlist
+ * request for a different variant of that stream than the previous one is a switch.
+ * @param {import('@playwright/test').Response[]} responses - HLS playlist responses
+ * @returns {Promise<BitrateSwitch[]>}
+ */
+export async function inferBitrateSwitches(responses) {
+  /** @type {BitrateSwitch[]} */
+  const switches = [];
+  let variants = [];
+  let previous = null;
+
+  for (const response of responses) {
+    const text = await response.text().catch(() => '');
+    if (!text.startsWith('#EXTM3U')) {
+      continue;
+    }
+    if (isMasterPlaylist(text)) {
+      variants = parseMasterPlaylist(text, response.url()).variants;
+      previous = null;
+      continue;
+    }
+    const variant = variants.find((candidate) => candidate.uri === response.url());
+    if (!variant) {
+      continue;
+    }
+    if (previous && previous.uri !== variant.uri) {
+      switches.push({
+        from: previous.name || previous.uri,
+        to: variant.name || variant.uri,
+        fromBandwidth: previous.bandwidth,
+        toBandwidth: variant.bandwidth,
+      });
+    }
+    previous = variant;
+  }
+  return switches;
+}
+
+/**
+ * Collect QoE metrics from a page with the collector installed.
+ * @param {import('@playwright/test').Page} page - Page playing the video
+ * @param {Object} options
+ * @param {number} options.startedAt - When the user asked for playback (ms since epoch), e.g. just before select
+ * @param {import('@playwright/test').Response[]} [options.playlistResponses=[]] - HLS playlist responses, in order
+ * @param {string} [options.videoSelector='video'] - Video to read playback quality from
+ * @returns {Promise<QoeMetrics>}
+ * @throws {Error} If the collector is not installed on the page
+ */
+export async function collectQoeMetrics(
+  page,
+  { startedAt, playlistResponses = [], videoSelector = 'video' }
+) {
+  const collected = await page.evaluate((selector) => {
+    const qoe = window.__tvQoe;
+    if (!qoe) {
+      return null;
+    }
+    const video = document.querySelector(selector);
+    const quality =
+      video instanceof HTMLVideoElement && typeof video.getVideoPlaybackQuality === 'function'
+        ? video.getVideoPlaybackQuality()
+        : null;
+    const ongoing = qoe.waitingSince !== null ? [{ start: qoe.waitingSince, end: Date.now() }] : [];
+    return {
+      firstFrameAt: qoe.firstFrameAt ?? qoe.firstPlayingAt,
+      rebuffers: [...qoe.rebuffers, ...ongoing],
+      droppedFrames: quality ? quality.droppedVideoFrames : 0,
+      totalFrames: quality ? quality.totalVideoFrames : 0,
+    };
+  }, videoSelector);
+
+  if (!collected) {
+    throw new Error(
+      'QoE collector is not installed on this page; call installQoeCollector() first'
+    );
+  }
+
+  const switches = await inferBitrateSwitches(playlistResponses);
+  return {
+    startupTime: collected.firstFrameAt === null ? null : collected.firstFrameAt - startedAt,
+    rebufferCount: collected.rebuffers.length,
+    rebufferDuration: collected.rebuffers.reduce((total, { start, end }) => total + end - start, 0),
+    droppedFrames: collected.droppedFrames,
+    totalFrames: collected.totalFrames,
+    droppedFrameRatio:
+      collected.totalFrames > 0 ? collected.droppedFrames / collected.totalFrames : 0,
+    bitrateSwitches: switches.length,
+    switches,
+    playlistRequests: playlistResponses.length,
+  };
+}
+
+/**
+ * Thresholds in use: QOE_THRESHOLDS with the project's overrides applied.
+ * @returns {typeof QOE_THRESHOLDS}
+ */
+export function getQoeThresholds() {
+  return { ...QOE_THRESHOLDS, ...thresholdOverrides };
+}
+
+/**
+ * Override QoE thresholds for everything running in this worker.
+ * @param {QoeThresholds} [overrides={}] - Thresholds to change; the rest keep their defaults
+ * @returns {typeof QOE_THRESHOLDS} The thresholds now in use
+ */
+export function setQoeThresholds(overrides = {}) {
+  const unknown = Object.keys(overrides).filter((name) => !(name in QOE_THRESHOLDS));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown QoE threshold(s): ${unknown.join(', ')}. Valid thresholds: ${Object.keys(QOE_THRESHOLDS).join(', ')}`
+    );
+  }
+  thresholdOverrides = { ...overrides };
+  return getQoeThresholds();
+}
+
+/**
+ * Compare metrics with thresholds.
+ * @param {QoeMetrics} metrics - Collected metrics
+ * @param {QoeThresholds} [thresholds] - Thresholds to apply on top of getQoeThresholds()
+ * @returns {string[]} One message per threshold exceeded; empty if QoE is acceptable
+ */
+export function checkQoeThresholds(metrics, thresholds = {}) {
+  const limits = { ...getQoeThresholds(), ...thresholds };
+  const violations = [];
+  const check = (value, limit, label, unit = '') => {
+    if (value > limit) {
+      violations.push(`${label} ${value}${unit} exceeds ${limit}${unit}`);
+    }
+  };
+
+  if (metrics.startupTime === null) {
+    violations.push('Playback never started');
+  } else {
+    check(metrics.startupTime, limits.MAX_STARTUP_TIME, 'Startup time', 'ms');
+  }
+  check(metrics.rebufferCount, limits.MAX_REBUFFER_COUNT, 'Rebuffer count');
+  check(metrics.rebufferDuration, limits.MAX_REBUFFER_DURATION, 'Rebuffer duration', 'ms');
+  check(
+    Number(metrics.droppedFrameRatio.toFixed(4)),
+    limits.MAX_DROPPED_FRAME_RATIO,
+    'Dropped frame ratio'
+  );
+  check(metrics.bitrateSwitches, limits.MAX_BITRATE_SWITCHES, 'Bitrate switches');
+  return violations;
+}
+
+/**
+ * Attach QoE metrics, the thresholds they were checked against and any violations to the
+ * test report.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {{metrics: QoeMetrics, thresholds: Object, violations: string[]}} report
+ * @param {string} [name='qoe-metrics'] - Attachment name
+ */
+export async function attachQoeMetrics(testInfo, report, name = 'qoe-metrics') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(report, null, 2),
+    contentType: 'application/json',
+  });
+}
+
+export default {
+  installQoeCollector,
+  inferBitrateSwitches,
+  collectQoeMetrics,
+  getQoeThresholds,
+  setQoeThresholds,
+  checkQoeThresholds,
+  attachQoeMetrics,
+};
@@ -1,113 +1,539 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { SEND_MODES, resolveKeyProfile, assignedKeyProfile } from './keyProfiles.js';
+import { FocusTracker } from './focusTracker.js';
+import { KeyJournal } from './keyJournal.js';
+import { FocusLatency } from './focusLatency.js';
+import { NavigationTimeline } from './navigationTimeline.js';
 import { TIMEOUTS } from './constants.js';
+import { env } from '../../config/env.js';
+import { getProfile } from '../../config/profiles.js';
+
+/**
+ * Outcome of a key press: the focus event it caused, the page's verdict that it did not
+ * move focus, or null if the page never reported back (e.g. it navigated away).
+ * @typedef {import('./focusTracker.js').FocusEvent|null} KeyResult
+ */
+
+/**
+ * Outcome of holding a button down.
+ * @typedef {Object} HoldResult
+ * @property {number} keydowns - Keydown events sent, including auto-repeats
+ * @property {number} moved - Number of times focus moved while the button was held
+ * @property {Array<string|null>} path - Node ids focus moved through, in order
+ * @property {KeyResult} result - Outcome of the last keydown
+ */
 
 /**
  * RemoteControl - Simulates TV remote control navigation using keyboard events.
- * Maps remote control buttons to keyboard keys for navigating the TV web interface.
+ * Maps remote control buttons to the keys of a platform key profile (see keyProfiles.js)
+ * for navigating the TV web interface.
  */
 export class RemoteControl {
   /**
    * Creates an instance of RemoteControl.
+   * The key profile defaults to the one assigned to the page's browser context (project
+   * `use` options), then to the environment profile's.
    * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {Object} [options]
+   * @param {string|import('./keyProfiles.js').KeyProfile} [options.profile] - Key profile name or custom profile
+   * @param {'keyboard'|'keyCode'} [options.sendMode] - Override how the profile's keys are sent
    */
-  constructor(page) {
+  constructor(page, options = {}) {
     this.page = page;
 
-    this.keyPressDelay = TIMEOUTS.KEY_PRESS_DELAY;
+    const assigned = assignedKeyProfile(page);
+    this.profile = resolveKeyProfile(
+      options.profile || (assigned && assigned.profile) || getProfile().keyProfile,
+      options.sendMode || (assigned && assigned.sendMode) || env.KEY_SEND_MODE || undefined
+    );
+
+    this.keys = this.profile.keys;
+  }
+
+  /**
+   * Look up a button in the key profile.
+   * @param {string} button - Logical button name, e.g. 'UP' or 'RED'
+   * @returns {import('./keyProfiles.js').KeyDefinition}
+   * @throws {Error} If the profile has no such button
+   * @private
+   */
+  keyFor(button) {
+    const definition = this.keys[button];
+    if (!definition) {
+      throw new Error(
+        `Button "${button}" is not available in the "${this.profile.name}" key profile`
+      );
+    }
+    return definition;
+  }
+
+  /**
+   * Dispatch synthetic keyboard events carrying legacy keyCode/which values to the focused
+   * element, the way older TV frameworks expect them.
+   * @param {import('./keyProfiles.js').KeyDefinition} definition - Key to send
+   * @param {Array<'keydown'|'keyup'>} types - Events to dispatch, in order
+   * @param {boolean} [repeat=false] - Mark the events as auto-repeats of a held key
+   * @private
+   */
+  async dispatchKey(definition, types, repeat = false) {
+    await this.page.evaluate(
+      ({ key, code, keyCode, types, repeat }) => {
+        const target = document.activeElement || document.body;
+        for (const type of types) {
+          const event = new KeyboardEvent(type, {
+            key,
+            code,
+            repeat,
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+          });
+          Object.defineProperty(event, 'keyCode', { get: () => keyCode });
+          Object.defineProperty(event, 'which', { get: () => keyCode });
+          target.dispatchEvent(event);
+        }
+      },
+      {
+        key: definition.key,
+        code: definition.code || '',
+        keyCode: definition.keyCode,
+        types,
+        repeat,
+      }
+    );
+  }
+
+  /**
+   * Press a button down without releasing it.
+   * Pressing a button that is already down sends an auto-repeat keydown (`repeat: true`);
+   * Playwright's keyboard does this by itself for keys it is still holding.
+   * @param {string} button - Logical button name
+   * @param {boolean} [repeat=false] - Send an auto-repeat keydown
+   * @private
+   */
+  async keyDown(button, repeat = false) {
+    const definition = this.keyFor(button);
+    if (this.profile.sendMode === SEND_MODES.KEY_CODE) {
+      await this.dispatchKey(definition, ['keydown'], repeat);
+    } else {
+      await this.page.keyboard.down(definition.key);
+    }
+  }
+
+  /**
+   * Release a button pressed with keyDown.
+   * @param {string} button - Logical button name
+   * @private
+   */
+  async keyUp(button) {
+    const definition = this.keyFor(button);
+    if (this.profile.sendMode === SEND_MODES.KEY_CODE) {
+      await this.dispatchKey(definition, ['keyup']);
+    } else {
+      await this.page.keyboard.up(definition.key);
+    }
+  }
 
-    this.keys = {
-      UP: 'ArrowUp',
-      DOWN: 'ArrowDown',
-      LEFT: 'ArrowLeft',
-      RIGHT: 'ArrowRight',
-      SELECT: 'Enter',
-      BACK: 'Escape',
-    };
+  /**
+   * Snapshot of the page taken just before a key is sent, for the key journal.
+   * @param {FocusTracker} tracker - The page's focus tracker
+   * @returns {{time: number, url: string, before: string|null}}
+   * @private
+   */
+  journalContext(tracker) {
+    const current = tracker.current();
+    return { time: Date.now(), url: this.page.url(), before: current ? current.id : null };
   }
 
   /**
-   * Press a single key.
-   * Note: The waitForTimeout here is intentional to simulate realistic remote control
-   * key press timing. This is necessary for TV interfaces that may have animations
-   * or focus transitions between key presses.
-   * @param {string} key - Key to press
+   * Write a key event to the page's key journal, and add it to the page's navigation
+   * timeline if one is recording.
+   * @param {'press'|'hold'} action - What was done with the button
+   * @param {string} button - Logical button name
+   * @param {{time: number, url: string, before: string|null}} context - From journalContext()
+   * @param {KeyResult} result - Outcome of the key
+   * @param {{duration?: number, holdOptions?: Object}} [details] - Hold duration and options
    * @private
    */
-  async pressKey(key) {
-    await this.page.keyboard.press(key);
-    if (this.keyPressDelay > 0) {
-      await this.page.waitForTimeout(this.keyPressDelay);
+  async journalKey(action, button, context, result, details = {}) {
+    const definition = this.keyFor(button);
+    const entry = KeyJournal.forPage(this.page).record({
+      action,
+      button,
+      key: definition.key,
+      keyCode: definition.keyCode,
+      profile: this.profile.name,
+      sendMode: this.profile.sendMode,
+      ...details,
+      ...context,
+      after: result && result.node ? result.node.id : null,
+      outcome: result ? /** @type {'focus'|'unchanged'} */ (result.type) : null,
+    });
+    const timeline = NavigationTimeline.recording(this.page);
+    if (timeline) {
+      await timeline.recordStep(entry, result ? Math.max(0, result.time - context.time) : null);
     }
   }
 
+  /**
+   * Press a single key and wait for the page to react.
+   * Instead of a fixed delay, each press waits for the focus tracker to report either the
+   * focus change it caused or that focus stayed put, so presses are paced by the app
+   * itself even when it animates focus transitions. While the page's focus latency is being
+   * measured (see focusLatency.js), presses that move focus are also sampled.
+   * @param {string} button - Logical button name, e.g. 'UP' or 'RED'
+   * @returns {Promise<KeyResult>}
+   * @private
+   */
+  async pressKey(button) {
+    const definition = this.keyFor(button);
+    const tracker = await FocusTracker.forPage(this.page);
+    const mark = tracker.mark();
+    const context = this.journalContext(tracker);
+    if (this.profile.sendMode === SEND_MODES.KEY_CODE) {
+      await this.dispatchKey(definition, ['keydown', 'keyup']);
+    } else {
+      await this.page.keyboard.press(definition.key);
+    }
+    const result = await tracker.waitForKeyResult(mark);
+    const latency = FocusLatency.measuring(this.page);
+    if (latency) {
+      await (await latency).record(button, context.url, result);
+    }
+    await this.journalKey('press', button, context, result);
+    return result;
+  }
+
   /**
    * Press a key multiple times.
-   * @param {string} key - Key to press
+   * @param {string} button - Logical button name
    * @param {number} times - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
    * @private
    */
-  async pressKeyMultiple(key, times) {
+  async pressKeyMultiple(button, times) {
+    let result = null;
     for (let i = 0; i < times; i++) {
-      await this.pressKey(key);
+      result = await this.pressKey(button);
     }
+    return result;
+  }
+
+  /**
+   * Press any button of the key profile.
+   * @param {string} button - Logical button name, e.g. 'INFO' or 'DIGIT_7'
+   * @param {number} [times=1] - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   * @throws {Error} If the profile has no such button
+   */
+  async press(button, times = 1) {
+    return this.pressKeyMultiple(button, times);
   }
 
   /**
    * Move focus up.
    * @param {number} [times=1] - Number of times to move up
+   * @returns {Promise<KeyResult>} Outcome of the last press
    */
   async moveUp(times = 1) {
-    await this.pressKeyMultiple(this.keys.UP, times);
+    return this.pressKeyMultiple('UP', times);
   }
 
   /**
    * Move focus down.
    * @param {number} [times=1] - Number of times to move down
+   * @returns {Promise<KeyResult>} Outcome of the last press
    */
   async moveDown(times = 1) {
-    await this.pressKeyMultiple(this.keys.DOWN, times);
+    return this.pressKeyMultiple('DOWN', times);
   }
 
   /**
    * Move focus left.
    * @param {number} [times=1] - Number of times to move left
+   * @returns {Promise<KeyResult>} Outcome of the last press
    */
   async moveLeft(times = 1) {
-    await this.pressKeyMultiple(this.keys.LEFT, times);
+    return this.pressKeyMultiple('LEFT', times);
   }
 
   /**
    * Move focus right.
    * @param {number} [times=1] - Number of times to move right
+   * @returns {Promise<KeyResult>} Outcome of the last press
    */
   async moveRight(times = 1) {
-    await this.pressKeyMultiple(this.keys.RIGHT, times);
+    return this.pressKeyMultiple('RIGHT', times);
   }
 
   /**
    * Select/confirm the currently focused item (OK button).
+   * @returns {Promise<KeyResult>}
    */
   async select() {
-    await this.pressKey(this.keys.SELECT);
+    return this.pressKey('SELECT');
+  }
+
+  /**
+   * Hold a button down the way a physical remote does: one keydown, then auto-repeat
+   * keydowns (`repeat: true`) every 1000 / repeatRate ms once repeatDelay has passed, and
+   * a keyup when the duration is over.
+   * Note: The delays here are intentional - they represent the actual duration the button
+   * is being held down, which is a physical simulation requirement for long-press and
+   * fast-scroll detection in TV interfaces.
+   * @param {string} button - Logical button name, e.g. 'RIGHT' or 'SELECT'
+   * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {Object} [options]
+   * @param {number} [options.repeatDelay=TIMEOUTS.KEY_REPEAT_DELAY] - Time before the first auto-repeat; Infinity for none
+   * @param {number} [options.repeatRate] - Auto-repeats per second; defaults to one per TIMEOUTS.KEY_REPEAT_INTERVAL
+   * @returns {Promise<HoldResult>}
+   * @throws {Error} If the profile has no such button or repeatRate is not positive
+   */
+  async hold(
+    button,
+    duration,
+    {
+      repeatDelay = TIMEOUTS.KEY_REPEAT_DELAY,
+      repeatRate = 1000 / TIMEOUTS.KEY_REPEAT_INTERVAL,
+    } = {}
+  ) {
+    if (!(repeatRate > 0)) {
+      throw new Error(`hold() expects a positive repeatRate, got ${repeatRate}`);
+    }
+    this.keyFor(button);
+
+    const tracker = await FocusTracker.forPage(this.page);
+    const start = tracker.mark();
+    const context = this.journalContext(tracker);
+    const heldAt = Date.now();
+    let lastKeydown = start;
+    let keydowns = 1;
+
+    await this.keyDown(button);
+    for (let at = repeatDelay; at < duration; at += 1000 / repeatRate) {
+      await delay(Math.max(0, heldAt + at - Date.now()));
+      lastKeydown = tracker.mark();
+      await this.keyDown(button, true);
+      keydowns++;
+    }
+    await delay(Math.max(0, heldAt + duration - Date.now()));
+    await this.keyUp(button);
+
+    const result = await tracker.waitForKeyResult(lastKeydown);
+    const path = tracker.history
+      .slice(start)
+      .filter((event) => event.type === 'focus')
+      .map((event) => (event.node ? event.node.id : null));
+    await this.journalKey('hold', button, context, result, {
+      duration,
+      holdOptions: { repeatDelay: Number.isFinite(repeatDelay) ? repeatDelay : null, repeatRate },
+    });
+    return { keydowns, moved: path.length, path, result };
+  }
+
+  /**
+   * Hold the up button to scroll fast.
+   * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {{repeatDelay?: number, repeatRate?: number}} [options] - See hold()
+   * @returns {Promise<HoldResult>} `moved` is the number of items focus moved past
+   */
+  async holdUp(duration, options) {
+    return this.hold('UP', duration, options);
+  }
+
+  /**
+   * Hold the down button to scroll fast.
+   * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {{repeatDelay?: number, repeatRate?: number}} [options] - See hold()
+   * @returns {Promise<HoldResult>} `moved` is the number of items focus moved past
+   */
+  async holdDown(duration, options) {
+    return this.hold('DOWN', duration, options);
+  }
+
+  /**
+   * Hold the left button to scroll fast.
+   * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {{repeatDelay?: number, repeatRate?: number}} [options] - See hold()
+   * @returns {Promise<HoldResult>} `moved` is the number of items focus moved past
+   */
+  async holdLeft(duration, options) {
+    return this.hold('LEFT', duration, options);
+  }
+
+  /**
+   * Hold the right button to scroll fast.
+   * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {{repeatDelay?: number, repeatRate?: number}} [options] - See hold()
+   * @returns {Promise<HoldResult>} `moved` is the number of items focus moved past
+   */
+  async holdRight(duration, options) {
+    return this.hold('RIGHT', duration, options);
   }
 
   /**
-   * Hold the OK/Enter button down for a specified duration.
-   * Note: The waitForTimeout here is intentional - it represents the actual
-   * duration the button is being held down, which is a physical simulation
-   * requirement for long-press detection in TV interfaces.
+   * Hold the OK/Enter button down for a specified duration, e.g. to long-press a tile.
    * @param {number} duration - Duration in milliseconds to hold the button
+   * @param {{repeatDelay?: number, repeatRate?: number}} [options] - See hold()
+   * @returns {Promise<HoldResult>}
    */
-  async holdSelect(duration) {
-    await this.page.keyboard.down(this.keys.SELECT);
-    await this.page.waitForTimeout(duration);
-    await this.page.keyboard.up(this.keys.SELECT);
+  async holdSelect(duration, options) {
+    return this.hold('SELECT', duration, options);
   }
 
   /**
    * Go back to the previous screen.
+   * @returns {Promise<KeyResult>}
    */
   async back() {
-    await this.pressKey(this.keys.BACK);
+    return this.pressKey('BACK');
+  }
+
+  /**
+   * Press the red colour key.
+   * @returns {Promise<KeyResult>}
+   */
+  async red() {
+    return this.pressKey('RED');
+  }
+
+  /**
+   * Press the green colour key.
+   * @returns {Promise<KeyResult>}
+   */
+  async green() {
+    return this.pressKey('GREEN');
+  }
+
+  /**
+   * Press the yellow colour key.
+   * @returns {Promise<KeyResult>}
+   */
+  async yellow() {
+    return this.pressKey('YELLOW');
+  }
+
+  /**
+   * Press the blue colour key.
+   * @returns {Promise<KeyResult>}
+   */
+  async blue() {
+    return this.pressKey('BLUE');
+  }
+
+  /**
+   * Press a number key.
+   * @param {number} n - Digit from 0 to 9
+   * @returns {Promise<KeyResult>}
+   * @throws {Error} If n is not a single digit
+   */
+  async digit(n) {
+    if (!Number.isInteger(n) || n < 0 || n > 9) {
+      throw new Error(`digit() expects a number from 0 to 9, got ${n}`);
+    }
+    return this.pressKey(`DIGIT_${n}`);
+  }
+
+  /**
+   * Type a number with the number keys, e.g. a channel number.
+   * @param {number|string} number - Non-negative whole number
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   * @throws {Error} If number contains anything other than digits
+   */
+  async digits(number) {
+    const text = String(number);
+    if (!/^\d+$/.test(text)) {
+      throw new Error(`digits() expects a non-negative whole number, got ${number}`);
+    }
+    let result = null;
+    for (const char of text) {
+      result = await this.digit(Number(char));
+    }
+    return result;
+  }
+
+  /**
+   * Switch to the next channel (CH+).
+   * @param {number} [times=1] - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   */
+  async channelUp(times = 1) {
+    return this.pressKeyMultiple('CHANNEL_UP', times);
+  }
+
+  /**
+   * Switch to the previous channel (CH-).
+   * @param {number} [times=1] - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   */
+  async channelDown(times = 1) {
+    return this.pressKeyMultiple('CHANNEL_DOWN', times);
+  }
+
+  /**
+   * Press the Info key.
+   * @returns {Promise<KeyResult>}
+   */
+  async info() {
+    return this.pressKey('INFO');
+  }
+
+  /**
+   * Press the Menu key.
+   * @returns {Promise<KeyResult>}
+   */
+  async menu() {
+    return this.pressKey('MENU');
+  }
+
+  /**
+   * Toggle playback with the combined play/pause key.
+   * @returns {Promise<KeyResult>}
+   */
+  async playPause() {
+    return this.pressKey('PLAY_PAUSE');
+  }
+
+  /**
+   * Press the play key.
+   * @returns {Promise<KeyResult>}
+   */
+  async play() {
+    return this.pressKey('PLAY');
+  }
+
+  /**
+   * Press the pause key.
+   * @returns {Promise<KeyResult>}
+   */
+  async pause() {
+    return this.pressKey('PAUSE');
+  }
+
+  /**
+   * Press the stop key.
+   * @returns {Promise<KeyResult>}
+   */
+  async stop() {
+    return this.pressKey('STOP');
+  }
+
+  /**
+   * Press the fast-forward key.
+   * @param {number} [times=1] - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   */
+  async fastForward(times = 1) {
+    return this.pressKeyMultiple('FAST_FORWARD', times);
+  }
+
+  /**
+   * Press the rewind key.
+   * @param {number} [times=1] - Number of times to press
+   * @returns {Promise<KeyResult>} Outcome of the last press
+   */
+  async rewind(times = 1) {
+    return this.pressKeyMultiple('REWIND', times);
   }
 }
 
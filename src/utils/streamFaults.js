@@ -0,0 +1,294 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { isMasterPlaylist } from './hlsPlaylist.js';
+
+/**
+ * Stream Faults - Route-based fault injection for HLS playlists and segments.
+ *
+ * A StreamFaultInjector routes every playlist and segment request of a page or browser
+ * context and applies a declarative schedule of fault rules to it, e.g. "fail segments 5-8
+ * with a 500" or "drop the 1080p variant". Every fault that fires is recorded, so a test can
+ * line the faults up with what the player did (stalls, retries, bitrate switches).
+ */
+
+/** Requests the injector routes: HLS playlists and media segments */
+const STREAM_URL = /\.(m3u8|ts|m4s|aac|mp4)(\?.*)?$/;
+
+/** Requests that are playlists */
+const PLAYLIST_URL = /\.m3u8(\?.*)?$/;
+
+/**
+ * Faults a rule can inject.
+ * - delay: hold the request for `delay` ms before it goes through
+ * - status: answer with HTTP `status` (default 500) and an empty body
+ * - abort: fail the request at the network level
+ * - truncate: deliver only the first `ratio` (default 0.5) of the body
+ * - corrupt: garble the body (playlists lose their #EXTM3U header, segment bytes are inverted)
+ * - drop-variant: remove `variant` from master playlists and answer its requests with 404
+ */
+export const STREAM_FAULTS = ['delay', 'status', 'abort', 'truncate', 'corrupt', 'drop-variant'];
+
+/**
+ * Requests a rule can target.
+ */
+export const STREAM_TARGETS = ['master', 'media', 'playlist', 'segment', 'any'];
+
+/**
+ * @typedef {Object} StreamFaultRule
+ * @property {'master'|'media'|'playlist'|'segment'|'any'} [target='any'] - Requests the rule applies to (ignored by drop-variant)
+ * @property {'delay'|'status'|'abort'|'truncate'|'corrupt'|'drop-variant'} fault - Fault to inject
+ * @property {string} [variant] - Only requests whose URL contains this, e.g. '1080p'; the variant to remove for drop-variant
+ * @property {[number, number]} [requests] - Only the nth to mth matching requests (from 1, inclusive), counted from when the rule was added
+ * @property {[number, number]} [between] - Only requests made from..to ms after the rule was added
+ * @property {number} [delay] - Delay in ms, for 'delay'
+ * @property {number} [status=500] - HTTP status, for 'status'
+ * @property {number} [ratio=0.5] - Share of the body kept, for 'truncate'
+ */
+
+/**
+ * @typedef {Object} FiredFault
+ * @property {number} rule - Index of the rule that fired (in the order rules were added)
+ * @property {string} fault - Fault injected
+ * @property {'master'|'media'|'segment'} target - Kind of request it hit
+ * @property {string} url - Request URL
+ * @property {number} request - Which matching request of the rule it was (from 1)
+ * @property {number} time - ms after the rule was added
+ */
+
+/**
+ * StreamFaultInjector - Applies fault rules to the stream requests of a page or context.
+ * Route a context (not a page) when the player opens in a popup.
+ */
+export class StreamFaultInjector {
+  /**
+   * Start injecting faults into a page or browser context.
+   * @param {import('@playwright/test').Page|import('@playwright/test').BrowserContext} target - Where to route requests
+   * @param {StreamFaultRule[]} [rules=[]] - Initial schedule
+   * @returns {Promise<StreamFaultInjector>}
+   */
+  static async attach(target, rules = []) {
+    const injector = new StreamFaultInjector(target);
+    await injector.start();
+    injector.add(...rules);
+    return injector;
+  }
+
+  /**
+   * @param {import('@playwright/test').Page|import('@playwright/test').BrowserContext} target - Where to route requests
+   */
+  constructor(target) {
+    this.target = target;
+    /** @type {Array<StreamFaultRule & {addedAt: number, count: number, removed: boolean}>} */
+    this.rules = [];
+    /** @type {FiredFault[]} */
+    this.fired = [];
+    this.handler = (route) => this.handle(route);
+  }
+
+  /**
+   * Start routing stream requests.
+   */
+  async start() {
+    await this.target.route(STREAM_URL, this.handler);
+  }
+
+  /**
+   * Stop routing stream requests. Faults fired so far stay recorded.
+   */
+  async stop() {
+    await this.target.unroute(STREAM_URL, this.handler);
+  }
+
+  /**
+   * Add rules to the schedule. Their request counts and time windows start now.
+   * @param {...StreamFaultRule} rules
+   * @returns {number[]} Indexes of the added rules, as reported in fired faults
+   * @throws {Error} If a rule has an unknown fault or target, or is missing a parameter
+   */
+  add(...rules) {
+    return rules.map((rule) => {
+      if (!STREAM_FAULTS.includes(rule.fault)) {
+        throw new Error(
+          `Unknown stream fault "${rule.fault}". Use one of: ${STREAM_FAULTS.join(', ')}`
+        );
+      }
+      if (rule.target && !STREAM_TARGETS.includes(rule.target)) {
+        throw new Error(
+          `Unknown stream fault target "${rule.target}". Use one of: ${STREAM_TARGETS.join(', ')}`
+        );
+      }
+      if (rule.fault === 'delay' && !(rule.delay > 0)) {
+        throw new Error('A "delay" fault needs a positive delay in ms');
+      }
+      if (rule.fault === 'drop-variant' && !rule.variant) {
+        throw new Error('A "drop-variant" fault needs the variant to drop');
+      }
+      this.rules.push({ ...rule, addedAt: Date.now(), count: 0, removed: false });
+      return this.rules.length - 1;
+    });
+  }
+
+  /**
+   * Remove every rule from the schedule. Faults fired so far stay recorded.
+   */
+  clear() {
+    this.rules.forEach((rule) => {
+      rule.removed = true;
+    });
+  }
+
+  /**
+   * Faults fired so far, optionally only those of one rule.
+   * @param {number} [rule] - Rule index returned by add()
+   * @returns {FiredFault[]}
+   */
+  getFired(rule) {
+    return rule === undefined ? [...this.fired] : this.fired.filter((f) => f.rule === rule);
+  }
+
+  /**
+   * Rules that apply to a request, counting it against each rule that matches.
+   * @param {'master'|'media'|'segment'} kind - Kind of request
+   * @param {string} url - Request URL
+   * @returns {Array<{rule: StreamFaultRule, index: number, request: number, time: number}>}
+   * @private
+   */
+  activeRules(kind, url) {
+    const now = Date.now();
+    const active = [];
+    this.rules.forEach((rule, index) => {
+      if (rule.removed) {
+        return;
+      }
+      const target = rule.target || 'any';
+      const matches =
+        rule.fault === 'drop-variant'
+          ? kind === 'master' || url.includes(rule.variant)
+          : (target === 'any' ||
+              target === kind ||
+              (target === 'playlist' && kind !== 'segment')) &&
+            (!rule.variant || url.includes(rule.variant));
+      if (!matches) {
+        return;
+      }
+
+      rule.count++;
+      const time = now - rule.addedAt;
+      const inRequests =
+        !rule.requests || (rule.count >= rule.requests[0] && rule.count <= rule.requests[1]);
+      const inWindow = !rule.between || (time >= rule.between[0] && time <= rule.between[1]);
+      if (inRequests && inWindow) {
+        active.push({ rule, index, request: rule.count, time });
+      }
+    });
+    return active;
+  }
+
+  /**
+   * Route handler: apply the active rules to one stream request.
+   * @param {import('@playwright/test').Route} route
+   * @private
+   */
+  async handle(route) {
+    const url = route.request().url();
+    try {
+      let response = null;
+      let body = null;
+      /** @type {'master'|'media'|'segment'} */
+      let kind = 'segment';
+      if (PLAYLIST_URL.test(url)) {
+        response = await route.fetch();
+        body = await response.body();
+        kind = isMasterPlaylist(body.toString('utf8')) ? 'master' : 'media';
+      }
+
+      let modified = false;
+      for (const { rule, index, request, time } of this.activeRules(kind, url)) {
+        this.fired.push({ rule: index, fault: rule.fault, target: kind, url, request, time });
+
+        if (rule.fault === 'delay') {
+          await delay(/** @type {number} */ (rule.delay));
+        } else if (rule.fault === 'abort') {
+          await route.abort('failed');
+          return;
+        } else if (
+          rule.fault === 'status' ||
+          (rule.fault === 'drop-variant' && kind !== 'master')
+        ) {
+          await route.fulfill({
+            status: rule.fault === 'status' ? rule.status || 500 : 404,
+            body: '',
+          });
+          return;
+        } else {
+          if (!response) {
+            response = await route.fetch();
+            body = await response.body();
+          }
+          body = transformBody(/** @type {Buffer} */ (body), kind, rule);
+          modified = true;
+        }
+      }
+
+      if (response) {
+        await route.fulfill(modified ? { response, body } : { response });
+      } else {
+        await route.fallback();
+      }
+    } catch {
+      // The request failed upstream, or the page went away while a fault was pending
+      await route.abort('failed').catch(() => {});
+    }
+  }
+}
+
+/**
+ * Apply a body fault: truncate, corrupt or drop-variant.
+ * @param {Buffer} body - Response body
+ * @param {'master'|'media'|'segment'} kind - Kind of request
+ * @param {StreamFaultRule} rule - Rule being applied
+ * @returns {Buffer}
+ */
+function transformBody(body, kind, rule) {
+  if (rule.fault === 'truncate') {
+    return body.subarray(0, Math.floor(body.length * (rule.ratio ?? 0.5)));
+  }
+
+  if (rule.fault === 'corrupt') {
+    if (kind === 'segment') {
+      return Buffer.from(body.map((byte) => byte ^ 0xff));
+    }
+    const lines = body.toString('utf8').split('\n').reverse();
+    return Buffer.from(['#CORRUPTED', ...lines.filter((line) => line !== '#EXTM3U')].join('\n'));
+  }
+
+  // drop-variant: remove the variant's #EXT-X-STREAM-INF line and the URI after it
+  const lines = body.toString('utf8').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const uri = lines[i + 1] || '';
+    if (
+      lines[i].startsWith('#EXT-X-STREAM-INF:') &&
+      uri.includes(/** @type {string} */ (rule.variant))
+    ) {
+      i++;
+      continue;
+    }
+    kept.push(lines[i]);
+  }
+  return Buffer.from(kept.join('\n'));
+}
+
+/**
+ * Attach the faults an injector fired to the test report.
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {StreamFaultInjector} injector - Injector to report on
+ * @param {string} [name='stream-faults'] - Attachment name
+ */
+export async function attachStreamFaults(testInfo, injector, name = 'stream-faults') {
+  await testInfo.attach(`${name}.json`, {
+    body: JSON.stringify(injector.getFired(), null, 2),
+    contentType: 'application/json',
+  });
+}
+
+export default StreamFaultInjector;
@@ -0,0 +1,313 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { env } from '../../config/env.js';
+
+/**
+ * TV State - Snapshots of the app's client-side state, and declarative seeding, for fast
+ * test setup.
+ *
+ * Preparing state by driving the UI through several screens is slow and flaky. A TvState
+ * captures what the app keeps in the browser (cookies, localStorage, sessionStorage and
+ * IndexedDB) to a named snapshot file once, and restores it into a fresh browser context
+ * before a test. Where the backend allows it, favourites are seeded with one API call
+ * instead (seedFavourites); the UI-driven HomeScreenPage helpers remain the fallback.
+ */
+
+/**
+ * Cookies that tie a browser context to server-side state (the mock app's profile).
+ * They are left out of snapshots: restoring one would make every test restored from the
+ * snapshot share, and change, the same server-side profile.
+ */
+export const SESSION_COOKIES = ['tv-profile'];
+
+/** sessionStorage key marking a page as restored, so reloads keep changes made since */
+const RESTORE_MARKER = '__tvStateRestored';
+
+/**
+ * @typedef {Object} IndexedDbStoreSnapshot
+ * @property {string} name - Object store name
+ * @property {string|string[]|null} keyPath - Store key path; null for out-of-line keys
+ * @property {boolean} autoIncrement - Whether the store generates keys
+ * @property {Array<{name: string, keyPath: string|string[], unique: boolean, multiEntry: boolean}>} indexes
+ * @property {Array<{key: *, value: *}>} records - Records in key order (values must survive JSON)
+ */
+
+/**
+ * @typedef {Object} OriginSnapshot
+ * @property {string} origin - e.g. 'http://localhost:3000'
+ * @property {Object<string, string>} localStorage
+ * @property {Object<string, string>} sessionStorage
+ * @property {Array<{name: string, version: number, stores: IndexedDbStoreSnapshot[]}>} indexedDB
+ */
+
+/**
+ * @typedef {Object} TvStateSnapshot
+ * @property {string} name - Snapshot name
+ * @property {string} createdAt - ISO timestamp
+ * @property {import('@playwright/test').Cookie[]} cookies - Context cookies, without SESSION_COOKIES
+ * @property {OriginSnapshot[]} origins - Storage of every origin open in the context
+ * @property {string[]|null} favourites - Server-side favourites, if the backend exposes them
+ */
+
+/**
+ * Read an origin's storage. Runs inside the browser, so it must stay self-contained.
+ * @param {string} marker - sessionStorage key to leave out
+ * @returns {Promise<OriginSnapshot>}
+ */
+async function readOriginState(marker) {
+  const dump = (storage) =>
+    Object.fromEntries(
+      Object.keys(storage)
+        .filter((key) => key !== marker)
+        .map((key) => [key, storage.getItem(key)])
+    );
+  const request = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  const databases = typeof indexedDB.databases === 'function' ? await indexedDB.databases() : [];
+  const dumped = [];
+  for (const { name } of databases) {
+    if (!name) {
+      continue;
+    }
+    const db = await request(indexedDB.open(name));
+    const stores = await Promise.all(
+      Array.from(db.objectStoreNames).map((storeName) => {
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        const indexes = Array.from(store.indexNames).map((indexName) => {
+          const index = store.index(indexName);
+          return {
+            name: indexName,
+            keyPath: index.keyPath,
+            unique: index.unique,
+            multiEntry: index.multiEntry,
+          };
+        });
+        return Promise.all([request(store.getAllKeys()), request(store.getAll())]).then(
+          ([keys, values]) => ({
+            name: storeName,
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes,
+            records: keys.map((key, i) => ({ key, value: values[i] })),
+          })
+        );
+      })
+    );
+    dumped.push({ name, version: db.version, stores });
+    db.close();
+  }
+
+  return {
+    origin: location.origin,
+    localStorage: dump(localStorage),
+    sessionStorage: dump(sessionStorage),
+    indexedDB: dumped,
+  };
+}
+
+/**
+ * Write an origin's storage before the app's own scripts run. Injected as an init script, so
+ * it must stay self-contained. Each restore applies once per tab; reloads keep later changes.
+ * @param {OriginSnapshot & {marker: string, id: string}} state
+ */
+function restoreOriginState(state) {
+  if (location.origin !== state.origin || sessionStorage.getItem(state.marker) === state.id) {
+    return;
+  }
+
+  localStorage.clear();
+  sessionStorage.clear();
+  Object.entries(state.localStorage).forEach(([key, value]) => localStorage.setItem(key, value));
+  Object.entries(state.sessionStorage).forEach(([key, value]) =>
+    sessionStorage.setItem(key, value)
+  );
+  sessionStorage.setItem(state.marker, state.id);
+
+  // IndexedDB requests for the same database run in order, so the app's own open() waits
+  // until these databases have been rebuilt.
+  state.indexedDB.forEach((database) => {
+    indexedDB.deleteDatabase(database.name);
+    const open = indexedDB.open(database.name, database.version);
+    open.onupgradeneeded = () => {
+      database.stores.forEach((store) => {
+        const created = open.result.createObjectStore(store.name, {
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+        });
+        store.indexes.forEach((index) =>
+          created.createIndex(index.name, index.keyPath, {
+            unique: index.unique,
+            multiEntry: index.multiEntry,
+          })
+        );
+        store.records.forEach((record) =>
+          store.keyPath === null ? created.put(record.value, record.key) : created.put(record.value)
+        );
+      });
+    };
+    open.onsuccess = () => open.result.close();
+  });
+}
+
+/**
+ * TvState - Captures, saves and restores the state of one browser context.
+ */
+export class TvState {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context to capture from or restore into
+   * @param {Object} [options]
+   * @param {string} [options.dir=env.TV_STATE_DIR] - Directory holding <name>.json snapshots
+   * @param {string[]} [options.excludeCookies=SESSION_COOKIES] - Cookies never captured
+   */
+  constructor(context, { dir = env.TV_STATE_DIR, excludeCookies = SESSION_COOKIES } = {}) {
+    this.context = context;
+    this.dir = dir;
+    this.excludeCookies = excludeCookies;
+  }
+
+  /**
+   * Path of a named snapshot file.
+   * @param {string} name - Snapshot name
+   * @returns {string}
+   */
+  path(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Capture the context's current state: its cookies, the storage of every origin open in
+   * one of its pages, and the backend's favourites if it exposes them.
+   * @param {string} [name='snapshot'] - Snapshot name
+   * @returns {Promise<TvStateSnapshot>}
+   */
+  async capture(name = 'snapshot') {
+    const cookies = (await this.context.cookies()).filter(
+      (cookie) => !this.excludeCookies.includes(cookie.name)
+    );
+
+    /** @type {Map<string, OriginSnapshot>} */
+    const origins = new Map();
+    for (const page of this.context.pages()) {
+      const { origin } = new URL(page.url());
+      if (origin === 'null' || origins.has(origin)) {
+        continue;
+      }
+      origins.set(origin, await page.evaluate(readOriginState, RESTORE_MARKER));
+    }
+
+    return {
+      name,
+      createdAt: new Date().toISOString(),
+      cookies,
+      origins: [...origins.values()],
+      favourites: await this.readFavourites(),
+    };
+  }
+
+  /**
+   * Capture the context's state and write it to <dir>/<name>.json.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<string>} Path of the written file
+   */
+  async save(name) {
+    const snapshot = await this.capture(name);
+    const file = this.path(name);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, JSON.stringify(snapshot, null, 2));
+    return file;
+  }
+
+  /**
+   * Read a saved snapshot.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<TvStateSnapshot>}
+   * @throws {Error} If the snapshot file does not exist or is not a snapshot
+   */
+  async load(name) {
+    const file = this.path(name);
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(
+        `Cannot read TV state snapshot "${name}" from ${file}: ${/** @type {Error} */ (error).message}`
+      );
+    }
+    if (!snapshot || !Array.isArray(snapshot.cookies) || !Array.isArray(snapshot.origins)) {
+      throw new Error(`"${file}" is not a TV state snapshot`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Restore a snapshot into the context. Storage is written by an init script when a page
+   * of the context next loads a snapshot origin, before the app's own scripts run, so
+   * restore before navigating (or reload afterwards).
+   * @param {string|TvStateSnapshot} snapshot - Snapshot, or the name of a saved one
+   * @returns {Promise<TvStateSnapshot>} The restored snapshot
+   */
+  async restore(snapshot) {
+    const restored = typeof snapshot === 'string' ? await this.load(snapshot) : snapshot;
+    const id = `${restored.name}:${Date.now()}`;
+
+    if (restored.cookies.length > 0) {
+      await this.context.addCookies(restored.cookies);
+    }
+    for (const origin of restored.origins) {
+      await this.context.addInitScript(restoreOriginState, {
+        ...origin,
+        marker: RESTORE_MARKER,
+        id,
+      });
+    }
+    if (restored.favourites) {
+      await this.seedFavourites(restored.favourites);
+    }
+    return restored;
+  }
+
+  /**
+   * Set the Favourite Apps without going through the UI, via PUT /api/favourites.
+   * Protected apps (Watch TV) are always kept first by the backend.
+   * @param {string[]} apps - Favourites in rail order, e.g. ['Watch TV', 'Netflix']
+   * @returns {Promise<string[]>} The favourites the backend stored
+   * @throws {Error} If the backend does not support seeding, or rejects the list
+   */
+  async seedFavourites(apps) {
+    const response = await this.context.request.put('/api/favourites', { data: { apps } });
+    if (response.status() === 404 || response.status() === 405) {
+      throw new Error(
+        `The app backend does not support seeding favourites (PUT /api/favourites answered ${response.status()}); ` +
+          'prepare them through the UI with HomeScreenPage instead'
+      );
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok()) {
+      throw new Error(
+        `Seeding favourites failed with ${response.status()}: ${body.error || response.statusText()}`
+      );
+    }
+    return body.apps;
+  }
+
+  /**
+   * Favourites as the backend has them, if it exposes them.
+   * @returns {Promise<string[]|null>} Null if the backend has no favourites API
+   * @private
+   */
+  async readFavourites() {
+    try {
+      const response = await this.context.request.get('/api/favourites');
+      const body = response.ok() ? await response.json() : null;
+      return body && Array.isArray(body.apps) ? body.apps : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default TvState;
@@ -0,0 +1,80 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+import { TIMEOUTS } from '../src/utils/constants.js';
+
+/**
+ * Accessibility Tests
+ * Walks each TV screen with the remote and checks accessible names, roles, focus order and
+ * the aria snapshot. Each screen's report is attached as a11y-<screen>.json; only violations
+ * missing from the screen's baseline fail.
+ */
+test.describe('Accessibility Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    test.setTimeout(TIMEOUTS.FOCUS_GRAPH_CRAWL);
+
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+  });
+
+  test('should audit the home screen', async ({ a11yAudit }) => {
+    const report = await a11yAudit.auditScreen('home', { reset: () => homePage.goto() });
+
+    expect(report.elements).toBeGreaterThan(10);
+    expect(report.moves).toBeGreaterThan(0);
+    a11yAudit.expectNoNewViolations(report);
+  });
+
+  test('should audit the Apps page', async ({ a11yAudit }) => {
+    await homePage.navigateToAppsPage();
+
+    const report = await a11yAudit.auditScreen('apps', {
+      reset: async () => {
+        await homePage.goto();
+        await homePage.navigateToAppsPage();
+      },
+    });
+
+    expect(report.elements).toBeGreaterThan(10);
+    a11yAudit.expectNoNewViolations(report);
+  });
+
+  test('should audit the search page', async ({ page, a11yAudit }) => {
+    requireFeatures('search');
+
+    const searchPage = new SearchPage(page);
+    await searchPage.navigateToSearchPageFromHome();
+
+    const report = await a11yAudit.auditScreen('search', { reset: () => searchPage.goto() });
+
+    expect(report.elements).toBeGreaterThan(10);
+    a11yAudit.expectNoNewViolations(report);
+  });
+
+  test('should report elements without a name or a focusable role', async ({ page, a11yAudit }) => {
+    await page.evaluate(() => {
+      /** @type {HTMLElement} */ (
+        document.querySelector('[data-testid="hero-banner"]')
+      ).textContent = '';
+      /** @type {HTMLElement} */ (
+        document.querySelector('[aria-label="Favourite Apps"] [data-testid="YouTube"]')
+      ).setAttribute('role', 'presentation');
+    });
+
+    const report = await a11yAudit.auditScreen('home-broken', { ariaSnapshot: false });
+
+    // Every violation, not only new ones: test:a11y:update writes a baseline for this screen too
+    expect(report.violations).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ rule: 'missing-name', element: 'hero-banner' }),
+        expect.objectContaining({
+          rule: 'invalid-role',
+          element: 'Favourite Apps/YouTube',
+          detail: 'role "presentation" cannot take focus',
+        }),
+      ])
+    );
+  });
+});
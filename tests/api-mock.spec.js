@@ -0,0 +1,140 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+import { ApiMock, API_OVERRIDES } from '../src/utils/apiMock.js';
+
+/**
+ * API Mock Tests
+ * Tests to verify API traffic is recorded to HAR and replayed from it, single endpoints are
+ * overridden on top of the backend, and search waits fail with the search API's status.
+ */
+test.describe('API Mock Tests', () => {
+  test('should record API traffic and replay it from the recording', async ({
+    browser,
+    baseURL,
+  }, testInfo) => {
+    requireFeatures('search');
+
+    const dir = testInfo.outputPath('har');
+    const recording = await browser.newContext({ baseURL });
+    const file = await ApiMock.forContext(recording).useHar('search-action', {
+      mode: 'update',
+      dir,
+    });
+    const recorder = new SearchPage(await recording.newPage());
+    await recorder.goto();
+    await recorder.selectGenre('Action');
+    const recorded = (await recorder.results.getTiles()).map((tile) => tile.title);
+    await recording.close();
+
+    // Change the recorded content, so only a replay can show it
+    const har = JSON.parse(await readFile(file, 'utf8'));
+    const search = har.log.entries.find(
+      (entry) => new URL(entry.request.url).searchParams.get('genre') === 'Action'
+    );
+    expect(search.response.status).toBe(200);
+    const { content } = search.response;
+    const body = JSON.parse(
+      content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString() : content.text
+    );
+    body.results[0].title = 'Recorded Title';
+    content.text = JSON.stringify(body);
+    delete content.encoding;
+    await writeFile(file, JSON.stringify(har));
+
+    const replay = await browser.newContext({ baseURL });
+    try {
+      await ApiMock.forContext(replay).useHar('search-action', { dir });
+      const searchPage = new SearchPage(await replay.newPage());
+      await searchPage.goto();
+      await searchPage.selectGenre('Action');
+
+      expect((await searchPage.results.getTiles()).map((tile) => tile.title)).toEqual([
+        'Recorded Title',
+        ...recorded.slice(1),
+      ]);
+    } finally {
+      await replay.close();
+    }
+  });
+
+  test('should override single endpoints of the backend', async ({ page, apiMock }) => {
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+
+    const [emptyGenre, slowCatalogue, favouritesError] = await apiMock.override(
+      API_OVERRIDES.emptyGenre('Action'),
+      API_OVERRIDES.slowCatalogue(500),
+      API_OVERRIDES.favouritesError(500, 'GET')
+    );
+    const callApi = (path) =>
+      page.evaluate(async (url) => {
+        const started = performance.now();
+        const response = await fetch(url);
+        return {
+          status: response.status,
+          body: await response.json(),
+          duration: performance.now() - started,
+        };
+      }, `/api${path}`);
+
+    expect((await callApi('/search?genre=Action&type=movie')).body.results).toEqual([]);
+    const comedy = await callApi('/search?genre=Comedy&type=movie');
+    expect(comedy.body.results.length).toBeGreaterThan(0);
+
+    const apps = await callApi('/apps');
+    expect(apps.status).toBe(200);
+    expect(apps.body.rails.length).toBeGreaterThan(0);
+    expect(apps.duration).toBeGreaterThanOrEqual(450);
+
+    expect(await callApi('/favourites')).toMatchObject({
+      status: 500,
+      body: { error: 'Favourites failed with 500' },
+    });
+
+    expect(apiMock.getFired(emptyGenre)).toEqual([
+      expect.objectContaining({ name: 'empty Action genre', status: 200 }),
+    ]);
+    expect(apiMock.getFired(slowCatalogue)).toEqual([
+      expect.objectContaining({ method: 'GET', status: null }),
+    ]);
+    expect(apiMock.getFired(favouritesError)).toEqual([
+      expect.objectContaining({ name: 'favourites 500', status: 500 }),
+    ]);
+
+    apiMock.clearOverrides();
+    expect((await callApi('/favourites')).status).toBe(200);
+  });
+
+  test('should fail a search wait with the status of the search API', async ({ page, apiMock }) => {
+    requireFeatures('search');
+
+    const searchPage = new SearchPage(page);
+    await searchPage.goto();
+    await apiMock.override({ endpoint: '/search', params: { genre: 'Action' }, status: 503 });
+
+    const action = searchPage.getCategoryByText('Action');
+    expect(await searchPage.navigator.navigateTo(action)).not.toBeNull();
+    await searchPage.remote.select();
+
+    await expect(searchPage.waitForSearchResults({ genre: 'Action' })).rejects.toThrow(
+      /^Search API .*\/api\/search\?.*genre=Action.* failed with 503$/
+    );
+  });
+
+  test('should reject unknown modes and missing recordings', async ({ context }, testInfo) => {
+    const mock = ApiMock.forContext(context);
+    const dir = testInfo.outputPath('har');
+
+    await expect(
+      mock.useHar('search-action', { mode: /** @type {any} */ ('live') })
+    ).rejects.toThrow('Unknown HAR mode "live". Use one of: replay, update');
+    await expect(mock.useHar('missing', { dir })).rejects.toThrow(
+      `No API recording for scenario "missing" at ${ApiMock.harPath('missing', dir)}`
+    );
+    await expect(mock.override({ endpoint: '/search' })).rejects.toThrow(
+      'The API override of /search needs a delay, a status or a body'
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { AppsPage } from '../src/pages/AppsPage.js';
+
+/**
+ * Apps Page Tests
+ * Tests to verify catalogue enumeration across rails and the app details screen.
+ */
+test.describe('Apps Page Tests', () => {
+  let appsPage;
+
+  test.beforeEach(async ({ page }) => {
+    appsPage = new AppsPage(page);
+    await appsPage.goto();
+  });
+
+  test('should list every rail and find apps in any of them', async () => {
+    expect(await appsPage.getRailNames()).toEqual([
+      'Featured Apps',
+      'Video',
+      'Music',
+      'News',
+      'Games',
+    ]);
+
+    const apps = await appsPage.getAllApps();
+    expect(apps.filter((app) => app.id === 'Netflix').map((app) => app.rail)).toEqual([
+      'Featured Apps',
+      'Video',
+    ]);
+
+    expect(await appsPage.findApp('quiz night')).toEqual({
+      rail: 'Games',
+      id: 'Quiz Night',
+      index: 2,
+    });
+    expect(await appsPage.findApp('Not An App')).toBeNull();
+  });
+
+  test('should show app metadata and launch the app', async () => {
+    const detailsPage = await appsPage.openApp('Spotify');
+
+    await expect(detailsPage.getTitle()).toHaveText('Spotify');
+    expect(await detailsPage.getMetadata()).toEqual({
+      category: 'Music',
+      publisher: 'Spotify AB',
+      rating: 'G',
+      size: '38 MB',
+    });
+    expect(await detailsPage.isFavourite()).toBe(true);
+
+    await detailsPage.launch();
+    await expect(detailsPage.getLaunchScreen()).toContainText('Launching Spotify');
+
+    await detailsPage.close();
+    await expect(appsPage.getListsContainer()).toBeVisible();
+  });
+
+  test('should add an app to favourites without knowing its rail', async ({ page }) => {
+    requireFeatures('favouritesEdit');
+
+    expect(await appsPage.addToFavourites('Deezer')).toBe(true);
+    expect(await appsPage.addToFavourites('Deezer')).toBe(false);
+
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    expect(await homePage.isAppInFavorites('Deezer')).toBe(true);
+  });
+
+  test('should not remove a protected app from favourites', async () => {
+    const detailsPage = await appsPage.openApp('Watch TV');
+
+    expect(await detailsPage.isFavourite()).toBe(true);
+    expect(await detailsPage.isFavouriteProtected()).toBe(true);
+    await expect(detailsPage.getFavouriteButton()).toBeTvDisabled();
+
+    expect(await detailsPage.removeFromFavourites()).toBe(false);
+    await expect(detailsPage.getFavouriteButton()).toHaveAttribute('aria-pressed', 'true');
+  });
+});
@@ -1,52 +1,99 @@
-import { test, expect } from '@playwright/test';
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
 import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { ChannelsPage } from '../src/pages/ChannelsPage.js';
+import { checkQoeThresholds } from '../src/utils/qoeMetrics.js';
 
 /**
  * Channels Page Tests
- * Tests to verify video playback on the Channels page.
+ * Tests to verify live HLS playback on the Channels page.
  */
 test.describe('Channels Page Tests', () => {
-  test('should play video content when navigating to Channels page', async ({ page, context }) => {
-    const homePage = new HomeScreenPage(page);
+  requireFeatures('channels');
 
+  test('should play video content when navigating to Channels page', async ({ page }) => {
+    const homePage = new HomeScreenPage(page);
     await homePage.goto();
 
-    await homePage.remote.moveUp(2);
+    const channelsPage = await ChannelsPage.openFromHome(homePage);
 
-    const homeItem = page.getByTestId('main-menu-item-1').getByRole('menuitem', { name: 'Home' });
-    await expect(homeItem).toHaveAttribute('data-focused', 'focused');
+    const video = channelsPage.getVideo();
+    await expect(video).toBeVisible();
+    await expect(video).toHaveAttribute('autoplay', /.*/);
 
-    await homePage.remote.moveRight(2);
+    await channelsPage.waitForPlaybackStarted();
+    await channelsPage.assertPlayingFor(3);
 
-    const channelsItem = page
-      .getByTestId('main-menu-item-3')
-      .getByRole('menuitem', { name: 'Channels' });
-    await expect(channelsItem).toHaveAttribute('data-focused', 'focused');
+    // Live media playlists are reloaded while playing
+    await expect.poll(() => channelsPage.getPlaylistResponseCount()).toBeGreaterThan(2);
 
-    const [channelsPage] = await Promise.all([
-      context.waitForEvent('page'),
-      homePage.remote.select(),
-    ]);
+    const metrics = await channelsPage.assertQoe();
+    expect(metrics.startupTime).toBeGreaterThan(0);
+    expect(metrics.totalFrames).toBeGreaterThan(0);
+    expect(metrics.playlistRequests).toBe(channelsPage.getPlaylistResponseCount());
+  });
 
-    await channelsPage.waitForLoadState('domcontentloaded');
+  test('should serve a valid live HLS bitrate ladder', async ({ page }) => {
+    const channelsPage = new ChannelsPage(page);
+    await channelsPage.goto();
 
-    const m3u8Requests = [];
-    channelsPage.on('request', (request) => {
-      if (request.url().includes('.m3u8')) {
-        m3u8Requests.push(request.url());
+    const master = await channelsPage.getMasterPlaylist();
+    expect(master.variants.length).toBeGreaterThan(1);
+    const bandwidths = master.variants.map((variant) => variant.bandwidth);
+    expect(bandwidths).toEqual([...bandwidths].sort((a, b) => a - b));
+
+    for (const variant of master.variants) {
+      expect(variant.codecs).toEqual([
+        expect.stringMatching(/^avc1\./),
+        expect.stringMatching(/^mp4a\./),
+      ]);
+      expect(variant.resolution?.height).toBeGreaterThan(0);
+
+      const media = await channelsPage.getMediaPlaylist({ variant });
+      expect(media.endList).toBe(false);
+      expect(media.segments.length).toBeGreaterThan(0);
+      for (const segment of media.segments) {
+        expect(segment.duration).toBeLessThanOrEqual(media.targetDuration);
       }
-    });
+    }
 
-    await channelsPage.waitForResponse((response) => response.url().includes('.m3u8'), {
-      timeout: 15000,
-    });
+    const loaded = await channelsPage.getMediaPlaylist();
+    expect(master.variants.map((variant) => variant.uri)).toContain(loaded.uri);
+  });
 
-    const video = channelsPage.locator('video');
-    await expect(video).toBeVisible({ timeout: 10000 });
-    await expect(video).toHaveAttribute('autoplay', /.*/);
+  test('should report every QoE threshold a playback exceeds', () => {
+    const violations = checkQoeThresholds(
+      {
+        startupTime: 7200,
+        rebufferCount: 3,
+        rebufferDuration: 4500,
+        droppedFrames: 30,
+        totalFrames: 300,
+        droppedFrameRatio: 0.1,
+        bitrateSwitches: 1,
+        switches: [],
+        playlistRequests: 12,
+      },
+      { MAX_BITRATE_SWITCHES: 0 }
+    );
+
+    expect(violations).toEqual([
+      'Startup time 7200ms exceeds 5000ms',
+      'Rebuffer count 3 exceeds 1',
+      'Rebuffer duration 4500ms exceeds 2000ms',
+      'Dropped frame ratio 0.1 exceeds 0.05',
+      'Bitrate switches 1 exceeds 0',
+    ]);
+  });
+
+  test.describe('with a project startup budget', () => {
+    test.use({ qoeThresholds: { MAX_STARTUP_TIME: 1 } });
 
-    await channelsPage.waitForTimeout(10000);
-    console.log('m3u8Requests', m3u8Requests.length);
-    expect(m3u8Requests.length).toBeGreaterThan(0);
+    test('should fail when startup exceeds the budget', async ({ page }) => {
+      const channelsPage = new ChannelsPage(page);
+      await channelsPage.goto();
+      await channelsPage.waitForPlaybackStarted();
+
+      await expect(channelsPage.assertQoe()).rejects.toThrow(/Startup time \d+ms exceeds 1ms/);
+    });
   });
 });
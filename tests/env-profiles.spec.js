@@ -0,0 +1,94 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { BasePage } from '../src/pages/BasePage.js';
+import {
+  ENV_PROFILES,
+  FEATURES,
+  getProfile,
+  hasFeature,
+  resolveProfile,
+  scaleTimeout,
+} from '../config/profiles.js';
+
+/**
+ * Environment Profiles Tests
+ * Tests to verify environment profiles resolve with their overrides, invalid configuration is
+ * rejected with every problem listed, and tests skip on profiles without a feature they need.
+ */
+test.describe('Environment Profiles Tests', () => {
+  test('should resolve the local mock profile', () => {
+    const profile = resolveProfile('local-mock', {});
+
+    expect(profile).toMatchObject({
+      name: 'local-mock',
+      baseURL: expect.stringMatching(/^http:\/\/localhost:\d+$/),
+      mockApp: true,
+      keyProfile: 'desktop',
+      focusStrategy: 'data-focused',
+      resolution: '1080p',
+      timeoutScale: 1,
+    });
+    expect(Object.keys(profile.features).sort()).toEqual(Object.keys(FEATURES).sort());
+    expect(Object.keys(ENV_PROFILES)).toEqual(['local-mock', 'dev', 'staging', 'prod']);
+  });
+
+  test('should apply overrides on top of a profile', () => {
+    const profile = resolveProfile('prod', {
+      baseURL: 'https://tv.example.com',
+      timeoutScale: 3,
+      features: { favouritesEdit: true },
+    });
+
+    expect(profile.baseURL).toBe('https://tv.example.com');
+    expect(profile.mockApp).toBe(false);
+    expect(profile.timeoutScale).toBe(3);
+    expect(profile.features).toMatchObject({ favouritesEdit: true, stateSeeding: false });
+  });
+
+  test('should reject unknown and invalid profiles with every problem', () => {
+    expect(() => resolveProfile('qa', {})).toThrow(
+      'Unknown environment profile "qa" (TV_ENV). Available profiles: local-mock, dev, staging, prod'
+    );
+    expect(() => resolveProfile('staging', {})).toThrow(
+      'baseURL is not set; set APP_URL to the URL of the "staging" app'
+    );
+
+    let error;
+    try {
+      resolveProfile('dev', {
+        baseURL: 'ftp://tv.example.com',
+        keyProfile: 'remote-x',
+        resolution: /** @type {any} */ ('8k'),
+        timeoutScale: 0,
+        features: /** @type {any} */ ({ epg: true }),
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message.split('\n')).toEqual([
+      'Invalid environment profile "dev":',
+      '  - baseURL "ftp://tv.example.com" is not an http(s) URL',
+      expect.stringMatching(/^ {2}- keyProfile "remote-x" is unknown; use one of /),
+      '  - resolution "8k" is unknown; use one of 720p, 1080p, 4k, 1080p-2x',
+      '  - timeoutScale must be a positive number, got 0',
+      expect.stringMatching(/^ {2}- features\.epg is unknown; known features: tvGuide, /),
+    ]);
+  });
+
+  test('should check features against the profile in use', () => {
+    const profile = getProfile();
+
+    for (const feature of Object.keys(FEATURES)) {
+      expect(hasFeature(feature)).toBe(profile.features[feature]);
+    }
+    expect(() => hasFeature('tvGuid')).toThrow('Unknown feature "tvGuid". Known features: ');
+    expect(() => requireFeatures('tvGuid')).toThrow('Unknown feature "tvGuid"');
+  });
+
+  test('should scale page object timeouts for the environment', async ({ page }) => {
+    const basePage = new BasePage(page);
+
+    expect(basePage.profile).toBe(getProfile());
+    expect(basePage.scaledTimeout(1000)).toBe(Math.round(1000 * getProfile().timeoutScale));
+    expect(basePage.scaledTimeout(1000)).toBe(scaleTimeout(1000));
+  });
+});
@@ -0,0 +1,98 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+
+/**
+ * Favourites Edit Mode Tests
+ * Tests to verify reordering and removing favourites in edit mode, and that the new order
+ * survives a reload.
+ */
+test.describe('Favourites Edit Mode Tests', () => {
+  requireFeatures('favouritesEdit');
+
+  let homePage;
+  let editMode;
+
+  /**
+   * Test helper: Reload the home screen and wait for the Favourite Apps rail to be rendered
+   */
+  const reloadHome = async (page, expectedCount) => {
+    await page.reload();
+    await homePage.waitForHomeScreen();
+    await expect(homePage.favouritesRail.items()).toHaveCount(expectedCount);
+  };
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    editMode = homePage.editMode;
+
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test('should reorder a favourite and keep the order after reload', async ({ page }) => {
+    expect(await editMode.getFavouritesOrder()).toEqual([
+      'Watch TV',
+      'YouTube',
+      'Crunchyroll',
+      'Spotify',
+    ]);
+
+    await editMode.enter('Spotify');
+    expect(await editMode.getApp()).toBe('Spotify');
+    await expect(editMode.hint).toHaveText('Use left and right to move the app');
+    expect(await editMode.canMoveRight()).toBe(false);
+    expect(await editMode.canMoveLeft()).toBe(true);
+
+    expect(await editMode.moveLeft()).toBe(2);
+    expect(await editMode.moveTo(1)).toBe(1);
+    expect(await editMode.canMoveLeft()).toBe(false);
+    await expect(editMode.moveLeft()).rejects.toThrow('cannot move left');
+
+    expect(await editMode.moveRight()).toBe(2);
+    expect(await editMode.moveTo(1)).toBe(1);
+    await editMode.exit();
+    expect(await editMode.isActive()).toBe(false);
+
+    const order = ['Watch TV', 'Spotify', 'YouTube', 'Crunchyroll'];
+    expect(await editMode.getFavouritesOrder()).toEqual(order);
+
+    await reloadHome(page, order.length);
+    expect(await editMode.getFavouritesOrder()).toEqual(order);
+  });
+
+  test('should report a protected app as fixed in place', async () => {
+    await expect(editMode.hint).toHaveAttribute('data-enabled', 'false');
+
+    await editMode.enter('Watch TV');
+    await expect(editMode.hint).toHaveAttribute('data-enabled', 'true');
+    await expect(editMode.hint).toHaveText('This app cannot be moved or removed');
+    expect(await editMode.isProtected()).toBe(true);
+    expect(await editMode.canMoveLeft()).toBe(false);
+    expect(await editMode.canMoveRight()).toBe(false);
+
+    await expect(editMode.moveRight()).rejects.toThrow('cannot move right');
+    await expect(editMode.remove()).rejects.toThrow('protected');
+
+    await editMode.exit();
+    expect(await editMode.getFavouritesOrder()).toEqual([
+      'Watch TV',
+      'YouTube',
+      'Crunchyroll',
+      'Spotify',
+    ]);
+  });
+
+  test('should remove a favourite from edit mode', async ({ page }) => {
+    await editMode.enter('YouTube');
+    expect(await editMode.isProtected()).toBe(false);
+
+    expect(await editMode.remove()).toBe('YouTube');
+    expect(await editMode.isActive()).toBe(false);
+
+    const order = ['Watch TV', 'Crunchyroll', 'Spotify'];
+    expect(await editMode.getFavouritesOrder()).toEqual(order);
+
+    await reloadHome(page, order.length);
+    expect(await editMode.getFavouritesOrder()).toEqual(order);
+  });
+});
@@ -1,4 +1,4 @@
-import { test, expect } from '@playwright/test';
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
 import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
 
 /**
@@ -6,6 +6,8 @@ import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
  * Tests to verify adding, removing, and protecting apps in the Favourite Apps rail.
  */
 test.describe('Favourites Rail Tests', () => {
+  requireFeatures('favouritesEdit');
+
   let homePage;
 
   /**
@@ -43,17 +45,14 @@ test.describe('Favourites Rail Tests', () => {
 
     await verifyBottomOverlayDisabled();
 
-    await homePage.remote.holdSelect(1500);
-
-    const editControls = homePage.getEditControlsForFocusedApp();
-    await expect(editControls).toBeVisible();
-    const moveAppLeftButton = editControls.locator('[class^="_chevronLeft_"]');
-    await expect(moveAppLeftButton).toHaveAttribute('data-focused', 'disabled');
-    const moveAppRightButton = editControls.locator('[class^="_chevronRight_"]');
-    await expect(moveAppRightButton).toHaveAttribute('data-focused', 'disabled');
+    const { editMode } = homePage;
+    await editMode.enter('Watch TV');
 
-    const deleteButton = editControls.getByTestId('editmode-remove-app');
-    await expect(deleteButton).toHaveAttribute('data-focused', 'disabled');
+    await expect(editMode.controls).toBeVisible();
+    await expect(editMode.moveLeftControl).toBeTvDisabled();
+    await expect(editMode.moveRightControl).toBeTvDisabled();
+    await expect(editMode.removeButton).toBeTvDisabled();
+    expect(await editMode.isProtected()).toBe(true);
 
     const watchTVFound = await homePage.navigateToApp('Watch TV');
     expect(watchTVFound).toBe(true);
@@ -68,11 +67,8 @@ test.describe('Favourites Rail Tests', () => {
 
     await verifyBottomOverlayDisabled();
 
-    await homePage.remote.holdSelect(1500);
-
-    const editControls = homePage.getEditControlsForFocusedApp();
-    const deleteButton = editControls.getByTestId('editmode-remove-app');
-    await expect(deleteButton).toBeVisible();
+    await homePage.editMode.enter('Netflix');
+    await expect(homePage.editMode.removeButton).toBeVisible();
 
     await homePage.remote.moveDown();
 
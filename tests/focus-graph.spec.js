@@ -0,0 +1,53 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { FocusGraphCrawler, attachFocusGraph } from '../src/utils/focusGraph.js';
+import { TIMEOUTS } from '../src/utils/constants.js';
+
+/**
+ * Focus Graph Tests
+ * Crawls TV screens with the remote and attaches their navigation topology to the report.
+ */
+test.describe('Focus Graph Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    test.setTimeout(TIMEOUTS.FOCUS_GRAPH_CRAWL);
+
+    homePage = new HomeScreenPage(page);
+
+    await homePage.goto();
+  });
+
+  test('should map the focus graph of the home screen', async ({ page }, testInfo) => {
+    const crawler = new FocusGraphCrawler(page, { remote: homePage.remote });
+
+    const graph = await crawler.crawl('home', { reset: () => homePage.goto() });
+    await attachFocusGraph(testInfo, graph);
+
+    const watchTv = 'Favourite Apps/Watch TV';
+    expect(graph.nodes.has(watchTv)).toBe(true);
+    expect(graph.getEdge(watchTv, 'RIGHT')?.to).toBe('Favourite Apps/YouTube');
+
+    const homeMenuItem = Array.from(graph.nodes.values()).find((node) => node.label === 'Home');
+    expect(homeMenuItem).toBeDefined();
+    expect(graph.shortestPath(watchTv, homeMenuItem.id)).toHaveLength(2);
+  });
+
+  test('should map the focus graph of the Apps page', async ({ page }, testInfo) => {
+    await homePage.navigateToAppsPage();
+
+    const crawler = new FocusGraphCrawler(page, { remote: homePage.remote });
+
+    const graph = await crawler.crawl('apps', {
+      reset: async () => {
+        await homePage.goto();
+        await homePage.navigateToAppsPage();
+      },
+    });
+    await attachFocusGraph(testInfo, graph);
+
+    expect(graph.nodes.has('Video/Netflix')).toBe(true);
+    expect(graph.nodes.has('Featured Apps/Netflix')).toBe(true);
+    expect(graph.shortestPath('Video/YouTube', 'Video/Crunchyroll')).toHaveLength(2);
+  });
+});
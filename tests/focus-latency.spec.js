@@ -0,0 +1,85 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { setFocusLatencyBudgets } from '../src/utils/focusLatency.js';
+
+/**
+ * Focus Latency Tests
+ * Tests to verify key-to-focus and key-to-paint latency is sampled per screen and button,
+ * checked against per-screen budgets and attached as focus-latency.json/.txt. Run them on a
+ * slowed-down CPU with `CPU_THROTTLE_RATE=4 npm run test:latency`.
+ */
+test.describe('Focus Latency Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test('should measure latency per screen and direction', async ({ focusLatency }) => {
+    await homePage.remote.moveDown(2);
+    await homePage.remote.moveRight(3);
+    await homePage.remote.moveLeft(2);
+    await homePage.navigateToAppsPage();
+    // Focus stays on the Apps menu item, the last one: move into the rails first
+    await homePage.remote.moveDown();
+    await homePage.remote.moveRight(2);
+
+    const groups = focusLatency.getGroups();
+    const group = (screen, button) =>
+      groups.find((other) => other.screen === screen && other.button === button);
+    expect(group('home', 'RIGHT')?.presses).toBeGreaterThanOrEqual(3);
+    expect(group('home', 'LEFT')?.presses).toBeGreaterThanOrEqual(2);
+    expect(group('apps', 'RIGHT')?.presses).toBeGreaterThanOrEqual(2);
+
+    for (const { screen, button, focus, paint } of groups) {
+      expect(focus.p50, `${screen} ${button}`).toBeLessThanOrEqual(focus.p95);
+      expect(focus.p95, `${screen} ${button}`).toBeLessThanOrEqual(focus.max);
+      expect(paint, `${screen} ${button}`).not.toBeNull();
+    }
+    for (const sample of focusLatency.samples) {
+      expect(sample.to).not.toBe(sample.from);
+      expect(sample.focus).toBeGreaterThanOrEqual(0);
+      expect(sample.paint).toBeGreaterThanOrEqual(sample.focus);
+    }
+  });
+
+  test('should report screens over their latency budget', async ({ focusLatency }) => {
+    await homePage.remote.moveDown(2);
+    await homePage.remote.moveRight(3);
+
+    expect(focusLatency.checkBudgets({ home: { p50: 0 } })).toEqual(
+      expect.arrayContaining([expect.stringMatching(/^home RIGHT: p50 [\d.]+ms exceeds 0ms$/)])
+    );
+    expect(() => focusLatency.expectWithinBudgets({ home: { max: 0 } })).toThrow(
+      'Focus latency over budget'
+    );
+    expect(() => setFocusLatencyBudgets({ home: { p99: 100 } })).toThrow(
+      'Unknown focus latency budget statistic(s) for "home": p99'
+    );
+
+    const table = focusLatency.toTable();
+    expect(table).toContain('Focus latency (CPU throttle 1x)');
+    expect(table).toMatch(/^home\s+RIGHT\s+\d+\s+/m);
+  });
+
+  test.describe('on a throttled CPU', () => {
+    // Skip before any fixture is set up: the page fixture fails to throttle other browsers
+    test.skip(({ browserName }) => browserName !== 'chromium', 'CPU throttling needs Chromium');
+    test.use({ cpuThrottleRate: 4, focusLatencyBudgets: { default: { p95: 1000, max: 2000 } } });
+
+    test('should measure latency with the CPU slowed down', async ({ focusLatency }) => {
+      await homePage.remote.moveDown(2);
+      await homePage.remote.moveRight(3);
+
+      expect(focusLatency.cpuThrottleRate).toBe(4);
+      expect(focusLatency.samples.length).toBeGreaterThanOrEqual(3);
+      expect(focusLatency.toJSON()).toMatchObject({
+        cpuThrottleRate: 4,
+        budgets: { default: { p95: 1000, max: 2000 } },
+        violations: [],
+      });
+    });
+  });
+});
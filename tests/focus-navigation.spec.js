@@ -0,0 +1,62 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { FocusNavigator } from '../src/utils/focusNavigator.js';
+import { FocusGraph } from '../src/utils/focusGraph.js';
+
+/**
+ * Focus Navigation Tests
+ * Tests to verify shortest-path navigation with FocusNavigator.
+ */
+test.describe('Focus Navigation Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+
+    await homePage.goto();
+  });
+
+  test('should navigate to a menu item from the Favourite Apps rail', async ({ page }) => {
+    const navigator = new FocusNavigator(page, {
+      remote: homePage.remote,
+      graph: new FocusGraph('home'),
+    });
+
+    const reached = await navigator.navigateTo(homePage.nav.appsItem);
+
+    expect(reached).not.toBeNull();
+    await expect(homePage.nav.appsItem).toBeTvFocused();
+  });
+
+  test('should navigate between rails by data-testid', async ({ page }) => {
+    const navigator = new FocusNavigator(page, {
+      remote: homePage.remote,
+      graph: new FocusGraph('home'),
+    });
+
+    expect(await navigator.navigateTo('Spotify')).not.toBeNull();
+    await expect(homePage.getFocusedAppInFavouritesRail()).toHaveAttribute(
+      'data-testid',
+      'Spotify'
+    );
+
+    expect(await navigator.navigateTo('hero-banner')).not.toBeNull();
+    await expect(page.getByTestId('hero-banner')).toBeTvFocused();
+  });
+
+  test('should re-plan when a learned hop goes somewhere unexpected', async ({ page }) => {
+    const graph = new FocusGraph('home');
+    graph.addNode({ id: 'Favourite Apps/Watch TV' });
+    graph.addNode({ id: 'Favourite Apps/Spotify' });
+    graph.addEdge('Favourite Apps/Watch TV', 'DOWN', 'Favourite Apps/Spotify');
+
+    const navigator = new FocusNavigator(page, { remote: homePage.remote, graph });
+
+    const reached = await navigator.navigateTo(
+      homePage.getFavouriteAppsRail().getByTestId('Spotify')
+    );
+
+    expect(reached?.id).toBe('Favourite Apps/Spotify');
+    expect(graph.getEdge('Favourite Apps/Watch TV', 'DOWN')?.to).not.toBe('Favourite Apps/Spotify');
+  });
+});
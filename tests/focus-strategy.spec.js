@@ -0,0 +1,67 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+import { getFocusStrategy } from '../src/utils/focusStrategy.js';
+
+/**
+ * Focus Strategy Tests
+ * Tests to verify the focus, disabled and selected definitions and the TV focus matchers.
+ */
+test.describe('Focus Strategy Tests', () => {
+  test('should report focused and selected states on the Search page', async ({ page }) => {
+    requireFeatures('search');
+
+    const searchPage = new SearchPage(page);
+    await searchPage.goto();
+
+    const actionCategory = searchPage.getCategoryByText('Action');
+    await searchPage.remote.moveDown();
+    await expect(actionCategory).toBeTvFocused();
+    await expect(searchPage.getFocusedCategory()).toHaveAttribute('aria-label', 'Action');
+
+    await searchPage.remote.select();
+
+    await expect(actionCategory).toBeTvSelected();
+    await expect(actionCategory).not.toBeTvFocused();
+    await expect(searchPage.getCategoryByText('Comedy')).not.toBeTvSelected();
+    await expect(page.locator('#search-filters [data-type="movie"]')).toBeTvSelected();
+  });
+
+  test('should explain the state it found when a matcher fails', async ({ page }) => {
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+
+    await homePage.remote.holdSelect(1500);
+
+    const deleteButton = homePage.getEditControlsForFocusedApp().getByTestId('editmode-remove-app');
+    await expect(deleteButton).toBeTvDisabled();
+
+    await expect(expect(deleteButton).toBeTvFocused({ timeout: 1000 })).rejects.toThrow(
+      /Received: disabled/
+    );
+  });
+
+  test.describe('css-class strategy', () => {
+    test.use({ focusStrategy: 'css-class' });
+
+    test('should use the configured strategy for matchers and lookups', async ({ page }) => {
+      const homePage = new HomeScreenPage(page);
+      await homePage.goto();
+      expect(getFocusStrategy().name).toBe('css-class');
+
+      await homePage.remote.moveUp(2);
+
+      // The mock app also moves DOM focus, which the css-class strategy reads via :focus
+      await expect(homePage.nav.homeItem).toBeTvFocused();
+      await expect(homePage.getFocusedElement()).toHaveAttribute('aria-label', 'Home');
+
+      const classesOnly = {
+        name: 'classes-only',
+        focused: ['.focused'],
+        disabled: [],
+        selected: [],
+      };
+      await expect(homePage.nav.homeItem).not.toBeTvFocused({ strategy: classesOnly });
+    });
+  });
+});
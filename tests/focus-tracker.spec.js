@@ -0,0 +1,53 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+
+/**
+ * Focus Tracker Tests
+ * Tests to verify event-driven focus tracking, key press outcomes and focus history.
+ */
+test.describe('Focus Tracker Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test('should report the focus change caused by a key press', async ({ focusTracker }) => {
+    await expect.poll(() => focusTracker.current()?.testId).toBe('Watch TV');
+
+    const result = await homePage.remote.moveRight();
+
+    expect(result?.type).toBe('focus');
+    expect(result?.key).toBe('ArrowRight');
+    expect(result?.previous).toBe('Favourite Apps/Watch TV');
+    expect(result?.node?.id).toBe('Favourite Apps/YouTube');
+  });
+
+  test('should detect key presses that do not move focus', async ({ focusTracker }) => {
+    const result = await homePage.remote.moveLeft();
+
+    expect(result?.type).toBe('unchanged');
+    expect(result?.node?.id).toBe('Favourite Apps/Watch TV');
+    expect(focusTracker.getUnchangedPresses()).toHaveLength(1);
+  });
+
+  test('should resolve waitForNextFocus and keep the full history', async ({ focusTracker }) => {
+    const since = focusTracker.mark();
+    const next = focusTracker.waitForNextFocus({ since, timeout: 5000 });
+
+    await homePage.remote.moveUp(2);
+
+    expect((await next)?.node?.id).toBe('hero-banner');
+
+    const hops = focusTracker
+      .getHistory()
+      .slice(-2)
+      .map((event) => [event.key, event.node?.id]);
+    expect(hops).toEqual([
+      ['ArrowUp', 'hero-banner'],
+      ['ArrowUp', 'Sections/Home'],
+    ]);
+  });
+});
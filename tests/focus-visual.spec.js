@@ -0,0 +1,47 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+
+/**
+ * Focus Visual Tests
+ * Visual regression of focus rings and tile scaling, compared against baselines per TV
+ * resolution. Tagged @visual, so they only run in the tv-720p, tv-1080p, tv-4k and tv-1080p-2x
+ * projects; create or refresh the baselines with `npm run test:visual:update`.
+ */
+test.describe('Focus Visual Tests', { tag: '@visual' }, () => {
+  test('should keep the focus state of the Favourite Apps rail', async ({
+    page,
+    focusSnapshots,
+  }) => {
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    expect(await homePage.favouritesRail.focusItem('Watch TV')).toBe(true);
+
+    await focusSnapshots.capture('00-watch-tv');
+    const steps = await focusSnapshots.walk(['RIGHT', 'RIGHT', 'RIGHT', 'UP']);
+
+    expect(steps.map((step) => step.focused)).toEqual([
+      'YouTube',
+      'Crunchyroll',
+      'Spotify',
+      expect.any(String),
+    ]);
+  });
+
+  test('should keep the focus state of the search results grid', async ({
+    page,
+    focusSnapshots,
+  }) => {
+    requireFeatures('search');
+
+    const searchPage = new SearchPage(page);
+    await searchPage.goto();
+    await searchPage.selectGenre('Action');
+
+    await focusSnapshots.capture('00-first-result');
+    await focusSnapshots.walk(['RIGHT', 'DOWN', 'LEFT', 'UP']);
+
+    expect(focusSnapshots.steps).toHaveLength(5);
+    expect(await searchPage.results.getFocusedPosition()).toEqual({ row: 0, col: 0 });
+  });
+});
@@ -0,0 +1,79 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { replayKeyJournal } from '../src/utils/journalReplay.js';
+
+/**
+ * Key Journal Tests
+ * Tests to verify remote key events are journaled and can be replayed against the app.
+ */
+test.describe('Key Journal Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test('should journal every key with focus before and after', async ({ page, keyJournal }) => {
+    await homePage.remote.moveRight();
+    await homePage.remote.moveUp();
+    await homePage.remote.holdLeft(300);
+
+    expect(keyJournal.entries).toHaveLength(3);
+    expect(keyJournal.entries[0]).toMatchObject({
+      step: 1,
+      action: 'press',
+      button: 'RIGHT',
+      key: 'ArrowRight',
+      keyCode: 39,
+      url: page.url(),
+      before: 'Favourite Apps/Watch TV',
+      after: 'Favourite Apps/YouTube',
+      outcome: 'focus',
+    });
+    expect(keyJournal.entries[1]).toMatchObject({ before: 'Favourite Apps/YouTube' });
+    expect(keyJournal.entries[2]).toMatchObject({
+      action: 'hold',
+      button: 'LEFT',
+      duration: 300,
+      outcome: 'unchanged',
+    });
+  });
+
+  test('should replay a journal on a fresh page', async ({ context, keyJournal }) => {
+    await homePage.remote.moveDown(2);
+    await homePage.remote.holdRight(1200);
+    await homePage.remote.moveUp();
+    const recorded = keyJournal.toJSON();
+
+    const replayPage = await context.newPage();
+    const { steps, divergences } = await replayKeyJournal(replayPage, recorded);
+
+    expect(steps).toHaveLength(recorded.length);
+    expect(divergences).toEqual([]);
+    await replayPage.close();
+  });
+
+  test('should report steps that land on a different element', async ({ context, keyJournal }) => {
+    await homePage.remote.moveRight(2);
+    const recorded = keyJournal.toJSON();
+    recorded[1] = { ...recorded[1], after: 'Favourite Apps/Netflix' };
+
+    const replayPage = await context.newPage();
+    const { divergences } = await replayKeyJournal(replayPage, recorded, {
+      stopOnDivergence: true,
+    });
+
+    expect(divergences).toEqual([
+      {
+        step: 2,
+        button: 'RIGHT',
+        expected: 'Favourite Apps/Netflix',
+        actual: 'Favourite Apps/Crunchyroll',
+        matched: false,
+      },
+    ]);
+    await replayPage.close();
+  });
+});
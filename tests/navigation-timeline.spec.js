@@ -0,0 +1,136 @@
+import { readFile } from 'node:fs/promises';
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { Rail } from '../src/components/Rail.js';
+import { NAVIGATION_FAILURES } from '../src/utils/navigationTimeline.js';
+import { NavigationTimelineReporter } from '../src/reporters/navigationTimelineReporter.js';
+
+/**
+ * Navigation Timeline Tests
+ * Tests to verify every remote key is added to the page's navigation timeline with focus
+ * before and after, failed navigations are highlighted with their reason and a thumbnail, and
+ * the reporter summarises the failures of a run.
+ */
+test.describe('Navigation Timeline Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test.describe('with every timeline attached', () => {
+    test.use({ navigationTimelineMode: 'on' });
+
+    test('should record each key with focus before and after', async ({ navigationTimeline }) => {
+      await homePage.remote.moveDown(2);
+      await homePage.remote.moveRight(2);
+
+      expect(navigationTimeline.events).toHaveLength(4);
+      expect(navigationTimeline.events.map((event) => event.button)).toEqual([
+        'DOWN',
+        'DOWN',
+        'RIGHT',
+        'RIGHT',
+      ]);
+      for (const [i, event] of navigationTimeline.events.entries()) {
+        expect(event).toMatchObject({
+          type: 'key',
+          index: i + 1,
+          screen: 'home',
+          outcome: 'focus',
+        });
+        expect(event.after).not.toBe(event.before);
+        expect(event.duration).toBeGreaterThanOrEqual(0);
+        expect(event.thumbnail).toEqual(expect.any(String));
+      }
+      expect(navigationTimeline.events[1].after).toBe(navigationTimeline.events[2].before);
+
+      const html = navigationTimeline.toHtml('timeline');
+      expect(html).toContain('4 steps, 0 navigation failure(s)');
+      expect(html).toContain('<img src="data:image/jpeg;base64,');
+    });
+  });
+
+  test('should highlight failed navigations with their reason', async ({
+    page,
+    navigationTimeline,
+  }) => {
+    expect(await homePage.favouritesRail.focusItem('Not An App')).toBe(false);
+
+    await homePage.nav.navigateToMenuItemByName(homePage.remote, 'Free');
+    await homePage.remote.select();
+    const rail = new Rail(page, 'Free Movies', { remote: homePage.remote, screen: 'free' });
+    expect(await rail.focusItem('Not A Movie')).toBe(false);
+
+    expect(navigationTimeline.getFailures()).toEqual([
+      expect.objectContaining({
+        context: 'Favourite Apps rail',
+        target: 'Not An App',
+        reason: NAVIGATION_FAILURES.TARGET_NOT_FOUND,
+        screen: 'home',
+      }),
+      expect.objectContaining({
+        context: 'Free Movies rail',
+        target: 'Not A Movie',
+        reason: NAVIGATION_FAILURES.END_OF_RAIL,
+        screen: 'free',
+      }),
+    ]);
+    // Only failures get a thumbnail outside 'on' mode
+    const { failures, events } = navigationTimeline.toJSON();
+    expect(failures[1].thumbnail).toBe(true);
+    expect(events.filter((event) => event.type === 'key' && event.thumbnail)).toEqual([]);
+    expect(navigationTimeline.toHtml('timeline')).toContain('<tr class="failure">');
+  });
+
+  test('should summarise navigation failures across a run', async ({ navigationTimeline }) => {
+    expect(await homePage.favouritesRail.focusItem('Not An App')).toBe(false);
+
+    const outputFile = test.info().outputPath('navigation-failures.json');
+    const reporter = new NavigationTimelineReporter({ outputFile });
+    const testCase = {
+      location: { file: test.info().file, line: 1 },
+      titlePath: () => ['', 'chromium', 'timeline.spec.js', 'fails to find an app'],
+      parent: { project: () => ({ name: 'chromium' }) },
+    };
+    reporter.onBegin(/** @type {any} */ ({ rootDir: test.info().project.testDir }));
+    reporter.onTestEnd(
+      /** @type {any} */ (testCase),
+      /** @type {any} */ ({
+        status: 'passed',
+        retry: 0,
+        attachments: [
+          {
+            name: 'navigation-timeline.json',
+            contentType: 'application/json',
+            body: Buffer.from(JSON.stringify(navigationTimeline)),
+          },
+        ],
+      })
+    );
+    reporter.onTestEnd(
+      /** @type {any} */ (testCase),
+      /** @type {any} */ ({
+        status: 'passed',
+        retry: 0,
+        attachments: [],
+      })
+    );
+    reporter.onEnd(/** @type {any} */ ({ status: 'passed', startTime: new Date(), duration: 1 }));
+
+    const summary = JSON.parse(await readFile(outputFile, 'utf8'));
+    expect(summary).toMatchObject({
+      testsWithTimeline: 1,
+      failures: 1,
+      byReason: { [NAVIGATION_FAILURES.TARGET_NOT_FOUND]: 1 },
+      byScreen: { home: 1 },
+    });
+    expect(summary.entries[0]).toMatchObject({
+      test: 'chromium › timeline.spec.js › fails to find an app',
+      project: 'chromium',
+      target: 'Not An App',
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+
+/**
+ * On-Screen Keyboard Tests
+ * Tests to verify typing on the search keyboard with the remote, and searching with both the
+ * keyboard and the fast page.keyboard mode.
+ */
+test.describe('On-Screen Keyboard Tests', () => {
+  requireFeatures('search');
+
+  let searchPage;
+
+  test.beforeEach(async ({ page }) => {
+    searchPage = new SearchPage(page);
+    await searchPage.goto();
+  });
+
+  test('should type mixed case, symbols and spaces, and delete', async () => {
+    const { keyboard } = searchPage;
+    await searchPage.openKeyboard();
+
+    const letters = await keyboard.getLayout();
+    expect(letters.name).toBe('letters');
+    expect(letters.rows[0].map((key) => key.key)).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+
+    await keyboard.type('Hi 5!');
+    await expect(searchPage.getSearchInput()).toHaveValue('Hi 5!');
+    expect((await keyboard.getLayout()).name).toBe('symbols');
+
+    await keyboard.delete(2);
+    await expect(searchPage.getSearchInput()).toHaveValue('Hi ');
+
+    await keyboard.type('Zo');
+    await expect(searchPage.getSearchInput()).toHaveValue('Hi Zo');
+    const layout = await keyboard.getLayout();
+    expect(layout.name).toBe('letters');
+    expect(layout.shift).toBe(false);
+
+    await keyboard.clear();
+    await expect(searchPage.getSearchInput()).toHaveValue('');
+  });
+
+  test('should search with the on-screen keyboard', async () => {
+    await searchPage.searchFor('zero');
+
+    const results = searchPage.getSearchResultsGrid().getByRole('gridcell');
+    await expect(results.first()).toBeVisible();
+    for (const title of await results.evaluateAll((cells) =>
+      cells.map((cell) => cell.getAttribute('aria-label'))
+    )) {
+      expect(title).toMatch(/zero/i);
+    }
+  });
+
+  test('should search in fast mode without opening the keyboard', async () => {
+    await searchPage.searchFor('Road 2', { fast: true });
+
+    expect(await searchPage.keyboard.isOpen()).toBe(false);
+    await expect(searchPage.getSearchResultsGrid().getByRole('gridcell')).toHaveCount(7);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { Rail } from '../src/components/Rail.js';
+
+/**
+ * Rail Tests
+ * Tests to verify focusing items along horizontal rails, including virtualised rails that only
+ * render the tiles around focus.
+ */
+test.describe('Rail Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+  });
+
+  test('should focus Favourite Apps in both directions', async () => {
+    const rail = homePage.favouritesRail;
+    await expect(rail.root).toBeVisible();
+
+    expect(await rail.focusItem('Spotify')).toBe(true);
+    await expect(rail.focusedItem()).toHaveAttribute('data-testid', 'Spotify');
+    expect(await rail.isAtEnd()).toBe(true);
+
+    expect(await rail.focusItem('youtube')).toBe(true);
+    expect(await rail.getFocusedItem()).toMatchObject({ testId: 'YouTube', index: 1 });
+
+    expect(await rail.scrollToStart()).toBe(1);
+    expect(await rail.isAtStart()).toBe(true);
+    await expect(rail.focusedItem()).toHaveAttribute('data-testid', 'Watch TV');
+  });
+
+  test('should return false for an item that is not in the rail', async () => {
+    const rail = homePage.favouritesRail;
+
+    expect(await rail.focusItem('Not An App')).toBe(false);
+    expect(await rail.itemCount()).toBe(4);
+  });
+
+  test('should reach items a virtualised rail has not rendered yet', async ({ page }) => {
+    await homePage.nav.navigateToMenuItemByName(homePage.remote, 'Free');
+    await homePage.remote.select();
+
+    const rail = new Rail(page, 'Free Movies', { remote: homePage.remote, screen: 'free' });
+    await expect(rail.root).toBeVisible();
+    expect(await rail.isVirtualised()).toBe(true);
+    expect(await rail.itemCount()).toBe(12);
+    expect(await rail.items().count()).toBeLessThan(12);
+    await expect(rail.items().filter({ hasText: 'Cipher Zero' })).toHaveCount(0);
+
+    expect(await rail.focusItem('Cipher Zero')).toBe(true);
+    expect(await rail.getFocusedItem()).toMatchObject({ testId: 'thriller-movie-02', index: 10 });
+
+    expect(await rail.focusItem('Outpost Protocol')).toBe(true);
+    expect(await rail.isAtStart()).toBe(true);
+
+    expect(await rail.scrollToEnd()).toBe(11);
+    expect(await rail.isAtEnd()).toBe(true);
+    await expect(rail.focusedItem()).toContainText('Alibi Zero 2');
+  });
+});
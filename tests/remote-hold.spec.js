@@ -0,0 +1,63 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { RemoteControl } from '../src/utils/remoteControl.js';
+
+/**
+ * Remote Hold Tests
+ * Tests to verify held buttons send auto-repeat keydowns and fast-scroll rails.
+ */
+test.describe('Remote Hold Tests', () => {
+  let homePage;
+
+  test.beforeEach(async ({ page }) => {
+    homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+  });
+
+  test('should fast-scroll a rail while right is held', async ({ page, focusTracker }) => {
+    const recommended = page.getByRole('list', { name: 'Recommended' });
+    await homePage.remote.moveDown(2);
+    await expect(recommended.getByRole('listitem').first()).toBeTvFocused();
+
+    const since = focusTracker.mark();
+    const { keydowns, moved, result } = await homePage.remote.holdRight(1500);
+
+    expect(keydowns).toBeGreaterThan(5);
+    expect(moved).toBe(keydowns);
+    expect(result?.type).toBe('focus');
+    await expect(recommended.getByRole('listitem').nth(moved)).toBeTvFocused();
+
+    const keys = focusTracker
+      .getHistory({ all: true })
+      .slice(since)
+      .filter((event) => event.type === 'key');
+    expect(keys.filter((event) => event.repeat)).toHaveLength(keydowns - 1);
+  });
+
+  test('should stop at the end of a rail with keyCode auto-repeats', async ({ page }) => {
+    const remote = new RemoteControl(page, { profile: 'tizen' });
+    const tiles = homePage.getFavouriteAppsRail().getByRole('listitem');
+    const count = await tiles.count();
+
+    const { keydowns, moved, path, result } = await remote.holdRight(2000, {
+      repeatDelay: 300,
+      repeatRate: 20,
+    });
+
+    expect(keydowns).toBeGreaterThan(count);
+    expect(moved).toBe(count - 1);
+    expect(path.at(-1)).toBe(`Favourite Apps/${await tiles.last().getAttribute('data-testid')}`);
+    expect(result?.type).toBe('unchanged');
+    expect(result?.repeat).toBe(true);
+  });
+
+  test('should send a single keydown when repeats are disabled', async () => {
+    const { keydowns, moved } = await homePage.remote.hold('RIGHT', 800, {
+      repeatDelay: Infinity,
+    });
+
+    expect(keydowns).toBe(1);
+    expect(moved).toBe(1);
+  });
+});
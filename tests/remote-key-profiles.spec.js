@@ -0,0 +1,82 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { RemoteControl } from '../src/utils/remoteControl.js';
+
+/**
+ * Remote Key Profile Tests
+ * Tests to verify platform key maps and both ways of sending keys to the TV app.
+ */
+test.describe('Remote Key Profile Tests', () => {
+  for (const profile of ['tizen', 'webos', 'hbbtv', 'androidtv']) {
+    test.describe(`${profile} profile`, () => {
+      test.use({ keyProfile: profile });
+
+      test('should return home with the platform Back key', async ({ page }) => {
+        const remote = new RemoteControl(page);
+        expect(remote.profile.name).toBe(profile);
+
+        await page.goto('/#/apps');
+        await expect(page.getByTestId('lists-container')).toBeVisible();
+
+        await remote.back();
+
+        await expect(page.getByTestId('home-container')).toBeVisible();
+      });
+    });
+  }
+
+  test.describe('synthetic keyCode events', () => {
+    test.use({ keyProfile: 'tizen' });
+
+    test('should jump to the menubar with the Menu key', async ({ page }) => {
+      const remote = new RemoteControl(page);
+      await page.goto('/#/apps');
+      await expect(page.getByTestId('lists-container')).toBeVisible();
+
+      const result = await remote.menu();
+
+      const appsItem = page.getByRole('menuitem', { name: 'Apps' });
+      await expect(appsItem).toBeTvFocused();
+      expect(result).toMatchObject({ type: 'focus', node: { id: 'Sections/Apps' } });
+    });
+
+    test('should change channels with CH+/CH- and number keys', async ({ page }) => {
+      const remote = new RemoteControl(page);
+      await page.goto('/channels.html');
+      await expect(page.locator('body')).toHaveAttribute('data-channel', 'news-24');
+
+      await remote.channelUp();
+      await expect(page.locator('body')).toHaveAttribute('data-channel', 'sports-one');
+
+      await remote.digit(5);
+      await expect(page.locator('body')).toHaveAttribute('data-channel', 'docu-world');
+
+      await remote.channelDown(2);
+      await expect(page.locator('body')).toHaveAttribute('data-channel', 'movie-max');
+    });
+  });
+
+  test.describe('send mode override', () => {
+    test.use({ keyProfile: 'desktop', keySendMode: 'keyCode' });
+
+    test('should navigate with keyCode events on the desktop profile', async ({ page }) => {
+      const remote = new RemoteControl(page);
+      expect(remote.profile.sendMode).toBe('keyCode');
+
+      await page.goto('/');
+      await expect(page.getByTestId('home-container')).toBeVisible();
+
+      await remote.moveUp(2);
+
+      const homeItem = page.getByRole('menuitem', { name: 'Home' });
+      await expect(homeItem).toBeTvFocused();
+    });
+  });
+
+  test('should reject buttons missing from the profile', async ({ page }) => {
+    const remote = new RemoteControl(page, { profile: 'desktop' });
+
+    await expect(remote.red()).rejects.toThrow('not available in the "desktop" key profile');
+    await expect(remote.digit(10)).rejects.toThrow('expects a number from 0 to 9');
+    expect(() => new RemoteControl(page, { profile: 'roku' })).toThrow('Unknown key profile');
+  });
+});
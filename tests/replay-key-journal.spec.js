@@ -0,0 +1,26 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { loadKeyJournal } from '../src/utils/keyJournal.js';
+import { replayKeyJournal } from '../src/utils/journalReplay.js';
+import { env } from '../config/env.js';
+
+/**
+ * Key Journal Replay
+ * Replays the key-journal.json given in KEY_JOURNAL, e.g. one downloaded from a failed CI run:
+ *   KEY_JOURNAL=./key-journal.json npm run test:replay
+ * Set KEY_JOURNAL_PAUSE=true to step through it in the Playwright Inspector.
+ */
+test.describe('Key Journal Replay', () => {
+  test.skip(!env.KEY_JOURNAL, 'Set KEY_JOURNAL to the key-journal.json to replay');
+  // Stepping through in the Inspector takes as long as it takes
+  test.describe.configure({ timeout: env.KEY_JOURNAL_PAUSE ? 0 : undefined });
+
+  test('should replay the journal without diverging', async ({ page }) => {
+    const journal = await loadKeyJournal(env.KEY_JOURNAL);
+
+    const { divergences } = await replayKeyJournal(page, journal, {
+      pause: env.KEY_JOURNAL_PAUSE,
+    });
+
+    expect(divergences).toEqual([]);
+  });
+});
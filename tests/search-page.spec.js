@@ -1,4 +1,4 @@
-import { test, expect } from '@playwright/test';
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
 import { SearchPage } from '../src/pages/SearchPage.js';
 
 /**
@@ -6,6 +6,8 @@ import { SearchPage } from '../src/pages/SearchPage.js';
  * Tests to verify search page functionality including category selection and content display.
  */
 test.describe('Search Page Tests', () => {
+  requireFeatures('search');
+
   let searchPage;
 
   test.beforeEach(async ({ page }) => {
@@ -35,10 +37,11 @@ test.describe('Search Page Tests', () => {
     await expect(actionCategory).toBeVisible();
     await searchPage.remote.moveDown();
 
-    await expect(actionCategory).toHaveAttribute('data-focused', 'true');
+    await expect(actionCategory).toBeTvFocused();
     await searchPage.remote.select();
 
-    await searchPage.waitForSearchResults();
+    const { results } = await searchPage.waitForSearchResults({ genre: categoryName });
+    expect(results.length).toBeGreaterThan(0);
 
     const searchResultsGrid = searchPage.getSearchResultsGrid();
     await expect(searchResultsGrid).toBeVisible();
@@ -49,6 +52,6 @@ test.describe('Search Page Tests', () => {
     );
 
     const firstRowContainer = searchPage.getFirstSearchResultsRowContainer();
-    await expect(firstRowContainer).toHaveAttribute('data-focused', 'focused');
+    await expect(firstRowContainer).toBeTvFocused();
   });
 });
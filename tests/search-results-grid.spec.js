@@ -0,0 +1,77 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { SearchPage } from '../src/pages/SearchPage.js';
+
+/**
+ * Search Results Grid Tests
+ * Tests to verify genre results, 2D navigation across the results grid, tile metadata and
+ * the content type filters.
+ */
+test.describe('Search Results Grid Tests', () => {
+  requireFeatures('search');
+
+  let searchPage;
+  let results;
+
+  test.beforeEach(async ({ page }) => {
+    searchPage = new SearchPage(page);
+    results = searchPage.results;
+
+    await searchPage.goto();
+    await expect(searchPage.getCategoryItems().first()).toBeVisible();
+  });
+
+  test('should return relevant, de-duplicated results for every genre', async () => {
+    const genres = await searchPage
+      .getCategoryItems()
+      .evaluateAll((items) => items.map((item) => item.getAttribute('aria-label') || ''));
+    expect(genres.length).toBeGreaterThan(0);
+
+    for (const genre of genres) {
+      await searchPage.selectGenre(genre);
+      expect(await results.getState()).toEqual({ genre, query: null, filter: 'movie' });
+
+      const tiles = await results.getTiles();
+      expect(tiles.length, `${genre} should have results`).toBeGreaterThan(0);
+      for (const tile of tiles) {
+        expect(tile.genre, tile.title).toBe(genre);
+        expect(tile.type, tile.title).toBe('movie');
+        expect(tile.artwork, tile.title).toMatch(/\/artwork\/[\w-]+\.svg$/);
+      }
+      expect(new Set(tiles.map((tile) => tile.testId)).size).toBe(tiles.length);
+      expect(new Set(tiles.map((tile) => tile.title)).size).toBe(tiles.length);
+    }
+  });
+
+  test('should move focus to a cell by row and column', async () => {
+    await searchPage.selectGenre('Action');
+    expect(await results.getSize()).toEqual({ rows: 3, columns: 5 });
+    expect(await results.getFocusedPosition()).toEqual({ row: 0, col: 0 });
+
+    const tile = await results.focusCell(1, 3);
+    await expect(results.cell(1, 3)).toBeTvFocused();
+    await expect(results.focusedCell()).toHaveAttribute('aria-label', tile.title);
+
+    await results.focusCell(2, 1);
+    expect(await results.getFocusedPosition()).toEqual({ row: 2, col: 1 });
+    await results.focusCell(0, 4);
+    expect(await results.getFocusedPosition()).toEqual({ row: 0, col: 4 });
+
+    await expect(results.focusCell(2, 3)).rejects.toThrow('There is no search result at row 2');
+  });
+
+  test('should filter results by content type with the remote', async () => {
+    await searchPage.selectGenre('Drama');
+    expect(await results.getFilters()).toEqual(['movie', 'series', 'documentary']);
+    expect(await results.getActiveFilter()).toBe('movie');
+
+    await results.selectFilter('series');
+    expect(await results.getActiveFilter()).toBe('series');
+    expect(await results.getState()).toEqual({ genre: 'Drama', query: null, filter: 'series' });
+
+    const tiles = await results.getTiles();
+    expect(tiles).toHaveLength(7);
+    expect(tiles.every((tile) => tile.type === 'series' && tile.genre === 'Drama')).toBe(true);
+
+    await expect(results.selectFilter('podcast')).rejects.toThrow('There is no "podcast"');
+  });
+});
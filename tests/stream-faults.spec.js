@@ -0,0 +1,92 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { ChannelsPage } from '../src/pages/ChannelsPage.js';
+
+/**
+ * Stream Faults Tests
+ * Tests to verify the Channels player survives and recovers from injected network faults.
+ */
+test.describe('Stream Faults Tests', () => {
+  requireFeatures('channels');
+
+  let channelsPage;
+
+  test.beforeEach(async ({ page }) => {
+    channelsPage = new ChannelsPage(page);
+  });
+
+  test('should never request a variant dropped from the master playlist', async ({
+    streamFaults,
+  }) => {
+    streamFaults.add({ fault: 'drop-variant', variant: '1080p' });
+
+    await channelsPage.goto();
+    await channelsPage.waitForPlaybackStarted();
+
+    const master = await channelsPage.getMasterPlaylist();
+    expect(master.variants.map((variant) => variant.name)).toEqual(['360p', '720p']);
+    expect(streamFaults.getFired()).toContainEqual(
+      expect.objectContaining({ fault: 'drop-variant', target: 'master' })
+    );
+
+    await channelsPage.assertPlayingFor(2);
+    const requested = channelsPage.playlistResponses.map((response) => response.url());
+    expect(requested.filter((url) => url.includes('1080p'))).toEqual([]);
+  });
+
+  test('should keep playing when segments 2-3 fail with 404', async ({ streamFaults }) => {
+    const [rule] = streamFaults.add({
+      target: 'segment',
+      fault: 'status',
+      status: 404,
+      requests: [2, 3],
+    });
+
+    await channelsPage.goto();
+    await channelsPage.waitForPlaybackStarted();
+
+    await expect
+      .poll(() => streamFaults.getFired(rule).map((fired) => fired.request))
+      .toEqual([2, 3]);
+    await channelsPage.assertPlayingFor(2);
+  });
+
+  test('should recover from corrupt playlists and truncated segments', async ({ streamFaults }) => {
+    const [corrupt, truncate] = streamFaults.add(
+      { target: 'media', fault: 'corrupt', requests: [1, 2] },
+      { target: 'segment', fault: 'truncate', ratio: 0.5, requests: [1, 1] }
+    );
+
+    await channelsPage.goto();
+    await channelsPage.waitForPlaybackStarted();
+
+    expect(streamFaults.getFired(corrupt)).toHaveLength(2);
+    expect(streamFaults.getFired(truncate)).toHaveLength(1);
+    await channelsPage.assertPlayingFor(2);
+  });
+
+  test('should stall and resume when a segment is delayed', async ({ streamFaults }) => {
+    test.slow();
+
+    await channelsPage.goto();
+    await channelsPage.waitForPlaybackStarted();
+
+    const [rule] = streamFaults.add({
+      target: 'segment',
+      fault: 'delay',
+      delay: 10000,
+      requests: [1, 1],
+    });
+
+    await expect
+      .poll(async () => (await channelsPage.getQoeMetrics()).rebufferCount, { timeout: 20000 })
+      .toBeGreaterThan(0);
+    expect(streamFaults.getFired(rule)).toHaveLength(1);
+
+    await channelsPage.waitForPlaybackStarted({ timeout: 20000 });
+    await channelsPage.assertPlayingFor(2);
+
+    const metrics = await channelsPage.getQoeMetrics();
+    expect(metrics.rebufferCount).toBe(1);
+    expect(metrics.rebufferDuration).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { KEY_PROFILES } from '../src/utils/keyProfiles.js';
+import { RESOLUTIONS } from '../config/profiles.js';
+import { TV_DEVICES, TV_DEVICE_SPECS, noPointerArgs } from '../config/devices.js';
+
+/**
+ * TV Devices Tests
+ * Tests to verify the TV device descriptors, and that each TV device project emulates its
+ * platform: user agent, resolution, no touch or pointer, key profile, throttled CPU and capped
+ * heap.
+ */
+test.describe('TV Devices Tests', () => {
+  test('should describe every TV platform without touch or pointer', () => {
+    expect(Object.keys(TV_DEVICES)).toEqual(['tizen', 'webos', 'androidtv', 'hbbtv']);
+
+    for (const [name, device] of Object.entries(TV_DEVICES)) {
+      const spec = TV_DEVICE_SPECS[name];
+      expect(device, name).toMatchObject({
+        ...RESOLUTIONS[spec.resolution],
+        userAgent: spec.userAgent,
+        isMobile: false,
+        hasTouch: false,
+        defaultBrowserType: 'chromium',
+        keyProfile: name,
+        launchOptions: {
+          args: [`--js-flags=--max-old-space-size=${spec.memoryMB}`, ...noPointerArgs()],
+        },
+      });
+      expect(KEY_PROFILES[device.keyProfile], name).toBeDefined();
+      expect(device.cpuThrottleRate, name).toBeGreaterThan(1);
+      expect(device.userAgent, name).not.toMatch(/Mobile/);
+    }
+  });
+
+  test('should emulate the TV device of the project', async ({
+    page,
+    keyProfile,
+    cpuThrottleRate,
+  }, testInfo) => {
+    const spec = TV_DEVICE_SPECS[testInfo.project.name];
+    test.skip(!spec, 'Runs in the TV device projects only');
+
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await expect(homePage.getFavouriteAppsRail()).toBeVisible();
+
+    const browser = await page.evaluate(() => ({
+      userAgent: navigator.userAgent,
+      maxTouchPoints: navigator.maxTouchPoints,
+      touchEvents: 'ontouchstart' in window,
+      noPointer: matchMedia('(pointer: none)').matches,
+      noHover: matchMedia('(hover: none)').matches,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      deviceScaleFactor: window.devicePixelRatio,
+      // Chromium only; the heap limit set with --max-old-space-size plus the young generation
+      heapLimit: /** @type {any} */ (performance).memory?.jsHeapSizeLimit ?? null,
+    }));
+    const { viewport, deviceScaleFactor } = RESOLUTIONS[spec.resolution];
+    expect(browser).toMatchObject({
+      userAgent: spec.userAgent,
+      maxTouchPoints: 0,
+      touchEvents: false,
+      noPointer: true,
+      noHover: true,
+      viewport,
+      deviceScaleFactor,
+    });
+    expect(browser.heapLimit).toBeLessThan((spec.memoryMB + 128) * 1024 * 1024);
+
+    expect(keyProfile).toBe(spec.keyProfile);
+    expect(homePage.remote.profile.name).toBe(spec.keyProfile);
+    expect(cpuThrottleRate).toBe(spec.cpuThrottleRate);
+
+    // The platform's key codes drive the app on the throttled CPU
+    expect(await homePage.navigateToApp('Spotify')).toBe(true);
+    await expect(homePage.getFocusedAppInFavouritesRail()).toHaveAttribute(
+      'data-testid',
+      'Spotify'
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { TvGuidePage } from '../src/pages/TvGuidePage.js';
+
+/** "Now" for every test: Monday 2 March 2026, 10:15 */
+const NOW = '2026-03-02T10:15:00Z';
+
+/**
+ * TV Guide Tests
+ * Tests to verify EPG grid navigation, day paging and now/next highlighting with a pinned clock.
+ */
+test.describe('TV Guide Tests', () => {
+  requireFeatures('tvGuide');
+
+  test.use({ timezoneId: 'UTC' });
+
+  let guidePage;
+
+  test.beforeEach(async ({ page }) => {
+    guidePage = new TvGuidePage(page);
+    await guidePage.pinClock(NOW);
+    await guidePage.goto();
+  });
+
+  test('should open on today with now, next and past programmes highlighted', async () => {
+    expect(await guidePage.getDay()).toEqual({ date: '2026-03-02', label: 'Today' });
+
+    const { now, next } = await guidePage.getNowAndNext('News 24');
+    expect(now).toMatchObject({
+      title: 'Headlines',
+      start: new Date('2026-03-02T10:00:00Z'),
+      end: new Date('2026-03-02T10:30:00Z'),
+    });
+    expect(next).toMatchObject({ title: 'Newsnight', start: new Date('2026-03-02T10:30:00Z') });
+
+    const earlier = await guidePage.getProgrammeAt('News 24', '2026-03-02T09:45:00Z');
+    expect(earlier).toMatchObject({ title: 'Weather Watch', airing: 'past' });
+
+    await guidePage.pinClock('2026-03-02T10:45:00Z');
+    const newsnight = guidePage.getChannelRow('news-24').getByTestId(next.id);
+    await expect(newsnight).toHaveAttribute('data-airing', 'now');
+  });
+
+  test('should navigate to a channel and time slot with the remote', async () => {
+    const programme = await guidePage.navigateTo('Movie Max', '2026-03-02T20:30:00Z');
+
+    expect(programme).toMatchObject({
+      channel: 'movie-max',
+      title: "Ocean's Echo",
+      start: new Date('2026-03-02T20:00:00Z'),
+      end: new Date('2026-03-02T21:45:00Z'),
+      airing: 'upcoming',
+    });
+    await expect(guidePage.getFocusedProgrammeCell()).toHaveAttribute('aria-label', "Ocean's Echo");
+  });
+
+  test('should keep the time slot when changing channel', async () => {
+    await guidePage.navigateToChannel('News 24');
+    await guidePage.navigateToTime('2026-03-02T14:10:00Z');
+
+    const programme = await guidePage.navigateToChannel('Docu World');
+    expect(programme).toMatchObject({
+      title: 'Ancient Empires',
+      start: new Date('2026-03-02T14:00:00Z'),
+      end: new Date('2026-03-02T15:30:00Z'),
+    });
+  });
+
+  test('should page through days', async () => {
+    await guidePage.navigateToChannel('Sports One');
+
+    expect(await guidePage.nextDay()).toEqual({ date: '2026-03-03', label: 'Tomorrow' });
+    expect(await guidePage.getFocusedProgramme()).toMatchObject({
+      title: 'Tennis Tonight',
+      start: new Date('2026-03-03T10:00:00Z'),
+      airing: 'upcoming',
+    });
+
+    expect(await guidePage.previousDay(2)).toEqual({ date: '2026-03-01', label: 'Yesterday' });
+    expect(await guidePage.getFocusedProgramme()).toMatchObject({ airing: 'past' });
+
+    const programme = await guidePage.navigateTo('Kids Zone', '2026-03-04T19:10:00Z');
+    expect(await guidePage.getDay()).toEqual({ date: '2026-03-04', label: 'Wed 4 Mar' });
+    expect(programme).toMatchObject({ title: 'Science Squad', airing: 'upcoming' });
+  });
+});
@@ -0,0 +1,136 @@
+import { test, expect, requireFeatures } from '../src/fixtures/index.js';
+import { HomeScreenPage } from '../src/pages/HomeScreenPage.js';
+import { TvState } from '../src/utils/tvState.js';
+
+/**
+ * Read back the storage written by the tests. Runs inside the browser.
+ */
+async function readStorage() {
+  const db = await new Promise((resolve, reject) => {
+    const open = indexedDB.open('tv-cache');
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+  const recent = await new Promise((resolve) => {
+    const request = db.transaction('recent').objectStore('recent').getAll();
+    request.onsuccess = () => resolve(request.result);
+  });
+  db.close();
+  return {
+    lastScreen: localStorage.getItem('tv.lastScreen'),
+    session: sessionStorage.getItem('tv.session'),
+    recent,
+  };
+}
+
+/**
+ * TV State Tests
+ * Tests to verify seeding favourites through the backend, and saving and restoring
+ * client-side state snapshots.
+ */
+test.describe('TV State Tests', () => {
+  requireFeatures('stateSeeding');
+
+  test('should seed favourites without going through the UI', async ({ page, tvState }) => {
+    const stored = await tvState.seedFavourites(['Netflix', 'Watch TV', 'Deezer']);
+    expect(stored).toEqual(['Watch TV', 'Netflix', 'Deezer']);
+
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    expect(await homePage.editMode.getFavouritesOrder()).toEqual(stored);
+  });
+
+  test('should reject favourites the backend does not know', async ({ tvState }) => {
+    await expect(tvState.seedFavourites(['Not An App'])).rejects.toThrow(
+      'Seeding favourites failed with 400'
+    );
+  });
+
+  test('should save a snapshot and restore it into a fresh context', async ({
+    page,
+    context,
+    browser,
+    baseURL,
+  }, testInfo) => {
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    await page.evaluate(async () => {
+      localStorage.setItem('tv.lastScreen', 'apps');
+      sessionStorage.setItem('tv.session', 'abc');
+      await new Promise((resolve, reject) => {
+        const open = indexedDB.open('tv-cache', 1);
+        open.onupgradeneeded = () => open.result.createObjectStore('recent', { keyPath: 'id' });
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+          const tx = open.result.transaction('recent', 'readwrite');
+          tx.objectStore('recent').put({ id: 'Netflix', openedAt: 3 });
+          tx.oncomplete = () => {
+            open.result.close();
+            resolve(undefined);
+          };
+        };
+      });
+    });
+    await context.addCookies([{ name: 'tv-consent', value: 'yes', url: page.url() }]);
+
+    const dir = testInfo.outputPath('tv-state');
+    const saved = new TvState(context, { dir });
+    await saved.seedFavourites(['Watch TV', 'Netflix']);
+    const file = await saved.save('netflix-favourite');
+    expect(file).toContain('netflix-favourite.json');
+
+    const fresh = await browser.newContext({ baseURL });
+    try {
+      const snapshot = await new TvState(fresh, { dir }).restore('netflix-favourite');
+      expect(snapshot.favourites).toEqual(['Watch TV', 'Netflix']);
+      expect(snapshot.cookies.map((cookie) => cookie.name)).toEqual(['tv-consent']);
+
+      const freshPage = await fresh.newPage();
+      const freshHome = new HomeScreenPage(freshPage);
+      await freshHome.goto();
+
+      expect(await freshHome.editMode.getFavouritesOrder()).toEqual(['Watch TV', 'Netflix']);
+      expect(await freshPage.evaluate(readStorage)).toEqual({
+        lastScreen: 'apps',
+        session: 'abc',
+        recent: [{ id: 'Netflix', openedAt: 3 }],
+      });
+
+      const profile = async (ctx) =>
+        (await ctx.cookies()).find((cookie) => cookie.name === 'tv-profile')?.value;
+      expect(await profile(fresh)).toBeTruthy();
+      expect(await profile(fresh)).not.toBe(await profile(context));
+    } finally {
+      await fresh.close();
+    }
+  });
+
+  test('should keep changes made after a restore across reloads', async ({
+    page,
+    tvState,
+    baseURL,
+  }) => {
+    await tvState.restore({
+      name: 'inline',
+      createdAt: new Date().toISOString(),
+      cookies: [],
+      origins: [
+        {
+          origin: new URL(/** @type {string} */ (baseURL)).origin,
+          localStorage: { 'tv.lastScreen': 'home' },
+          sessionStorage: {},
+          indexedDB: [],
+        },
+      ],
+      favourites: null,
+    });
+
+    const homePage = new HomeScreenPage(page);
+    await homePage.goto();
+    expect(await page.evaluate(() => localStorage.getItem('tv.lastScreen'))).toBe('home');
+
+    await page.evaluate(() => localStorage.setItem('tv.lastScreen', 'guide'));
+    await page.reload();
+    expect(await page.evaluate(() => localStorage.getItem('tv.lastScreen'))).toBe('guide');
+  });
+});